@@ -23,38 +23,22 @@ module.exports.preDefinedLimiter = (options = {}) => {
     max: options.max || 100,
     algorithm: options.algorithm || 'sliding-window',
 
-    // 使用预定义的 userAndRoute 生成器
+    // limiter.koa() 把 ctx 作为请求对象传给 keyGenerator，
+    // egg-passport 挂载的 ctx.user 即 userAndRoute 读取的 req.user，未登录时降级到 IP
     keyGenerator: keyGenerators.userAndRoute,
   });
 
-  return async function rateLimitMiddleware(ctx, next) {
-    // 确保 req.user 存在（Egg.js 需要适配）
-    const req = {
-      ...ctx.request,
-      user: ctx.user || ctx.state.user, // 兼容不同的用户存储位置
-      ip: ctx.ip,
-      path: ctx.path,
-    };
-
-    const result = await limiter.check(
-      await limiter.options.keyGenerator(req, { route: ctx.path })
-    );
-
-    ctx.set('X-RateLimit-Limit', result.limit);
-    ctx.set('X-RateLimit-Remaining', result.remaining);
-
-    if (!result.allowed) {
+  // 响应头由 limiter.koa() 设置，handler 只负责 429 响应体
+  return limiter.koa({
+    handler: (ctx, next, result) => {
       ctx.status = 429;
       ctx.body = {
         code: 429,
         message: '请求过于频繁，请稍后再试',
         retryAfter: Math.ceil(result.retryAfter / 1000),
       };
-      return;
-    }
-
-    await next();
-  };
+    },
+  });
 };
 
 // ============================================
@@ -81,8 +65,8 @@ module.exports.customBusinessLock = (options = {}) => {
         ctx.headers['x-user-id'] ||  // 自定义 Header
         ctx.ip;                      // 降级到IP
 
-      // 2. 获取路由（支持动态路由）
-      const route = context?.route || ctx.path || ctx.url;
+      // 2. 获取路由（框架匹配的路由模板，如 /api/posts/:id）
+      const route = context.route;
 
       // 3. 可选：添加租户ID、组织ID等业务维度
       const tenantId = ctx.headers['x-tenant-id'] || 'default';
@@ -92,19 +76,8 @@ module.exports.customBusinessLock = (options = {}) => {
     },
   });
 
-  return async function businessLockMiddleware(ctx, next) {
-    // 生成限流键
-    const key = await limiter.options.keyGenerator(ctx, { route: ctx.path });
-
-    // 检查限流
-    const result = await limiter.check(key, { req: ctx, route: ctx.path });
-
-    // 设置响应头
-    ctx.set('X-RateLimit-Limit', result.limit);
-    ctx.set('X-RateLimit-Remaining', result.remaining);
-    ctx.set('X-RateLimit-Reset', Math.ceil(result.resetTime / 1000));
-
-    if (!result.allowed) {
+  return limiter.koa({
+    handler: (ctx, next, result) => {
       ctx.status = 429;
       ctx.body = {
         code: 429,
@@ -113,17 +86,36 @@ module.exports.customBusinessLock = (options = {}) => {
         route: ctx.path,
         retryAfter: Math.ceil(result.retryAfter / 1000),
       };
-      return;
-    }
-
-    await next();
-  };
+    },
+  });
 };
 
 // ============================================
 // 方案三：路由级别业务锁（最实用）
 // ============================================
 
+/**
+ * 用户ID，未登录时降级到 IP
+ */
+const getUserId = (ctx) => ctx.user?.id || ctx.session?.userId || ctx.ip;
+
+/**
+ * 创建 "用户ID + 路由" 维度的限流中间件
+ * 限流器在创建中间件时实例化一次，计数在请求之间保留
+ * @param {string} scope - 键前缀，区分不同的限制级别
+ * @param {Object} options - RateLimiter 选项
+ * @param {Function|Object} body - 429 响应体，或根据 ctx 生成响应体的函数
+ */
+const createUserRouteLimiter = (scope, options, body) => new RateLimiter({
+  keyGenerator: (ctx, context) => `${scope}:user:${getUserId(ctx)}:${context.route}`,
+  ...options,
+}).koa({
+  handler: (ctx) => {
+    ctx.status = 429;
+    ctx.body = typeof body === 'function' ? body(ctx) : body;
+  },
+});
+
 /**
  * 创建不同业务场景的限流中间件
  * 每个中间件都是 "用户ID + 路由" 维度的限流
@@ -134,152 +126,67 @@ module.exports.createBusinessLimiters = (app) => {
      * 严格限制：用于登录、注册等敏感操作
      * 每个用户每个接口 15分钟最多 5 次
      */
-    strict: async (ctx, next) => {
-      const limiter = new RateLimiter({
-        windowMs: 15 * 60 * 1000,
-        max: 5,
-        keyGenerator: (ctx) => {
-          const userId = ctx.user?.id || ctx.session?.userId || ctx.ip;
-          return `strict:user:${userId}:${ctx.path}`;
-        },
-      });
-
-      const key = await limiter.options.keyGenerator(ctx);
-      const result = await limiter.check(key);
-
-      ctx.set('X-RateLimit-Limit', result.limit);
-      ctx.set('X-RateLimit-Remaining', result.remaining);
-
-      if (!result.allowed) {
-        ctx.status = 429;
-        ctx.body = {
-          code: 429,
-          message: '操作过于频繁，请15分钟后再试',
-          userId: ctx.user?.id || 'guest',
-          route: ctx.path,
-        };
-        return;
-      }
-
-      await next();
-    },
+    strict: createUserRouteLimiter('strict', { windowMs: 15 * 60 * 1000, max: 5 }, (ctx) => ({
+      code: 429,
+      message: '操作过于频繁，请15分钟后再试',
+      userId: ctx.user?.id || 'guest',
+      route: ctx.path,
+    })),
 
     /**
      * 中等限制：用于数据修改操作
      * 每个用户每个接口 1小时最多 50 次
      */
-    normal: async (ctx, next) => {
-      const limiter = new RateLimiter({
-        windowMs: 60 * 60 * 1000,
-        max: 50,
-        keyGenerator: (ctx) => {
-          const userId = ctx.user?.id || ctx.session?.userId || ctx.ip;
-          return `normal:user:${userId}:${ctx.path}`;
-        },
-      });
-
-      const key = await limiter.options.keyGenerator(ctx);
-      const result = await limiter.check(key);
-
-      if (!result.allowed) {
-        ctx.status = 429;
-        ctx.body = { code: 429, message: '请求过于频繁' };
-        return;
-      }
-
-      await next();
-    },
+    normal: createUserRouteLimiter('normal', { windowMs: 60 * 60 * 1000, max: 50 }, {
+      code: 429,
+      message: '请求过于频繁',
+    }),
 
     /**
      * 宽松限制：用于查询操作
      * 每个用户每个接口 1分钟最多 200 次
      */
-    relaxed: async (ctx, next) => {
-      const limiter = new RateLimiter({
-        windowMs: 60 * 1000,
-        max: 200,
-        keyGenerator: (ctx) => {
-          const userId = ctx.user?.id || ctx.session?.userId || ctx.ip;
-          return `relaxed:user:${userId}:${ctx.path}`;
-        },
-      });
-
-      const key = await limiter.options.keyGenerator(ctx);
-      const result = await limiter.check(key);
-
-      if (!result.allowed) {
-        ctx.status = 429;
-        ctx.body = { code: 429, message: '请求过于频繁' };
-        return;
-      }
-
-      await next();
-    },
+    relaxed: createUserRouteLimiter('relaxed', { windowMs: 60 * 1000, max: 200 }, {
+      code: 429,
+      message: '请求过于频繁',
+    }),
 
     /**
      * 按用户分级限流
      * VIP用户和普通用户不同的限制
      */
-    userLevel: async (ctx, next) => {
-      // 根据用户等级动态调整限制
+    userLevel: createUserRouteLimiter('level', {
+      windowMs: 60 * 1000,
+      // max 函数同样接收 ctx：VIP 5倍限额
+      max: (ctx) => (ctx.user?.vip === true ? 500 : 100),
+      keyGenerator: (ctx, context) => {
+        const level = ctx.user?.vip === true ? 'vip' : 'normal';
+        return `${level}:user:${ctx.user?.id || ctx.ip}:${context.route}`;
+      },
+    }, (ctx) => {
       const isVIP = ctx.user?.vip === true;
-      const limiter = new RateLimiter({
-        windowMs: 60 * 1000,
-        max: isVIP ? 500 : 100, // VIP 5倍限额
-        keyGenerator: (ctx) => {
-          const userId = ctx.user?.id || ctx.ip;
-          const level = ctx.user?.vip ? 'vip' : 'normal';
-          return `${level}:user:${userId}:${ctx.path}`;
-        },
-      });
-
-      const key = await limiter.options.keyGenerator(ctx);
-      const result = await limiter.check(key);
-
-      if (!result.allowed) {
-        ctx.status = 429;
-        ctx.body = {
-          code: 429,
-          message: isVIP ? 'VIP请求过于频繁' : '请求过于频繁，升级VIP可提升限额',
-          userLevel: isVIP ? 'vip' : 'normal',
-        };
-        return;
-      }
-
-      await next();
-    },
+      return {
+        code: 429,
+        message: isVIP ? 'VIP请求过于频繁' : '请求过于频繁，升级VIP可提升限额',
+        userLevel: isVIP ? 'vip' : 'normal',
+      };
+    }),
 
     /**
      * 多维度业务锁
      * 用户ID + 路由 + 资源ID
      */
-    resourceLock: (resourceIdField = 'id') => {
-      return async (ctx, next) => {
-        const limiter = new RateLimiter({
-          windowMs: 60 * 1000,
-          max: 10,
-          keyGenerator: (ctx) => {
-            const userId = ctx.user?.id || ctx.ip;
-            const resourceId = ctx.params[resourceIdField] || ctx.query[resourceIdField];
-            return `resource:user:${userId}:${ctx.path}:${resourceId}`;
-          },
-        });
-
-        const key = await limiter.options.keyGenerator(ctx);
-        const result = await limiter.check(key);
-
-        if (!result.allowed) {
-          ctx.status = 429;
-          ctx.body = {
-            code: 429,
-            message: '对该资源的操作过于频繁',
-          };
-          return;
-        }
-
-        await next();
-      };
-    },
+    resourceLock: (resourceIdField = 'id') => createUserRouteLimiter('resource', {
+      windowMs: 60 * 1000,
+      max: 10,
+      keyGenerator: (ctx, context) => {
+        const resourceId = ctx.params[resourceIdField] || ctx.query[resourceIdField];
+        return `resource:user:${ctx.user?.id || ctx.ip}:${context.route}:${resourceId}`;
+      },
+    }, {
+      code: 429,
+      message: '对该资源的操作过于频繁',
+    }),
   };
 };
 
@@ -292,7 +199,6 @@ module.exports.createBusinessLimiters = (app) => {
 
 module.exports = (app) => {
   const { router, controller } = app;
-  const businessLock = require('./middleware/business-lock')(app);
 
   // 方案一：预定义
   const preDefinedLimit = require('rate-limit/examples/egg-business-lock-example').preDefinedLimiter({
@@ -335,20 +241,22 @@ module.exports = (app) => {
   router.post('/api/posts/:id/comment', limit.resourceLock('id'), controller.post.comment);
 };
 
-// ========== app/middleware/business-lock.js ==========
+// ========== app/middleware/business_lock.js ==========
 
-module.exports = (app) => {
-  return require('rate-limit/examples/egg-business-lock-example').createBusinessLimiters(app);
-};
+// 全局业务锁直接使用 Egg 中间件工厂，选项来自 config.businessLock，
+// 应用挂载了 egg-redis 时自动使用 RedisStore
+module.exports = require('flex-rate-limit').createEggMiddleware;
 
 // ========== config/config.default.js ==========
 
 config.middleware = ['businessLock'];
 
-// 或者全局应用自定义业务锁
 config.businessLock = {
   enable: true,
   match: '/api', // 只对 /api 路径生效
+  windowMs: 60 * 1000,
+  max: 100,
+  keyGenerator: (ctx, context) => `user:${ctx.user?.id || ctx.ip}:${context.route}`,
 };
 */
 
@@ -371,25 +279,15 @@ module.exports.distributedBusinessLock = (redisClient, options = {}) => {
       client: redisClient,
       prefix: 'business-lock:',
     }),
-    keyGenerator: (ctx) => {
-      const userId = ctx.user?.id || ctx.ip;
-      const route = ctx.path;
-      return `user:${userId}:${route}`;
-    },
+    keyGenerator: (ctx, context) => `user:${ctx.user?.id || ctx.ip}:${context.route}`,
   });
 
-  return async function distributedLockMiddleware(ctx, next) {
-    const key = await limiter.options.keyGenerator(ctx);
-    const result = await limiter.check(key);
-
-    if (!result.allowed) {
+  return limiter.koa({
+    handler: (ctx) => {
       ctx.status = 429;
       ctx.body = { code: 429, message: '请求过于频繁' };
-      return;
-    }
-
-    await next();
-  };
+    },
+  });
 };
 
 /*
@@ -400,7 +298,7 @@ const redis = new Redis({
   port: 6379,
 });
 
-const distributedLock = require('./middleware/business-lock').distributedBusinessLock(redis, {
+const distributedLock = require('rate-limit/examples/egg-business-lock-example').distributedBusinessLock(redis, {
   windowMs: 60 * 1000,
   max: 100,
 });
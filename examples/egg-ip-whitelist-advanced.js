@@ -24,11 +24,17 @@
 const Service = require('egg').Service;
 const fs = require('fs');
 const path = require('path');
+const { IPList } = require('flex-rate-limit');
 
 class IPConfigService extends Service {
   constructor(ctx) {
     super(ctx);
-    this.config = this.loadConfig();
+    // Service 按请求创建，配置与解析好的 IPList 缓存在 app 上，只加载一次
+    if (!this.app.ipWhitelist) {
+      this.app.ipWhitelist = this.loadConfig();
+      this.compile();
+    }
+    this.config = this.app.ipWhitelist;
   }
 
   loadConfig() {
@@ -64,41 +70,31 @@ class IPConfigService extends Service {
     return config;
   }
 
-  isGlobalWhitelisted(ip) {
-    return this.config.global.length > 0 && this.config.global.includes(ip);
-  }
-
-  isRouteWhitelisted(route, ip) {
-    const whitelist = this.config.routes[route];
-    if (!whitelist || whitelist.length === 0) return false;
-
-    return whitelist.some(entry => {
-      if (entry.includes('/')) {
-        return this.isIPInRange(ip, entry);
-      }
-      return entry === ip;
+  // 白名单变化时解析一次，请求中复用解析好的 IPList，不在每个请求中重新解析
+  compile() {
+    const config = this.app.ipWhitelist;
+    config.globalList = new IPList(config.global);
+    config.routeLists = {};
+    Object.entries(config.routes).forEach(([route, ips]) => {
+      config.routeLists[route] = new IPList(ips);
     });
   }
 
-  isIPInRange(ip, cidr) {
-    try {
-      const [subnet, bits] = cidr.split('/');
-      const mask = -1 << (32 - parseInt(bits));
-      const ipNum = this.ipToNumber(ip);
-      const subnetNum = this.ipToNumber(subnet);
-      return (ipNum & mask) === (subnetNum & mask);
-    } catch {
-      return false;
-    }
+  isGlobalWhitelisted(ip) {
+    return this.config.globalList.contains(ip);
   }
 
-  ipToNumber(ip) {
-    return ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet), 0) >>> 0;
+  isRouteWhitelisted(route, ip) {
+    const whitelist = this.config.routeLists[route];
+    // 支持单个地址与 IPv4/IPv6 CIDR 网段，未配置时不匹配任何 IP
+    return Boolean(whitelist) && whitelist.contains(ip);
   }
 
   addGlobalWhitelist(ip) {
     if (!this.config.global.includes(ip)) {
+      new IPList([ip]); // 无效地址抛出错误，不写入配置
       this.config.global.push(ip);
+      this.compile();
       this.ctx.logger.info(`[IPConfig] 已添加全局白名单: ${ip}`);
       return true;
     }
@@ -110,7 +106,9 @@ class IPConfigService extends Service {
       this.config.routes[route] = [];
     }
     if (!this.config.routes[route].includes(ip)) {
+      new IPList([ip]); // 无效地址抛出错误，不写入配置
       this.config.routes[route].push(ip);
+      this.compile();
       this.ctx.logger.info(`[IPConfig] 已添加路由白名单 ${route}: ${ip}`);
       return true;
     }
@@ -121,6 +119,7 @@ class IPConfigService extends Service {
     const index = this.config.global.indexOf(ip);
     if (index > -1) {
       this.config.global.splice(index, 1);
+      this.compile();
       this.ctx.logger.info(`[IPConfig] 已移除全局白名单: ${ip}`);
       return true;
     }
@@ -139,42 +138,15 @@ class IPConfigService extends Service {
 /**
  * 速率限制中间件
  */
-const { RateLimiter } = require('flex-rate-limit');
-
-module.exports = (options = {}) => {
-  const limiter = new RateLimiter({
-    windowMs: options.windowMs || 60 * 1000,
-    max: options.max || 100,
-    keyGenerator: (req, context) => {
-      const ip = req.ip || 'unknown';
-      const route = context?.route || 'global';
-      return `${route}:${ip}`;
-    },
-  });
-
-  return async function rateLimitMiddleware(ctx, next) {
-    const route = ctx.path;
-    const result = await limiter.check(ctx.ip, { req: ctx.request, route });
+const { createEggMiddleware } = require('flex-rate-limit');
 
-    // 设置响应头
-    ctx.set('X-RateLimit-Limit', result.limit.toString());
-    ctx.set('X-RateLimit-Remaining', result.remaining.toString());
-    ctx.set('X-RateLimit-Reset', Math.ceil(result.resetTime / 1000).toString());
-
-    if (!result.allowed) {
-      ctx.set('Retry-After', Math.ceil(result.retryAfter / 1000).toString());
-      ctx.status = 429;
-      ctx.body = {
-        error: '请求过多',
-        message: '超过速率限制',
-        retryAfter: Math.ceil(result.retryAfter / 1000),
-      };
-      return;
-    }
-
-    await next();
-  };
-};
+// createEggMiddleware 基于 limiter.koa()：设置 X-RateLimit-* 与 Retry-After 响应头，超限时返回 429
+module.exports = (options = {}, app) => createEggMiddleware({
+  windowMs: 60 * 1000,
+  max: 100,
+  ...options,
+  keyGenerator: (ctx, context) => `${context.route || 'global'}:${context.ipKey}`,
+}, app);
 
 // ========== app/middleware/ip_whitelist.js ==========
 /**
@@ -247,8 +219,8 @@ class PublicController extends Controller {
     ctx.body = {
       message: '公开 API',
       ip: ctx.ip,
-      limit: ctx.get('X-RateLimit-Limit'),
-      remaining: ctx.get('X-RateLimit-Remaining'),
+      limit: ctx.response.get('X-RateLimit-Limit'),
+      remaining: ctx.response.get('X-RateLimit-Remaining'),
     };
   }
 }
@@ -7,7 +7,7 @@
  */
 
 const express = require('express');
-const { RateLimiter } = require('../lib');
+const { RateLimiter, IPList } = require('../lib');
 const fs = require('fs');
 const path = require('path');
 
@@ -24,6 +24,9 @@ class IPWhitelistConfig {
       .filter(Boolean)
       .map(ip => ip.trim());
 
+    // 使用白名单的限流器
+    this.bindings = [];
+
     // 路由级白名单配置
     this.routeWhitelists = {
       '/api/admin': this.loadFromEnv('ADMIN_IP_WHITELIST', ['192.168.1.10', '192.168.1.11']),
@@ -72,55 +75,51 @@ class IPWhitelistConfig {
     }
   }
 
-  isGlobalWhitelisted(ip) {
-    if (this.globalWhitelist.length === 0) return false;
-    return this.globalWhitelist.includes(ip);
-  }
+  /**
+   * 生成限流器的 ipList 选项，列表在创建或热更新限流器时解析一次，不在每个请求中重新解析
+   * - 普通模式：全局与路由白名单 IP 跳过限流（exempt），其他 IP 照常访问并受限流
+   * - 严格模式：只有白名单 IP 可以访问（allow），其他 IP 返回 403；全局白名单 IP 同时跳过限流
+   */
+  getIPListOptions(route, { strict = false } = {}) {
+    const routeWhitelist = route ? this.routeWhitelists[route] || [] : [];
 
-  isRouteWhitelisted(route, ip) {
-    const whitelist = this.routeWhitelists[route];
-    if (!whitelist || whitelist.length === 0) return false;
+    if (strict) {
+      return { allow: [...this.globalWhitelist, ...routeWhitelist], exempt: this.globalWhitelist };
+    }
 
-    // 支持 CIDR 格式（简单实现）
-    return whitelist.some(entry => {
-      if (entry.includes('/')) {
-        return this.isIPInRange(ip, entry);
-      }
-      return entry === ip;
-    });
+    return { exempt: [...this.globalWhitelist, ...routeWhitelist] };
   }
 
-  isIPInRange(ip, cidr) {
-    // 简单的 CIDR 匹配（生产环境建议使用 ipaddr.js）
-    try {
-      const [subnet, bits] = cidr.split('/');
-      const mask = -1 << (32 - parseInt(bits));
-      const ipNum = this.ipToNumber(ip);
-      const subnetNum = this.ipToNumber(subnet);
-      return (ipNum & mask) === (subnetNum & mask);
-    } catch (err) {
-      return false;
-    }
+  // 登记使用白名单的限流器，白名单变化时热更新
+  bind(limiter, route, options = {}) {
+    this.bindings.push({ limiter, route, options });
+    return limiter;
   }
 
-  ipToNumber(ip) {
-    return ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet), 0) >>> 0;
+  apply() {
+    this.bindings.forEach(({ limiter, route, options }) => {
+      limiter.reconfigure({ ipList: this.getIPListOptions(route, options) });
+    });
   }
 
   // 动态添加白名单
   addGlobalWhitelist(ip) {
+    new IPList([ip]); // 无效地址抛出错误，不写入配置
     if (!this.globalWhitelist.includes(ip)) {
       this.globalWhitelist.push(ip);
+      this.apply();
       console.log(`✅ 已添加全局白名单: ${ip}`);
     }
   }
 
   addRouteWhitelist(route, ip) {
+    new IPList([ip]); // 无效地址抛出错误，不写入配置
     if (!this.routeWhitelists[route]) {
       this.routeWhitelists[route] = [];
     }
     if (!this.routeWhitelists[route].includes(ip)) {
       this.routeWhitelists[route].push(ip);
+      this.apply();
       console.log(`✅ 已添加路由白名单 ${route}: ${ip}`);
     }
   }
@@ -130,6 +129,7 @@ class IPWhitelistConfig {
     const index = this.globalWhitelist.indexOf(ip);
     if (index > -1) {
       this.globalWhitelist.splice(index, 1);
+      this.apply();
       console.log(`✅ 已移除全局白名单: ${ip}`);
     }
   }
@@ -141,74 +141,36 @@ const ipConfig = new IPWhitelistConfig();
 // ========== 限流器工厂 ==========
 
 function createGlobalLimiter() {
-  return new RateLimiter({
+  return ipConfig.bind(new RateLimiter({
     windowMs: 60 * 1000,
     max: 100,
-    skip: (req) => {
-      const clientIP = req.ip || req.socket?.remoteAddress;
-      return ipConfig.isGlobalWhitelisted(clientIP);
-    },
-  });
+    // 全局白名单 IP 跳过限流
+    ipList: ipConfig.getIPListOptions(),
+  }));
 }
 
 function createRouteLimiter(route, options = {}) {
-  return new RateLimiter({
+  return ipConfig.bind(new RateLimiter({
     windowMs: options.windowMs || 60 * 1000,
     max: options.max || 50,
-    skip: (req) => {
-      const clientIP = req.ip || req.socket?.remoteAddress;
-
-      // 检查全局白名单
-      if (ipConfig.isGlobalWhitelisted(clientIP)) {
-        return true;
-      }
-
-      // 检查路由白名单
-      if (ipConfig.isRouteWhitelisted(route, clientIP)) {
-        return true;
-      }
-
-      return false;
-    },
+    // 全局白名单与路由白名单 IP 跳过限流
+    ipList: ipConfig.getIPListOptions(route),
     handler: options.handler || ((req, res) => {
-      res.status(options.strictMode ? 403 : 429).json({
-        error: options.strictMode ? '访问被拒绝' : '请求过多',
-        message: options.strictMode
-          ? '只有授权的 IP 地址可以访问此资源'
-          : '超过速率限制，请稍后重试',
+      res.status(429).json({
+        error: '请求过多',
+        message: '超过速率限制，请稍后重试',
       });
     }),
-  });
+  }), route);
 }
 
 function createStrictRouteLimiter(route, options = {}) {
-  return new RateLimiter({
+  // 严格模式：非白名单 IP 由 ipList.allow 直接返回 403，白名单 IP 仍受限流（全局白名单除外）
+  return ipConfig.bind(new RateLimiter({
     windowMs: options.windowMs || 60 * 1000,
     max: options.max || 1000, // 白名单内限额较高
-    skip: (req) => {
-      const clientIP = req.ip || req.socket?.remoteAddress;
-
-      // 全局白名单跳过
-      if (ipConfig.isGlobalWhitelisted(clientIP)) {
-        return true;
-      }
-
-      // 只允许路由白名单访问（严格模式）
-      const isWhitelisted = ipConfig.isRouteWhitelisted(route, clientIP);
-
-      // 非白名单 = 不跳过 = 应用限流（实际上会被拒绝）
-      return !isWhitelisted;
-    },
-    max: 1, // 非白名单IP限额为1，配合handler实现403拒绝
-    handler: (req, res) => {
-      const clientIP = req.ip || req.socket?.remoteAddress;
-      res.status(403).json({
-        error: '访问被拒绝',
-        message: '只有授权的 IP 地址可以访问此资源',
-        ip: clientIP,
-      });
-    },
-  });
+    ipList: ipConfig.getIPListOptions(route, { strict: true }),
+  }), route, { strict: true });
 }
 
 // ========== 应用限流器 ==========
@@ -254,10 +216,9 @@ app.get('/api/admin/settings', adminLimiter.middleware(), (req, res) => {
 });
 
 // 4. 内部 API - IP 段白名单
-const internalLimiter = createRouteLimiter('/api/internal', {
+const internalLimiter = createStrictRouteLimiter('/api/internal', {
   windowMs: 60 * 1000,
   max: 200,
-  strictMode: true,
 });
 
 app.get('/api/internal/stats', internalLimiter.middleware(), (req, res) => {
@@ -296,7 +257,11 @@ app.post('/api/whitelist/global/add', (req, res) => {
   if (!ip) {
     return res.status(400).json({ error: 'IP 地址不能为空' });
   }
-  ipConfig.addGlobalWhitelist(ip);
+  try {
+    ipConfig.addGlobalWhitelist(ip);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   res.json({ message: '添加成功', ip });
 });
 
@@ -316,7 +281,11 @@ app.post('/api/whitelist/route/add', (req, res) => {
   if (!route || !ip) {
     return res.status(400).json({ error: '路由和 IP 地址不能为空' });
   }
-  ipConfig.addRouteWhitelist(route, ip);
+  try {
+    ipConfig.addRouteWhitelist(route, ip);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   res.json({ message: '添加成功', route, ip });
 });
 
@@ -8,7 +8,7 @@
  */
 
 const express = require('express');
-const { RateLimiter } = require('../lib');
+const { RateLimiter, IPList } = require('../lib');
 const fs = require('fs');
 const path = require('path');
 
@@ -33,6 +33,7 @@ class IPWhitelistConfig {
     };
 
     this.loadConfigFile();
+    this.compile();
     this.printConfig();
   }
 
@@ -75,42 +76,33 @@ class IPWhitelistConfig {
     });
   }
 
-  isGlobalWhitelisted(ip) {
-    if (this.globalWhitelist.length === 0) return true; // 未配置白名单 = 允许所有
-    return this.globalWhitelist.includes(ip);
-  }
-
-  isRouteWhitelisted(route, ip) {
-    const whitelist = this.routeWhitelists[route];
-    if (!whitelist || whitelist.length === 0) return true; // 未配置白名单 = 允许所有
-
-    return whitelist.some(entry => {
-      if (entry.includes('/')) {
-        return this.isIPInRange(ip, entry);
-      }
-      return entry === ip;
+  // 白名单变化时解析一次，请求中复用解析好的 IPList，不在每个请求中重新解析
+  compile() {
+    this.globalList = new IPList(this.globalWhitelist);
+    this.routeLists = {};
+    Object.entries(this.routeWhitelists).forEach(([route, ips]) => {
+      this.routeLists[route] = new IPList(ips);
     });
   }
 
-  isIPInRange(ip, cidr) {
-    try {
-      const [subnet, bits] = cidr.split('/');
-      const mask = -1 << (32 - parseInt(bits));
-      const ipNum = this.ipToNumber(ip);
-      const subnetNum = this.ipToNumber(subnet);
-      return (ipNum & mask) === (subnetNum & mask);
-    } catch (err) {
-      return false;
-    }
+  isGlobalWhitelisted(ip) {
+    if (this.globalList.size === 0) return true; // 未配置白名单 = 允许所有
+    return this.globalList.contains(ip);
   }
 
-  ipToNumber(ip) {
-    return ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet), 0) >>> 0;
+  isRouteWhitelisted(route, ip) {
+    const whitelist = this.routeLists[route];
+    if (!whitelist || whitelist.size === 0) return true; // 未配置白名单 = 允许所有
+
+    // 支持单个地址与 IPv4/IPv6 CIDR 网段
+    return whitelist.contains(ip);
   }
 
   addGlobalWhitelist(ip) {
     if (!this.globalWhitelist.includes(ip)) {
+      new IPList([ip]); // 无效地址抛出错误，不写入配置
       this.globalWhitelist.push(ip);
+      this.compile();
       console.log(`✅ 已添加全局白名单: ${ip}`);
     }
   }
@@ -120,7 +112,9 @@ class IPWhitelistConfig {
       this.routeWhitelists[route] = [];
     }
     if (!this.routeWhitelists[route].includes(ip)) {
+      new IPList([ip]); // 无效地址抛出错误，不写入配置
       this.routeWhitelists[route].push(ip);
+      this.compile();
       console.log(`✅ 已添加路由白名单 ${route}: ${ip}`);
     }
   }
@@ -129,6 +123,7 @@ class IPWhitelistConfig {
     const index = this.globalWhitelist.indexOf(ip);
     if (index > -1) {
       this.globalWhitelist.splice(index, 1);
+      this.compile();
       console.log(`✅ 已移除全局白名单: ${ip}`);
     }
   }
@@ -329,7 +324,11 @@ app.post('/api/whitelist/global/add', (req, res) => {
   if (!ip) {
     return res.status(400).json({ error: 'IP 地址不能为空' });
   }
-  ipConfig.addGlobalWhitelist(ip);
+  try {
+    ipConfig.addGlobalWhitelist(ip);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   res.json({ message: '添加成功', ip });
 });
 
@@ -347,7 +346,11 @@ app.post('/api/whitelist/route/add', (req, res) => {
   if (!route || !ip) {
     return res.status(400).json({ error: '路由和 IP 地址不能为空' });
   }
-  ipConfig.addRouteWhitelist(route, ip);
+  try {
+    ipConfig.addRouteWhitelist(route, ip);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   res.json({ message: '添加成功', route, ip });
 });
 
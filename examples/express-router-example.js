@@ -1,91 +1,71 @@
 /**
  * Express 路由限流统一示例
  *
- * 模式：路由定义时直接添加预定义的中间件
- * 无需配置 perRoute，避免重复配置
+ * 模式：一个 RateLimiter 实例通过 perRoute 为不同路由设置不同限制
+ * 全局挂载一次中间件，无需为每个路由单独创建限流器
  */
 
 const express = require('express');
 const { RateLimiter } = require('../lib');
 
 // ============================================
-// 第 1 步：创建限流中间件
+// 第 1 步：创建限流器（一个实例覆盖所有路由）
 // ============================================
 
-const createLimiters = () => {
-  return {
-    // 严格限制：15分钟5次
-    strict: (req, res, next) => {
-      const limiter = new RateLimiter({
-        windowMs: 15 * 60 * 1000,
-        max: 5,
-      });
-      limiter.middleware()(req, res, next);
-    },
-
-    // 中等限制：1小时50次
-    normal: (req, res, next) => {
-      const limiter = new RateLimiter({
-        windowMs: 60 * 60 * 1000,
-        max: 50,
-      });
-      limiter.middleware()(req, res, next);
-    },
-
-    // 宽松限制：1分钟200次
-    relaxed: (req, res, next) => {
-      const limiter = new RateLimiter({
-        windowMs: 60 * 1000,
-        max: 200,
-      });
-      limiter.middleware()(req, res, next);
-    },
-
-    // 自定义工厂函数
-    custom: (windowMs, max) => {
-      const limiter = new RateLimiter({ windowMs, max });
-      return limiter.middleware();
-    },
-  };
-};
+const limiter = new RateLimiter({
+  // 默认（宽松）限制：1分钟200次
+  windowMs: 60 * 1000,
+  max: 200,
+
+  perRoute: {
+    // 认证相关 - 严格限制：15分钟5次
+    '/api/login': { windowMs: 15 * 60 * 1000, max: 5 },
+    '/api/register': { windowMs: 15 * 60 * 1000, max: 5 },
+
+    // 用户修改、文件上传 - 中等限制：1小时50次
+    // '/api/users/:id' 下的所有用户共享同一计数
+    '/api/users/:id': { windowMs: 60 * 60 * 1000, max: 50 },
+    '/api/upload': { windowMs: 60 * 60 * 1000, max: 50 },
+
+    // SSE 实时流 - 自定义限制：1分钟20个连接
+    '/sse': { windowMs: 60 * 1000, max: 20 },
+  },
+});
 
 const app = express();
-const limit = createLimiters();
+
+// 全局挂载一次，按请求路径匹配 perRoute
+app.use(limiter.middleware());
 
 // ============================================
-// 第 2 步：在路由中使用
+// 第 2 步：正常定义路由
 // ============================================
 
-// 认证相关 - 严格限制
-app.post('/api/login', limit.strict, (req, res) => {
+app.post('/api/login', (req, res) => {
   res.json({ message: '登录成功' });
 });
 
-app.post('/api/register', limit.strict, (req, res) => {
+app.post('/api/register', (req, res) => {
   res.json({ message: '注册成功' });
 });
 
-// 用户相关 - 宽松限制
-app.get('/api/users', limit.relaxed, (req, res) => {
+app.get('/api/users', (req, res) => {
   res.json({ users: [] });
 });
 
-app.get('/api/users/:id', limit.relaxed, (req, res) => {
+app.get('/api/users/:id', (req, res) => {
   res.json({ user: {} });
 });
 
-// 用户修改 - 中等限制
-app.put('/api/users/:id', limit.normal, (req, res) => {
+app.put('/api/users/:id', (req, res) => {
   res.json({ message: '更新成功' });
 });
 
-// 文件上传 - 中等限制
-app.post('/api/upload', limit.normal, (req, res) => {
+app.post('/api/upload', (req, res) => {
   res.json({ message: '上传成功' });
 });
 
-// SSE 实时流 - 自定义限制
-app.get('/sse', limit.custom(60 * 1000, 20), (req, res) => {
+app.get('/sse', (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream');
   res.write('data: connected\n\n');
 });
@@ -6,80 +6,29 @@
  */
 
 const Fastify = require('fastify');
-const { RateLimiter } = require('../lib');
+const { fastifyPlugin } = require('../lib');
 
 // ============================================
-// 第 1 步：创建限流处理器工厂
+// 第 1 步：定义限流级别
 // ============================================
 
-const createLimiters = () => {
-  return {
-    // 严格限制：15分钟5次
-    strict: async (request, reply) => {
-      const limiter = new RateLimiter({
-        windowMs: 15 * 60 * 1000,
-        max: 5,
-      });
-      const result = await limiter.check(request.ip, { route: request.url });
-
-      if (!result.allowed) {
-        return reply.code(429).send({
-          code: 429,
-          message: '请求过于频繁',
-        });
-      }
-    },
-
-    // 中等限制：1小时50次
-    normal: async (request, reply) => {
-      const limiter = new RateLimiter({
-        windowMs: 60 * 60 * 1000,
-        max: 50,
-      });
-      const result = await limiter.check(request.ip, { route: request.url });
-
-      if (!result.allowed) {
-        return reply.code(429).send({
-          code: 429,
-          message: '请求过于频繁',
-        });
-      }
-    },
-
-    // 宽松限制：1分钟200次
-    relaxed: async (request, reply) => {
-      const limiter = new RateLimiter({
-        windowMs: 60 * 1000,
-        max: 200,
-      });
-      const result = await limiter.check(request.ip, { route: request.url });
-
-      if (!result.allowed) {
-        return reply.code(429).send({
-          code: 429,
-          message: '请求过于频繁',
-        });
-      }
-    },
-
-    // 自定义工厂函数
-    custom: (windowMs, max) => {
-      return async (request, reply) => {
-        const limiter = new RateLimiter({ windowMs, max });
-        const result = await limiter.check(request.ip, { route: request.url });
-
-        if (!result.allowed) {
-          return reply.code(429).send({
-            code: 429,
-            message: '请求过于频繁',
-          });
-        }
-      };
-    },
-  };
+// 路由级 config.rateLimit 与 perRoute 语义相同，覆盖 windowMs、max 等参数；
+// 插件按 `${method} ${route}:${key}` 计数，路由模板（如 /api/users/:id）而不是请求 URL 决定计数范围
+const limit = {
+  // 严格限制：15分钟5次
+  strict: { windowMs: 15 * 60 * 1000, max: 5 },
+
+  // 中等限制：1小时50次
+  normal: { windowMs: 60 * 60 * 1000, max: 50 },
+
+  // 宽松限制：1分钟200次
+  relaxed: { windowMs: 60 * 1000, max: 200 },
+
+  // 自定义限制
+  custom: (windowMs, max) => ({ windowMs, max }),
 };
 
-const limit = createLimiters();
+const withLimit = (rateLimit) => ({ config: { rateLimit } });
 
 // ============================================
 // 第 2 步：定义路由
@@ -87,38 +36,41 @@ const limit = createLimiters();
 
 const routes = async (app) => {
   // 认证相关 - 严格限制
-  app.post('/api/login', limit.strict, async (request, reply) => {
+  app.post('/api/login', withLimit(limit.strict), async (request, reply) => {
     return { message: '登录成功' };
   });
 
-  app.post('/api/register', limit.strict, async (request, reply) => {
+  app.post('/api/register', withLimit(limit.strict), async (request, reply) => {
     return { message: '注册成功' };
   });
 
   // 用户相关 - 宽松限制
-  app.get('/api/users', limit.relaxed, async (request, reply) => {
+  app.get('/api/users', withLimit(limit.relaxed), async (request, reply) => {
     return { users: [] };
   });
 
-  app.get('/api/users/:id', limit.relaxed, async (request, reply) => {
+  app.get('/api/users/:id', withLimit(limit.relaxed), async (request, reply) => {
     return { user: {} };
   });
 
   // 用户修改 - 中等限制
-  app.put('/api/users/:id', limit.normal, async (request, reply) => {
+  app.put('/api/users/:id', withLimit(limit.normal), async (request, reply) => {
     return { message: '更新成功' };
   });
 
   // 文件上传 - 中等限制
-  app.post('/api/upload', limit.normal, async (request, reply) => {
+  app.post('/api/upload', withLimit(limit.normal), async (request, reply) => {
     return { message: '上传成功' };
   });
 
   // SSE - 自定义限制
-  app.get('/sse', limit.custom(60 * 1000, 20), async (request, reply) => {
+  app.get('/sse', withLimit(limit.custom(60 * 1000, 20)), async (request, reply) => {
     reply.header('Content-Type', 'text/event-stream');
     return reply.send('data: connected\n\n');
   });
+
+  // 未配置 rateLimit 的路由不限流（global: false）
+  app.get('/health', async () => ({ status: 'ok' }));
 };
 
 // ============================================
@@ -127,6 +79,15 @@ const routes = async (app) => {
 
 const app = Fastify({ logger: true });
 
+// 先注册插件再声明路由：路由级配置在 onRoute 钩子中验证，无效配置启动时即抛出错误
+app.register(fastifyPlugin, {
+  global: false,
+  handler: (request, reply) => reply.code(429).send({
+    code: 429,
+    message: '请求过于频繁',
+  }),
+});
+
 app.register(routes);
 
 const start = async () => {
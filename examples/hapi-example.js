@@ -3,116 +3,25 @@
  * Hapi.js 集成示例
  */
 
-const { RateLimiter } = require('../lib');
-
-// Hapi.js 插件
-const rateLimitPlugin = {
-  name: 'hapi-rate-limit',
-  version: '1.0.0',
-
-  register: async function (server, options) {
-    // 创建速率限制器
-    const limiter = new RateLimiter({
-      windowMs: options.windowMs || 60 * 1000, // 默认 1 分钟
-      max: options.max || 100, // 默认 100 个请求
-      algorithm: options.algorithm || 'sliding-window',
-      keyGenerator: (request) => {
-        // 从 Hapi 请求中提取 IP
-        return request.info.remoteAddress;
-      },
-      skip: (request) => {
-        // 可选：跳过某些路径
-        if (options.pathExcludes && options.pathExcludes.includes(request.path)) {
-          return true;
-        }
-        return false;
-      },
-    });
-
-    // 注册 onPreAuth 扩展点
-    server.ext('onPreAuth', async (request, h) => {
-      const key = request.info.remoteAddress;
-      const result = await limiter.check(key, { req: request });
-
-      // 设置响应头
-      if (options.headers !== false) {
-        request.plugins['hapi-rate-limit'] = {
-          limit: result.limit,
-          remaining: result.remaining,
-          reset: result.resetTime,
-        };
-      }
-
-      // 检查是否超过限制
-      if (!result.allowed) {
-        const response = h.response({
-          statusCode: 429,
-          error: 'Too Many Requests',
-          message: '请求过多，请稍后再试',
-          retryAfter: Math.ceil(result.retryAfter / 1000),
-        }).code(429);
-
-        response.header('X-RateLimit-Limit', result.limit);
-        response.header('X-RateLimit-Remaining', result.remaining);
-        response.header('X-RateLimit-Reset', Math.ceil(result.resetTime / 1000));
-        response.header('Retry-After', Math.ceil(result.retryAfter / 1000));
-
-        return response.takeover();
-      }
-
-      return h.continue;
-    });
-
-    // 注册 onPreResponse 扩展点以添加响应头
-    server.ext('onPreResponse', (request, h) => {
-      const rateLimit = request.plugins['hapi-rate-limit'];
-
-      if (rateLimit && request.response.isBoom === false) {
-        request.response.header('X-RateLimit-Limit', rateLimit.limit);
-        request.response.header('X-RateLimit-Remaining', rateLimit.remaining);
-        request.response.header('X-RateLimit-Reset', Math.ceil(rateLimit.reset / 1000));
-      }
-
-      return h.continue;
-    });
-
-    // 提供路由级别的速率限制装饰器
-    server.decorate('toolkit', 'rateLimit', function (routeOptions = {}) {
-      const routeLimiter = new RateLimiter({
-        windowMs: routeOptions.windowMs || options.windowMs || 60 * 1000,
-        max: routeOptions.max || options.max || 100,
-        algorithm: routeOptions.algorithm || options.algorithm || 'sliding-window',
-      });
-
-      return {
-        handler: async (request, h) => {
-          const key = `route:${request.path}:${request.info.remoteAddress}`;
-          const result = await routeLimiter.check(key);
-
-          if (!result.allowed) {
-            return h.response({
-              statusCode: 429,
-              error: 'Too Many Requests',
-              message: '请求过多，请稍后再试',
-              retryAfter: Math.ceil(result.retryAfter / 1000),
-            })
-            .code(429)
-            .header('Retry-After', Math.ceil(result.retryAfter / 1000));
-          }
-
-          return h.continue;
-        },
-      };
-    });
+const { hapiPlugin } = require('../lib');
+
+// hapiPlugin 在 onPostAuth 扩展点限流，在 onPreResponse 中写入响应头，
+// 超限时返回与 Boom.tooManyRequests 一致的 429 负载，并以 server.rateLimit 装饰服务器
+// 可直接用于 server.register(require('./hapi-example'))
+module.exports = {
+  plugin: hapiPlugin,
+  options: {
+    windowMs: 60 * 1000, // 默认 1 分钟
+    max: 100, // 默认 100 个请求
+    algorithm: 'sliding-window',
+    // 默认键生成器使用 request.info.remoteAddress
   },
 };
 
-module.exports = rateLimitPlugin;
-
 // 使用示例
 /*
 const Hapi = require('@hapi/hapi');
-const rateLimitPlugin = require('./hapi-example');
+const { hapiPlugin } = require('rate-limit');
 
 const init = async () => {
   const server = Hapi.server({
@@ -120,54 +29,34 @@ const init = async () => {
     host: 'localhost',
   });
 
-  // 注册全局速率限制插件
+  // 注册全局速率限制插件（先于路由注册，路由级配置在 server.route() 时验证）
   await server.register({
-    plugin: rateLimitPlugin,
+    plugin: hapiPlugin,
     options: {
       windowMs: 15 * 60 * 1000, // 15 分钟
       max: 100, // 100 个请求
       algorithm: 'sliding-window',
       headers: true,
-      pathExcludes: ['/health', '/metrics'], // 排除的路径
     },
   });
 
-  // 普通路由
+  // 普通路由：使用全局限制，响应头由插件写入
   server.route({
     method: 'GET',
     path: '/api/data',
     handler: (request, h) => {
-      return {
-        message: '成功',
-        rateLimit: request.plugins['hapi-rate-limit'],
-      };
+      return { message: '成功' };
     },
   });
 
-  // 使用路由级别的速率限制（更严格的限制）
+  // 路由级别的速率限制（更严格的限制），按 `${method} ${path}:${key}` 单独计数
   server.route({
     method: 'POST',
     path: '/api/login',
     options: {
-      pre: [
-        {
-          method: async (request, h) => {
-            const limiter = new RateLimiter({
-              windowMs: 15 * 60 * 1000,
-              max: 5, // 15 分钟只允许 5 次登录尝试
-            });
-
-            const key = `login:${request.info.remoteAddress}`;
-            const result = await limiter.check(key);
-
-            if (!result.allowed) {
-              throw Boom.tooManyRequests('登录尝试次数过多');
-            }
-
-            return h.continue;
-          },
-        },
-      ],
+      plugins: {
+        rateLimit: { windowMs: 15 * 60 * 1000, max: 5 }, // 15 分钟只允许 5 次登录尝试
+      },
     },
     handler: (request, h) => {
       return { message: '登录成功' };
@@ -178,11 +67,24 @@ const init = async () => {
   server.route({
     method: 'GET',
     path: '/health',
+    options: {
+      plugins: { rateLimit: false },
+    },
     handler: (request, h) => {
       return { status: 'ok' };
     },
   });
 
+  // 管理接口：解除某个键的限流
+  server.route({
+    method: 'POST',
+    path: '/admin/unlock',
+    handler: async (request, h) => {
+      await server.rateLimit.reset(request.payload.key);
+      return { unlocked: true };
+    },
+  });
+
   await server.start();
   console.log(`Hapi 服务器运行在 ${server.info.uri}`);
 };
@@ -205,7 +107,7 @@ const initWithRedis = async () => {
   });
 
   await server.register({
-    plugin: rateLimitPlugin,
+    plugin: hapiPlugin,
     options: {
       windowMs: 15 * 60 * 1000,
       max: 100,
@@ -221,6 +123,3 @@ const initWithRedis = async () => {
   await server.start();
 };
 */
-
-
-
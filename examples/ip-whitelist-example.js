@@ -1,25 +1,22 @@
 /**
  * IP 白名单示例
- * 展示如何使用 skip 选项实现 IP 白名单功能
+ * 展示如何使用 ipList 选项实现 IP 访问控制（allow / deny），以及用 exempt 让白名单 IP 跳过限流
  */
 
 const express = require('express');
-const { RateLimiter } = require('../lib');
+const { RateLimiter, IPList } = require('../lib');
 
 const app = express();
 
 // ========== 示例 1: 简单 IP 白名单 ==========
 
-const whitelistIPs = ['127.0.0.1', '::1', '192.168.1.100'];
+const whitelistIPs = new IPList(['127.0.0.1', '::1', '192.168.1.100']);
 
 const limiterWithWhitelist = new RateLimiter({
   windowMs: 60 * 1000,
   max: 10,
-  skip: (req) => {
-    const clientIP = req.ip || req.socket?.remoteAddress || 'unknown';
-    // 白名单内的 IP 跳过限流
-    return whitelistIPs.includes(clientIP);
-  },
+  // 白名单内的 IP 跳过限流，其他 IP 照常访问并受限流
+  ipList: { exempt: whitelistIPs },
 });
 
 app.use('/api/basic', limiterWithWhitelist.middleware());
@@ -28,7 +25,7 @@ app.get('/api/basic/data', (req, res) => {
   res.json({
     message: '基础 API',
     ip: req.ip,
-    whitelisted: whitelistIPs.includes(req.ip),
+    whitelisted: whitelistIPs.contains(req.ip),
   });
 });
 
@@ -40,17 +37,8 @@ const adminWhitelist = ['192.168.1.10', '192.168.1.11'];
 const adminLimiter = new RateLimiter({
   windowMs: 60 * 1000,
   max: 100,
-  skip: (req) => {
-    const clientIP = req.ip || req.socket?.remoteAddress;
-    // 如果不在白名单，直接拒绝（返回 false 表示不跳过限流）
-    return adminWhitelist.includes(clientIP);
-  },
-  handler: (req, res) => {
-    res.status(403).json({
-      error: '访问被拒绝',
-      message: '只有授权的 IP 地址可以访问此资源',
-    });
-  },
+  // 挂载在 /api/admin 下，不在白名单的 IP 返回 403，白名单 IP 仍受限流
+  ipList: { allow: adminWhitelist },
 });
 
 app.use('/api/admin', adminLimiter.middleware());
@@ -64,34 +52,14 @@ app.get('/api/admin/users', (req, res) => {
 
 // ========== 示例 3: IP 段白名单 ==========
 
-function isIPInRange(ip, range) {
-  // 简单的 CIDR 匹配实现
-  // 实际生产环境建议使用 ip-range-check 或 ipaddr.js 库
-  if (range.includes('/')) {
-    // CIDR 格式：192.168.1.0/24
-    const [subnet, bits] = range.split('/');
-    const mask = -1 << (32 - parseInt(bits));
-    const ipNum = ipToNumber(ip);
-    const subnetNum = ipToNumber(subnet);
-    return (ipNum & mask) === (subnetNum & mask);
-  }
-  return ip === range;
-}
-
-function ipToNumber(ip) {
-  return ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet), 0);
-}
-
-const ipRanges = ['192.168.1.0/24', '10.0.0.0/8'];
+// 支持 IPv4/IPv6 CIDR，IPv4 映射的 IPv6 地址（::ffff:10.1.2.3）按 IPv4 匹配
+const ipRanges = new IPList(['192.168.1.0/24', '10.0.0.0/8', 'fd00::/8']);
 
 const limiterWithIPRange = new RateLimiter({
   windowMs: 60 * 1000,
   max: 50,
-  skip: (req) => {
-    const clientIP = req.ip || req.socket?.remoteAddress;
-    // 检查 IP 是否在白名单范围内
-    return ipRanges.some((range) => isIPInRange(clientIP, range));
-  },
+  // IP 段内的地址跳过限流
+  ipList: { exempt: ipRanges },
 });
 
 app.use('/api/internal', limiterWithIPRange.middleware());
@@ -139,18 +107,13 @@ app.get('/api/smart/data', (req, res) => {
 // ========== 示例 5: 环境变量配置白名单 ==========
 
 // 从环境变量读取白名单（生产环境推荐做法）
-const envWhitelist = (process.env.IP_WHITELIST || '').split(',').filter(Boolean);
+const envWhitelist = IPList.fromEnv('IP_WHITELIST');
 
 const productionLimiter = new RateLimiter({
   windowMs: 60 * 1000,
   max: 100,
-  skip: (req) => {
-    if (envWhitelist.length === 0) {
-      return false; // 未配置白名单，不跳过
-    }
-    const clientIP = req.ip || req.socket?.remoteAddress;
-    return envWhitelist.includes(clientIP);
-  },
+  // 未配置白名单时列表为空，不跳过
+  ipList: { exempt: envWhitelist },
 });
 
 app.use('/api/production', productionLimiter.middleware());
@@ -158,31 +121,23 @@ app.use('/api/production', productionLimiter.middleware());
 app.get('/api/production/data', (req, res) => {
   res.json({
     message: '生产环境 API',
-    whitelistEnabled: envWhitelist.length > 0,
+    whitelistEnabled: envWhitelist.size > 0,
   });
 });
 
-// ========== 示例 6: 黑名单模式（相反的逻辑） ==========
+// ========== 示例 6: 黑名单模式 ==========
 
-const blacklistIPs = ['1.2.3.4', '5.6.7.8'];
+const blacklistIPs = ['1.2.3.4', '5.6.7.0/24'];
 
 const blacklistLimiter = new RateLimiter({
   windowMs: 60 * 1000,
   max: 100,
-  skip: (req) => {
-    const clientIP = req.ip || req.socket?.remoteAddress;
-    // 黑名单内的 IP 不跳过（即仍然限流）
-    // 可以配合更严格的 max 值使用
-    return false; // 所有人都受限
-  },
-  max: (req) => {
-    const clientIP = req.ip || req.socket?.remoteAddress;
-    // 黑名单 IP 获得极低的限额
-    if (blacklistIPs.includes(clientIP)) {
-      return 1; // 每分钟只能 1 次
-    }
-    return 100; // 正常限额
-  },
+  // 黑名单 IP 直接返回 403
+  ipList: { deny: blacklistIPs },
+});
+
+blacklistLimiter.on('forbidden', ({ ip, route }) => {
+  console.warn(`拒绝黑名单 IP：${ip} ${route}`);
 });
 
 app.use('/api/blacklist', blacklistLimiter.middleware());
@@ -202,15 +157,15 @@ app.listen(PORT, () => {
   console.log(`\n🚀 IP 白名单示例服务器运行在端口 ${PORT}\n`);
   console.log('示例端点：');
   console.log(`  1. 基础白名单: http://localhost:${PORT}/api/basic/data`);
-  console.log(`     - 白名单 IP: ${whitelistIPs.join(', ')}`);
+  console.log(`     - 白名单 IP: ${whitelistIPs.toJSON().join(', ')}`);
   console.log(`  2. 管理员白名单: http://localhost:${PORT}/api/admin/users`);
   console.log(`     - 白名单 IP: ${adminWhitelist.join(', ')}`);
   console.log(`  3. IP 段白名单: http://localhost:${PORT}/api/internal/stats`);
-  console.log(`     - IP 段: ${ipRanges.join(', ')}`);
+  console.log(`     - IP 段: ${ipRanges.toJSON().join(', ')}`);
   console.log(`  4. 智能限流: http://localhost:${PORT}/api/smart/data`);
   console.log(`     - VIP IP: ${vipIPs.join(', ')}`);
   console.log(`  5. 生产环境: http://localhost:${PORT}/api/production/data`);
-  console.log(`     - 环境变量: IP_WHITELIST=${envWhitelist.join(',') || '(未配置)'}`);
+  console.log(`     - 环境变量: IP_WHITELIST=${envWhitelist.toJSON().join(',') || '(未配置)'}`);
   console.log(`  6. 黑名单模式: http://localhost:${PORT}/api/blacklist/data`);
   console.log(`     - 黑名单 IP: ${blacklistIPs.join(', ')}\n`);
   console.log('测试命令：');
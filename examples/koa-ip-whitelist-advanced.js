@@ -9,7 +9,7 @@
 const Koa = require('koa');
 const Router = require('@koa/router');
 const bodyParser = require('koa-bodyparser');
-const { RateLimiter } = require('../lib');
+const { RateLimiter, IPList } = require('../lib');
 const fs = require('fs');
 const path = require('path');
 
@@ -27,6 +27,12 @@ class IPWhitelistConfig {
       .filter(Boolean)
       .map(ip => ip.trim());
 
+    // 黑名单 IP 在所有限流器上直接返回 403
+    this.blacklist = this.loadFromEnv('IP_BLACKLIST', []);
+
+    // 使用白名单的限流器
+    this.bindings = [];
+
     this.routeWhitelists = {
       '/api/admin': this.loadFromEnv('ADMIN_IP_WHITELIST', ['192.168.1.10', '192.168.1.11']),
       '/api/internal': this.loadFromEnv('INTERNAL_IP_WHITELIST', ['10.0.0.0/8', '192.168.0.0/16']),
@@ -48,6 +54,7 @@ class IPWhitelistConfig {
       if (fs.existsSync(configPath)) {
         const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
         if (config.global) this.globalWhitelist.push(...config.global);
+        if (config.blacklist) this.blacklist.push(...config.blacklist);
         if (config.routes) {
           Object.entries(config.routes).forEach(([route, ips]) => {
             this.routeWhitelists[route] = [...(this.routeWhitelists[route] || []), ...ips];
@@ -63,51 +70,59 @@ class IPWhitelistConfig {
   printConfig() {
     console.log('📋 IP 白名单配置已加载：');
     console.log('   全局白名单:', this.globalWhitelist.length > 0 ? this.globalWhitelist.join(', ') : '未配置');
+    console.log('   黑名单:', this.blacklist.length > 0 ? this.blacklist.join(', ') : '未配置');
     Object.entries(this.routeWhitelists).forEach(([route, ips]) => {
       console.log(`   ${route}:`, ips.length > 0 ? ips.join(', ') : '未配置');
     });
   }
 
-  isGlobalWhitelisted(ip) {
-    return this.globalWhitelist.length > 0 && this.globalWhitelist.includes(ip);
-  }
+  /**
+   * 生成限流器的 ipList 选项，列表在创建或热更新限流器时解析一次，不在每个请求中重新解析
+   * - 黑名单：deny，直接返回 403
+   * - 普通模式：全局与路由白名单 IP 跳过限流（exempt），其他 IP 照常访问并受限流
+   * - 严格模式：只有白名单 IP 可以访问（allow），其他 IP 返回 403；全局白名单 IP 同时跳过限流
+   */
+  getIPListOptions(route, { strict = false } = {}) {
+    const routeWhitelist = route ? this.routeWhitelists[route] || [] : [];
+
+    if (strict) {
+      return {
+        allow: [...this.globalWhitelist, ...routeWhitelist],
+        deny: this.blacklist,
+        exempt: this.globalWhitelist,
+      };
+    }
 
-  isRouteWhitelisted(route, ip) {
-    const whitelist = this.routeWhitelists[route];
-    if (!whitelist || whitelist.length === 0) return false;
-    return whitelist.some(entry => {
-      if (entry.includes('/')) return this.isIPInRange(ip, entry);
-      return entry === ip;
-    });
+    return { deny: this.blacklist, exempt: [...this.globalWhitelist, ...routeWhitelist] };
   }
 
-  isIPInRange(ip, cidr) {
-    try {
-      const [subnet, bits] = cidr.split('/');
-      const mask = -1 << (32 - parseInt(bits));
-      const ipNum = this.ipToNumber(ip);
-      const subnetNum = this.ipToNumber(subnet);
-      return (ipNum & mask) === (subnetNum & mask);
-    } catch {
-      return false;
-    }
+  // 登记使用白名单的限流器，白名单变化时热更新
+  bind(limiter, route, options = {}) {
+    this.bindings.push({ limiter, route, options });
+    return limiter;
   }
 
-  ipToNumber(ip) {
-    return ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet), 0) >>> 0;
+  apply() {
+    this.bindings.forEach(({ limiter, route, options }) => {
+      limiter.reconfigure({ ipList: this.getIPListOptions(route, options) });
+    });
   }
 
   addGlobalWhitelist(ip) {
+    new IPList([ip]); // 无效地址抛出错误，不写入配置
     if (!this.globalWhitelist.includes(ip)) {
       this.globalWhitelist.push(ip);
+      this.apply();
       console.log(`✅ 已添加全局白名单: ${ip}`);
     }
   }
 
   addRouteWhitelist(route, ip) {
+    new IPList([ip]); // 无效地址抛出错误，不写入配置
     if (!this.routeWhitelists[route]) this.routeWhitelists[route] = [];
     if (!this.routeWhitelists[route].includes(ip)) {
       this.routeWhitelists[route].push(ip);
+      this.apply();
       console.log(`✅ 已添加路由白名单 ${route}: ${ip}`);
     }
   }
@@ -116,6 +131,7 @@ class IPWhitelistConfig {
     const index = this.globalWhitelist.indexOf(ip);
     if (index > -1) {
       this.globalWhitelist.splice(index, 1);
+      this.apply();
       console.log(`✅ 已移除全局白名单: ${ip}`);
     }
   }
@@ -123,145 +139,93 @@ class IPWhitelistConfig {
 
 const ipConfig = new IPWhitelistConfig();
 
-// ========== Koa 限流中间件适配器 ==========
-
-function koaRateLimiter(limiter) {
-  return async (ctx, next) => {
-    const clientIP = ctx.ip || ctx.request.ip;
-    const route = ctx.path;
-
-    const result = await limiter.check(clientIP, { req: ctx.request, route });
-
-    // 设置响应头
-    ctx.set('X-RateLimit-Limit', result.limit.toString());
-    ctx.set('X-RateLimit-Remaining', result.remaining.toString());
-    ctx.set('X-RateLimit-Reset', Math.ceil(result.resetTime / 1000).toString());
-
-    if (!result.allowed) {
-      ctx.set('Retry-After', Math.ceil(result.retryAfter / 1000).toString());
-      ctx.status = 429;
-      ctx.body = {
-        error: '请求过多',
-        message: '超过速率限制',
-        retryAfter: Math.ceil(result.retryAfter / 1000),
-      };
-      return;
-    }
-
-    await next();
-  };
-}
-
-function koaStrictWhitelist(route, limiter) {
-  return async (ctx, next) => {
-    const clientIP = ctx.ip || ctx.request.ip;
-
-    // 检查白名单
-    if (ipConfig.isGlobalWhitelisted(clientIP) || ipConfig.isRouteWhitelisted(route, clientIP)) {
-      return await next();
-    }
-
-    // 非白名单 IP，拒绝访问
-    ctx.status = 403;
-    ctx.body = {
-      error: '访问被拒绝',
-      message: '只有授权的 IP 地址可以访问此资源',
-      ip: clientIP,
-    };
-  };
-}
-
 // ========== 限流器创建 ==========
 
+// limiter.koa() 生成原生 Koa 中间件：按 ipList 拒绝（403）或豁免 IP，
+// 自动设置 X-RateLimit-* 与 Retry-After 响应头，超限时返回 429
+
 function createGlobalLimiter() {
-  return new RateLimiter({
+  return ipConfig.bind(new RateLimiter({
     windowMs: 60 * 1000,
     max: 100,
-    keyGenerator: (req) => req.ip || 'unknown',
-  });
+    // 全局白名单 IP 跳过限流，黑名单 IP 返回 403
+    ipList: ipConfig.getIPListOptions(),
+  }));
 }
 
 function createRouteLimiter(route, options = {}) {
-  return new RateLimiter({
+  return ipConfig.bind(new RateLimiter({
     windowMs: options.windowMs || 60 * 1000,
     max: options.max || 50,
-    keyGenerator: (req) => {
-      const ip = req.ip || 'unknown';
-      return `${route}:${ip}`;
-    },
-  });
+    keyGenerator: (ctx, context) => `${route}:${context.ipKey}`,
+    // 全局白名单与路由白名单 IP 跳过限流
+    ipList: ipConfig.getIPListOptions(route),
+  }), route);
+}
+
+function createStrictRouteLimiter(route, options = {}) {
+  // 严格模式：非白名单 IP 由 ipList.allow 直接返回 403，白名单 IP 仍受限流（全局白名单除外）
+  return ipConfig.bind(new RateLimiter({
+    windowMs: options.windowMs || 60 * 1000,
+    max: options.max || 1000, // 白名单内限额较高
+    keyGenerator: (ctx, context) => `${route}:${context.ipKey}`,
+    ipList: ipConfig.getIPListOptions(route, { strict: true }),
+  }), route, { strict: true });
 }
 
 // ========== 路由定义 ==========
 
 // 1. 全局限流
 const globalLimiter = createGlobalLimiter();
-app.use(koaRateLimiter(globalLimiter));
+app.use(globalLimiter.koa());
 
 // 2. 公开 API
 const publicLimiter = createRouteLimiter('/api/public', { max: 100 });
 
-router.get('/api/public/data', koaRateLimiter(publicLimiter), async (ctx) => {
+router.get('/api/public/data', publicLimiter.koa(), async (ctx) => {
   ctx.body = {
     message: '公开 API',
     ip: ctx.ip,
-    limit: ctx.get('X-RateLimit-Limit'),
-    remaining: ctx.get('X-RateLimit-Remaining'),
+    limit: ctx.response.get('X-RateLimit-Limit'),
+    remaining: ctx.response.get('X-RateLimit-Remaining'),
   };
 });
 
-// 3. 管理后台 - 严格白名单
-const adminLimiter = createRouteLimiter('/api/admin', { max: 1000 });
-
-router.get('/api/admin/users',
-  koaStrictWhitelist('/api/admin', adminLimiter),
-  koaRateLimiter(adminLimiter),
-  async (ctx) => {
-    ctx.body = {
-      message: '管理后台 API',
-      users: ['user1', 'user2', 'user3'],
-      ip: ctx.ip,
-    };
-  }
-);
-
-router.get('/api/admin/settings',
-  koaStrictWhitelist('/api/admin', adminLimiter),
-  koaRateLimiter(adminLimiter),
-  async (ctx) => {
-    ctx.body = {
-      message: '系统设置',
-      settings: { debug: true, env: 'production' },
-    };
-  }
-);
+// 3. 管理后台 - 严格白名单（只允许白名单 IP 访问）
+const adminLimiter = createStrictRouteLimiter('/api/admin', { max: 1000 });
+
+router.get('/api/admin/users', adminLimiter.koa(), async (ctx) => {
+  ctx.body = {
+    message: '管理后台 API',
+    users: ['user1', 'user2', 'user3'],
+    ip: ctx.ip,
+  };
+});
+
+router.get('/api/admin/settings', adminLimiter.koa(), async (ctx) => {
+  ctx.body = {
+    message: '系统设置',
+    settings: { debug: true, env: 'production' },
+  };
+});
 
 // 4. 内部 API - IP 段白名单
-const internalLimiter = createRouteLimiter('/api/internal', { max: 200 });
-
-router.get('/api/internal/stats',
-  koaStrictWhitelist('/api/internal', internalLimiter),
-  koaRateLimiter(internalLimiter),
-  async (ctx) => {
-    ctx.body = {
-      message: '内部统计 API',
-      stats: { requests: 12345, errors: 23 },
-    };
-  }
-);
+const internalLimiter = createStrictRouteLimiter('/api/internal', { max: 200 });
 
-// 5. VIP API
-const vipLimiter = createRouteLimiter('/api/vip', { max: 500 });
+router.get('/api/internal/stats', internalLimiter.koa(), async (ctx) => {
+  ctx.body = {
+    message: '内部统计 API',
+    stats: { requests: 12345, errors: 23 },
+  };
+});
 
-router.get('/api/vip/features', koaRateLimiter(vipLimiter), async (ctx) => {
-  const clientIP = ctx.ip;
-  const isWhitelisted = ipConfig.isGlobalWhitelisted(clientIP) ||
-                        ipConfig.isRouteWhitelisted('/api/vip', clientIP);
+// 5. VIP API - 白名单 IP 跳过限流
+const vipLimiter = createRouteLimiter('/api/vip', { max: 500 });
 
+router.get('/api/vip/features', vipLimiter.koa(), async (ctx) => {
   ctx.body = {
     message: 'VIP 功能 API',
     features: ['feature1', 'feature2', 'feature3'],
-    whitelisted: isWhitelisted,
   };
 });
 
@@ -281,7 +245,13 @@ router.post('/api/whitelist/global/add', async (ctx) => {
     ctx.body = { error: 'IP 地址不能为空' };
     return;
   }
-  ipConfig.addGlobalWhitelist(ip);
+  try {
+    ipConfig.addGlobalWhitelist(ip);
+  } catch (err) {
+    ctx.status = 400;
+    ctx.body = { error: err.message };
+    return;
+  }
   ctx.body = { message: '添加成功', ip };
 });
 
@@ -303,7 +273,13 @@ router.post('/api/whitelist/route/add', async (ctx) => {
     ctx.body = { error: '路由和 IP 地址不能为空' };
     return;
   }
-  ipConfig.addRouteWhitelist(route, ip);
+  try {
+    ipConfig.addRouteWhitelist(route, ip);
+  } catch (err) {
+    ctx.status = 400;
+    ctx.body = { error: err.message };
+    return;
+  }
   ctx.body = { message: '添加成功', route, ip };
 });
 
@@ -339,6 +315,7 @@ app.listen(PORT, () => {
   console.log(`\n💡 环境变量示例：`);
   console.log(`   GLOBAL_IP_WHITELIST=127.0.0.1,192.168.1.1 \\`);
   console.log(`   ADMIN_IP_WHITELIST=192.168.1.10,192.168.1.11 \\`);
+  console.log(`   IP_BLACKLIST=203.0.113.0/24 \\`);
   console.log(`   node examples/koa-ip-whitelist-advanced.js\n`);
   console.log(`\n📝 测试命令：`);
   console.log(`   curl http://localhost:${PORT}/api/whitelist/config`);
@@ -10,7 +10,7 @@
 const Koa = require('koa');
 const Router = require('@koa/router');
 const bodyParser = require('koa-bodyparser');
-const { RateLimiter } = require('../lib');
+const { RateLimiter, IPList } = require('../lib');
 
 const app = new Koa();
 const router = new Router();
@@ -32,6 +32,7 @@ class IPWhitelistConfig {
       '/api/vip': this.loadFromEnv('VIP_IP_WHITELIST', []),
     };
 
+    this.compile();
     console.log('📋 IP 白名单配置已加载');
   }
 
@@ -40,39 +41,33 @@ class IPWhitelistConfig {
     return envValue ? envValue.split(',').filter(Boolean).map(ip => ip.trim()) : defaultValue;
   }
 
-  isGlobalWhitelisted(ip) {
-    if (this.globalWhitelist.length === 0) return true;
-    return this.globalWhitelist.includes(ip);
-  }
-
-  isRouteWhitelisted(route, ip) {
-    const whitelist = this.routeWhitelists[route];
-    if (!whitelist || whitelist.length === 0) return true;
-    return whitelist.some(entry => {
-      if (entry.includes('/')) return this.isIPInRange(ip, entry);
-      return entry === ip;
+  // 白名单变化时解析一次，请求中复用解析好的 IPList，不在每个请求中重新解析
+  compile() {
+    this.globalList = new IPList(this.globalWhitelist);
+    this.routeLists = {};
+    Object.entries(this.routeWhitelists).forEach(([route, ips]) => {
+      this.routeLists[route] = new IPList(ips);
     });
   }
 
-  isIPInRange(ip, cidr) {
-    try {
-      const [subnet, bits] = cidr.split('/');
-      const mask = -1 << (32 - parseInt(bits));
-      const ipNum = this.ipToNumber(ip);
-      const subnetNum = this.ipToNumber(subnet);
-      return (ipNum & mask) === (subnetNum & mask);
-    } catch {
-      return false;
-    }
+  isGlobalWhitelisted(ip) {
+    if (this.globalList.size === 0) return true; // 未配置白名单 = 允许所有
+    return this.globalList.contains(ip);
   }
 
-  ipToNumber(ip) {
-    return ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet), 0) >>> 0;
+  isRouteWhitelisted(route, ip) {
+    const whitelist = this.routeLists[route];
+    if (!whitelist || whitelist.size === 0) return true; // 未配置白名单 = 允许所有
+
+    // 支持单个地址与 IPv4/IPv6 CIDR 网段
+    return whitelist.contains(ip);
   }
 
   addGlobalWhitelist(ip) {
     if (!this.globalWhitelist.includes(ip)) {
+      new IPList([ip]); // 无效地址抛出错误，不写入配置
       this.globalWhitelist.push(ip);
+      this.compile();
       console.log(`✅ 已添加全局白名单: ${ip}`);
     }
   }
@@ -80,7 +75,9 @@ class IPWhitelistConfig {
   addRouteWhitelist(route, ip) {
     if (!this.routeWhitelists[route]) this.routeWhitelists[route] = [];
     if (!this.routeWhitelists[route].includes(ip)) {
+      new IPList([ip]); // 无效地址抛出错误，不写入配置
       this.routeWhitelists[route].push(ip);
+      this.compile();
       console.log(`✅ 已添加路由白名单 ${route}: ${ip}`);
     }
   }
@@ -133,38 +130,12 @@ function createRateLimiter(options = {}) {
   const limiter = new RateLimiter({
     windowMs: options.windowMs || 60 * 1000,
     max: options.max || 100,
-    keyGenerator: (req, context) => {
-      const ip = req.ip || 'unknown';
-      const route = context?.route || 'global';
-      return `${route}:${ip}`;
-    },
+    keyGenerator: (ctx, context) => `${context.route || 'global'}:${context.ipKey}`,
     // ⚠️ 注意：不使用 skip，所有请求都要限流
   });
 
-  return async (ctx, next) => {
-    const clientIP = ctx.ip;
-    const route = ctx.path;
-
-    const result = await limiter.check(clientIP, { req: ctx.request, route });
-
-    // 设置响应头
-    ctx.set('X-RateLimit-Limit', result.limit.toString());
-    ctx.set('X-RateLimit-Remaining', result.remaining.toString());
-    ctx.set('X-RateLimit-Reset', Math.ceil(result.resetTime / 1000).toString());
-
-    if (!result.allowed) {
-      ctx.set('Retry-After', Math.ceil(result.retryAfter / 1000).toString());
-      ctx.status = 429;
-      ctx.body = {
-        error: '请求过多',
-        message: '超过速率限制',
-        retryAfter: Math.ceil(result.retryAfter / 1000),
-      };
-      return;
-    }
-
-    await next();
-  };
+  // limiter.koa() 设置 X-RateLimit-* 与 Retry-After 响应头，超过限额时返回 429
+  return limiter.koa();
 }
 
 // ========== 路由定义 ==========
@@ -176,8 +147,8 @@ router.get('/api/public/data', createRateLimiter({ max: 100 }), async (ctx) => {
     ip: ctx.ip,
     whitelist: '无需白名单',
     rateLimit: {
-      limit: ctx.get('X-RateLimit-Limit'),
-      remaining: ctx.get('X-RateLimit-Remaining'),
+      limit: ctx.response.get('X-RateLimit-Limit'),
+      remaining: ctx.response.get('X-RateLimit-Remaining'),
     },
   };
 });
@@ -194,8 +165,8 @@ router.get('/api/admin/users',
       security: {
         whitelist: '✅ 已验证',
         rateLimit: {
-          limit: ctx.get('X-RateLimit-Limit'),
-          remaining: ctx.get('X-RateLimit-Remaining'),
+          limit: ctx.response.get('X-RateLimit-Limit'),
+          remaining: ctx.response.get('X-RateLimit-Remaining'),
         },
       },
     };
@@ -213,8 +184,8 @@ router.get('/api/internal/stats',
       security: {
         whitelist: '✅ 内网验证通过',
         rateLimit: {
-          limit: ctx.get('X-RateLimit-Limit'),
-          remaining: ctx.get('X-RateLimit-Remaining'),
+          limit: ctx.response.get('X-RateLimit-Limit'),
+          remaining: ctx.response.get('X-RateLimit-Remaining'),
         },
       },
     };
@@ -242,8 +213,8 @@ router.get('/api/test/independence',
         ip: ctx.ip,
         whitelist: '✅ 已通过',
         rateLimit: {
-          limit: ctx.get('X-RateLimit-Limit'),
-          remaining: ctx.get('X-RateLimit-Remaining'),
+          limit: ctx.response.get('X-RateLimit-Limit'),
+          remaining: ctx.response.get('X-RateLimit-Remaining'),
         },
       },
     };
@@ -266,7 +237,13 @@ router.post('/api/whitelist/global/add', async (ctx) => {
     ctx.body = { error: 'IP 地址不能为空' };
     return;
   }
-  ipConfig.addGlobalWhitelist(ip);
+  try {
+    ipConfig.addGlobalWhitelist(ip);
+  } catch (err) {
+    ctx.status = 400;
+    ctx.body = { error: err.message };
+    return;
+  }
   ctx.body = { message: '添加成功', ip };
 });
 
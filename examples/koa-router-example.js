@@ -14,72 +14,31 @@ const { RateLimiter } = require('../lib');
 // ============================================
 
 const createLimiters = () => {
+  // limiter.koa() 直接生成 (ctx, next) 中间件：
+  // 自动设置响应头，超限时返回 429，限流器实例只创建一次
+  const handler = (ctx) => {
+    ctx.status = 429;
+    ctx.body = { code: 429, message: '请求过于频繁，请稍后再试' };
+  };
+
+  const create = (windowMs, max) => new RateLimiter({
+    windowMs,
+    max,
+    keyGenerator: (ctx, context) => `${ctx.ip}:${context.route}`,
+  }).koa({ handler });
+
   return {
     // 严格限制：15分钟5次
-    strict: async (ctx, next) => {
-      const limiter = new RateLimiter({
-        windowMs: 15 * 60 * 1000,
-        max: 5,
-      });
-      const result = await limiter.check(ctx.ip, { route: ctx.path });
-
-      ctx.set('X-RateLimit-Limit', result.limit);
-      ctx.set('X-RateLimit-Remaining', result.remaining);
-
-      if (!result.allowed) {
-        ctx.status = 429;
-        ctx.body = { code: 429, message: '请求过于频繁' };
-        return;
-      }
-      await next();
-    },
+    strict: create(15 * 60 * 1000, 5),
 
     // 中等限制：1小时50次
-    normal: async (ctx, next) => {
-      const limiter = new RateLimiter({
-        windowMs: 60 * 60 * 1000,
-        max: 50,
-      });
-      const result = await limiter.check(ctx.ip, { route: ctx.path });
-
-      if (!result.allowed) {
-        ctx.status = 429;
-        ctx.body = { code: 429, message: '请求过于频繁' };
-        return;
-      }
-      await next();
-    },
+    normal: create(60 * 60 * 1000, 50),
 
     // 宽松限制：1分钟200次
-    relaxed: async (ctx, next) => {
-      const limiter = new RateLimiter({
-        windowMs: 60 * 1000,
-        max: 200,
-      });
-      const result = await limiter.check(ctx.ip, { route: ctx.path });
-
-      if (!result.allowed) {
-        ctx.status = 429;
-        ctx.body = { code: 429, message: '请求过于频繁' };
-        return;
-      }
-      await next();
-    },
+    relaxed: create(60 * 1000, 200),
 
     // 自定义工厂函数
-    custom: (windowMs, max) => {
-      return async (ctx, next) => {
-        const limiter = new RateLimiter({ windowMs, max });
-        const result = await limiter.check(ctx.ip, { route: ctx.path });
-
-        if (!result.allowed) {
-          ctx.status = 429;
-          ctx.body = { code: 429, message: '请求过于频繁' };
-          return;
-        }
-        await next();
-      };
-    },
+    custom: create,
   };
 };
 
@@ -5,7 +5,7 @@
  * 包含：中间件工厂 + 路由定义
  */
 
-const { RateLimiter } = require('../lib');
+const { createEggMiddleware } = require('../lib');
 
 // ============================================
 // 第 1 步：创建限流中间件工厂
@@ -13,72 +13,32 @@ const { RateLimiter } = require('../lib');
 // 文件: app/middleware/rate-limit.js
 
 module.exports = (app) => {
+  // createEggMiddleware 遵循 Egg.js 的 (options, app) 中间件约定：
+  // 挂载了 egg-redis 时自动使用 RedisStore，多进程共享计数
+  const handler = (ctx) => {
+    ctx.status = 429;
+    ctx.body = { code: 429, message: '请求过于频繁，请稍后再试' };
+  };
+
+  const create = (windowMs, max) => createEggMiddleware({
+    windowMs,
+    max,
+    keyGenerator: (ctx, context) => `${ctx.ip}:${context.route}`,
+    handler,
+  }, app);
+
   return {
     // 严格限制：15分钟5次（登录、注册等）
-    strict: async (ctx, next) => {
-      const limiter = new RateLimiter({
-        windowMs: 15 * 60 * 1000,
-        max: 5,
-      });
-      const result = await limiter.check(ctx.ip, { route: ctx.path });
-
-      ctx.set('X-RateLimit-Limit', result.limit);
-      ctx.set('X-RateLimit-Remaining', result.remaining);
-
-      if (!result.allowed) {
-        ctx.status = 429;
-        ctx.body = { code: 429, message: '请求过于频繁，请稍后再试' };
-        return;
-      }
-      await next();
-    },
+    strict: create(15 * 60 * 1000, 5),
 
     // 中等限制：1小时50次（文件操作、数据修改）
-    normal: async (ctx, next) => {
-      const limiter = new RateLimiter({
-        windowMs: 60 * 60 * 1000,
-        max: 50,
-      });
-      const result = await limiter.check(ctx.ip, { route: ctx.path });
-
-      if (!result.allowed) {
-        ctx.status = 429;
-        ctx.body = { code: 429, message: '请求过于频繁' };
-        return;
-      }
-      await next();
-    },
+    normal: create(60 * 60 * 1000, 50),
 
     // 宽松限制：1分钟200次（数据查询、读操作）
-    relaxed: async (ctx, next) => {
-      const limiter = new RateLimiter({
-        windowMs: 60 * 1000,
-        max: 200,
-      });
-      const result = await limiter.check(ctx.ip, { route: ctx.path });
-
-      if (!result.allowed) {
-        ctx.status = 429;
-        ctx.body = { code: 429, message: '请求过于频繁' };
-        return;
-      }
-      await next();
-    },
+    relaxed: create(60 * 1000, 200),
 
     // 自定义工厂函数：创建指定参数的限流中间件
-    custom: (windowMs, max) => {
-      return async (ctx, next) => {
-        const limiter = new RateLimiter({ windowMs, max });
-        const result = await limiter.check(ctx.ip, { route: ctx.path });
-
-        if (!result.allowed) {
-          ctx.status = 429;
-          ctx.body = { code: 429, message: '请求过于频繁' };
-          return;
-        }
-        await next();
-      };
-    },
+    custom: create,
   };
 };
 
@@ -2,92 +2,48 @@
  * Fastify 快速开始示例
  *
  * 完整的路由级限流配置示例
- * 包含：插件工厂 + 路由定义
+ * 包含：插件注册 + 路由级配置
  */
 
 const Fastify = require('fastify');
-const { RateLimiter } = require('../lib');
+const { fastifyPlugin } = require('../lib');
 
 const app = Fastify({ logger: true });
 
 // ============================================
-// 第 1 步：创建限流插件工厂
+// 第 1 步：注册限流插件
 // ============================================
 
-const createLimiters = () => {
-  return {
-    // 严格限制：15分钟5次（登录、注册等）
-    strict: async (request, reply) => {
-      const limiter = new RateLimiter({
-        windowMs: 15 * 60 * 1000,
-        max: 5,
-      });
-      const result = await limiter.check(request.ip, { route: request.url });
-
-      reply.header('X-RateLimit-Limit', result.limit);
-      reply.header('X-RateLimit-Remaining', result.remaining);
-
-      if (!result.allowed) {
-        return reply.code(429).send({
-          code: 429,
-          message: '请求过于频繁，请稍后再试',
-        });
-      }
-    },
-
-    // 中等限制：1小时50次（文件操作、数据修改）
-    normal: async (request, reply) => {
-      const limiter = new RateLimiter({
-        windowMs: 60 * 60 * 1000,
-        max: 50,
-      });
-      const result = await limiter.check(request.ip, { route: request.url });
-
-      if (!result.allowed) {
-        return reply.code(429).send({
-          code: 429,
-          message: '请求过于频繁',
-        });
-      }
-    },
-
-    // 宽松限制：1分钟200次（数据查询、读操作）
-    relaxed: async (request, reply) => {
-      const limiter = new RateLimiter({
-        windowMs: 60 * 1000,
-        max: 200,
-      });
-      const result = await limiter.check(request.ip, { route: request.url });
-
-      if (!result.allowed) {
-        return reply.code(429).send({
-          code: 429,
-          message: '请求过于频繁',
-        });
-      }
-    },
-
-    // 自定义工厂函数：创建指定参数的限流中间件
-    custom: (windowMs, max) => {
-      return async (request, reply) => {
-        const limiter = new RateLimiter({ windowMs, max });
-        const result = await limiter.check(request.ip, { route: request.url });
-
-        if (!result.allowed) {
-          return reply.code(429).send({
-            code: 429,
-            message: '请求过于频繁',
-          });
-        }
-      };
-    },
-  };
-};
+// 全局默认：1分钟200次（数据查询、读操作）
+app.register(fastifyPlugin, {
+  windowMs: 60 * 1000,
+  max: 200,
+  handler: (request, reply, result) => {
+    reply.code(429).send({
+      code: 429,
+      message: '请求过于频繁，请稍后再试',
+      retryAfter: Math.ceil(result.retryAfter / 1000),
+    });
+  },
+});
+
+// 路由级配置：通过 config.rateLimit 覆盖全局选项
+const limit = {
+  // 严格限制：15分钟5次（登录、注册等）
+  strict: { config: { rateLimit: { windowMs: 15 * 60 * 1000, max: 5 } } },
+
+  // 中等限制：1小时50次（文件操作、数据修改）
+  normal: { config: { rateLimit: { windowMs: 60 * 60 * 1000, max: 50 } } },
 
-const limit = createLimiters();
+  // 宽松限制：使用全局配置
+  relaxed: {},
+
+  // 自定义：创建指定参数的路由配置
+  custom: (windowMs, max) => ({ config: { rateLimit: { windowMs, max } } }),
+};
 
 // ============================================
-// 第 2 步：在路由中直接使用限流
+// 第 2 步：在路由中直接使用限流配置
 // ============================================
 
 // 认证相关 - 严格限制
@@ -118,6 +74,17 @@ app.post('/api/upload', limit.normal, async (request, reply) => {
   return { message: '上传成功' };
 });
 
+// 健康检查 - 关闭限流
+app.get('/health', { config: { rateLimit: false } }, async () => {
+  return { status: 'ok' };
+});
+
+// 管理接口 - 在处理器中通过 fastify.rateLimit 重置计数
+app.post('/admin/rate-limit/reset/:key', async (request) => {
+  await app.rateLimit.reset(request.params.key);
+  return { message: '已重置' };
+});
+
 // SSE 实时流 - 自定义限制（1分钟20个连接）
 app.get('/sse', limit.custom(60 * 1000, 20), async (request, reply) => {
   reply.header('Content-Type', 'text/event-stream');
@@ -135,8 +102,8 @@ const start = async () => {
   try {
     await app.listen({ port: 3000 });
     console.log(`✓ Fastify 服务器运行在 http://localhost:3000`);
-    console.log(`✓ 所有路由都已应用限流中间件`);
-    console.log(`✓ 使用方式：直接在路由处理器中使用 limit.strict/normal/relaxed`);
+    console.log(`✓ 所有路由都已应用限流插件`);
+    console.log(`✓ 使用方式：在路由选项中设置 config.rateLimit`);
   } catch (err) {
     app.log.error(err);
     process.exit(1);
@@ -146,6 +113,3 @@ const start = async () => {
 start();
 
 module.exports = app;
-
-
-
@@ -6,91 +6,25 @@
  */
 
 const Hapi = require('@hapi/hapi');
-const { RateLimiter } = require('../lib');
+const { hapiPlugin } = require('../lib');
 
 // ============================================
-// 第 1 步：创建限流预检查函数
+// 第 1 步：定义路由级限流配置
 // ============================================
 
-const createRateLimitPreReqs = () => {
-  return {
-    // 严格限制：15分钟5次（登录、注册等）
-    strict: {
-      assign: 'rateLimit',
-      method: async (request, h) => {
-        const limiter = new RateLimiter({
-          windowMs: 15 * 60 * 1000,
-          max: 5,
-        });
-        const result = await limiter.check(request.ip, { route: request.path });
-
-        if (!result.allowed) {
-          return h.response({
-            code: 429,
-            message: '请求过于频繁，请稍后再试',
-          }).code(429).takeover();
-        }
-        return result;
-      },
-    },
+// 通过 route.options.plugins.rateLimit 覆盖插件的全局选项
+const limits = {
+  // 严格限制：15分钟5次（登录、注册等）
+  strict: { rateLimit: { windowMs: 15 * 60 * 1000, max: 5 } },
 
-    // 中等限制：1小时50次（文件操作、数据修改）
-    normal: {
-      assign: 'rateLimit',
-      method: async (request, h) => {
-        const limiter = new RateLimiter({
-          windowMs: 60 * 60 * 1000,
-          max: 50,
-        });
-        const result = await limiter.check(request.ip, { route: request.path });
-
-        if (!result.allowed) {
-          return h.response({
-            code: 429,
-            message: '请求过于频繁',
-          }).code(429).takeover();
-        }
-        return result;
-      },
-    },
+  // 中等限制：1小时50次（文件操作、数据修改）
+  normal: { rateLimit: { windowMs: 60 * 60 * 1000, max: 50 } },
 
-    // 宽松限制：1分钟200次（数据查询、读操作）
-    relaxed: {
-      assign: 'rateLimit',
-      method: async (request, h) => {
-        const limiter = new RateLimiter({
-          windowMs: 60 * 1000,
-          max: 200,
-        });
-        const result = await limiter.check(request.ip, { route: request.path });
-
-        if (!result.allowed) {
-          return h.response({
-            code: 429,
-            message: '请求过于频繁',
-          }).code(429).takeover();
-        }
-        return result;
-      },
-    },
+  // 宽松限制：使用插件的全局配置（1分钟200次）
+  relaxed: {},
 
-    // 自定义工厂函数：创建指定参数的限流中间件
-    custom: (windowMs, max) => ({
-      assign: 'rateLimit',
-      method: async (request, h) => {
-        const limiter = new RateLimiter({ windowMs, max });
-        const result = await limiter.check(request.ip, { route: request.path });
-
-        if (!result.allowed) {
-          return h.response({
-            code: 429,
-            message: '请求过于频繁',
-          }).code(429).takeover();
-        }
-        return result;
-      },
-    }),
-  };
+  // 自定义工厂函数：创建指定参数的路由配置
+  custom: (windowMs, max) => ({ rateLimit: { windowMs, max } }),
 };
 
 // ============================================
@@ -103,14 +37,22 @@ const init = async () => {
     host: 'localhost',
   });
 
-  const preReqs = createRateLimitPreReqs();
+  // 注册限流插件：onPostAuth 阶段执行，可按 request.auth 生成用户级键
+  await server.register({
+    plugin: hapiPlugin,
+    options: {
+      windowMs: 60 * 1000,
+      max: 200,
+      ext: 'onPostAuth',
+    },
+  });
 
   // 认证相关 - 严格限制
   server.route({
     method: 'POST',
     path: '/api/login',
     options: {
-      pre: [preReqs.strict],
+      plugins: limits.strict,
     },
     handler: async (request, h) => {
       return { message: '登录成功' };
@@ -121,7 +63,7 @@ const init = async () => {
     method: 'POST',
     path: '/api/register',
     options: {
-      pre: [preReqs.strict],
+      plugins: limits.strict,
     },
     handler: async (request, h) => {
       return { message: '注册成功' };
@@ -133,7 +75,7 @@ const init = async () => {
     method: 'GET',
     path: '/api/users',
     options: {
-      pre: [preReqs.relaxed],
+      plugins: limits.relaxed,
     },
     handler: async (request, h) => {
       return { users: [] };
@@ -144,7 +86,7 @@ const init = async () => {
     method: 'GET',
     path: '/api/users/{id}',
     options: {
-      pre: [preReqs.relaxed],
+      plugins: limits.relaxed,
     },
     handler: async (request, h) => {
       return { user: {} };
@@ -156,7 +98,7 @@ const init = async () => {
     method: 'PUT',
     path: '/api/users/{id}',
     options: {
-      pre: [preReqs.normal],
+      plugins: limits.normal,
     },
     handler: async (request, h) => {
       return { message: '更新成功' };
@@ -168,7 +110,7 @@ const init = async () => {
     method: 'POST',
     path: '/api/upload',
     options: {
-      pre: [preReqs.normal],
+      plugins: limits.normal,
     },
     handler: async (request, h) => {
       return { message: '上传成功' };
@@ -180,7 +122,7 @@ const init = async () => {
     method: 'GET',
     path: '/sse',
     options: {
-      pre: [preReqs.custom(60 * 1000, 20)],
+      plugins: limits.custom(60 * 1000, 20),
     },
     handler: async (request, h) => {
       return { message: 'SSE连接成功' };
@@ -190,7 +132,7 @@ const init = async () => {
   await server.start();
   console.log(`✓ Hapi 服务器运行在 ${server.info.uri}`);
   console.log(`✓ 所有路由都已应用限流中间件`);
-  console.log(`✓ 使用方式：在路由的 pre 选项中添加限流预检查`);
+  console.log(`✓ 使用方式：在路由的 options.plugins 中设置 rateLimit`);
 };
 
 init().catch((err) => {
@@ -205,7 +147,7 @@ module.exports = { init };
 // ============================================
 
 /**
- * Hapi 框架使用 pre hooks 来实现限流
+ * Hapi 框架使用 hapiPlugin 实现限流
  *
  * 基本模式：
  *
@@ -213,7 +155,7 @@ module.exports = { init };
  *     method: 'POST',
  *     path: '/api/login',
  *     options: {
- *       pre: [preReqs.strict],  // 添加严格限流
+ *       plugins: limits.strict,  // 添加严格限流
  *     },
  *     handler: async (request, h) => {
  *       return { message: '登录成功' };
@@ -221,11 +163,9 @@ module.exports = { init };
  *   });
  *
  * 支持的预定义限流：
- *   - preReqs.strict: 15分钟5次
- *   - preReqs.normal: 1小时50次
- *   - preReqs.relaxed: 1分钟200次
- *   - preReqs.custom(windowMs, max): 自定义
+ *   - limits.strict: 15分钟5次
+ *   - limits.normal: 1小时50次
+ *   - limits.relaxed: 1分钟200次（全局配置）
+ *   - limits.custom(windowMs, max): 自定义
+ *   - plugins: { rateLimit: false }: 关闭限流
  */
-
-
-
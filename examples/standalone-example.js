@@ -51,7 +51,7 @@ async function simulateRequests() {
 async function demonstrateAlgorithms() {
   console.log('\n=== 演示不同算法 ===\n');
 
-  const algorithms = ['sliding-window', 'fixed-window', 'token-bucket', 'leaky-bucket'];
+  const algorithms = ['sliding-window', 'sliding-window-counter', 'fixed-window', 'token-bucket', 'leaky-bucket'];
 
   for (const algo of algorithms) {
     console.log(`\n--- ${algo.toUpperCase()} ---`);
@@ -2,6 +2,8 @@
 // Project: https://github.com/vextjs/rate-limit
 // Definitions by: rate-limit Team
 
+import { EventEmitter } from 'events';
+
 // ========== 核心类型 ==========
 
 /**
@@ -14,9 +16,26 @@ export interface RateLimitResult {
   remaining: number;
   resetTime: number;
   retryAfter: number;
+  /** 配额策略名称（perRoute 模式或限流器名称），用于 draft-8 响应头 */
+  policy?: string;
+  /** 策略的时间窗口（毫秒） */
+  windowMs?: number;
+  /** 配置 policies 时，已检查的各策略状态（拒绝后的策略不再检查） */
+  policies?: RateLimitPolicyResult[];
+  /** 键因 blockDuration 处于封禁期，resetTime 为解封时间 */
+  blocked?: boolean;
+  /** 请求的 IP 被 ipList 拒绝访问（中间件返回 403），未消耗配额 */
+  forbidden?: boolean;
+  /** 本次消耗超过桶容量（token-bucket、leaky-bucket），重试也无法放行；retryAfter 为 0，不发送 Retry-After */
+  unsatisfiable?: boolean;
   error?: string;
 }
 
+/**
+ * 响应头格式
+ */
+export type RateLimitHeadersMode = 'legacy' | 'draft-6' | 'draft-8';
+
 /**
  * 速率限制器配置选项
  */
@@ -34,10 +53,10 @@ export interface RateLimiterOptions {
   max?: number | ((req: any) => number | Promise<number>);
 
   /**
-   * 限流算法：'sliding-window', 'fixed-window', 'token-bucket', 'leaky-bucket'
+   * 限流算法：'sliding-window', 'sliding-window-counter', 'fixed-window', 'token-bucket', 'leaky-bucket'
    * @default 'sliding-window'
    */
-  algorithm?: 'sliding-window' | 'fixed-window' | 'token-bucket' | 'leaky-bucket';
+  algorithm?: 'sliding-window' | 'sliding-window-counter' | 'fixed-window' | 'token-bucket' | 'leaky-bucket';
 
   /**
    * 存储后端
@@ -62,10 +81,10 @@ export interface RateLimiterOptions {
   store?: Store | 'memory';
 
   /**
-   * 从请求对象生成限流键的函数
-   * @default (req) => req.ip
+   * 从请求对象生成限流键的函数，context.ipKey 为按 trustProxy 解析、按 ipv6Subnet 规范化的客户端 IP
+   * @default (req, context) => context.ipKey
    */
-  keyGenerator?: (req: any, context?: { route?: string }) => string | Promise<string>;
+  keyGenerator?: (req: any, context?: KeyGeneratorContext) => string | Promise<string>;
 
   /**
    * 确定是否跳过速率限制的函数
@@ -94,47 +113,259 @@ export interface RateLimiterOptions {
   handler?: (req: any, res: any, next?: Function) => void | Promise<void>;
 
   /**
-   * 是否在响应中包含速率限制头
+   * 响应头格式
+   * - 'legacy'（或 true）：X-RateLimit-Limit / Remaining / Reset（Unix 时间戳）
+   * - 'draft-6'：RateLimit-Limit / Remaining / Reset（剩余秒数）+ RateLimit-Policy
+   * - 'draft-8'：RateLimit-Policy + RateLimit 结构化字段，策略名为 perRoute 模式或 name
+   * - false：不添加
    * @default true
    */
-  headers?: boolean;
+  headers?: boolean | RateLimitHeadersMode;
 
   /**
-   * 跳过计数成功的请求
+   * 跳过计数成功的请求：响应完成后回退已消耗的配额
    * @default false
    */
   skipSuccessfulRequests?: boolean;
 
   /**
-   * 跳过计数失败的请求
+   * 跳过计数失败的请求：响应完成后回退已消耗的配额
+   * 连接中断或下游抛出错误的请求视为失败
    * @default false
    */
   skipFailedRequests?: boolean;
 
   /**
-   * 令牌桶容量（用于 token-bucket 算法）
+   * 判断请求是否成功，用于 skipSuccessfulRequests / skipFailedRequests
+   * res 为框架的响应对象（Express res、Koa ctx.response、Fastify reply、Hapi response）
+   * @default (req, res) => (res.statusCode || res.status) < 400
+   */
+  requestWasSuccessful?: (req: any, res: any) => boolean | Promise<boolean>;
+
+  /**
+   * 存储出错时的策略
+   * - 'open'：放行请求（默认）
+   * - 'closed'：拒绝请求（429）
+   * - 函数：按请求返回 'open' 或 'closed'，抛出错误时按 'open' 处理
+   * @default 'open'
+   */
+  onStoreError?: StoreErrorPolicy | ((error: Error, context: StoreErrorContext) => StoreErrorPolicy | Promise<StoreErrorPolicy>);
+
+  /**
+   * 主存储出错时降级使用的存储（如 MemoryStore），备用存储也出错时才应用 onStoreError
+   */
+  fallbackStore?: Store | 'memory';
+
+  /**
+   * 日志器，兼容 pino / bunyan：logger.error(fields, message)
+   * 同时传递给内部创建的存储（'memory'、Redis 连接字符串、fallbackStore: 'memory'）
+   * @default console（忽略 debug）
+   */
+  logger?: Logger;
+
+  /**
+   * 限流器名称，用作指标的 limiter 标签
+   * @default 'default'
+   */
+  name?: string;
+
+  /**
+   * 记录决策计数与存储耗时的 Metrics 实例
+   */
+  metrics?: Metrics;
+
+  /**
+   * 连续被拒绝 blockAfter 次后的封禁时长（毫秒），封禁期内的请求直接拒绝
+   * - 数字：固定时长
+   * - 数组：按封禁次数递增，超出长度后使用最后一项
+   * - 函数：(blocks) => 毫秒，blocks 为第几次封禁
+   * @example
+   * ```typescript
+   * blockDuration: [60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000]
+   * ```
+   */
+  blockDuration?: number | number[] | ((blocks: number) => number | Promise<number>);
+
+  /**
+   * 被拒绝多少次后封禁（需配合 blockDuration）
+   * @default 1
+   */
+  blockAfter?: number;
+
+  /**
+   * 封禁结束后每安静多少毫秒，封禁次数减一；未设置时封禁次数在封禁结束一个窗口后清零
+   */
+  blockDecay?: number;
+
+  /**
+   * IP 访问控制，被拒绝的 IP 返回 403，不消耗配额
+   * - deny：拒绝列表，优先于允许列表
+   * - allow：允许列表，配置后只放行列表中的地址，其他 IP 一律 403
+   * - exempt：豁免列表，中间件对其中的 IP 跳过限流（拒绝检查仍先执行），不影响其他 IP 访问
+   * - routes：路由级列表（路由模式同 perRoute），与全局列表合并生效；值为列表时视为 allow
+   * @example
+   * ```typescript
+   * ipList: {
+   *   deny: ['203.0.113.0/24'],
+   *   routes: { '/api/admin/**': ['192.168.1.10', '10.0.0.0/8'] },
+   * }
+   * ```
+   */
+  ipList?: IPListOptions;
+
+  /**
+   * 信任的反向代理，决定是否从 ipHeader 请求头中读取客户端 IP
+   * - false：不读取代理请求头，使用 req.ip 或连接的远端地址
+   * - true：信任所有代理，使用请求头中最左侧的地址
+   * - 数字：信任离服务器最近的 n 跳代理
+   * - 代理地址/CIDR 列表：可使用预设 'loopback'、'linklocal'、'uniquelocal'
+   * @default false
+   */
+  trustProxy?: TrustProxy;
+
+  /**
+   * 读取客户端 IP 的代理请求头
+   * @default 'x-forwarded-for'
+   */
+  ipHeader?: IPHeader;
+
+  /**
+   * 按 IP 生成键时 IPv6 地址截取的网段前缀长度（1-128，常用 48、56、64），
+   * 同一网段内轮换地址的客户端共用一个键；false 表示按完整地址
+   * IPv4 映射的 IPv6 地址始终按 IPv4 生成键
+   * @default false
+   */
+  ipv6Subnet?: number | false;
+
+  /**
+   * 框架没有提供路由模板时如何处理请求路径（查询字符串总会被去除）：
+   * true 将数字、UUID 与长十六进制 ID 路径段折叠为 ':id'，函数可自定义处理
+   * 路由用于 perRoute 匹配与 context.route（指标的 route 标签只使用路由模板或 perRoute 模式）
+   * @default false
+   */
+  normalizeRoute?: boolean | ((path: string, req: any) => string);
+
+  /**
+   * 桶容量（用于 token-bucket、leaky-bucket 算法），即允许的最大突发量
+   * 桶算法以 capacity 作为结果中的 limit
+   * @default max
    */
   capacity?: number;
 
   /**
-   * 每秒令牌补充率（用于 token-bucket 算法）
+   * 每个 windowMs 补充的令牌数（用于 token-bucket 算法）
+   * 例如 windowMs: 1000, refillRate: 10 表示每秒补充 10 个令牌
+   * @default capacity（每个 windowMs 补满一桶）
    */
   refillRate?: number;
 
   /**
-   * 每秒泄漏率（用于 leaky-bucket 算法）
+   * 每个 windowMs 漏出的请求数（用于 leaky-bucket 算法）
+   * @default capacity（每个 windowMs 漏空一桶）
    */
   leakRate?: number;
 
   /**
    * 路由级别配置：为不同路由设置不同的限制
+   *
+   * 路由模式支持：
+   * - 精确路径：'/api/login'
+   * - 路由参数：'/api/users/:id'
+   * - 通配符：'/api/admin/*'（单个路径段）、'/static/**'（任意层级）
+   *
+   * 匹配优先级：精确路径 > 路由参数 > 通配符。
+   * 未声明的参数继承全局配置，计数键为 `${pattern}:${key}`，同一模式下的路径共享计数。
    */
   perRoute?: {
     [route: string]: {
       windowMs?: number;
-      max?: number;
+      max?: number | ((req: any) => number | Promise<number>);
+      algorithm?: RateLimiterOptions['algorithm'];
+      capacity?: number;
+      refillRate?: number;
+      leakRate?: number;
     };
   };
+
+  /**
+   * 同时生效的多个策略，如「每秒 10 次且每小时 1000 次」
+   * 先查询所有策略，全部通过才按顺序消耗；消耗时被并发请求抢先耗尽则回退此前策略已消耗的配额。
+   * 未声明的参数继承全局配置，计数键为 `${name}:${key}`。匹配 perRoute 的请求使用路由级配置。
+   */
+  policies?: RateLimitPolicy[];
+}
+
+/**
+ * 可通过 reconfigure() 或 ConfigLoader 热更新的选项
+ */
+export type ReloadableOptions = Pick<
+  RateLimiterOptions,
+  'windowMs' | 'max' | 'capacity' | 'refillRate' | 'leakRate' | 'perRoute' | 'policies' | 'ipList'
+>;
+
+/**
+ * 信任的反向代理：布尔值、跳数或代理地址/CIDR 列表
+ */
+export type TrustProxy = boolean | number | IPListEntries;
+
+/**
+ * 携带客户端 IP 的代理请求头
+ */
+export type IPHeader = 'x-forwarded-for' | 'forwarded' | 'x-real-ip';
+
+/**
+ * keyGenerator 的上下文
+ */
+export interface KeyGeneratorContext {
+  route?: string;
+  /** 按 trustProxy 解析的客户端 IP */
+  ip?: string;
+  /** 按 ipv6Subnet 规范化的客户端 IP，如 '203.0.113.7'、'2001:db8:1:2::/64' */
+  ipKey?: string;
+}
+
+/**
+ * IP 列表：地址或 CIDR 网段数组、逗号分隔的字符串或 IPList 实例
+ */
+export type IPListEntries = string[] | string | IPList;
+
+/**
+ * ipList 选项
+ */
+export interface IPListOptions {
+  allow?: IPListEntries;
+  deny?: IPListEntries;
+  exempt?: IPListEntries;
+  routes?: {
+    [route: string]: IPListEntries | { allow?: IPListEntries; deny?: IPListEntries; exempt?: IPListEntries };
+  };
+}
+
+/**
+ * 多策略中的单个策略
+ */
+export interface RateLimitPolicy {
+  /** 策略名称，唯一，用于计数键和 draft-8 响应头 */
+  name: string;
+  windowMs?: number;
+  max?: number | ((req: any) => number | Promise<number>);
+  algorithm?: RateLimiterOptions['algorithm'];
+  capacity?: number;
+  refillRate?: number;
+  leakRate?: number;
+}
+
+/**
+ * 多策略检查结果中单个策略的状态
+ */
+export interface RateLimitPolicyResult {
+  name: string;
+  allowed: boolean;
+  limit: number;
+  current: number;
+  remaining: number;
+  resetTime: number;
+  windowMs: number;
 }
 
 /**
@@ -144,7 +375,7 @@ export interface Store {
   get(key: string): Promise<any>;
   set(key: string, value: any, ttl?: number): Promise<void>;
   increment(key: string, options?: any): Promise<{ count: number; resetTime: number }>;
-  decrement?(key: string): Promise<void>;
+  decrement?(key: string, amount?: number): Promise<void>;
   reset(key: string): Promise<void>;
   resetAll?(): Promise<void>;
 }
@@ -170,6 +401,33 @@ export interface RedisClient {
   zremrangebyscore(key: string, min: string | number, max: string | number): Promise<number>;
   zpopmax(key: string): Promise<string[]>;
   type(key: string): Promise<string>;
+  eval?(script: string, numKeys: number, ...args: Array<string | number>): Promise<any>;
+  evalsha?(sha: string, numKeys: number, ...args: Array<string | number>): Promise<any>;
+  script?(subcommand: 'LOAD', script: string): Promise<string>;
+}
+
+/**
+ * 日志器接口，fields 为结构化字段（key、route、algorithm、store、err、code 等）
+ */
+export interface Logger {
+  debug(fields: Record<string, any>, message: string): void;
+  info(fields: Record<string, any>, message: string): void;
+  warn(fields: Record<string, any>, message: string): void;
+  error(fields: Record<string, any>, message: string): void;
+}
+
+/**
+ * 存储出错时的策略
+ */
+export type StoreErrorPolicy = 'open' | 'closed';
+
+/**
+ * onStoreError 回调的上下文
+ */
+export interface StoreErrorContext {
+  key: string;
+  req?: any;
+  route?: string;
 }
 
 /**
@@ -193,13 +451,55 @@ export interface RedisStoreOptions {
    * @default 3600
    */
   expiry?: number;
+
+  /**
+   * 以 Lua 脚本原子执行算法，避免多实例并发时的读-改-写竞争
+   * 客户端未实现 eval/evalsha 时自动使用非原子实现
+   * @default true
+   */
+  atomic?: boolean;
+
+  /**
+   * 日志器
+   * @default console
+   */
+  logger?: Logger;
+}
+
+/**
+ * 内存存储选项
+ */
+export interface MemoryStoreOptions {
+  /**
+   * 日志器
+   * @default console
+   */
+  logger?: Logger;
 }
 
 /**
  * 限流算法接口
  */
 export interface Algorithm {
-  check(store: Store, key: string, options: any): Promise<{ count: number; resetTime: number }>;
+  /**
+   * 检查并消耗 options.cost 份配额，超出时拒绝且不消耗；桶算法通过 limit 返回桶容量
+   */
+  check(store: Store, key: string, options: any): Promise<{ allowed: boolean; count: number; resetTime: number; limit?: number }>;
+
+  /**
+   * 读取当前状态，不消耗配额；allowed 表示消耗 options.cost 的请求是否会被放行
+   */
+  peek(store: Store, key: string, options: any): Promise<{ allowed: boolean; count: number; resetTime: number; limit?: number }>;
+
+  /**
+   * 强制消耗 options.cost 份配额，不检查限制（用量可以超过限制）
+   */
+  penalize(store: Store, key: string, options: any): Promise<{ count: number; resetTime: number; limit?: number }>;
+
+  /**
+   * 回退已消耗的 options.cost 份配额
+   */
+  refund(store: Store, key: string, options: any): Promise<void>;
 }
 
 /**
@@ -209,54 +509,330 @@ export interface KeyGenerators {
   /**
    * 按 IP 地址生成键
    */
-  ip(req: any, context?: any): string;
+  ip(req: any, context?: KeyGeneratorContext): string;
 
   /**
    * 按用户 ID 生成键（需要 req.user.id）
    */
-  userId(req: any, context?: any): string;
+  userId(req: any, context?: KeyGeneratorContext): string;
 
   /**
    * 按路由和 IP 组合生成键
    */
-  routeAndIp(req: any, context?: any): string;
+  routeAndIp(req: any, context?: KeyGeneratorContext): string;
 
   /**
    * 按 API 端点生成键
    */
-  apiEndpoint(req: any, context?: any): string;
+  apiEndpoint(req: any, context?: KeyGeneratorContext): string;
 
   /**
    * 按用户和路由组合生成键
    */
-  userAndRoute(req: any, context?: any): string;
+  userAndRoute(req: any, context?: KeyGeneratorContext): string;
+
+  /**
+   * 由部件组合键生成器，各部件的值以 ':' 连接，缺失的值为 '-'；值中的分隔符与 '%' 按百分号编码转义
+   * 部件全部同步时同步返回，否则返回 Promise
+   * @example
+   * ```typescript
+   * const { compose, header, hash } = keyGenerators;
+   * compose('user', 'route', header('x-tenant-id'), hash(header('authorization')));
+   * ```
+   */
+  compose(...parts: Array<KeyPart | ComposeOptions>): (req: any, context?: KeyGeneratorContext) => string | Promise<string>;
+
+  /**
+   * 用户 ID 部件，未登录时使用 'ip:' 加客户端 IP
+   * @param path - 用户 ID 在请求对象上的路径，默认 'user.id'
+   */
+  user(path?: string): KeyPartFunction;
+
+  /** 请求头部件（名称不区分大小写） */
+  header(name: string): KeyPartFunction;
+
+  /** 查询参数部件 */
+  query(name: string): KeyPartFunction;
+
+  /** Cookie 部件 */
+  cookie(name: string): KeyPartFunction;
+
+  /** 对部件取哈希，避免敏感信息出现在键名中 */
+  hash(part: KeyPart, options?: KeyHashOptions): KeyPartFunction;
+}
+
+/**
+ * 键的部件函数，返回 undefined、null 或空字符串时视为缺失
+ */
+export type KeyPartFunction = (req: any, context?: KeyGeneratorContext) => any;
+
+/**
+ * 键的部件：部件函数或简写 'ip'、'user'、'route'、'method'
+ */
+export type KeyPart = KeyPartFunction | 'ip' | 'user' | 'route' | 'method';
+
+/**
+ * compose() 选项，作为最后一个参数传入
+ */
+export interface ComposeOptions {
+  /** 键前缀 */
+  prefix?: string;
+  /**
+   * 分隔符，不能包含 '%'
+   * @default ':'
+   */
+  separator?: string;
+  /**
+   * 部件超过此长度时取哈希，false 表示不限制
+   * @default 64
+   */
+  maxPartLength?: number | false;
+}
+
+/**
+ * hash() 选项
+ */
+export interface KeyHashOptions {
+  /**
+   * 哈希算法
+   * @default 'sha256'
+   */
+  algorithm?: string;
+  /**
+   * 保留的十六进制字符数（不小于 8）
+   * @default 16
+   */
+  length?: number;
+  /** HMAC 密钥，低熵的值（如邮箱）建议配置 */
+  secret?: string;
 }
 
 /**
- * 中间件选项（预留用于未来扩展）
+ * 每个请求消耗的配额：正整数或按请求计算的函数
+ */
+export type RequestCost = number | ((req: any) => number | Promise<number>);
+
+/**
+ * check() 选项
+ */
+export interface CheckOptions {
+  req?: any;
+  route?: string;
+  /** 本次请求消耗的配额（正整数，默认 1），超出剩余配额时拒绝且不消耗 */
+  cost?: number;
+  /** ipList 检查使用的客户端 IP，未传入时从 req 中读取 */
+  ip?: string;
+  /** 本次检查的时间戳（默认当前时间），refund() 时传入同一值以归还这次消耗 */
+  timestamp?: number;
+}
+
+/**
+ * 中间件选项
  */
 export interface MiddlewareOptions {
+  /** 每个请求消耗的配额或函数 (req)（默认 1） */
+  cost?: RequestCost;
   [key: string]: any;
 }
 
+/**
+ * Koa 中间件选项
+ */
+export interface KoaMiddlewareOptions {
+  /**
+   * 超过速率限制时的处理器，未设置时返回 429 和默认响应体
+   */
+  handler?: (ctx: any, next: () => Promise<any>, result: RateLimitResult) => any;
+
+  /**
+   * 每个请求消耗的配额或函数 (ctx)（默认 1）
+   */
+  cost?: RequestCost;
+}
+
+/**
+ * Koa 中间件函数
+ */
+export type KoaMiddleware = (ctx: any, next: () => Promise<any>) => Promise<any>;
+
+/**
+ * Egg.js 中间件选项（来自 config.rateLimit）
+ */
+export interface EggMiddlewareOptions extends Omit<RateLimiterOptions, 'handler'> {
+  /**
+   * 超过速率限制时的处理器 (ctx, next, result)，未设置时返回 429 和默认响应体
+   */
+  handler?: KoaMiddlewareOptions['handler'];
+
+  /** Egg.js 框架级配置，会被忽略 */
+  enable?: boolean;
+  match?: any;
+  ignore?: any;
+}
+
+/**
+ * Fastify 插件选项
+ */
+export interface FastifyRateLimitOptions extends Omit<RateLimiterOptions, 'handler'> {
+  /**
+   * 复用已有的 RateLimiter 实例（此时其余限流选项被忽略）
+   */
+  limiter?: RateLimiter;
+
+  /**
+   * 是否对未配置 config.rateLimit 的路由限流
+   * @default true
+   */
+  global?: boolean;
+
+  /**
+   * 超过速率限制时的处理器，需自行调用 reply.send
+   */
+  handler?: (request: any, reply: any, result: RateLimitResult) => any;
+}
+
+/**
+ * Fastify 路由级配置（routeOptions.config.rateLimit）
+ * - false：关闭该路由的限流
+ * - true：使用全局配置
+ * - 对象：与 perRoute 相同，覆盖限流参数，计数键为 `${method} ${route}:${key}`；由 fastify.rateLimit 检查，
+ *   reset()、事件与 reconfigure() 同样生效
+ */
+export type FastifyRouteRateLimitConfig = boolean | Omit<RateLimitPolicy, 'name'>;
+
+/**
+ * Hapi 插件选项
+ */
+export interface HapiRateLimitOptions extends Omit<RateLimiterOptions, 'handler'> {
+  /**
+   * 复用已有的 RateLimiter 实例（此时其余限流选项被忽略）
+   */
+  limiter?: RateLimiter;
+
+  /**
+   * 注册限流的生命周期扩展点，onPostAuth 时可使用 request.auth 生成用户级键
+   * @default 'onPostAuth'
+   */
+  ext?: 'onPreAuth' | 'onPostAuth';
+
+  /**
+   * 是否对未配置 plugins.rateLimit 的路由限流
+   * @default true
+   */
+  global?: boolean;
+
+  /**
+   * 超过速率限制时的处理器，需返回响应（如 h.response().code(429).takeover()），响应会附加限流响应头
+   */
+  handler?: (request: any, h: any, result: RateLimitResult) => any;
+}
+
+/**
+ * Hapi 路由级配置（route.options.plugins.rateLimit），语义同 Fastify
+ */
+export type HapiRouteRateLimitConfig = FastifyRouteRateLimitConfig;
+
 // ========== 导出的类 ==========
 
+/**
+ * 'allowed' / 'blocked' 事件负载
+ */
+export interface RateLimitEvent {
+  key: string;
+  route?: string;
+  result: RateLimitResult;
+  req?: any;
+}
+
+/**
+ * 'forbidden' 事件负载
+ */
+export interface RateLimitForbiddenEvent extends RateLimitEvent {
+  ip?: string;
+}
+
+/**
+ * 'error' 事件负载
+ */
+export interface RateLimitErrorEvent {
+  key: string;
+  route?: string;
+  error: Error;
+  req?: any;
+}
+
 /**
  * RateLimiter 主类
+ * 事件：'allowed'、'blocked'、'forbidden'、'error'（仅在有监听器时触发）
  */
-export class RateLimiter {
+export class RateLimiter extends EventEmitter {
   constructor(options?: RateLimiterOptions);
 
+  on(event: 'allowed' | 'blocked', listener: (event: RateLimitEvent) => void): this;
+  on(event: 'forbidden', listener: (event: RateLimitForbiddenEvent) => void): this;
+  on(event: 'error', listener: (event: RateLimitErrorEvent) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  once(event: 'allowed' | 'blocked', listener: (event: RateLimitEvent) => void): this;
+  once(event: 'forbidden', listener: (event: RateLimitForbiddenEvent) => void): this;
+  once(event: 'error', listener: (event: RateLimitErrorEvent) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+
+  /**
+   * 热更新限流参数、perRoute、policies 和 ipList，未声明的选项保持不变
+   * 新配置全部验证通过后才替换，验证失败时抛出错误并保持原配置；已有的计数不受影响
+   */
+  reconfigure(changes: ReloadableOptions): this;
+
+  /**
+   * 按 trustProxy 与 ipHeader 解析客户端 IP，兼容 Express、Koa、Fastify 与 Hapi 的请求对象
+   */
+  getClientIP(req: any): string | undefined;
+
   /**
    * 检查请求是否被允许
    * @param key - 限流键
-   * @param options - 选项对象，包含 req 和路由上下文
+   * @param options - 选项对象，包含 req、路由上下文和本次消耗的配额
    * @returns 检查结果
    */
-  check(key: string, options?: { req?: any; route?: string }): Promise<RateLimitResult>;
+  check(key: string, options?: CheckOptions): Promise<RateLimitResult>;
 
   /**
-   * 重置特定键的速率限制
+   * 查询键的当前配额状态，不消耗配额，也不触发事件和决策指标
+   * @param key - 限流键
+   * @param options - 与 check() 相同；allowed 表示消耗 cost 的请求此刻是否会被放行
+   * @returns 与 check() 结构相同的结果
+   */
+  peek(key: string, options?: CheckOptions): Promise<RateLimitResult>;
+
+  /**
+   * 消耗 cost 份配额，剩余配额不足时拒绝且不消耗；等同于 check(key, { ...options, cost })
+   * @param key - 限流键
+   * @param cost - 消耗的配额（正整数，默认 1）
+   * @param options - 检查选项
+   * @returns 检查结果
+   */
+  consume(key: string, cost?: number, options?: Omit<CheckOptions, 'cost'>): Promise<RateLimitResult>;
+
+  /**
+   * 归还 cost 份已消耗的配额（如下游调用被取消），不会超过初始配额
+   * @param key - 限流键
+   * @param cost - 归还的配额（正整数，默认 1）
+   * @param options - 与消耗时一致的选项；timestamp 为消耗时的时间戳
+   * @returns 归还后的配额状态（同 peek()）
+   */
+  refund(key: string, cost?: number, options?: Omit<CheckOptions, 'cost'>): Promise<RateLimitResult>;
+
+  /**
+   * 强制扣除 cost 份配额，不检查限制（如惩罚可疑行为），配额恢复前的请求都会被拒绝
+   * @param key - 限流键
+   * @param cost - 扣除的配额（正整数，默认 1）
+   * @param options - 选项
+   * @returns 扣除后的配额状态（同 peek()）
+   */
+  penalize(key: string, cost?: number, options?: Omit<CheckOptions, 'cost'>): Promise<RateLimitResult>;
+
+  /**
+   * 重置特定键的速率限制，包括各策略、各 perRoute 路由下的计数与封禁状态
    * @param key - 要重置的键
    */
   reset(key: string): Promise<void>;
@@ -266,23 +842,38 @@ export class RateLimiter {
    */
   resetAll(): Promise<void>;
 
+  /**
+   * 解除键的封禁（blockDuration），并清除已记录的违规与封禁次数
+   * @param key - 要解封的键
+   * @param options - 匹配 perRoute 时传入 route 以解除该路由的封禁
+   */
+  unblock(key: string, options?: { route?: string }): Promise<void>;
+
   /**
    * 为 Web 框架创建中间件
    * @param options - 中间件选项
    * @returns Express/Koa 中间件函数
    */
   middleware(options?: MiddlewareOptions): (req: any, res: any, next?: Function) => Promise<void>;
+
+  /**
+   * 创建原生 Koa 中间件
+   * skip、keyGenerator、max 和 cost 函数接收 ctx 作为请求对象
+   * @param options - Koa 中间件选项
+   * @returns Koa 中间件函数 (ctx, next)
+   */
+  koa(options?: KoaMiddlewareOptions): KoaMiddleware;
 }
 
 /**
  * 内存存储后端
  */
 export class MemoryStore implements Store {
-  constructor();
+  constructor(options?: MemoryStoreOptions);
   get(key: string): Promise<any>;
   set(key: string, value: any, ttl?: number): Promise<void>;
   increment(key: string, options?: any): Promise<{ count: number; resetTime: number }>;
-  decrement(key: string): Promise<void>;
+  decrement(key: string, amount?: number): Promise<void>;
   reset(key: string): Promise<void>;
   resetAll(): Promise<void>;
   size(): number;
@@ -296,9 +887,53 @@ export class RedisStore implements Store {
   get(key: string): Promise<any>;
   set(key: string, value: any, ttl?: number): Promise<void>;
   increment(key: string, options?: any): Promise<{ count: number; resetTime: number }>;
-  decrement(key: string): Promise<void>;
+  decrement(key: string, amount?: number): Promise<void>;
   reset(key: string): Promise<void>;
   resetAll(): Promise<void>;
+  /** 是否以 Lua 脚本原子执行算法 */
+  supportsAtomic(): boolean;
+  atomicCheck(algorithm: NonNullable<RateLimiterOptions['algorithm']>, key: string, params: Record<string, any>): Promise<{ allowed: boolean; count: number; resetTime?: number }>;
+  atomicPeek(algorithm: NonNullable<RateLimiterOptions['algorithm']>, key: string, params: Record<string, any>): Promise<{ allowed: boolean; count: number; resetTime?: number }>;
+  atomicPenalize(algorithm: NonNullable<RateLimiterOptions['algorithm']>, key: string, params: Record<string, any>): Promise<{ count: number; resetTime: number }>;
+  atomicRefund(algorithm: NonNullable<RateLimiterOptions['algorithm']>, key: string, params: Record<string, any>): Promise<void>;
+}
+
+/**
+ * Metrics 选项
+ */
+export interface MetricsOptions {
+  /**
+   * 指标名前缀
+   * @default 'rate_limit_'
+   */
+  prefix?: string;
+
+  /**
+   * 存储耗时直方图的桶边界（秒，升序）
+   * @default [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]
+   */
+  buckets?: number[];
+}
+
+/**
+ * 限流指标注册表，以 OpenMetrics 文本格式导出：
+ * - {prefix}requests_total：决策计数（limiter、route、algorithm、decision）
+ * - {prefix}store_duration_seconds：存储耗时直方图（limiter、store、algorithm、operation）
+ * - {prefix}store_keys：实现 size() 的存储的键数量（limiter、store、role）
+ */
+export class Metrics {
+  constructor(options?: MetricsOptions);
+  /** OpenMetrics 的 Content-Type */
+  readonly contentType: string;
+  register(limiter: RateLimiter): void;
+  recordDecision(labels: { limiter: string; route: string; algorithm: string }, allowed: boolean): void;
+  observeStoreLatency(labels: { limiter: string; store: string; algorithm: string; operation: string }, seconds: number): void;
+  /** 导出 OpenMetrics 文本 */
+  getMetrics(): string;
+  /** 创建导出指标的 HTTP 处理器（Node.js http / Express） */
+  handler(): (req: any, res: any) => void;
+  /** 清空计数器和直方图 */
+  reset(): void;
 }
 
 // ========== 导出的常量 ==========
@@ -308,6 +943,7 @@ export class RedisStore implements Store {
  */
 export const algorithms: {
   'sliding-window': Algorithm;
+  'sliding-window-counter': Algorithm;
   'fixed-window': Algorithm;
   'token-bucket': Algorithm;
   'leaky-bucket': Algorithm;
@@ -318,6 +954,145 @@ export const algorithms: {
  */
 export const keyGenerators: KeyGenerators;
 
+// ========== 框架适配器 ==========
+
+/**
+ * Egg.js 中间件工厂，符合 (options, app) => middleware 约定
+ * 未指定 store 且 app.redis 存在时自动使用 RedisStore
+ */
+export function createEggMiddleware(
+  options?: EggMiddlewareOptions,
+  app?: any
+): KoaMiddleware & { limiter: RateLimiter };
+
+/**
+ * Fastify 限流插件，注册 onRequest 钩子并装饰 fastify.rateLimit
+ */
+export function fastifyPlugin(
+  fastify: any,
+  options: FastifyRateLimitOptions,
+  done: (err?: Error) => void
+): void;
+
+/**
+ * Hapi 限流插件，超限时返回 Boom.tooManyRequests 风格的负载，并装饰 server.rateLimit
+ */
+export const hapiPlugin: {
+  name: string;
+  version: string;
+  register(server: any, options?: HapiRateLimitOptions): void;
+};
+
+/**
+ * exponentialBackoff 选项
+ */
+export interface ExponentialBackoffOptions {
+  /** 第一次封禁的时长（毫秒） */
+  initial: number;
+  /**
+   * 每次封禁的增长倍数
+   * @default 2
+   */
+  factor?: number;
+  /**
+   * 封禁时长上限（毫秒），必须是有限数字
+   * @default 24 小时（initial 更大时为 initial）
+   */
+  max?: number;
+}
+
+/**
+ * 创建指数退避的 blockDuration 函数：第 n 次封禁时长为 initial * factor^(n - 1)，不超过 max
+ */
+export function exponentialBackoff(options: ExponentialBackoffOptions): (blocks: number) => number;
+
+/**
+ * IP 地址与 CIDR 网段的集合，支持 IPv4/IPv6，IPv4 映射的 IPv6 地址按 IPv4 匹配
+ */
+export class IPList {
+  /**
+   * @param entries - 地址或 CIDR 网段列表，字符串时按逗号分隔；无效条目抛出错误
+   */
+  constructor(entries?: string[] | string);
+  /** 从逗号分隔的环境变量创建，未设置时为空列表 */
+  static fromEnv(name: string, env?: Record<string, string | undefined>): IPList;
+  /** 条目数量 */
+  readonly size: number;
+  /** 添加地址或 CIDR 网段 */
+  add(entry: string): this;
+  /** 地址是否在列表中，无效地址返回 false */
+  contains(ip: string): boolean;
+  toJSON(): string[];
+}
+
+/**
+ * 热加载的配置内容：顶层选项应用于所有限流器，limiters 按限流器 name 覆盖
+ */
+export interface ReloadableConfig extends ReloadableOptions {
+  limiters?: { [name: string]: ReloadableOptions };
+}
+
+/**
+ * ConfigLoader 选项，path 与 store 二选一
+ */
+export interface ConfigLoaderOptions {
+  /** 要热更新的限流器 */
+  limiters: RateLimiter | RateLimiter[];
+  /** 配置文件路径（JSON 或 YAML，YAML 由可选依赖 js-yaml 解析） */
+  path?: string;
+  /**
+   * 文件格式
+   * @default 按扩展名推断（.yaml/.yml 为 'yaml'，否则为 'json'）
+   */
+  format?: 'json' | 'yaml';
+  /** 保存配置的存储，值为配置对象或 JSON 字符串 */
+  store?: Store;
+  /** 配置在存储中的键 */
+  key?: string;
+  /**
+   * 检查变化的间隔（毫秒）
+   * @default 1000
+   */
+  interval?: number;
+  /** 将读取的内容转换为配置，用于兼容其他格式 */
+  transform?: (raw: any) => ReloadableConfig | Promise<ReloadableConfig>;
+  logger?: Logger;
+}
+
+/**
+ * 监听 JSON/YAML 文件或存储键，变化时原子地热更新限流器
+ * 新配置读取、解析或验证失败时保留上一次的有效配置；配置中删除的选项恢复为限流器原来的值
+ * 事件：'reload'（{ config }）、'error'（{ error }，仅监听期间且有监听器时触发）
+ */
+export class ConfigLoader extends EventEmitter {
+  constructor(options: ConfigLoaderOptions);
+  /** 当前生效的配置 */
+  readonly config: ReloadableConfig | null;
+  /** 读取并应用配置，失败时抛出错误且限流器保持原配置 */
+  load(): Promise<ReloadableConfig>;
+  /** 加载配置并开始监听变化 */
+  start(): Promise<this>;
+  /** 停止监听 */
+  stop(): void;
+  on(event: 'reload', listener: (event: { config: ReloadableConfig }) => void): this;
+  on(event: 'error', listener: (event: { error: Error }) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+/**
+ * 创建客户端 IP 解析函数，从连接的远端地址开始跳过受信任的代理
+ */
+export function createIPResolver(options?: {
+  trustProxy?: TrustProxy;
+  ipHeader?: IPHeader;
+}): (req: any) => string | undefined;
+
+/**
+ * 规范化 IP 地址用作限流键：IPv4 映射地址转换为 IPv4，IPv6 转换为规范格式，
+ * 指定 ipv6Subnet 时截取为所在网段（如 '2001:db8:1:2::/64'）；无效地址原样返回
+ */
+export function normalizeIP(ip: string, ipv6Subnet?: number | false): string;
+
 // ========== 默认导出 ==========
 
 /**
@@ -328,6 +1103,15 @@ declare const _default: {
   MemoryStore: typeof MemoryStore;
   RedisStore: typeof RedisStore;
   algorithms: typeof algorithms;
+  createEggMiddleware: typeof createEggMiddleware;
+  fastifyPlugin: typeof fastifyPlugin;
+  hapiPlugin: typeof hapiPlugin;
+  Metrics: typeof Metrics;
+  exponentialBackoff: typeof exponentialBackoff;
+  IPList: typeof IPList;
+  ConfigLoader: typeof ConfigLoader;
+  createIPResolver: typeof createIPResolver;
+  normalizeIP: typeof normalizeIP;
   keyGenerators: typeof keyGenerators;
 };
 
@@ -7,37 +7,46 @@ import RateLimiterCJS from './lib/rate-limiter.js';
 import MemoryStoreCJS from './lib/stores/memory-store.js';
 import RedisStoreCJS from './lib/stores/redis-store.js';
 import algorithmsCJS from './lib/algorithms/index.js';
+import createEggMiddlewareCJS from './lib/adapters/egg.js';
+import fastifyPluginCJS from './lib/adapters/fastify.js';
+import hapiPluginCJS from './lib/adapters/hapi.js';
+import MetricsCJS from './lib/metrics.js';
+import backoffCJS from './lib/backoff.js';
+import ipListCJS from './lib/ip-list.js';
+import ConfigLoaderCJS from './lib/config-loader.js';
+import clientIPCJS from './lib/client-ip.js';
+import keyGeneratorsCJS from './lib/key-generators.js';
 
 export const RateLimiter = RateLimiterCJS;
 export const MemoryStore = MemoryStoreCJS;
 export const RedisStore = RedisStoreCJS;
 export const algorithms = algorithmsCJS;
+export const createEggMiddleware = createEggMiddlewareCJS;
+export const fastifyPlugin = fastifyPluginCJS;
+export const hapiPlugin = hapiPluginCJS;
+export const Metrics = MetricsCJS;
+export const exponentialBackoff = backoffCJS.exponentialBackoff;
+export const IPList = ipListCJS.IPList;
+export const ConfigLoader = ConfigLoaderCJS;
+export const createIPResolver = clientIPCJS.createIPResolver;
+export const normalizeIP = ipListCJS.normalizeIP;
 
-// 预定义的键生成器
-export const keyGenerators = {
-  ip: (req) => req.ip || req.socket?.remoteAddress || 'unknown',
-  userId: (req) => `user:${req.user?.id || req.ip || 'unknown'}`,
-  routeAndIp: (req, context) => {
-    const route = context?.route || 'unknown';
-    const ip = req.ip || req.socket?.remoteAddress || 'unknown';
-    return `${route}:${ip}`;
-  },
-  apiEndpoint: (req, context) => {
-    const route = context?.route || 'unknown';
-    const ip = req.ip || req.socket?.remoteAddress || 'unknown';
-    return `api:${route}:${ip}`;
-  },
-  userAndRoute: (req, context) => {
-    const userId = req.user?.id || req.ip || 'unknown';
-    const route = context?.route || 'unknown';
-    return `user:${userId}:${route}`;
-  },
-};
+// 预定义的键生成器与 compose()
+export const keyGenerators = keyGeneratorsCJS;
 
 export default {
   RateLimiter,
   MemoryStore,
   RedisStore,
   algorithms,
+  createEggMiddleware,
+  fastifyPlugin,
+  hapiPlugin,
+  Metrics,
+  exponentialBackoff,
+  IPList,
+  ConfigLoader,
+  createIPResolver,
+  normalizeIP,
   keyGenerators,
 };
@@ -0,0 +1,43 @@
+/**
+ * Egg.js 适配器
+ * 符合 Egg.js 中间件约定的工厂函数 (options, app) => (ctx, next)
+ */
+
+const RateLimiter = require('../rate-limiter');
+const RedisStore = require('../stores/redis-store');
+
+// Egg.js 框架级中间件配置项，不属于限流选项
+const EGG_OPTIONS = ['enable', 'match', 'ignore', 'core'];
+
+/**
+ * 创建 Egg.js 限流中间件
+ *
+ * 用法（app/middleware/rate_limit.js）：
+ *   module.exports = require('flex-rate-limit').createEggMiddleware;
+ *
+ * 未指定 store 且应用挂载了 egg-redis 时，自动使用 RedisStore
+ *
+ * @param {Object} options - RateLimiter 选项（来自 config.rateLimit）
+ * @param {Function} options.handler - 超过速率限制时的处理器 (ctx, next, result)
+ * @param {Object} app - Egg.js Application 实例
+ * @returns {Function} Koa 风格中间件，limiter 属性指向内部的 RateLimiter
+ */
+function createEggMiddleware(options = {}, app) {
+  const { handler, ...limiterOptions } = options;
+
+  for (const name of EGG_OPTIONS) {
+    delete limiterOptions[name];
+  }
+
+  if (!limiterOptions.store && app && app.redis) {
+    limiterOptions.store = new RedisStore({ client: app.redis });
+  }
+
+  const limiter = new RateLimiter(limiterOptions);
+  const middleware = limiter.koa({ handler });
+  middleware.limiter = limiter;
+
+  return middleware;
+}
+
+module.exports = createEggMiddleware;
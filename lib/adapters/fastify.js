@@ -0,0 +1,144 @@
+/**
+ * Fastify 适配器
+ * 通过 onRequest 钩子对所有路由限流，支持路由级配置
+ */
+
+const RateLimiter = require('../rate-limiter');
+const { errorFields } = require('../logger');
+
+// 请求上保存限流状态的属性，供 onResponse 钩子结算配额
+const kRateLimit = Symbol('flex-rate-limit');
+
+/**
+ * 读取路由级限流配置（routeOptions.config.rateLimit）
+ * @param {Object} request - Fastify 请求对象
+ * @returns {Object|boolean|undefined} 路由级配置
+ */
+function getRouteConfig(request) {
+  const config = request.routeOptions?.config || request.routeConfig || {};
+  return config.rateLimit;
+}
+
+/**
+ * Fastify 限流插件
+ *
+ * 用法：
+ *   fastify.register(fastifyPlugin, { windowMs: 60000, max: 100 });
+ *   fastify.get('/login', { config: { rateLimit: { max: 5 } } }, handler);
+ *   fastify.get('/health', { config: { rateLimit: false } }, handler);
+ *
+ * 路由级配置与 perRoute 相同，覆盖 windowMs、max、algorithm 等限流参数，计数键为 `${method} ${route}:${key}`，
+ * 同一路径的不同方法各自计数；所有路由由 fastify.rateLimit 这一个限流器检查，reset()、事件与 reconfigure()
+ * 对路由级配置同样生效。在插件之后声明的路由于 onRoute 钩子中注册并验证，配置无效时启动即抛出错误
+ *
+ * @param {Object} fastify - Fastify 实例
+ * @param {Object} options - RateLimiter 选项
+ * @param {RateLimiter} options.limiter - 复用已有的 RateLimiter 实例
+ * @param {boolean} options.global - 是否对未配置 rateLimit 的路由限流（默认 true）
+ * @param {Function} options.handler - 超过速率限制时的处理器 (request, reply, result)，需自行发送响应
+ * @param {Function} done - 插件注册完成回调
+ */
+function fastifyPlugin(fastify, options, done) {
+  const {
+    limiter: existingLimiter,
+    global = true,
+    handler = null,
+    ...limiterOptions
+  } = options || {};
+
+  const limiter = existingLimiter || new RateLimiter(limiterOptions);
+
+  fastify.decorate('rateLimit', limiter);
+
+  // 启动时注册并验证路由级配置，无效配置在声明路由时抛出
+  fastify.addHook('onRoute', (routeOptions) => {
+    const routeConfig = routeOptions.config?.rateLimit;
+
+    if (routeConfig === undefined || typeof routeConfig === 'boolean') {
+      return;
+    }
+
+    const methods = Array.isArray(routeOptions.method) ? routeOptions.method : [routeOptions.method];
+    for (const method of methods) {
+      limiter._registerRoute(routeOptions.url, routeConfig, method);
+    }
+  });
+
+  fastify.addHook('onRequest', async (request, reply) => {
+    const routeConfig = getRouteConfig(request);
+
+    // 路由显式关闭限流，或未开启全局限流
+    if (routeConfig === false || (routeConfig === undefined && !global)) {
+      return;
+    }
+
+    const route = limiter._getRoute(request);
+    let result;
+
+    try {
+      // 在插件之前声明的路由没有经过 onRoute，在首次请求时注册
+      if (routeConfig && routeConfig !== true) {
+        limiter._registerRoute(route, routeConfig, request.method);
+      }
+
+      const context = limiter._getKeyContext(request, route);
+
+      if (await limiter._shouldSkip(request, context)) {
+        return;
+      }
+
+      const key = await limiter.options.keyGenerator(request, context);
+      const checkOptions = { req: request, ip: context.ip, route, timestamp: Date.now() };
+
+      result = await limiter.check(key, checkOptions);
+
+      if (result.allowed && limiter._tracksResponses()) {
+        request[kRateLimit] = { key, checkOptions };
+      }
+    } catch (error) {
+      limiter.logger.error(errorFields(error), 'Fastify 插件错误');
+      // 出错时，允许请求
+      return;
+    }
+
+    // IP 被 ipList 拒绝，不经过 handler
+    if (result.forbidden) {
+      reply.code(403).send(limiter._getForbiddenBody());
+      return reply;
+    }
+
+    if (limiter.options.headers) {
+      reply.headers(limiter._getHeaders(result));
+    }
+
+    if (!result.allowed) {
+      if (handler) {
+        await handler(request, reply, result);
+      } else {
+        reply.code(429).send(limiter._getRejectionBody(result));
+      }
+
+      return reply;
+    }
+  });
+
+  // 响应完成后按 skipSuccessfulRequests / skipFailedRequests 回退配额
+  fastify.addHook('onResponse', async (request, reply) => {
+    const state = request[kRateLimit];
+
+    if (!state) {
+      return;
+    }
+
+    const successful = await limiter._wasSuccessful(request, reply);
+    await limiter._settle(state.key, state.checkOptions, successful);
+  });
+
+  done();
+}
+
+// 跳过 Fastify 封装，使钩子和装饰器作用于注册方所在的上下文（等同于 fastify-plugin）
+fastifyPlugin[Symbol.for('skip-override')] = true;
+fastifyPlugin[Symbol.for('fastify.display-name')] = 'flex-rate-limit';
+
+module.exports = fastifyPlugin;
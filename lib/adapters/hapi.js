@@ -0,0 +1,225 @@
+/**
+ * Hapi 适配器
+ * 在 onPreAuth / onPostAuth 扩展点限流，支持路由级配置
+ */
+
+const RateLimiter = require('../rate-limiter');
+const { errorFields } = require('../logger');
+const { version } = require('../../package.json');
+
+const PLUGIN_NAME = 'flex-rate-limit';
+const VALID_EXT_POINTS = ['onPreAuth', 'onPostAuth'];
+
+/**
+ * Hapi 请求没有 ip 属性，未解析出客户端 IP 时使用 info.remoteAddress
+ * @param {Object} request - Hapi 请求对象
+ * @param {Object} context - { route, ip, ipKey }
+ * @returns {string} 客户端地址
+ */
+function defaultKeyGenerator(request, context) {
+  return context?.ipKey || request.info?.remoteAddress || 'unknown';
+}
+
+/**
+ * 读取路由级限流配置（route.options.plugins.rateLimit）
+ * @param {Object} request - Hapi 请求对象
+ * @returns {Object|boolean|undefined} 路由级配置
+ */
+function getRouteConfig(request) {
+  return request.route?.settings?.plugins?.rateLimit;
+}
+
+/**
+ * 将路由上声明的限流配置注册到限流器，配置无效时抛出错误
+ * @param {RateLimiter} limiter - RateLimiter 实例
+ * @param {Object} route - Hapi 路由（server.table() 的条目、'route' 事件的负载或 request.route）
+ */
+function registerRoute(limiter, route) {
+  const routeConfig = route.settings?.plugins?.rateLimit;
+
+  if (routeConfig !== undefined && typeof routeConfig !== 'boolean') {
+    limiter._registerRoute(route.path, routeConfig, route.method);
+  }
+}
+
+/**
+ * 构建与 Boom.tooManyRequests 一致的错误负载
+ * @param {string} message - 错误信息
+ * @returns {Object} 错误负载
+ */
+function tooManyRequests(message) {
+  return {
+    statusCode: 429,
+    error: 'Too Many Requests',
+    message,
+  };
+}
+
+/**
+ * 构建与 Boom.forbidden 一致的错误负载
+ * @param {string} message - 错误信息
+ * @returns {Object} 错误负载
+ */
+function forbidden(message) {
+  return {
+    statusCode: 403,
+    error: 'Forbidden',
+    message,
+  };
+}
+
+/**
+ * 为响应设置头，兼容普通响应与 Boom 错误
+ * @param {Object} response - Hapi 响应对象
+ * @param {Object} headers - 响应头
+ */
+function applyHeaders(response, headers) {
+  if (!response) {
+    return;
+  }
+
+  for (const name of Object.keys(headers)) {
+    if (response.isBoom) {
+      response.output.headers[name] = headers[name];
+    } else if (typeof response.header === 'function') {
+      response.header(name, headers[name]);
+    }
+  }
+}
+
+/**
+ * 注册 Hapi 插件
+ *
+ * 用法：
+ *   await server.register({ plugin: hapiPlugin, options: { windowMs: 60000, max: 100 } });
+ *   server.route({ path: '/login', options: { plugins: { rateLimit: { max: 5 } } }, ... });
+ *
+ * 路由级配置与 perRoute 相同，覆盖 windowMs、max、algorithm 等限流参数，计数键为 `${method} ${route}:${key}`，
+ * 同一路径的不同方法各自计数；所有路由由 server.rateLimit 这一个限流器检查，reset()、事件与 reconfigure()
+ * 对路由级配置同样生效。路由在注册插件时（已有路由）或添加时（'route' 事件）验证，配置无效时抛出错误
+ *
+ * @param {Object} server - Hapi 服务器实例
+ * @param {Object} options - RateLimiter 选项
+ * @param {RateLimiter} options.limiter - 复用已有的 RateLimiter 实例
+ * @param {string} options.ext - 扩展点：'onPreAuth' 或 'onPostAuth'（默认，可按用户限流）
+ * @param {boolean} options.global - 是否对未配置 rateLimit 的路由限流（默认 true）
+ * @param {Function} options.handler - 超过速率限制时的处理器 (request, h, result)，需返回响应（会附加限流响应头）
+ */
+function register(server, options = {}) {
+  const {
+    limiter: existingLimiter,
+    ext = 'onPostAuth',
+    global = true,
+    handler = null,
+    ...limiterOptions
+  } = options;
+
+  if (!VALID_EXT_POINTS.includes(ext)) {
+    throw new Error(`ext 必须是以下之一：${VALID_EXT_POINTS.join('、')}`);
+  }
+
+  const limiter = existingLimiter || new RateLimiter({
+    keyGenerator: defaultKeyGenerator,
+    ...limiterOptions,
+  });
+
+  server.decorate('server', 'rateLimit', limiter);
+
+  // 启动前注册并验证路由级配置：已有的路由立即注册，之后添加的路由在 'route' 事件中注册
+  if (typeof server.table === 'function') {
+    server.table().forEach((route) => registerRoute(limiter, route));
+  }
+
+  if (server.events) {
+    server.events.on('route', (route) => registerRoute(limiter, route));
+  }
+
+  server.ext(ext, async (request, h) => {
+    const routeConfig = getRouteConfig(request);
+
+    // 路由显式关闭限流，或未开启全局限流
+    if (routeConfig === false || (routeConfig === undefined && !global)) {
+      return h.continue;
+    }
+
+    const route = limiter._getRoute(request);
+    let key;
+    let checkOptions;
+    let result;
+
+    try {
+      // 兜底：未经过 'route' 事件注册的路由在首次请求时注册
+      if (routeConfig && routeConfig !== true) {
+        limiter._registerRoute(route, routeConfig, request.method);
+      }
+
+      const context = limiter._getKeyContext(request, route);
+
+      if (await limiter._shouldSkip(request, context)) {
+        return h.continue;
+      }
+
+      key = await limiter.options.keyGenerator(request, context);
+      checkOptions = { req: request, ip: context.ip, route, timestamp: Date.now() };
+
+      result = await limiter.check(key, checkOptions);
+    } catch (error) {
+      limiter.logger.error(errorFields(error), 'Hapi 插件错误');
+      // 出错时，允许请求
+      return h.continue;
+    }
+
+    // IP 被 ipList 拒绝，不经过 handler
+    if (result.forbidden) {
+      return h.response(forbidden('IP 地址不允许访问')).code(403).takeover();
+    }
+
+    const headers = limiter.options.headers ? limiter._getHeaders(result) : {};
+
+    if (!result.allowed) {
+      if (handler) {
+        const response = await handler(request, h, result);
+        applyHeaders(response, headers);
+        return response;
+      }
+
+      const response = h.response(tooManyRequests(result.unsatisfiable ? '本次消耗超过桶容量' : '超过速率限制')).code(429);
+      applyHeaders(response, headers);
+      return response.takeover();
+    }
+
+    // 响应头在 onPreResponse 中写入，同时在此结算配额
+    request.plugins[PLUGIN_NAME] = {
+      headers,
+      key,
+      checkOptions,
+    };
+    return h.continue;
+  });
+
+  server.ext('onPreResponse', async (request, h) => {
+    const state = request.plugins[PLUGIN_NAME];
+
+    if (!state) {
+      return h.continue;
+    }
+
+    applyHeaders(request.response, state.headers);
+
+    if (limiter._tracksResponses()) {
+      // Boom 错误的状态码位于 output 中
+      const response = request.response?.isBoom ? request.response.output : request.response;
+      const successful = await limiter._wasSuccessful(request, response || {});
+
+      await limiter._settle(state.key, state.checkOptions, successful);
+    }
+
+    return h.continue;
+  });
+}
+
+module.exports = {
+  name: PLUGIN_NAME,
+  version,
+  register,
+};
@@ -0,0 +1,85 @@
+/**
+ * Koa 适配器
+ * 将 RateLimiter 包装为原生 Koa 中间件 (ctx, next)
+ */
+
+const { errorFields } = require('../logger');
+
+/**
+ * 创建 Koa 中间件
+ * skip、keyGenerator、max 和 cost 函数接收 ctx 作为请求对象
+ * @param {RateLimiter} limiter - RateLimiter 实例
+ * @param {Object} options - 中间件选项
+ * @param {Function} options.handler - 超过速率限制时的处理器 (ctx, next, result)
+ * @param {number|Function} options.cost - 每个请求消耗的配额或函数 (ctx)（默认 1）
+ * @returns {Function} Koa 中间件函数
+ */
+function createKoaMiddleware(limiter, options = {}) {
+  const { handler = null, cost } = options;
+
+  return async function rateLimitMiddleware(ctx, next) {
+    let key;
+    let checkOptions;
+    let result;
+
+    try {
+      const route = limiter._getRoute(ctx);
+      const context = limiter._getKeyContext(ctx, route);
+
+      // 检查是否应跳过速率限制（被 ipList 拒绝的 IP 不跳过）
+      if (await limiter._shouldSkip(ctx, context)) {
+        return next();
+      }
+
+      key = await limiter.options.keyGenerator(ctx, context);
+      checkOptions = { req: ctx, ip: context.ip, route, timestamp: Date.now(), cost: await limiter._resolveCost(ctx, cost) };
+
+      result = await limiter.check(key, checkOptions);
+
+      if (limiter.options.headers && !result.forbidden) {
+        ctx.set(limiter._getHeaders(result));
+      }
+    } catch (error) {
+      limiter.logger.error({ key, ...errorFields(error) }, 'Koa 中间件错误');
+      // 出错时，允许请求
+      return next();
+    }
+
+    // IP 被 ipList 拒绝，不经过 handler
+    if (result.forbidden) {
+      ctx.status = 403;
+      ctx.body = limiter._getForbiddenBody();
+      return undefined;
+    }
+
+    // 处理超过速率限制的情况
+    if (!result.allowed) {
+      if (handler) {
+        return handler(ctx, next, result);
+      }
+
+      ctx.status = 429;
+      ctx.body = limiter._getRejectionBody(result);
+      return undefined;
+    }
+
+    if (!limiter._tracksResponses()) {
+      // 下游中间件的错误交由 Koa 处理，不在此捕获
+      return next();
+    }
+
+    // 等待下游完成后按响应结果回退配额，下游抛出的错误视为失败并继续向上抛出
+    try {
+      await next();
+    } catch (error) {
+      await limiter._settle(key, checkOptions, false);
+      throw error;
+    }
+
+    const successful = await limiter._wasSuccessful(ctx, ctx.response);
+    await limiter._settle(key, checkOptions, successful);
+    return undefined;
+  };
+}
+
+module.exports = createKoaMiddleware;
@@ -5,29 +5,126 @@
 
 /**
  * 使用固定窗口算法检查速率限制
+ * 超出限制的请求不会被计数
  * @param {Object} store - 存储后端
  * @param {string} key - 速率限制键
  * @param {Object} options - 算法选项
- * @returns {Promise<Object>} 包含计数和重置时间的结果
+ * @param {number} options.max - 窗口内的最大请求数
+ * @param {number} options.cost - 本次请求消耗的数量（默认 1）
+ * @param {number} options.timestamp - 本次检查的时间戳，回退时传入同一值（默认当前时间）
+ * @returns {Promise<Object>} 包含 allowed、计数和重置时间的结果
  */
 async function check(store, key, options) {
-  const { windowMs } = options;
-  const now = Date.now();
-  const windowKey = Math.floor(now / windowMs);
+  const { windowMs, max = Infinity, cost = 1, timestamp = Date.now() } = options;
+  const windowKey = Math.floor(timestamp / windowMs);
   const fullKey = `${key}:${windowKey}`;
 
-  // 增加当前窗口的计数器
-  const result = await store.increment(fullKey, { windowMs });
-
   // 计算重置时间（当前窗口结束时间）
   const resetTime = (windowKey + 1) * windowMs;
 
+  // 支持原子脚本时，判断、计数与设置过期在同一脚本中完成
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    const result = await store.atomicCheck('fixed-window', fullKey, { windowMs, max, cost });
+    return { ...result, resetTime };
+  }
+
+  // 增加当前窗口的计数器
+  const result = await store.increment(fullKey, { windowMs, amount: cost });
+
+  // 超出限制时撤销本次计数
+  if (result.count > max) {
+    if (typeof store.decrement === 'function') {
+      await store.decrement(fullKey, cost);
+    }
+
+    return {
+      allowed: false,
+      count: result.count - cost,
+      resetTime,
+    };
+  }
+
   return {
+    allowed: true,
     count: result.count,
     resetTime,
   };
 }
 
+/**
+ * 查询当前窗口的状态，不计数
+ * @param {Object} store - 存储后端
+ * @param {string} key - 速率限制键
+ * @param {Object} options - 算法选项
+ * @param {number} options.max - 窗口内的最大请求数
+ * @param {number} options.cost - 假设的本次消耗，用于判断 allowed（默认 1）
+ * @param {number} options.timestamp - 查询的时间戳（默认当前时间）
+ * @returns {Promise<Object>} 包含 allowed、计数和重置时间的结果
+ */
+async function peek(store, key, options) {
+  const { windowMs, max = Infinity, cost = 1, timestamp = Date.now() } = options;
+  const windowKey = Math.floor(timestamp / windowMs);
+  const fullKey = `${key}:${windowKey}`;
+  const resetTime = (windowKey + 1) * windowMs;
+
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    const result = await store.atomicPeek('fixed-window', fullKey, { max, cost });
+    return { ...result, resetTime };
+  }
+
+  // MemoryStore 保存 { count }，RedisStore 保存 INCR 计数器
+  const data = await store.get(fullKey);
+  const count = typeof data === 'number' ? data : (data && data.count) || 0;
+
+  return {
+    allowed: count + cost <= max,
+    count,
+    resetTime,
+  };
+}
+
+/**
+ * 回退已消耗的请求（用于 skipSuccessfulRequests / skipFailedRequests）
+ * @param {Object} store - 存储后端
+ * @param {string} key - 速率限制键
+ * @param {Object} options - 算法选项
+ * @param {number} options.timestamp - 消耗配额时的时间戳，用于定位窗口（可选）
+ * @param {number} options.cost - 回退的数量（默认 1）
+ * @returns {Promise<void>}
+ */
+async function refund(store, key, options) {
+  const { windowMs, timestamp = Date.now(), cost = 1 } = options;
+  const windowKey = Math.floor(timestamp / windowMs);
+  const fullKey = `${key}:${windowKey}`;
+
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    await store.atomicRefund('fixed-window', fullKey, { cost });
+    return;
+  }
+
+  if (typeof store.decrement !== 'function') {
+    return;
+  }
+
+  await store.decrement(fullKey, cost);
+}
+
+/**
+ * 强制计数，不检查限制（用于惩罚可疑行为）
+ * 计数后可以超过 max，当前窗口内剩余的请求都会被拒绝
+ * @param {Object} store - 存储后端
+ * @param {string} key - 速率限制键
+ * @param {Object} options - 算法选项
+ * @param {number} options.cost - 计数的数量（默认 1）
+ * @returns {Promise<Object>} 包含计数和重置时间的结果
+ */
+function penalize(store, key, options) {
+  return check(store, key, { ...options, max: Infinity });
+}
+
 module.exports = {
   check,
+  peek,
+  refund,
+  penalize,
 };
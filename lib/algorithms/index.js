@@ -3,12 +3,14 @@
  */
 
 const slidingWindow = require('./sliding-window');
+const slidingWindowCounter = require('./sliding-window-counter');
 const fixedWindow = require('./fixed-window');
 const tokenBucket = require('./token-bucket');
 const leakyBucket = require('./leaky-bucket');
 
 module.exports = {
   'sliding-window': slidingWindow,
+  'sliding-window-counter': slidingWindowCounter,
   'fixed-window': fixedWindow,
   'token-bucket': tokenBucket,
   'leaky-bucket': leakyBucket,
@@ -3,22 +3,49 @@
  * 平滑、恒定速率的限流
  */
 
+/**
+ * 满桶完全漏空所需的时间，之后的状态等同于空桶
+ * @param {Object} options - 算法选项
+ * @returns {number} 生存时间（毫秒）
+ */
+function getTtl({ capacity, leakRate, windowMs }) {
+  return Math.ceil((capacity / leakRate) * windowMs);
+}
+
 /**
  * 使用漏桶算法检查速率限制
+ * 桶中剩余空间足以容纳本次消耗时才放行；消耗超过桶容量时永远无法放行，拒绝并返回 unsatisfiable: true
  * @param {Object} store - 存储后端
  * @param {string} key - 速率限制键
  * @param {Object} options - 算法选项
- * @returns {Promise<Object>} 包含计数和重置时间的结果
+ * @param {number} options.capacity - 桶容量
+ * @param {number} options.leakRate - 每个 windowMs 漏出的请求数
+ * @param {number} options.cost - 本次请求加入的水量（默认 1）
+ * @returns {Promise<Object>} 包含 allowed、计数、限制和重置时间的结果
  */
 async function check(store, key, options) {
-  const { capacity = 10, leakRate = 1, windowMs = 1000 } = options;
+  const { capacity = 10, leakRate = 1, windowMs = 1000, cost = 1 } = options;
+  const ttl = getTtl({ capacity, leakRate, windowMs });
   const now = Date.now();
 
+  // 消耗超过桶容量的请求永远无法满足：拒绝且不加水，resetTime 为桶漏空的时间
+  if (cost > capacity) {
+    return { ...(await peek(store, key, { ...options, cost: 0 })), allowed: false, unsatisfiable: true };
+  }
+
+  // 存储支持原子脚本时（RedisStore），读取、泄漏与加水在同一脚本中完成
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    const result = await store.atomicCheck('leaky-bucket', key, {
+      capacity, leakRate, windowMs, now, ttl, cost,
+    });
+
+    return { ...result, limit: capacity };
+  }
+
   // 获取当前桶的状态
   const data = await store.get(key);
 
   let water = 0;
-  let _lastLeak = now;
 
   if (data) {
     // 计算自上次检查以来泄漏的水量
@@ -26,29 +53,138 @@ async function check(store, key, options) {
     const waterLeaked = (timePassed / windowMs) * leakRate;
 
     water = Math.max(0, data.water - waterLeaked);
-    _lastLeak = data.lastLeak;
   }
 
-  // 尝试添加水（请求）
-  if (water < capacity) {
-    water += 1;
-    await store.set(key, { water, lastLeak: now }, windowMs * capacity);
-
+  // 加入后会溢出时拒绝，不加水
+  if (water + cost > capacity) {
     return {
+      allowed: false,
       count: water,
-      resetTime: now + (water / leakRate) * windowMs,
+      limit: capacity,
+      resetTime: now + ((water + cost - capacity) / leakRate) * windowMs,
     };
   }
 
-  // 桶已满
-  const timeToLeak = ((water - capacity + 1) / leakRate) * windowMs;
+  water += cost;
+  await store.set(key, { water, lastLeak: now }, ttl);
+
+  return {
+    allowed: true,
+    count: water,
+    limit: capacity,
+    resetTime: now + (water / leakRate) * windowMs,
+  };
+}
+
+/**
+ * 查询桶的状态，不加水
+ * 拒绝时 resetTime 为可以容纳本次消耗的时间，否则为桶漏空的时间
+ * @param {Object} store - 存储后端
+ * @param {string} key - 速率限制键
+ * @param {Object} options - 算法选项
+ * @param {number} options.cost - 假设的本次消耗，用于判断 allowed（默认 1）
+ * @returns {Promise<Object>} 包含 allowed、计数、限制和重置时间的结果
+ */
+async function peek(store, key, options) {
+  const { capacity = 10, leakRate = 1, windowMs = 1000, cost = 1 } = options;
+  const now = Date.now();
+
+  // 消耗超过桶容量时无法满足，不给出可以容纳本次消耗的时间
+  if (cost > capacity) {
+    return { ...(await peek(store, key, { ...options, cost: 0 })), allowed: false, unsatisfiable: true };
+  }
+
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    const result = await store.atomicPeek('leaky-bucket', key, {
+      capacity, leakRate, windowMs, now, cost,
+    });
+
+    return { ...result, limit: capacity };
+  }
+
+  const data = await store.get(key);
+  const water = data
+    ? Math.max(0, data.water - ((now - data.lastLeak) / windowMs) * leakRate)
+    : 0;
+  const allowed = water + cost <= capacity;
+
+  return {
+    allowed,
+    count: water,
+    limit: capacity,
+    resetTime: now + ((allowed ? water : water + cost - capacity) / leakRate) * windowMs,
+  };
+}
+
+/**
+ * 从桶中移除已加入的请求（用于 skipSuccessfulRequests / skipFailedRequests）
+ * @param {Object} store - 存储后端
+ * @param {string} key - 速率限制键
+ * @param {Object} options - 算法选项
+ * @param {number} options.cost - 移除的水量（默认 1）
+ * @returns {Promise<void>}
+ */
+async function refund(store, key, options) {
+  const { capacity = 10, leakRate = 1, windowMs = 1000, cost = 1 } = options;
+  const ttl = getTtl({ capacity, leakRate, windowMs });
+
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    await store.atomicRefund('leaky-bucket', key, { ttl, cost });
+    return;
+  }
+
+  const data = await store.get(key);
+
+  if (!data) {
+    return;
+  }
+
+  // 保留 lastLeak，下次检查时继续按原时间点泄漏
+  const water = Math.max(0, data.water - cost);
+  await store.set(key, { water, lastLeak: data.lastLeak }, ttl);
+}
+
+/**
+ * 强制加水，不检查容量（用于惩罚可疑行为）
+ * 水位可以超过容量，漏到可以容纳新请求之前都会拒绝
+ * @param {Object} store - 存储后端
+ * @param {string} key - 速率限制键
+ * @param {Object} options - 算法选项
+ * @param {number} options.cost - 加入的水量（默认 1）
+ * @returns {Promise<Object>} 包含计数、限制和重置时间的结果
+ */
+async function penalize(store, key, options) {
+  const { capacity = 10, leakRate = 1, windowMs = 1000, cost = 1 } = options;
+  const ttl = getTtl({ capacity, leakRate, windowMs });
+  const now = Date.now();
+
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    const result = await store.atomicPenalize('leaky-bucket', key, {
+      capacity, leakRate, windowMs, now, ttl, cost,
+    });
+
+    return { ...result, limit: capacity };
+  }
+
+  const data = await store.get(key);
+  const water = (data
+    ? Math.max(0, data.water - ((now - data.lastLeak) / windowMs) * leakRate)
+    : 0) + cost;
+
+  // 超出容量的水漏完之前状态不能过期
+  const leakTime = (water / leakRate) * windowMs;
+  await store.set(key, { water, lastLeak: now }, Math.max(ttl, Math.ceil(leakTime)));
 
   return {
-    count: capacity + 1, // 超过限制
-    resetTime: now + timeToLeak,
+    count: water,
+    limit: capacity,
+    resetTime: now + leakTime,
   };
 }
 
 module.exports = {
   check,
+  peek,
+  refund,
+  penalize,
 };
@@ -0,0 +1,210 @@
+/**
+ * 滑动窗口计数器算法（近似）
+ * 每个键只保存当前与上一个固定窗口的计数，按上一个窗口与滑动窗口的重叠比例加权估算请求数
+ *
+ * 估算值 = 上一个窗口的计数 × (1 - 当前窗口已过去的比例) + 当前窗口的计数
+ *
+ * 精度：估算假设上一个窗口的请求均匀分布
+ * - 实际请求数介于 当前计数 与 上一个计数 + 当前计数 之间，单次判断的误差不超过上一个窗口的计数
+ * - 上一个窗口的请求集中在窗口末尾时会少算，最坏情况下任意 windowMs 内通过的请求接近 2 × max（与固定窗口相同）
+ * - 上一个窗口的请求集中在窗口开头时会多算，提前拒绝
+ * - 流量平稳时与滑动窗口基本一致
+ */
+
+/**
+ * 按当前窗口编号取出两个计数，窗口已切换时上一个窗口的计数前移
+ * @param {Object} data - 存储的状态 { window, current, previous }
+ * @param {number} window - 当前窗口编号
+ * @returns {Object} { previous, current }
+ */
+function getCounts(data, window) {
+  if (!data || typeof data.window !== 'number') {
+    return { previous: 0, current: 0 };
+  }
+
+  if (data.window === window) {
+    return { previous: data.previous || 0, current: data.current || 0 };
+  }
+
+  if (data.window === window - 1) {
+    return { previous: data.current || 0, current: 0 };
+  }
+
+  return { previous: 0, current: 0 };
+}
+
+/**
+ * 加权估算滑动窗口内的请求数
+ * @param {number} previous - 上一个窗口的计数
+ * @param {number} current - 当前窗口的计数
+ * @param {number} now - 当前时间戳
+ * @param {number} windowMs - 时间窗口
+ * @returns {number} 估算的请求数
+ */
+function estimate(previous, current, now, windowMs) {
+  const weight = 1 - (now % windowMs) / windowMs;
+  return previous * weight + current;
+}
+
+/**
+ * 拒绝时的重置时间：估算值降到可以容纳本次消耗的时间
+ * @param {number} previous - 上一个窗口的计数
+ * @param {number} current - 当前窗口的计数
+ * @param {number} windowStart - 当前窗口的开始时间
+ * @param {Object} options - { windowMs, max, cost }
+ * @returns {number} 重置时间戳
+ */
+function getRejectedResetTime(previous, current, windowStart, { windowMs, max, cost }) {
+  const available = max - cost - current;
+
+  // 当前窗口内，上一个窗口的权重衰减到足够小即可
+  if (available >= 0 && previous > 0) {
+    return windowStart + Math.ceil((windowMs * (previous - available)) / previous);
+  }
+
+  // 需要等到下一个窗口，当前计数成为上一个窗口的计数后衰减
+  if (max - cost >= 0 && current > 0) {
+    return windowStart + windowMs + Math.ceil((windowMs * (current - max + cost)) / current);
+  }
+
+  return windowStart + windowMs * 2;
+}
+
+/**
+ * 由两个计数构建结果
+ * 通过时重置时间为当前窗口结束，此时上一个窗口的请求全部过期
+ * @param {number} previous - 上一个窗口的计数
+ * @param {number} current - 当前窗口的计数（通过时包含本次消耗）
+ * @param {boolean} allowed - 是否通过
+ * @param {number} now - 当前时间戳
+ * @param {Object} options - { windowMs, max, cost }
+ * @returns {Object} 包含 allowed、计数和重置时间的结果
+ */
+function createResult(previous, current, allowed, now, options) {
+  const windowStart = now - (now % options.windowMs);
+
+  return {
+    allowed,
+    count: estimate(previous, current, now, options.windowMs),
+    resetTime: allowed
+      ? windowStart + options.windowMs
+      : getRejectedResetTime(previous, current, windowStart, options),
+  };
+}
+
+/**
+ * 状态的存储时间：保留到下一个窗口结束，届时当前计数作为上一个窗口的计数也已无用
+ * @param {number} window - 当前窗口编号
+ * @param {number} now - 当前时间戳
+ * @param {number} windowMs - 时间窗口
+ * @returns {number} TTL（毫秒）
+ */
+function getTTL(window, now, windowMs) {
+  return Math.ceil((window + 2) * windowMs - now);
+}
+
+/**
+ * 使用滑动窗口计数器算法检查速率限制
+ * 超出限制的请求不会被计数
+ * @param {Object} store - 存储后端
+ * @param {string} key - 速率限制键
+ * @param {Object} options - 算法选项
+ * @param {number} options.max - 窗口内的最大请求数
+ * @param {number} options.cost - 本次请求消耗的数量（默认 1）
+ * @param {number} options.timestamp - 本次检查的时间戳，回退时传入同一值（默认当前时间）
+ * @returns {Promise<Object>} 包含 allowed、计数（估算值）和重置时间的结果
+ */
+async function check(store, key, options) {
+  const { windowMs, max = Infinity, cost = 1, timestamp } = options;
+  const now = timestamp !== undefined ? timestamp : Date.now();
+
+  // 存储支持原子脚本时（RedisStore），由存储端一次完成窗口切换、估算与计数
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    return store.atomicCheck('sliding-window-counter', key, { windowMs, now, max, cost });
+  }
+
+  const window = Math.floor(now / windowMs);
+  const { previous, current } = getCounts(await store.get(key), window);
+
+  if (estimate(previous, current, now, windowMs) + cost > max) {
+    return createResult(previous, current, false, now, { windowMs, max, cost });
+  }
+
+  await store.set(key, { window, current: current + cost, previous }, getTTL(window, now, windowMs));
+
+  return createResult(previous, current + cost, true, now, { windowMs, max, cost });
+}
+
+/**
+ * 查询当前状态，不计数
+ * @param {Object} store - 存储后端
+ * @param {string} key - 速率限制键
+ * @param {Object} options - 算法选项
+ * @param {number} options.max - 窗口内的最大请求数
+ * @param {number} options.cost - 假设的本次消耗，用于判断 allowed（默认 1）
+ * @param {number} options.timestamp - 查询的时间戳（默认当前时间）
+ * @returns {Promise<Object>} 包含 allowed、计数（估算值）和重置时间的结果
+ */
+async function peek(store, key, options) {
+  const { windowMs, max = Infinity, cost = 1, timestamp } = options;
+  const now = timestamp !== undefined ? timestamp : Date.now();
+
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    return store.atomicPeek('sliding-window-counter', key, { windowMs, now, max, cost });
+  }
+
+  const { previous, current } = getCounts(await store.get(key), Math.floor(now / windowMs));
+  const allowed = estimate(previous, current, now, windowMs) + cost <= max;
+
+  return createResult(previous, current, allowed, now, { windowMs, max, cost });
+}
+
+/**
+ * 回退已消耗的请求（用于 skipSuccessfulRequests / skipFailedRequests）
+ * @param {Object} store - 存储后端
+ * @param {string} key - 速率限制键
+ * @param {Object} options - 算法选项
+ * @param {number} options.timestamp - 消耗配额时的时间戳，用于定位窗口（可选）
+ * @param {number} options.cost - 回退的数量（默认 1）
+ * @returns {Promise<void>}
+ */
+async function refund(store, key, options) {
+  const { windowMs, timestamp, cost = 1 } = options;
+  const now = Date.now();
+  const target = Math.floor((timestamp !== undefined ? timestamp : now) / windowMs);
+
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    await store.atomicRefund('sliding-window-counter', key, { windowMs, now, target, cost });
+    return;
+  }
+
+  const window = Math.floor(now / windowMs);
+  const { previous, current } = getCounts(await store.get(key), window);
+
+  // 消耗时所在的窗口已过期时无需回退
+  if (target === window && current > 0) {
+    await store.set(key, { window, current: Math.max(0, current - cost), previous }, getTTL(window, now, windowMs));
+  } else if (target === window - 1 && previous > 0) {
+    await store.set(key, { window, current, previous: Math.max(0, previous - cost) }, getTTL(window, now, windowMs));
+  }
+}
+
+/**
+ * 强制计数，不检查限制（用于惩罚可疑行为）
+ * 计数后估算值可以超过 max，直到估算值回落前的请求都会被拒绝
+ * @param {Object} store - 存储后端
+ * @param {string} key - 速率限制键
+ * @param {Object} options - 算法选项
+ * @param {number} options.cost - 计数的数量（默认 1）
+ * @returns {Promise<Object>} 包含计数和重置时间的结果
+ */
+function penalize(store, key, options) {
+  return check(store, key, { ...options, max: Infinity });
+}
+
+module.exports = {
+  check,
+  peek,
+  refund,
+  penalize,
+};
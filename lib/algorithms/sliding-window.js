@@ -3,52 +3,159 @@
  * 最精确的速率限制，跨时间窗口平滑
  */
 
+/**
+ * 拒绝时的重置时间：足够多的旧请求过期、可以容纳本次消耗的时间
+ * @param {Array<number>} requests - 窗口内的请求时间戳（升序）
+ * @param {number} excess - 超出限制的数量
+ * @param {number} now - 当前时间戳
+ * @param {number} windowMs - 时间窗口
+ * @returns {number} 重置时间戳
+ */
+function getRejectedResetTime(requests, excess, now, windowMs) {
+  const index = Math.min(excess, requests.length) - 1;
+  return index >= 0 ? requests[index] + windowMs : now + windowMs;
+}
+
 /**
  * 使用滑动窗口算法检查速率限制
+ * 超出限制的请求不会被记录
  * @param {Object} store - 存储后端
  * @param {string} key - 速率限制键
  * @param {Object} options - 算法选项
- * @returns {Promise<Object>} 包含计数和重置时间的结果
+ * @param {number} options.max - 窗口内的最大请求数
+ * @param {number} options.cost - 本次请求消耗的数量（默认 1）
+ * @param {number} options.timestamp - 本次检查的时间戳，回退时传入同一值（默认当前时间）
+ * @returns {Promise<Object>} 包含 allowed、计数和重置时间的结果
  */
 async function check(store, key, options) {
-  const { windowMs } = options;
-  const now = Date.now();
+  const { windowMs, max = Infinity, cost = 1, timestamp } = options;
+  const now = timestamp !== undefined ? timestamp : Date.now();
   const windowStart = now - windowMs;
 
-  // 获取当前窗口数据
-  const data = await store.get(key);
-
-  if (!data || !data.requests) {
-    // 第一个请求
-    await store.increment(key, { timestamp: now, windowMs });
-    return {
-      count: 1,
-      resetTime: now + windowMs,
-    };
+  // 存储支持原子脚本时（RedisStore），由存储端一次完成清理、计数与写入
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    return store.atomicCheck('sliding-window', key, { windowMs, now, max, cost });
   }
 
-  // 过滤当前窗口内的请求
-  const validRequests = data.requests.filter(
+  // 获取当前窗口数据，过滤当前窗口内的请求
+  const data = await store.get(key);
+  const validRequests = (data && data.requests ? data.requests : []).filter(
     (timestamp) => timestamp > windowStart,
   );
-
-  // 使用加权滑动窗口计算计数
   const count = validRequests.length;
 
-  // 添加新请求
-  validRequests.push(now);
+  // 超出限制时拒绝，不记录本次请求
+  if (count + cost > max) {
+    return {
+      allowed: false,
+      count,
+      resetTime: getRejectedResetTime(validRequests, count + cost - max, now, windowMs),
+    };
+  }
+
+  // 添加新请求，每个单位一个时间戳
+  for (let i = 0; i < cost; i++) {
+    validRequests.push(now);
+  }
   await store.set(key, { requests: validRequests }, windowMs);
 
   // 计算重置时间（最早请求过期的时间）
-  const oldestRequest = validRequests[0] || now;
-  const resetTime = oldestRequest + windowMs;
+  return {
+    allowed: true,
+    count: count + cost,
+    resetTime: validRequests[0] + windowMs,
+  };
+}
+
+/**
+ * 查询当前状态，不记录请求
+ * @param {Object} store - 存储后端
+ * @param {string} key - 速率限制键
+ * @param {Object} options - 算法选项
+ * @param {number} options.max - 窗口内的最大请求数
+ * @param {number} options.cost - 假设的本次消耗，用于判断 allowed（默认 1）
+ * @param {number} options.timestamp - 查询的时间戳（默认当前时间）
+ * @returns {Promise<Object>} 包含 allowed、计数和重置时间的结果
+ */
+async function peek(store, key, options) {
+  const { windowMs, max = Infinity, cost = 1, timestamp } = options;
+  const now = timestamp !== undefined ? timestamp : Date.now();
+
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    return store.atomicPeek('sliding-window', key, { windowMs, now, max, cost });
+  }
+
+  const data = await store.get(key);
+  const validRequests = (data && data.requests ? data.requests : []).filter(
+    (timestamp) => timestamp > now - windowMs,
+  );
+  const count = validRequests.length;
+
+  if (count + cost > max) {
+    return {
+      allowed: false,
+      count,
+      resetTime: getRejectedResetTime(validRequests, count + cost - max, now, windowMs),
+    };
+  }
 
   return {
-    count: count + 1,
-    resetTime,
+    allowed: true,
+    count,
+    resetTime: count > 0 ? validRequests[0] + windowMs : now + windowMs,
   };
 }
 
+/**
+ * 回退已消耗的请求（用于 skipSuccessfulRequests / skipFailedRequests）
+ * @param {Object} store - 存储后端
+ * @param {string} key - 速率限制键
+ * @param {Object} options - 算法选项
+ * @param {number} options.timestamp - 消耗配额时的时间戳（可选）
+ * @param {number} options.cost - 回退的数量（默认 1）
+ * @returns {Promise<void>}
+ */
+async function refund(store, key, options) {
+  const { windowMs, timestamp, cost = 1 } = options;
+
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    await store.atomicRefund('sliding-window', key, { timestamp, cost });
+    return;
+  }
+
+  const data = await store.get(key);
+
+  if (!data || !data.requests || data.requests.length === 0) {
+    return;
+  }
+
+  // 优先移除消耗时记录的时间戳，否则移除最近的记录
+  const requests = data.requests.slice();
+
+  for (let i = 0; i < cost && requests.length > 0; i++) {
+    const index = timestamp !== undefined ? requests.lastIndexOf(timestamp) : -1;
+    requests.splice(index >= 0 ? index : requests.length - 1, 1);
+  }
+
+  await store.set(key, { requests }, windowMs);
+}
+
+/**
+ * 强制记录请求，不检查限制（用于惩罚可疑行为）
+ * 记录后计数可以超过 max，直到这些请求滑出窗口前都会被拒绝
+ * @param {Object} store - 存储后端
+ * @param {string} key - 速率限制键
+ * @param {Object} options - 算法选项
+ * @param {number} options.cost - 记录的数量（默认 1）
+ * @returns {Promise<Object>} 包含计数和重置时间的结果
+ */
+function penalize(store, key, options) {
+  return check(store, key, { ...options, max: Infinity });
+}
+
 module.exports = {
   check,
+  peek,
+  refund,
+  penalize,
 };
@@ -3,22 +3,50 @@
  * Allows bursts while maintaining average rate
  */
 
+/**
+ * Time for an empty bucket to refill completely; after that the state equals a fresh bucket
+ * @param {Object} options - Algorithm options
+ * @returns {number} TTL in milliseconds
+ */
+function getTtl({ capacity, refillRate, windowMs }) {
+  return Math.ceil((capacity / refillRate) * windowMs);
+}
+
 /**
  * Check rate limit using token bucket algorithm
+ * A request is admitted only when the bucket holds enough tokens for its whole cost;
+ * a cost above the capacity can never be admitted and is rejected with unsatisfiable: true
  * @param {Object} store - Storage backend
  * @param {string} key - Rate limit key
  * @param {Object} options - Algorithm options
- * @returns {Promise<Object>} Result with count and resetTime
+ * @param {number} options.capacity - Bucket capacity (maximum burst)
+ * @param {number} options.refillRate - Tokens added per windowMs
+ * @param {number} options.cost - Tokens consumed by this request (default: 1)
+ * @returns {Promise<Object>} Result with allowed, count, limit and resetTime
  */
 async function check(store, key, options) {
-  const { capacity = 10, refillRate = 1, windowMs = 1000 } = options;
+  const { capacity = 10, refillRate = 1, windowMs = 1000, cost = 1 } = options;
+  const ttl = getTtl({ capacity, refillRate, windowMs });
   const now = Date.now();
 
+  // 消耗超过桶容量的请求永远无法满足：拒绝且不消耗令牌，resetTime 为桶补满的时间
+  if (cost > capacity) {
+    return { ...(await peek(store, key, { ...options, cost: 0 })), allowed: false, unsatisfiable: true };
+  }
+
+  // 存储支持原子脚本时（RedisStore），读取、补充与消耗在同一脚本中完成
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    const result = await store.atomicCheck('token-bucket', key, {
+      capacity, refillRate, windowMs, now, ttl, cost,
+    });
+
+    return { ...result, limit: capacity };
+  }
+
   // 获取当前桶的状态
   const data = await store.get(key);
 
   let tokens = capacity;
-  let _lastRefill = now;
 
   if (data) {
     // 根据经过的时间计算要添加的令牌数
@@ -26,29 +54,138 @@ async function check(store, key, options) {
     const tokensToAdd = (timePassed / windowMs) * refillRate;
 
     tokens = Math.min(capacity, data.tokens + tokensToAdd);
-    _lastRefill = data.lastRefill;
   }
 
-  // 尝试消耗一个令牌
-  if (tokens >= 1) {
-    tokens -= 1;
-    await store.set(key, { tokens, lastRefill: now }, windowMs * capacity);
-
+  // 令牌不足时拒绝，不消耗令牌
+  if (tokens < cost) {
     return {
+      allowed: false,
       count: capacity - tokens,
-      resetTime: now + (1 / refillRate) * windowMs,
+      limit: capacity,
+      resetTime: now + ((cost - tokens) / refillRate) * windowMs,
     };
   }
 
-  // 没有可用令牌
-  const timeToNextToken = ((1 - tokens) / refillRate) * windowMs;
+  tokens -= cost;
+  await store.set(key, { tokens, lastRefill: now }, ttl);
+
+  return {
+    allowed: true,
+    count: capacity - tokens,
+    limit: capacity,
+    resetTime: now + (1 / refillRate) * windowMs,
+  };
+}
+
+/**
+ * Read the bucket state without consuming tokens
+ * resetTime is when enough tokens for the cost are available if rejected, otherwise when the bucket is full again
+ * @param {Object} store - Storage backend
+ * @param {string} key - Rate limit key
+ * @param {Object} options - Algorithm options
+ * @param {number} options.cost - Tokens a request would consume, used for allowed (default: 1)
+ * @returns {Promise<Object>} Result with allowed, count, limit and resetTime
+ */
+async function peek(store, key, options) {
+  const { capacity = 10, refillRate = 1, windowMs = 1000, cost = 1 } = options;
+  const now = Date.now();
+
+  // 消耗超过桶容量时无法满足，不给出可以容纳本次消耗的时间
+  if (cost > capacity) {
+    return { ...(await peek(store, key, { ...options, cost: 0 })), allowed: false, unsatisfiable: true };
+  }
+
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    const result = await store.atomicPeek('token-bucket', key, {
+      capacity, refillRate, windowMs, now, cost,
+    });
+
+    return { ...result, limit: capacity };
+  }
+
+  const data = await store.get(key);
+  const tokens = data
+    ? Math.min(capacity, data.tokens + ((now - data.lastRefill) / windowMs) * refillRate)
+    : capacity;
+  const allowed = tokens >= cost;
+
+  return {
+    allowed,
+    count: capacity - tokens,
+    limit: capacity,
+    resetTime: now + ((allowed ? capacity - tokens : cost - tokens) / refillRate) * windowMs,
+  };
+}
+
+/**
+ * Return consumed tokens to the bucket (used by skipSuccessfulRequests / skipFailedRequests)
+ * @param {Object} store - Storage backend
+ * @param {string} key - Rate limit key
+ * @param {Object} options - Algorithm options
+ * @param {number} options.cost - Tokens to return (default: 1)
+ * @returns {Promise<void>}
+ */
+async function refund(store, key, options) {
+  const { capacity = 10, refillRate = 1, windowMs = 1000, cost = 1 } = options;
+  const ttl = getTtl({ capacity, refillRate, windowMs });
+
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    await store.atomicRefund('token-bucket', key, { capacity, ttl, cost });
+    return;
+  }
+
+  const data = await store.get(key);
+
+  if (!data) {
+    return;
+  }
+
+  // 保留 lastRefill，下次检查时继续按原时间点补充
+  const tokens = Math.min(capacity, data.tokens + cost);
+  await store.set(key, { tokens, lastRefill: data.lastRefill }, ttl);
+}
+
+/**
+ * Remove tokens regardless of the current balance (used to penalise suspicious behaviour)
+ * The balance may go negative; requests are rejected until the debt is refilled
+ * @param {Object} store - Storage backend
+ * @param {string} key - Rate limit key
+ * @param {Object} options - Algorithm options
+ * @param {number} options.cost - Tokens to remove (default: 1)
+ * @returns {Promise<Object>} Result with count, limit and resetTime
+ */
+async function penalize(store, key, options) {
+  const { capacity = 10, refillRate = 1, windowMs = 1000, cost = 1 } = options;
+  const ttl = getTtl({ capacity, refillRate, windowMs });
+  const now = Date.now();
+
+  if (store.supportsAtomic && store.supportsAtomic()) {
+    const result = await store.atomicPenalize('token-bucket', key, {
+      capacity, refillRate, windowMs, now, ttl, cost,
+    });
+
+    return { ...result, limit: capacity };
+  }
+
+  const data = await store.get(key);
+  const tokens = (data
+    ? Math.min(capacity, data.tokens + ((now - data.lastRefill) / windowMs) * refillRate)
+    : capacity) - cost;
+
+  // 欠下的令牌补满之前状态不能过期
+  const refillTime = ((capacity - tokens) / refillRate) * windowMs;
+  await store.set(key, { tokens, lastRefill: now }, Math.max(ttl, Math.ceil(refillTime)));
 
   return {
-    count: capacity + 1, // 超过限制
-    resetTime: now + timeToNextToken,
+    count: capacity - tokens,
+    limit: capacity,
+    resetTime: now + refillTime,
   };
 }
 
 module.exports = {
   check,
+  peek,
+  refund,
+  penalize,
 };
@@ -0,0 +1,47 @@
+/**
+ * 退避时长
+ * 生成 blockDuration 函数：第 n 次封禁的时长按指数增长
+ *
+ * 用法：
+ *   const limiter = new RateLimiter({
+ *     max: 5,
+ *     blockDuration: exponentialBackoff({ initial: 1000, max: 15 * 60 * 1000 }),
+ *     blockDecay: 10 * 60 * 1000,
+ *   });
+ */
+
+// 未设置 max 时的封禁时长上限：24 小时
+const DEFAULT_MAX = 24 * 60 * 60 * 1000;
+
+/**
+ * 创建指数退避的封禁时长函数
+ * 第 n 次封禁时长为 initial * factor^(n - 1)，不超过 max
+ * @param {Object} options - 配置选项
+ * @param {number} options.initial - 第一次封禁的时长（毫秒）
+ * @param {number} options.factor - 每次封禁的增长倍数（默认 2）
+ * @param {number} options.max - 封禁时长上限（毫秒，默认 24 小时，initial 更大时为 initial）
+ * @returns {Function} (blocks) => 毫秒
+ */
+function exponentialBackoff(options = {}) {
+  const { initial, factor = 2 } = options;
+
+  if (typeof initial !== 'number' || !Number.isFinite(initial) || !(initial > 0)) {
+    throw new Error('initial 必须是正数');
+  }
+
+  const max = options.max === undefined ? Math.max(initial, DEFAULT_MAX) : options.max;
+
+  if (typeof factor !== 'number' || !(factor >= 1)) {
+    throw new Error('factor 必须是不小于 1 的数字');
+  }
+
+  if (typeof max !== 'number' || !Number.isFinite(max) || !(max >= initial)) {
+    throw new Error('max 必须是不小于 initial 的有限数字');
+  }
+
+  return (blocks) => Math.min(initial * (factor ** (Math.max(1, blocks) - 1)), max);
+}
+
+module.exports = {
+  exponentialBackoff,
+};
@@ -0,0 +1,176 @@
+/**
+ * 客户端 IP 解析
+ * 在反向代理之后从 X-Forwarded-For、Forwarded（RFC 7239）或 X-Real-IP 请求头中解析客户端 IP，
+ * 只采信 trustProxy 声明的代理添加的地址，避免客户端伪造请求头
+ *
+ * trustProxy：
+ * - false（默认）：不读取代理请求头，使用框架解析的 req.ip 或连接的远端地址
+ * - true：信任所有代理，使用请求头中最左侧的地址（仅在无法直接访问服务器时使用）
+ * - 数字：信任离服务器最近的 n 跳代理
+ * - 地址/CIDR 列表（数组、逗号分隔的字符串或 IPList）：信任列表中的代理，
+ *   可使用预设 'loopback'、'linklocal'、'uniquelocal'
+ *
+ * 从连接的远端地址开始向左遍历请求头中的地址，第一个不受信任的地址即为客户端 IP
+ *
+ * 用法：
+ *   const getClientIP = createIPResolver({ trustProxy: ['loopback', '10.0.0.0/8'] });
+ *   // 连接来自 127.0.0.1，X-Forwarded-For: 1.2.3.4, 203.0.113.7, 10.0.0.2
+ *   getClientIP(req); // '203.0.113.7'
+ */
+
+const { IPList, parseIP } = require('./ip-list');
+
+const IP_HEADERS = ['x-forwarded-for', 'forwarded', 'x-real-ip'];
+
+// trustProxy 列表中可使用的预设网段
+const PRESETS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+  uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+};
+
+/**
+ * 框架解析的客户端地址，兼容 Express、Koa、Fastify 与 Hapi 的请求对象
+ * @param {Object} req - 请求对象
+ * @returns {string|undefined} IP 地址
+ */
+function getDefaultIP(req) {
+  return req.ip || req.info?.remoteAddress || req.socket?.remoteAddress || req.raw?.socket?.remoteAddress;
+}
+
+/**
+ * 连接的远端地址（即离服务器最近的一跳）
+ * @param {Object} req - 请求对象
+ * @returns {string|undefined} IP 地址
+ */
+function getPeerAddress(req) {
+  return req.socket?.remoteAddress
+    || req.info?.remoteAddress
+    || req.raw?.socket?.remoteAddress
+    || req.raw?.req?.socket?.remoteAddress;
+}
+
+/**
+ * 规范化请求头中的地址：去除引号、方括号和端口
+ * @param {string} text - 地址文本，如 '"[2001:db8::1]:4711"'、'203.0.113.7:8080'
+ * @returns {string|null} 地址，无效（如 'unknown'、'_hidden'）时返回 null
+ */
+function normalizeAddress(text) {
+  let address = text.trim().replace(/^"(.*)"$/, '$1');
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(address);
+
+  if (bracketed) {
+    [, address] = bracketed;
+  } else if (/^[\d.]+:\d+$/.test(address)) {
+    address = address.slice(0, address.lastIndexOf(':'));
+  }
+
+  return parseIP(address) ? address : null;
+}
+
+/**
+ * 读取代理请求头中的地址，按从左（客户端）到右（最近的代理）的顺序
+ * @param {Object} req - 请求对象
+ * @param {string} ipHeader - 请求头名称
+ * @returns {Array<string|null>} 地址列表，无效的地址为 null
+ */
+function getForwardedAddresses(req, ipHeader) {
+  let value = req.headers?.[ipHeader];
+
+  if (Array.isArray(value)) {
+    value = value.join(',');
+  }
+
+  if (typeof value !== 'string' || value.trim() === '') {
+    return [];
+  }
+
+  return value.split(',').map((element) => {
+    if (ipHeader !== 'forwarded') {
+      return normalizeAddress(element);
+    }
+
+    // for=192.0.2.60;proto=http;by=203.0.113.43
+    const pair = element.split(';').map((part) => part.trim()).find((part) => /^for=/i.test(part));
+    return pair ? normalizeAddress(pair.slice(4)) : null;
+  });
+}
+
+/**
+ * 根据 trustProxy 创建判断代理是否可信的函数
+ * @param {boolean|number|Array<string>|string|IPList} trustProxy - 信任的代理
+ * @returns {Function} (address, hop) => boolean，hop 为离服务器的跳数（从 0 开始）
+ */
+function createTrustFunction(trustProxy) {
+  if (trustProxy === true) {
+    return () => true;
+  }
+
+  if (Number.isInteger(trustProxy) && trustProxy >= 0) {
+    return (address, hop) => hop < trustProxy;
+  }
+
+  if (trustProxy instanceof IPList) {
+    return (address) => trustProxy.contains(address);
+  }
+
+  if (typeof trustProxy === 'string' || Array.isArray(trustProxy)) {
+    const entries = typeof trustProxy === 'string'
+      ? trustProxy.split(',').map((entry) => entry.trim()).filter(Boolean)
+      : trustProxy;
+    const list = new IPList(entries.flatMap((entry) => PRESETS[entry] || [entry]));
+
+    return (address) => list.contains(address);
+  }
+
+  throw new Error('trustProxy 必须是布尔值、非负整数或 IP 列表');
+}
+
+/**
+ * 创建客户端 IP 解析函数
+ * @param {Object} options - 配置选项
+ * @param {boolean|number|Array<string>|string|IPList} options.trustProxy - 信任的代理（默认 false）
+ * @param {string} options.ipHeader - 代理请求头：'x-forwarded-for'（默认）、'forwarded' 或 'x-real-ip'
+ * @returns {Function} (req) => IP 地址，无法获取时返回 undefined
+ */
+function createIPResolver(options = {}) {
+  const { trustProxy = false, ipHeader = 'x-forwarded-for' } = options;
+
+  if (!IP_HEADERS.includes(ipHeader)) {
+    throw new Error(`ipHeader 必须是以下之一：${IP_HEADERS.join('、')}`);
+  }
+
+  if (trustProxy === false) {
+    return (req) => (req ? getDefaultIP(req) : undefined);
+  }
+
+  const trust = createTrustFunction(trustProxy);
+
+  return (req) => {
+    if (!req) {
+      return undefined;
+    }
+
+    const peer = getPeerAddress(req);
+
+    // 取不到连接地址时无法判断请求头是否可信
+    if (!peer) {
+      return getDefaultIP(req);
+    }
+
+    const addresses = [peer, ...getForwardedAddresses(req, ipHeader).reverse()];
+
+    for (let hop = 0; hop < addresses.length - 1; hop += 1) {
+      // 下一跳地址无效时，无法继续确认来源，停在当前地址
+      if (!trust(addresses[hop], hop) || addresses[hop + 1] === null) {
+        return addresses[hop];
+      }
+    }
+
+    return addresses[addresses.length - 1];
+  };
+}
+
+module.exports = {
+  createIPResolver,
+};
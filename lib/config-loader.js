@@ -0,0 +1,327 @@
+/**
+ * 配置热加载
+ * 从 JSON/YAML 文件或存储键读取配置，变化时原子地应用到运行中的 RateLimiter，无需重启
+ *
+ * 配置格式（选项同 RateLimiter#reconfigure）：
+ *   {
+ *     "max": 100,
+ *     "perRoute": { "/api/login": { "max": 5 } },
+ *     "ipList": { "allow": ["10.0.0.0/8"], "routes": { "/api/admin/**": ["192.168.1.10"] } },
+ *     "limiters": { "api": { "max": 1000 } }
+ *   }
+ *
+ * limiters 按限流器的 name 覆盖顶层配置；配置中删除的选项恢复为限流器原来的值。
+ * 新配置读取、解析或验证失败时不修改任何限流器，保留上一次的有效配置。
+ * YAML 由可选依赖 js-yaml 解析，使用 --omit=optional 安装时需自行安装 js-yaml。
+ *
+ * 用法：
+ *   const loader = new ConfigLoader({ path: 'config/rate-limit.yaml', limiters: [apiLimiter, loginLimiter] });
+ *   await loader.start();
+ */
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { createLogger, errorFields } = require('./logger');
+
+const FORMATS = ['json', 'yaml'];
+
+/**
+ * 按文件扩展名推断配置格式
+ * @param {string} filePath - 文件路径
+ * @returns {string} 'yaml' 或 'json'
+ */
+function detectFormat(filePath) {
+  return /\.ya?ml$/i.test(filePath) ? 'yaml' : 'json';
+}
+
+/**
+ * 解析配置文本
+ * @param {string} text - 配置文本
+ * @param {string} format - 'json' 或 'yaml'
+ * @returns {any} 解析结果
+ */
+function parseConfig(text, format) {
+  if (format === 'json') {
+    return JSON.parse(text);
+  }
+
+  let yaml;
+  try {
+    yaml = require('js-yaml');
+  } catch (error) {
+    throw new Error('加载 YAML 配置需要安装 js-yaml（npm install js-yaml）');
+  }
+
+  return yaml.load(text);
+}
+
+/**
+ * ConfigLoader 类 - 监听配置来源并热更新限流器
+ *
+ * 事件：
+ * - 'reload'：新配置已应用（负载为 { config }）
+ * - 'error'：监听期间加载失败，已保留上一次的有效配置（负载为 { error }），仅在有监听器时触发
+ *
+ * @class
+ * @extends EventEmitter
+ */
+class ConfigLoader extends EventEmitter {
+  /**
+   * 创建 ConfigLoader 实例
+   * @param {Object} options - 配置选项
+   * @param {RateLimiter|Array<RateLimiter>} options.limiters - 要热更新的限流器
+   * @param {string} options.path - 配置文件路径（与 store 二选一）
+   * @param {string} options.format - 文件格式：'json' 或 'yaml'（默认按扩展名推断）
+   * @param {Object} options.store - 保存配置的存储（与 path 二选一），值为配置对象或 JSON 字符串
+   * @param {string} options.key - 配置在存储中的键
+   * @param {number} options.interval - 检查变化的间隔（毫秒，默认 1000）
+   * @param {Function} options.transform - 将读取的内容转换为配置的函数 (raw) => config，用于兼容其他格式
+   * @param {Object} options.logger - 实现 debug、info、warn、error 的日志器
+   */
+  constructor(options = {}) {
+    super();
+
+    const {
+      limiters,
+      path: filePath,
+      format = filePath ? detectFormat(filePath) : 'json',
+      store,
+      key,
+      interval = 1000,
+      transform = null,
+      logger = null,
+    } = options;
+
+    this.limiters = Array.isArray(limiters) ? limiters : [limiters];
+
+    if (this.limiters.length === 0 || this.limiters.some((limiter) => !limiter || typeof limiter._prepareReconfigure !== 'function')) {
+      throw new Error('limiters 必须是 RateLimiter 实例或其非空数组');
+    }
+
+    if (Boolean(filePath) === Boolean(store)) {
+      throw new Error('path 和 store 必须且只能配置一个');
+    }
+
+    if (store && (typeof key !== 'string' || key === '')) {
+      throw new Error('key 必须是非空字符串');
+    }
+
+    if (!FORMATS.includes(format)) {
+      throw new Error(`format 必须是以下之一：${FORMATS.join('、')}`);
+    }
+
+    if (typeof interval !== 'number' || !(interval > 0)) {
+      throw new Error('interval 必须是正数');
+    }
+
+    if (transform !== null && typeof transform !== 'function') {
+      throw new Error('transform 必须是函数');
+    }
+
+    this.path = filePath || null;
+    this.format = format;
+    this.store = store || null;
+    this.key = key;
+    this.interval = interval;
+    this.transform = transform;
+    this.logger = createLogger(logger, 'ConfigLoader');
+    this.config = null;
+    this.source = null;
+    this.baselines = new Map(this.limiters.map((limiter) => [limiter, {}]));
+    this.queue = Promise.resolve();
+    this.timer = null;
+    this.listener = null;
+    this.lastError = null;
+  }
+
+  /**
+   * 读取配置并应用到所有限流器，内容未变化时不重复应用
+   * 失败时抛出错误，限流器保持原配置
+   * @returns {Promise<Object>} 当前生效的配置
+   */
+  load() {
+    // 串行执行，避免并发读取时旧配置覆盖新配置
+    const task = this.queue.then(() => this._load());
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 加载配置并开始监听变化
+   * 首次加载失败时抛出错误且不开始监听
+   * @returns {Promise<ConfigLoader>} 当前实例
+   */
+  async start() {
+    await this.load();
+
+    if (this.timer || this.listener) {
+      return this;
+    }
+
+    if (this.path) {
+      this.listener = (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+          this._reload();
+        }
+      };
+      fs.watchFile(this.path, { interval: this.interval, persistent: false }, this.listener);
+    } else {
+      this.timer = setInterval(() => this._reload(), this.interval);
+      if (typeof this.timer.unref === 'function') {
+        this.timer.unref();
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * 停止监听，已应用的配置保持不变
+   */
+  stop() {
+    if (this.listener) {
+      fs.unwatchFile(this.path, this.listener);
+      this.listener = null;
+    }
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 监听触发的重新加载，失败时记录日志并触发 'error' 事件
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _reload() {
+    try {
+      await this.load();
+      this.lastError = null;
+    } catch (error) {
+      // 同一个错误只报告一次，避免轮询存储时重复告警
+      if (this.lastError && this.lastError.message === error.message) {
+        return;
+      }
+
+      this.lastError = error;
+      this.logger.error({ source: this._getSourceName(), ...errorFields(error) }, '配置加载失败，保留上一次的有效配置');
+
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', { error });
+      }
+    }
+  }
+
+  /**
+   * 读取、解析并应用配置
+   * @private
+   * @returns {Promise<Object>} 当前生效的配置
+   */
+  async _load() {
+    const source = await this._read();
+
+    if (source === this.source) {
+      return this.config;
+    }
+
+    const raw = this.path ? parseConfig(source, this.format) : JSON.parse(source);
+    const config = this.transform ? await this.transform(raw) : raw;
+
+    this._apply(config);
+    this.source = source;
+    this.config = config;
+
+    this.logger.info({ source: this._getSourceName() }, '配置已重新加载');
+    this.emit('reload', { config });
+
+    return config;
+  }
+
+  /**
+   * 读取配置来源的原始内容
+   * @private
+   * @returns {Promise<string>} 文件内容，或存储值的 JSON 文本
+   */
+  async _read() {
+    if (this.path) {
+      return fs.promises.readFile(this.path, 'utf8');
+    }
+
+    const value = await this.store.get(this.key);
+
+    if (value === null || value === undefined) {
+      throw new Error(`配置不存在：${this.key}`);
+    }
+
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  /**
+   * 验证所有限流器的新配置，全部通过后再一起替换
+   * @private
+   * @param {Object} config - 配置
+   */
+  _apply(config) {
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+      throw new Error('配置必须是对象');
+    }
+
+    const { limiters: overrides = {}, ...shared } = config;
+
+    if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+      throw new Error('limiters 必须是对象');
+    }
+
+    const updates = this.limiters.map((limiter) => {
+      const { name } = limiter.options;
+      const override = overrides[name];
+
+      if (override !== undefined && (typeof override !== 'object' || override === null || Array.isArray(override))) {
+        throw new Error(`limiters['${name}'] 必须是对象`);
+      }
+
+      const changes = { ...shared, ...override };
+      const baseline = this._getBaseline(limiter, changes);
+
+      return { limiter, baseline, prepared: limiter._prepareReconfigure({ ...baseline, ...changes }) };
+    });
+
+    for (const { limiter, baseline, prepared } of updates) {
+      this.baselines.set(limiter, baseline);
+      limiter._commitReconfigure(prepared);
+    }
+  }
+
+  /**
+   * 限流器被配置覆盖前的选项值，配置中删除的选项恢复为这些值
+   * 选项第一次出现在配置中时记录其原值
+   * @private
+   * @param {RateLimiter} limiter - 限流器
+   * @param {Object} changes - 本次配置
+   * @returns {Object} 原值
+   */
+  _getBaseline(limiter, changes) {
+    const baseline = { ...this.baselines.get(limiter) };
+
+    for (const name of Object.keys(changes)) {
+      if (!Object.prototype.hasOwnProperty.call(baseline, name)) {
+        baseline[name] = limiter.options[name];
+      }
+    }
+
+    return baseline;
+  }
+
+  /**
+   * 配置来源的名称，用于日志字段
+   * @private
+   * @returns {string} 文件路径或存储键
+   */
+  _getSourceName() {
+    return this.path || this.key;
+  }
+}
+
+module.exports = ConfigLoader;
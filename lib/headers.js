@@ -0,0 +1,86 @@
+/**
+ * 速率限制响应头
+ *
+ * 支持的格式：
+ * - 'legacy'：X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset（Unix 时间戳，秒）
+ * - 'draft-6'：RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset（剩余秒数）+ RateLimit-Policy
+ *   （draft-ietf-httpapi-ratelimit-headers-06）
+ * - 'draft-8'：RateLimit-Policy + RateLimit 结构化字段（draft-ietf-httpapi-ratelimit-headers-08）
+ *
+ * 被拒绝时所有格式都会附带 Retry-After（秒），消耗超过桶容量（unsatisfiable）时除外；桶算法的小数配额向下取整
+ */
+
+const HEADER_MODES = ['legacy', 'draft-6', 'draft-8'];
+
+/**
+ * 序列化为结构化字段字符串（RFC 8941 sf-string）
+ * @param {string} value - 原始字符串
+ * @returns {string} 带引号并转义的字符串
+ */
+function sfString(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&').replace(/[^\x20-\x7e]/g, '')}"`;
+}
+
+/**
+ * 距离重置时间的秒数
+ * @param {number} resetTime - 重置时间戳（毫秒）
+ * @param {number} now - 当前时间戳（毫秒）
+ * @returns {number} 非负整数秒
+ */
+function secondsUntil(resetTime, now) {
+  return Math.max(0, Math.ceil((resetTime - now) / 1000));
+}
+
+/**
+ * 选出剩余配额最少的策略，单值头部（legacy、draft-6）以其为准
+ * @param {Array<Object>} policies - 策略列表
+ * @returns {Object} 最严格的策略
+ */
+function mostRestrictive(policies) {
+  return policies.reduce((current, policy) => (policy.remaining < current.remaining ? policy : current));
+}
+
+/**
+ * 计算速率限制响应头
+ * @param {string} mode - 头部格式：'legacy'、'draft-6'、'draft-8'
+ * @param {Array<Object>} policies - 策略列表，每项包含 name、limit、remaining、resetTime、windowMs
+ * @param {Object} result - 检查结果（用于 allowed、retryAfter）
+ * @param {number} now - 当前时间戳（毫秒）
+ * @returns {Object} 响应头名称到值的映射
+ */
+function getRateLimitHeaders(mode, policies, result, now = Date.now()) {
+  const headers = {};
+  const primary = mostRestrictive(policies);
+
+  if (mode === 'draft-6') {
+    headers['RateLimit-Limit'] = String(Math.floor(primary.limit));
+    headers['RateLimit-Remaining'] = String(Math.floor(primary.remaining));
+    headers['RateLimit-Reset'] = String(secondsUntil(primary.resetTime, now));
+    headers['RateLimit-Policy'] = policies
+      .map((policy) => `${Math.floor(policy.limit)};w=${Math.ceil(policy.windowMs / 1000)}`)
+      .join(', ');
+  } else if (mode === 'draft-8') {
+    headers['RateLimit-Policy'] = policies
+      .map((policy) => `${sfString(policy.name)};q=${Math.floor(policy.limit)};w=${Math.ceil(policy.windowMs / 1000)}`)
+      .join(', ');
+    headers.RateLimit = policies
+      .map((policy) => `${sfString(policy.name)};r=${Math.floor(policy.remaining)};t=${secondsUntil(policy.resetTime, now)}`)
+      .join(', ');
+  } else {
+    headers['X-RateLimit-Limit'] = String(Math.floor(primary.limit));
+    headers['X-RateLimit-Remaining'] = String(Math.floor(primary.remaining));
+    headers['X-RateLimit-Reset'] = String(Math.ceil(primary.resetTime / 1000));
+  }
+
+  // 消耗超过桶容量的请求重试也无法放行，不发送 Retry-After
+  if (!result.allowed && !result.unsatisfiable) {
+    headers['Retry-After'] = String(Math.ceil(result.retryAfter / 1000));
+  }
+
+  return headers;
+}
+
+module.exports = {
+  HEADER_MODES,
+  getRateLimitHeaders,
+};
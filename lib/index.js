@@ -7,30 +7,30 @@ const RateLimiter = require('./rate-limiter');
 const MemoryStore = require('./stores/memory-store');
 const RedisStore = require('./stores/redis-store');
 const algorithms = require('./algorithms');
+const createEggMiddleware = require('./adapters/egg');
+const fastifyPlugin = require('./adapters/fastify');
+const hapiPlugin = require('./adapters/hapi');
+const Metrics = require('./metrics');
+const { exponentialBackoff } = require('./backoff');
+const { IPList, normalizeIP } = require('./ip-list');
+const keyGenerators = require('./key-generators');
+const ConfigLoader = require('./config-loader');
+const { createIPResolver } = require('./client-ip');
 
 module.exports = {
   RateLimiter,
   MemoryStore,
   RedisStore,
   algorithms,
-  // 预定义的键生成器（可选导出）
-  keyGenerators: {
-    ip: (req) => req.ip || req.socket?.remoteAddress || 'unknown',
-    userId: (req) => `user:${req.user?.id || req.ip || 'unknown'}`,
-    routeAndIp: (req, context) => {
-      const route = context?.route || 'unknown';
-      const ip = req.ip || req.socket?.remoteAddress || 'unknown';
-      return `${route}:${ip}`;
-    },
-    apiEndpoint: (req, context) => {
-      const route = context?.route || 'unknown';
-      const ip = req.ip || req.socket?.remoteAddress || 'unknown';
-      return `api:${route}:${ip}`;
-    },
-    userAndRoute: (req, context) => {
-      const userId = req.user?.id || req.ip || 'unknown';
-      const route = context?.route || 'unknown';
-      return `user:${userId}:${route}`;
-    },
-  },
+  createEggMiddleware,
+  fastifyPlugin,
+  hapiPlugin,
+  Metrics,
+  exponentialBackoff,
+  IPList,
+  ConfigLoader,
+  createIPResolver,
+  normalizeIP,
+  // 预定义的键生成器与 compose()，context.ipKey 为限流器按 trustProxy 解析、按 ipv6Subnet 规范化的客户端 IP
+  keyGenerators,
 };
@@ -0,0 +1,317 @@
+/**
+ * IP 列表
+ * 匹配 IPv4/IPv6 地址与 CIDR 网段，用于 ipList 选项的允许列表和拒绝列表
+ *
+ * 支持的条目格式：
+ * - 单个地址：'192.168.1.10'、'::1'
+ * - CIDR 网段：'10.0.0.0/8'、'2001:db8::/32'
+ *
+ * IPv4 映射的 IPv6 地址（'::ffff:192.168.1.10'）按对应的 IPv4 地址匹配，
+ * 因此 IPv4 条目也能匹配双栈服务器上报的 req.ip
+ *
+ * 用法：
+ *   const admins = new IPList(['192.168.1.10', '10.0.0.0/8']);
+ *   admins.contains('::ffff:10.1.2.3'); // true
+ */
+
+const IPV4_BITS = 32;
+const IPV6_BITS = 128;
+
+// ::ffff:0:0/96，IPv4 映射地址的前缀
+const IPV4_MAPPED_PREFIX = BigInt(0xffff) << BigInt(32);
+
+/**
+ * 解析 IPv4 地址
+ * @param {string} address - 点分十进制地址
+ * @returns {bigint|null} 32 位数值，无效时返回 null
+ */
+function parseIPv4(address) {
+  const parts = address.split('.');
+
+  // 拒绝前导零，避免与八进制写法混淆
+  if (parts.length !== 4 || !parts.every((part) => /^(0|[1-9]\d{0,2})$/.test(part) && Number(part) <= 255)) {
+    return null;
+  }
+
+  return parts.reduce((value, part) => (value << BigInt(8)) + BigInt(part), BigInt(0));
+}
+
+/**
+ * 解析 IPv6 地址，支持 '::' 缩写和末尾内嵌的 IPv4 地址
+ * @param {string} address - IPv6 地址（不含区域标识）
+ * @returns {bigint|null} 128 位数值，无效时返回 null
+ */
+function parseIPv6(address) {
+  const halves = address.split('::');
+
+  if (halves.length > 2) {
+    return null;
+  }
+
+  const toGroups = (text) => {
+    if (text === '') {
+      return [];
+    }
+
+    const groups = text.split(':');
+    const last = groups[groups.length - 1];
+
+    // 末尾的 IPv4 地址占两组
+    if (last.includes('.')) {
+      const ipv4 = parseIPv4(last);
+      if (ipv4 === null) {
+        return null;
+      }
+
+      groups.splice(-1, 1, Number(ipv4 >> BigInt(16)).toString(16), Number(ipv4 & BigInt(0xffff)).toString(16));
+    }
+
+    return groups.every((group) => /^[0-9a-f]{1,4}$/i.test(group)) ? groups : null;
+  };
+
+  const head = toGroups(halves[0]);
+  const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+
+  if (head === null || tail === null) {
+    return null;
+  }
+
+  // 内嵌 IPv4 只能位于末尾
+  if (halves.length === 2 && halves[0].includes('.')) {
+    return null;
+  }
+
+  const missing = 8 - head.length - tail.length;
+
+  if (halves.length === 2 ? missing < 1 : missing !== 0) {
+    return null;
+  }
+
+  const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+
+  return groups.reduce((value, group) => (value << BigInt(16)) + BigInt(parseInt(group, 16)), BigInt(0));
+}
+
+/**
+ * 解析 IP 地址
+ * 去除方括号和区域标识（'fe80::1%eth0'），IPv4 映射的 IPv6 地址转换为 IPv4
+ * @param {string} ip - IP 地址
+ * @returns {Object|null} 包含 version（4 或 6）和 value（bigint）的地址，无效时返回 null
+ */
+function parseIP(ip) {
+  if (typeof ip !== 'string') {
+    return null;
+  }
+
+  let address = ip.trim();
+
+  if (address.startsWith('[') && address.endsWith(']')) {
+    address = address.slice(1, -1);
+  }
+
+  if (!address.includes(':')) {
+    const value = parseIPv4(address);
+    return value === null ? null : { version: 4, value };
+  }
+
+  const value = parseIPv6(address.split('%')[0]);
+
+  if (value === null) {
+    return null;
+  }
+
+  if (value >> BigInt(32) === BigInt(0xffff)) {
+    return { version: 4, value: value - IPV4_MAPPED_PREFIX };
+  }
+
+  return { version: 6, value };
+}
+
+/**
+ * 生成前缀长度对应的掩码
+ * @param {number} prefix - 前缀长度
+ * @param {number} bits - 地址位数（32 或 128）
+ * @returns {bigint} 掩码
+ */
+function createMask(prefix, bits) {
+  const all = (BigInt(1) << BigInt(bits)) - BigInt(1);
+  return all ^ ((BigInt(1) << BigInt(bits - prefix)) - BigInt(1));
+}
+
+/**
+ * 格式化地址：IPv4 为点分十进制，IPv6 为 RFC 5952 规范格式（小写、省略前导零、压缩最长的连续零组）
+ * @param {Object} address - parseIP 返回的地址
+ * @returns {string} 地址文本
+ */
+function formatIP(address) {
+  if (address.version === 4) {
+    return [24, 16, 8, 0].map((shift) => Number((address.value >> BigInt(shift)) & BigInt(0xff))).join('.');
+  }
+
+  const groups = [];
+  for (let shift = 112; shift >= 0; shift -= 16) {
+    groups.push(Number((address.value >> BigInt(shift)) & BigInt(0xffff)).toString(16));
+  }
+
+  // 找出最长的连续零组，长度至少为 2 时才压缩
+  let start = -1;
+  let length = 0;
+  for (let i = 0; i < groups.length; i += 1) {
+    let end = i;
+    while (end < groups.length && groups[end] === '0') {
+      end += 1;
+    }
+
+    if (end - i > length && end - i >= 2) {
+      start = i;
+      length = end - i;
+    }
+    i = Math.max(i, end);
+  }
+
+  if (start === -1) {
+    return groups.join(':');
+  }
+
+  return `${groups.slice(0, start).join(':')}::${groups.slice(start + length).join(':')}`;
+}
+
+/**
+ * 规范化 IP 地址，用作限流键
+ * IPv4 映射的 IPv6 地址转换为 IPv4，IPv6 地址转换为规范格式；
+ * 指定 ipv6Subnet 时 IPv6 地址截取为所在网段，同一网段内轮换地址的客户端共用一个键
+ * @param {string} ip - IP 地址
+ * @param {number|boolean} ipv6Subnet - IPv6 网段前缀长度（如 64），false 表示按完整地址
+ * @returns {string} 规范化的地址，如 '2001:db8:1:2::/64'；无效地址原样返回
+ */
+function normalizeIP(ip, ipv6Subnet = false) {
+  const address = parseIP(ip);
+
+  if (!address) {
+    return ip;
+  }
+
+  if (address.version === 4 || !ipv6Subnet) {
+    return formatIP(address);
+  }
+
+  const network = { version: 6, value: address.value & createMask(ipv6Subnet, IPV6_BITS) };
+  return `${formatIP(network)}/${ipv6Subnet}`;
+}
+
+/**
+ * 解析列表条目（地址或 CIDR 网段）
+ * @param {string} entry - 条目
+ * @returns {Object} 包含 version、network、mask 的网段
+ */
+function parseEntry(entry) {
+  const text = typeof entry === 'string' ? entry.trim() : '';
+  const [addressText, prefixText, ...rest] = text.split('/');
+  const address = parseIP(addressText);
+
+  if (!address || rest.length > 0 || (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText))) {
+    throw new Error(`无效的 IP 地址或 CIDR：${entry}`);
+  }
+
+  const bits = address.version === 4 ? IPV4_BITS : IPV6_BITS;
+  let prefix = prefixText === undefined ? bits : Number(prefixText);
+
+  // '::ffff:10.0.0.0/104' 的前缀以 IPv6 位数计
+  if (address.version === 4 && prefixText !== undefined && addressText.includes(':')) {
+    prefix -= IPV6_BITS - IPV4_BITS;
+  }
+
+  if (prefix < 0 || prefix > bits) {
+    throw new Error(`无效的 IP 地址或 CIDR：${entry}`);
+  }
+
+  const mask = createMask(prefix, bits);
+
+  return { version: address.version, network: address.value & mask, mask };
+}
+
+/**
+ * IPList 类 - IP 地址与 CIDR 网段的集合
+ * @class
+ */
+class IPList {
+  /**
+   * 创建 IPList 实例
+   * @param {Array<string>|string} entries - 地址或 CIDR 网段列表，字符串时按逗号分隔
+   */
+  constructor(entries = []) {
+    if (typeof entries === 'string') {
+      entries = entries.split(',').map((entry) => entry.trim()).filter(Boolean);
+    }
+
+    if (!Array.isArray(entries)) {
+      throw new Error('IP 列表必须是数组或逗号分隔的字符串');
+    }
+
+    this.entries = [];
+    this.networks = [];
+
+    for (const entry of entries) {
+      this.add(entry);
+    }
+  }
+
+  /**
+   * 从环境变量创建（逗号分隔）
+   * @param {string} name - 环境变量名
+   * @param {Object} env - 环境变量（默认 process.env）
+   * @returns {IPList} IP 列表，环境变量未设置时为空列表
+   */
+  static fromEnv(name, env = process.env) {
+    return new IPList(env[name] || '');
+  }
+
+  /**
+   * 添加地址或 CIDR 网段
+   * @param {string} entry - 条目
+   * @returns {IPList} 当前实例
+   */
+  add(entry) {
+    this.networks.push(parseEntry(entry));
+    this.entries.push(entry.trim());
+    return this;
+  }
+
+  /**
+   * 判断地址是否在列表中，无效地址返回 false
+   * @param {string} ip - IP 地址
+   * @returns {boolean}
+   */
+  contains(ip) {
+    const address = parseIP(ip);
+
+    if (!address) {
+      return false;
+    }
+
+    return this.networks.some((network) => network.version === address.version
+      && (address.value & network.mask) === network.network);
+  }
+
+  /**
+   * 条目数量
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * 序列化为条目数组
+   * @returns {Array<string>}
+   */
+  toJSON() {
+    return this.entries.slice();
+  }
+}
+
+module.exports = {
+  IPList,
+  parseIP,
+  normalizeIP,
+};
@@ -0,0 +1,384 @@
+/**
+ * 键生成器
+ * 预定义的键生成器，以及由部件组合键生成器的 compose()
+ *
+ * 部件是 (req, context) => 值 的函数（预定义的键生成器也可作为部件），或以下字符串简写：
+ * - 'ip'：客户端 IP（context.ipKey，按 trustProxy 解析、按 ipv6Subnet 规范化）
+ * - 'user'：用户 ID（req.user.id），未登录时使用 'ip:' 加客户端 IP；其他路径使用 user(path)
+ * - 'route'：路由（context.route）
+ * - 'method'：请求方法
+ *
+ * 部件工厂：
+ * - header(name)、query(name)、cookie(name)：请求头、查询参数、Cookie
+ * - hash(part)：对部件取哈希，避免令牌、邮箱等敏感信息出现在存储的键名中
+ *
+ * 用法：
+ *   const { compose, header, hash } = keyGenerators;
+ *   new RateLimiter({ keyGenerator: compose('user', 'route', header('x-tenant-id')) });
+ *   // '42:/api/orders:acme'
+ *
+ * 部件值中的 % 与分隔符按百分号编码转义，例如路由 '/users/:id' 记为 '/users/%3Aid'，
+ * 不同的部件值不会拼接出相同的键
+ */
+
+const crypto = require('crypto');
+const { normalizeIP } = require('./ip-list');
+
+// 部件没有值时的占位符
+const MISSING = '-';
+
+// 未登录用户的 IP 前缀，与用户 ID 区分
+const IP_PREFIX = 'ip:';
+
+/**
+ * 键生成器使用的客户端 IP，优先使用限流器按 ipv6Subnet 规范化的 context.ipKey
+ * @param {Object} req - 请求对象
+ * @param {Object} context - { route, ip, ipKey }
+ * @returns {string} IP 地址
+ */
+function clientIP(req, context) {
+  return context?.ipKey || normalizeIP(req.ip || req.socket?.remoteAddress) || 'unknown';
+}
+
+/**
+ * 验证部件的名称参数
+ * @param {string} part - 部件名称，用于错误信息
+ * @param {string} name - 名称
+ */
+function assertName(part, name) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error(`${part} 的名称必须是非空字符串`);
+  }
+}
+
+/**
+ * 将部件的值转换为字符串，数组以逗号连接，空值为占位符
+ * @param {any} value - 部件的值
+ * @returns {string}
+ */
+function stringify(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(',') : MISSING;
+  }
+
+  return value === undefined || value === null || value === '' ? MISSING : String(value);
+}
+
+/**
+ * 百分号编码字符串的每个字节
+ * @param {string} text - 原始字符串
+ * @returns {string} 如 ':' 编码为 '%3A'
+ */
+function percentEncode(text) {
+  return Array.from(Buffer.from(text), (byte) => `%${byte.toString(16).toUpperCase().padStart(2, '0')}`).join('');
+}
+
+/**
+ * 创建部件值的转义函数，将 % 与分隔符替换为百分号编码
+ * @param {string} separator - 分隔符
+ * @returns {Function} (text) => 转义后的字符串
+ */
+function createEscape(separator) {
+  const pattern = new RegExp(`%|${separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'g');
+  const encoded = percentEncode(separator);
+
+  return (text) => text.replace(pattern, (match) => (match === '%' ? '%25' : encoded));
+}
+
+/**
+ * 按点分路径读取嵌套属性
+ * @param {Object} object - 对象
+ * @param {Array<string>} path - 属性路径
+ * @returns {any} 属性值
+ */
+function getPath(object, path) {
+  return path.reduce((value, name) => (value === undefined || value === null ? undefined : value[name]), object);
+}
+
+/**
+ * 解析 Cookie 请求头
+ * @param {string} header - Cookie 请求头
+ * @param {string} name - Cookie 名称
+ * @returns {string|undefined} Cookie 值
+ */
+function parseCookie(header, name) {
+  for (const pair of header.split(';')) {
+    const index = pair.indexOf('=');
+
+    if (index !== -1 && pair.slice(0, index).trim() === name) {
+      const value = pair.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+
+      try {
+        return decodeURIComponent(value);
+      } catch (error) {
+        return value;
+      }
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * 客户端 IP 部件
+ * @returns {Function} 部件
+ */
+function ip() {
+  return (req, context) => clientIP(req, context);
+}
+
+/**
+ * 用户 ID 部件，未登录时使用 'ip:' 加客户端 IP，避免与同名的用户 ID 共用计数
+ * @param {string} path - 用户 ID 在请求对象上的路径（默认 'user.id'，Koa 可使用 'state.user.id'）
+ * @returns {Function} 部件
+ */
+function user(path = 'user.id') {
+  assertName('user', path);
+  const segments = path.split('.');
+
+  return (req, context) => {
+    const id = getPath(req, segments);
+    return id === undefined || id === null || id === '' ? `${IP_PREFIX}${clientIP(req, context)}` : id;
+  };
+}
+
+/**
+ * 请求头部件
+ * @param {string} name - 请求头名称（不区分大小写）
+ * @returns {Function} 部件
+ */
+function header(name) {
+  assertName('header', name);
+  const key = name.toLowerCase();
+
+  return (req) => req.headers?.[key];
+}
+
+/**
+ * 查询参数部件，兼容 Express、Koa、Fastify 与 Hapi 的 req.query，否则从 req.url 解析
+ * @param {string} name - 参数名称
+ * @returns {Function} 部件
+ */
+function query(name) {
+  assertName('query', name);
+
+  return (req) => {
+    if (req.query && typeof req.query === 'object') {
+      return req.query[name];
+    }
+
+    if (typeof req.url !== 'string') {
+      return undefined;
+    }
+
+    const values = new URL(req.url, 'http://localhost').searchParams.getAll(name);
+    return values.length > 1 ? values : values[0];
+  };
+}
+
+/**
+ * Cookie 部件，兼容 req.cookies（Express cookie-parser、Fastify）、ctx.cookies（Koa）与 request.state（Hapi），
+ * 否则从 Cookie 请求头解析
+ * @param {string} name - Cookie 名称
+ * @returns {Function} 部件
+ */
+function cookie(name) {
+  assertName('cookie', name);
+
+  return (req) => {
+    if (typeof req.cookies?.get === 'function') {
+      return req.cookies.get(name);
+    }
+
+    if (req.cookies && typeof req.cookies === 'object') {
+      return req.cookies[name];
+    }
+
+    if (req.state && typeof req.state === 'object' && req.state[name] !== undefined) {
+      return req.state[name];
+    }
+
+    const cookieHeader = req.headers?.cookie;
+    return typeof cookieHeader === 'string' ? parseCookie(cookieHeader, name) : undefined;
+  };
+}
+
+/**
+ * 路由部件（context.route）
+ * @returns {Function} 部件
+ */
+function route() {
+  return (req, context) => context?.route;
+}
+
+/**
+ * 请求方法部件
+ * @returns {Function} 部件
+ */
+function method() {
+  return (req) => (typeof req.method === 'string' ? req.method.toUpperCase() : undefined);
+}
+
+const SHORTHANDS = {
+  ip,
+  user,
+  route,
+  method,
+};
+
+/**
+ * 将字符串简写转换为部件
+ * @param {Function|string} part - 部件或简写
+ * @returns {Function} 部件
+ */
+function toPart(part) {
+  if (typeof part === 'function') {
+    return part;
+  }
+
+  if (typeof part === 'string' && Object.prototype.hasOwnProperty.call(SHORTHANDS, part)) {
+    return SHORTHANDS[part]();
+  }
+
+  throw new Error(`键的部件必须是函数或以下之一：${Object.keys(SHORTHANDS).join('、')}`);
+}
+
+/**
+ * 计算哈希
+ * @param {string} value - 原始值
+ * @param {Object} options - { algorithm, length, secret }
+ * @returns {string} 十六进制哈希，截取前 length 个字符
+ */
+function digest(value, { algorithm, length, secret }) {
+  const hmac = secret ? crypto.createHmac(algorithm, secret) : crypto.createHash(algorithm);
+  return hmac.update(value).digest('hex').slice(0, length);
+}
+
+/**
+ * 验证哈希选项
+ * @param {Object} options - 哈希选项
+ * @returns {Object} 包含默认值的选项
+ */
+function createHashOptions(options = {}) {
+  const { algorithm = 'sha256', length = 16, secret = null } = options;
+
+  if (!crypto.getHashes().includes(algorithm)) {
+    throw new Error(`不支持的哈希算法：${algorithm}`);
+  }
+
+  if (!Number.isInteger(length) || length < 8) {
+    throw new Error('length 必须是不小于 8 的整数');
+  }
+
+  if (secret !== null && (typeof secret !== 'string' || secret === '')) {
+    throw new Error('secret 必须是非空字符串');
+  }
+
+  return { algorithm, length, secret };
+}
+
+/**
+ * 对部件取哈希，空值仍为占位符
+ * 低熵的值（如邮箱、手机号）可以被枚举还原，建议配置 secret 使用 HMAC
+ * @param {Function|string} part - 部件或简写
+ * @param {Object} options - 哈希选项
+ * @param {string} options.algorithm - 哈希算法（默认 'sha256'）
+ * @param {number} options.length - 保留的十六进制字符数（默认 16）
+ * @param {string} options.secret - HMAC 密钥
+ * @returns {Function} 部件
+ */
+function hash(part, options) {
+  const source = toPart(part);
+  const hashOptions = createHashOptions(options);
+
+  const apply = (value) => {
+    const text = stringify(value);
+    return text === MISSING ? MISSING : digest(text, hashOptions);
+  };
+
+  return (req, context) => {
+    const value = source(req, context);
+    return value && typeof value.then === 'function' ? value.then(apply) : apply(value);
+  };
+}
+
+/**
+ * 由部件组合键生成器，各部件的值转义后以分隔符连接；部件可以是异步函数
+ * 最后一个参数为对象时作为选项
+ * @param {...(Function|string|Object)} args - 部件，以及可选的选项
+ * @param {string} args.prefix - 键前缀
+ * @param {string} args.separator - 分隔符（默认 ':'，不能包含 %）
+ * @param {number} args.maxPartLength - 部件超过此长度时取哈希（默认 64），false 表示不限制
+ * @returns {Function} 键生成器 (req, context)
+ */
+function compose(...args) {
+  const last = args[args.length - 1];
+  const options = last && typeof last === 'object' && !Array.isArray(last) ? args.pop() : {};
+  const { prefix = null, separator = ':', maxPartLength = 64 } = options;
+
+  if (args.length === 0) {
+    throw new Error('compose 至少需要一个部件');
+  }
+
+  if (prefix !== null && (typeof prefix !== 'string' || prefix === '')) {
+    throw new Error('prefix 必须是非空字符串');
+  }
+
+  if (typeof separator !== 'string' || separator === '') {
+    throw new Error('separator 必须是非空字符串');
+  }
+
+  if (separator.includes('%')) {
+    throw new Error('separator 不能包含 %');
+  }
+
+  if (maxPartLength !== false && (!Number.isInteger(maxPartLength) || maxPartLength < 16)) {
+    throw new Error('maxPartLength 必须是不小于 16 的整数或 false');
+  }
+
+  const parts = args.map(toPart);
+  const hashOptions = createHashOptions();
+  const escape = createEscape(separator);
+
+  const join = (values) => {
+    const segments = values.map((value) => {
+      const text = stringify(value);
+      return maxPartLength !== false && text.length > maxPartLength ? digest(text, hashOptions) : escape(text);
+    });
+
+    return (prefix === null ? segments : [prefix, ...segments]).join(separator);
+  };
+
+  return (req, context) => {
+    const values = parts.map((part) => part(req, context));
+
+    // 全部部件同步时同步返回
+    return values.some((value) => value && typeof value.then === 'function')
+      ? Promise.all(values).then(join)
+      : join(values);
+  };
+}
+
+module.exports = {
+  ip: (req, context) => clientIP(req, context),
+  userId: (req, context) => `user:${req.user?.id || clientIP(req, context)}`,
+  routeAndIp: (req, context) => {
+    const routePath = context?.route || 'unknown';
+    return `${routePath}:${clientIP(req, context)}`;
+  },
+  apiEndpoint: (req, context) => {
+    const routePath = context?.route || 'unknown';
+    return `api:${routePath}:${clientIP(req, context)}`;
+  },
+  userAndRoute: (req, context) => {
+    const userId = req.user?.id || clientIP(req, context);
+    const routePath = context?.route || 'unknown';
+    return `user:${userId}:${routePath}`;
+  },
+  compose,
+  user,
+  header,
+  query,
+  cookie,
+  hash,
+};
@@ -0,0 +1,60 @@
+/**
+ * 日志
+ * 约定与 pino / bunyan 一致：logger[level](fields, message)，fields 为结构化字段
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * 创建默认日志器，写入 console，忽略 debug
+ * @param {string} name - 日志前缀，如 'RateLimiter'
+ * @returns {Object} 日志器
+ */
+function createConsoleLogger(name) {
+  const write = (level) => (fields, message) => {
+    console[level](`[${name}] ${message}`, fields);
+  };
+
+  return {
+    debug: () => {},
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+  };
+}
+
+/**
+ * 规范化 logger 选项，未提供时使用默认日志器
+ * @param {Object} logger - 实现 debug、info、warn、error 的日志器
+ * @param {string} name - 默认日志器的前缀
+ * @returns {Object} 日志器
+ */
+function createLogger(logger, name) {
+  if (logger === undefined || logger === null) {
+    return createConsoleLogger(name);
+  }
+
+  if (typeof logger !== 'object' || LOG_LEVELS.some((level) => typeof logger[level] !== 'function')) {
+    throw new Error(`logger 必须实现 ${LOG_LEVELS.join('、')} 方法`);
+  }
+
+  return logger;
+}
+
+/**
+ * 错误的结构化字段，err 沿用 pino 的序列化约定
+ * @param {Error} error - 错误
+ * @returns {Object} 包含 err 和 code 的字段
+ */
+function errorFields(error) {
+  return {
+    err: error,
+    code: error && error.code !== undefined ? error.code : undefined,
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  errorFields,
+};
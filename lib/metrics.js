@@ -0,0 +1,223 @@
+/**
+ * 指标收集
+ * 记录限流决策与存储耗时，以 OpenMetrics 文本格式导出（Prometheus 可直接抓取）
+ *
+ * 用法：
+ *   const metrics = new Metrics();
+ *   const limiter = new RateLimiter({ name: 'api', metrics });
+ *   app.get('/metrics', metrics.handler());
+ */
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// 单位为秒，覆盖本地内存（亚毫秒）到跨机房 Redis（数百毫秒）
+const DEFAULT_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+/**
+ * 转义标签值中的反斜杠、双引号和换行
+ * @param {any} value - 标签值
+ * @returns {string} 转义后的值
+ */
+function escapeLabelValue(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * 格式化标签集
+ * @param {Object} labels - 标签名到值的映射
+ * @returns {string} 如 {limiter="api",route="/login"}，无标签时为空字符串
+ */
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+
+  if (names.length === 0) {
+    return '';
+  }
+
+  return `{${names.map((name) => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+}
+
+/**
+ * 获取（或创建）标签集对应的序列
+ * @param {Map} series - 标签集到序列的映射
+ * @param {Object} labels - 标签
+ * @param {Function} create - 创建初始序列值的函数
+ * @returns {Object} 序列
+ */
+function getSeries(series, labels, create) {
+  const id = formatLabels(labels);
+
+  if (!series.has(id)) {
+    series.set(id, { labels, ...create() });
+  }
+
+  return series.get(id);
+}
+
+/**
+ * Metrics 类 - 限流指标注册表
+ * @class
+ */
+class Metrics {
+  /**
+   * 创建 Metrics 实例
+   * @param {Object} options - 配置选项
+   * @param {string} options.prefix - 指标名前缀（默认 'rate_limit_'）
+   * @param {Array<number>} options.buckets - 存储耗时直方图的桶边界（秒，升序）
+   */
+  constructor(options = {}) {
+    const { prefix = 'rate_limit_', buckets = DEFAULT_BUCKETS } = options;
+
+    if (!Array.isArray(buckets) || buckets.some((bound, i) => typeof bound !== 'number' || (i > 0 && bound <= buckets[i - 1]))) {
+      throw new Error('buckets 必须是升序的数字数组');
+    }
+
+    this.prefix = prefix;
+    this.buckets = buckets.slice();
+    this.contentType = CONTENT_TYPE;
+    this.limiters = new Set();
+    this.decisions = new Map();
+    this.latencies = new Map();
+  }
+
+  /**
+   * 注册限流器，导出时采集其存储的键数量（RateLimiter 设置 metrics 选项时自动调用）
+   * @param {RateLimiter} limiter - 限流器
+   */
+  register(limiter) {
+    this.limiters.add(limiter);
+  }
+
+  /**
+   * 记录一次限流决策
+   * @param {Object} labels - 标签（limiter、route、algorithm）
+   * @param {boolean} allowed - 是否放行
+   */
+  recordDecision(labels, allowed) {
+    const series = getSeries(
+      this.decisions,
+      { ...labels, decision: allowed ? 'allowed' : 'blocked' },
+      () => ({ value: 0 }),
+    );
+
+    series.value += 1;
+  }
+
+  /**
+   * 记录一次存储操作耗时
+   * @param {Object} labels - 标签（limiter、store、algorithm、operation）
+   * @param {number} seconds - 耗时（秒）
+   */
+  observeStoreLatency(labels, seconds) {
+    const series = getSeries(this.latencies, labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0,
+    }));
+
+    // 各桶单独计数，导出时再累加
+    const index = this.buckets.findIndex((bound) => seconds <= bound);
+    if (index >= 0) {
+      series.counts[index] += 1;
+    }
+
+    series.sum += seconds;
+    series.count += 1;
+  }
+
+  /**
+   * 以 OpenMetrics 文本格式导出所有指标
+   * @returns {string} 指标文本
+   */
+  getMetrics() {
+    const requests = `${this.prefix}requests`;
+    const duration = `${this.prefix}store_duration_seconds`;
+    const keys = `${this.prefix}store_keys`;
+    const lines = [];
+
+    lines.push(`# TYPE ${requests} counter`);
+    lines.push(`# HELP ${requests} Rate limiter decisions.`);
+    for (const { labels, value } of this.decisions.values()) {
+      lines.push(`${requests}_total${formatLabels(labels)} ${value}`);
+    }
+
+    lines.push(`# TYPE ${duration} histogram`);
+    lines.push(`# UNIT ${duration} seconds`);
+    lines.push(`# HELP ${duration} Time spent in the store per algorithm operation.`);
+    for (const { labels, counts, sum, count } of this.latencies.values()) {
+      let cumulative = 0;
+
+      this.buckets.forEach((bound, i) => {
+        cumulative += counts[i];
+        lines.push(`${duration}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+      });
+
+      lines.push(`${duration}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${duration}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${duration}_count${formatLabels(labels)} ${count}`);
+    }
+
+    lines.push(`# TYPE ${keys} gauge`);
+    lines.push(`# HELP ${keys} Number of keys held by in-process stores.`);
+    for (const sample of this._collectStoreSizes()) {
+      lines.push(`${keys}${formatLabels(sample.labels)} ${sample.value}`);
+    }
+
+    lines.push('# EOF');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * 创建导出指标的 HTTP 处理器，兼容 Node.js http 与 Express
+   * @returns {Function} 处理器 (req, res)
+   */
+  handler() {
+    return (req, res) => {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', this.contentType);
+      res.end(this.getMetrics());
+    };
+  }
+
+  /**
+   * 清空已记录的计数器和直方图
+   */
+  reset() {
+    this.decisions.clear();
+    this.latencies.clear();
+  }
+
+  /**
+   * 采集实现了 size() 的存储（如 MemoryStore）的键数量
+   * 多个限流器共享同一存储时只采集一次
+   * @private
+   * @returns {Array<Object>} 包含 labels 和 value 的样本
+   */
+  _collectStoreSizes() {
+    const seen = new Set();
+    const samples = [];
+
+    for (const limiter of this.limiters) {
+      const stores = [['primary', limiter.store], ['fallback', limiter.fallbackStore]];
+
+      for (const [role, store] of stores) {
+        if (!store || typeof store.size !== 'function' || seen.has(store)) {
+          continue;
+        }
+
+        seen.add(store);
+        samples.push({
+          labels: { limiter: limiter.options.name, store: store.constructor.name, role },
+          value: store.size(),
+        });
+      }
+    }
+
+    return samples;
+  }
+}
+
+module.exports = Metrics;
@@ -1,26 +1,125 @@
+const { EventEmitter } = require('events');
+const { createLogger, errorFields } = require('./logger');
+const { HEADER_MODES, getRateLimitHeaders } = require('./headers');
+const { IPList, normalizeIP } = require('./ip-list');
+const { createIPResolver } = require('./client-ip');
+const { createRouteResolver, getRouteTemplate } = require('./route-resolver');
+
+// 路由级配置可覆盖、未声明时继承全局配置的限流参数
+const LIMIT_OPTIONS = ['windowMs', 'max', 'capacity', 'refillRate', 'leakRate'];
+
+const STORE_ERROR_POLICIES = ['open', 'closed'];
+
+// 可通过 reconfigure() 热更新的选项
+const RELOADABLE_OPTIONS = [...LIMIT_OPTIONS, 'perRoute', 'policies', 'ipList'];
+
+/**
+ * 获取存储名称，用于日志字段
+ * @param {Object} store - 存储实例
+ * @returns {string} 存储名称
+ */
+function getStoreName(store) {
+  return (store && store.constructor && store.constructor.name) || 'unknown';
+}
+
+/**
+ * 框架路由的注册标识，同一路径的不同方法分别注册
+ * @param {string} route - 路由模板
+ * @param {string} method - 请求方法，'*' 表示所有方法
+ * @returns {string} 如 'POST /login'
+ */
+function getFrameworkRouteId(route, method) {
+  return `${method ? String(method).toUpperCase() : '*'} ${route}`;
+}
+
+/**
+ * 将 ipList 中的列表转换为 IPList
+ * @param {Array<string>|string|IPList} list - 地址或 CIDR 网段列表
+ * @returns {IPList|null} IP 列表，未配置时为 null
+ */
+function toIPList(list) {
+  if (list === undefined || list === null) {
+    return null;
+  }
+
+  return list instanceof IPList ? list : new IPList(list);
+}
+
+/**
+ * IP 列表是否有条目（空列表视为未配置）
+ * @param {IPList|null} list - IP 列表
+ * @returns {boolean}
+ */
+function hasEntries(list) {
+  return Boolean(list) && list.size > 0;
+}
+
 /**
  * RateLimiter 类 - 速率限制的主入口
+ *
+ * 事件（负载为 { key, route, result, req }）：
+ * - 'allowed'：请求被放行
+ * - 'blocked'：请求被拒绝
+ * - 'error'：检查出错（负载为 { key, route, error, req }），仅在有监听器时触发
+ * - 'forbidden'：请求的 IP 被 ipList 拒绝访问（负载为 { key, route, ip, result, req }）
+ *
  * @class
+ * @extends EventEmitter
  */
-class RateLimiter {
+class RateLimiter extends EventEmitter {
   /**
    * 创建 RateLimiter 实例
    * @param {Object} options - 配置选项
    * @param {number} options.windowMs - 时间窗口（毫秒）
    * @param {number|Function} options.max - 每个窗口的最大请求数
-   * @param {string} options.algorithm - 算法：'sliding-window'、'fixed-window'、'token-bucket'、'leaky-bucket'
+   * @param {string} options.algorithm - 算法：'sliding-window'、'sliding-window-counter'、'fixed-window'、'token-bucket'、'leaky-bucket'
    * @param {Object|string} options.store - 存储后端实例或 'memory'
-   * @param {Function} options.keyGenerator - 从请求生成速率限制键的函数
+   * @param {Function} options.keyGenerator - 从请求生成速率限制键的函数 (req, { route, ip, ipKey })
    * @param {Function} options.skip - 确定是否跳过速率限制的函数
    * @param {Function} options.handler - 超过速率限制时的自定义处理器
-   * @param {boolean} options.headers - 是否在响应中包含速率限制头
+   * @param {boolean|string} options.headers - 响应头格式：'legacy'（true）、'draft-6'、'draft-8' 或 false
    * @param {boolean} options.skipSuccessfulRequests - 跳过计数成功请求
    * @param {boolean} options.skipFailedRequests - 跳过计数失败请求
+   * @param {Function} options.requestWasSuccessful - 判断请求是否成功的函数 (req, res)
+   * @param {number} options.capacity - 桶容量（token-bucket、leaky-bucket，默认等于 max）
+   * @param {number} options.refillRate - 每个 windowMs 补充的令牌数（token-bucket，默认等于 capacity）
+   * @param {number} options.leakRate - 每个 windowMs 漏出的请求数（leaky-bucket，默认等于 capacity）
+   * @param {Object} options.perRoute - 路由级配置，路由模式到 { windowMs, max, algorithm, ... } 的映射
+   * @param {Array<Object>} options.policies - 同时生效的多个策略 [{ name, windowMs, max, algorithm, ... }]，全部通过才放行
+   * @param {string|Function} options.onStoreError - 存储出错时的策略：'open'（放行，默认）、'closed'（拒绝）或返回其一的函数 (error, context)
+   * @param {Object|string} options.fallbackStore - 主存储出错时降级使用的存储实例或 'memory'
+   * @param {Object} options.logger - 实现 debug、info、warn、error 的日志器（兼容 pino），同时传递给内部创建的存储
+   * @param {string} options.name - 限流器名称，用作指标的 limiter 标签（默认 'default'）
+   * @param {Metrics} options.metrics - 记录决策与存储耗时的 Metrics 实例
+   * @param {number|Array<number>|Function} options.blockDuration - 连续被拒绝后的封禁时长（毫秒）；数组按封禁次数递增，函数为 (blocks) => 毫秒
+   * @param {number} options.blockAfter - 被拒绝多少次后封禁（默认 1，需配合 blockDuration）
+   * @param {number} options.blockDecay - 封禁结束后每安静多少毫秒，封禁次数减一（默认封禁结束一个窗口后清零）
+   * @param {Object} options.ipList - IP 访问控制 { allow, deny, exempt, routes }，列表为地址/CIDR 数组或 IPList，被拒绝的 IP 返回 403，exempt 中的 IP 不限流
+   * @param {boolean|number|Array<string>|string|IPList} options.trustProxy - 信任的反向代理：false（默认）、true、跳数或代理地址/CIDR 列表
+   * @param {string} options.ipHeader - 读取客户端 IP 的代理请求头：'x-forwarded-for'（默认）、'forwarded' 或 'x-real-ip'
+   * @param {boolean|Function} options.normalizeRoute - 没有框架路由模板时如何处理请求路径：false（默认）原样使用，true 将数字、UUID 等 ID 段折叠为 ':id'，或函数 (path, req) => 路由
+   * @param {number|boolean} options.ipv6Subnet - 按 IP 生成键时 IPv6 地址截取的网段前缀长度（如 64），false（默认）表示按完整地址
    */
   constructor(options = {}) {
+    super();
     this.options = this._validateOptions(options);
+    this.resolveIP = createIPResolver(this.options);
+    this.resolveRoute = createRouteResolver(this.options.normalizeRoute);
+    this.logger = createLogger(this.options.logger, 'RateLimiter');
     this.store = this._initializeStore(this.options.store);
+    this.fallbackStore = this.options.fallbackStore
+      ? this._initializeStore(this.options.fallbackStore)
+      : null;
     this.algorithm = this._initializeAlgorithm(this.options.algorithm);
+    this.routes = this._initializeRoutes(this.options.perRoute);
+    this.frameworkRoutes = new Map();
+    this.policies = this._initializePolicies(this.options.policies);
+    this.ipList = this._initializeIPList(this.options.ipList);
+    this.metrics = this.options.metrics;
+
+    if (this.metrics) {
+      this.metrics.register(this);
+    }
   }
 
   /**
@@ -35,37 +134,183 @@ class RateLimiter {
       max: 100,
       algorithm: 'sliding-window',
       store: 'memory',
-      keyGenerator: (req) => req.ip || req.socket?.remoteAddress || 'unknown',
+      keyGenerator: (req, context) => context?.ipKey || normalizeIP(req.ip || req.socket?.remoteAddress) || 'unknown',
       skip: () => false,
       handler: null,
       headers: true,
       skipSuccessfulRequests: false,
       skipFailedRequests: false,
+      requestWasSuccessful: (req, res) => (res.statusCode || res.status) < 400,
+      onStoreError: 'open',
+      fallbackStore: null,
+      logger: null,
+      name: 'default',
+      metrics: null,
+      blockDuration: null,
+      blockAfter: 1,
+      blockDecay: null,
+      ipList: null,
+      trustProxy: false,
+      ipHeader: 'x-forwarded-for',
+      ipv6Subnet: false,
+      normalizeRoute: false,
     };
 
     const config = { ...defaults, ...options };
 
+    this._validateLimitOptions(config);
+
+    // 验证 headers，true 等同于 'legacy'
+    if (config.headers === true) {
+      config.headers = 'legacy';
+    } else if (config.headers !== false && !HEADER_MODES.includes(config.headers)) {
+      throw new Error(`headers 必须是布尔值或以下之一：${HEADER_MODES.join('、')}`);
+    }
+
+    // 验证 perRoute
+    if (config.perRoute !== undefined) {
+      if (typeof config.perRoute !== 'object' || config.perRoute === null) {
+        throw new Error('perRoute 必须是对象');
+      }
+
+      for (const route of Object.keys(config.perRoute)) {
+        const routeConfig = config.perRoute[route];
+
+        if (typeof routeConfig !== 'object' || routeConfig === null) {
+          throw new Error(`perRoute['${route}'] 必须是对象`);
+        }
+
+        this._validateLimitOptions(routeConfig, `perRoute['${route}'].`, true);
+      }
+    }
+
+    // 验证 policies
+    if (config.policies !== undefined) {
+      if (!Array.isArray(config.policies) || config.policies.length === 0) {
+        throw new Error('policies 必须是非空数组');
+      }
+
+      const names = new Set();
+
+      config.policies.forEach((policy, index) => {
+        if (typeof policy !== 'object' || policy === null) {
+          throw new Error(`policies[${index}] 必须是对象`);
+        }
+
+        if (typeof policy.name !== 'string' || policy.name === '') {
+          throw new Error(`policies[${index}].name 必须是非空字符串`);
+        }
+
+        if (names.has(policy.name)) {
+          throw new Error(`policies 中的 name 不能重复：${policy.name}`);
+        }
+        names.add(policy.name);
+
+        this._validateLimitOptions(policy, `policies[${index}].`, true);
+      });
+    }
+
+    // 验证 requestWasSuccessful
+    if (typeof config.requestWasSuccessful !== 'function') {
+      throw new Error('requestWasSuccessful 必须是函数');
+    }
+
+    // 验证 onStoreError
+    if (typeof config.onStoreError !== 'function' && !STORE_ERROR_POLICIES.includes(config.onStoreError)) {
+      throw new Error(`onStoreError 必须是函数或以下之一：${STORE_ERROR_POLICIES.join('、')}`);
+    }
+
+    // 验证 name
+    if (typeof config.name !== 'string' || config.name === '') {
+      throw new Error('name 必须是非空字符串');
+    }
+
+    // 验证 metrics
+    if (config.metrics && ['register', 'recordDecision', 'observeStoreLatency'].some((method) => typeof config.metrics[method] !== 'function')) {
+      throw new Error('metrics 必须是 Metrics 实例');
+    }
+
+    // 验证 blockDuration 和 blockAfter
+    if (config.blockDuration !== null && config.blockDuration !== undefined) {
+      const isDuration = (value) => typeof value === 'number' && value > 0;
+      const valid = typeof config.blockDuration === 'function'
+        || isDuration(config.blockDuration)
+        || (Array.isArray(config.blockDuration) && config.blockDuration.length > 0 && config.blockDuration.every(isDuration));
+
+      if (!valid) {
+        throw new Error('blockDuration 必须是正数、正数数组或函数');
+      }
+    }
+
+    if (!Number.isInteger(config.blockAfter) || config.blockAfter < 1) {
+      throw new Error('blockAfter 必须是正整数');
+    }
+
+    if (config.blockDecay !== null && config.blockDecay !== undefined && (typeof config.blockDecay !== 'number' || !(config.blockDecay > 0))) {
+      throw new Error('blockDecay 必须是正数');
+    }
+
+    // 验证 ipList
+    if (config.ipList !== null && config.ipList !== undefined) {
+      if (typeof config.ipList !== 'object' || Array.isArray(config.ipList)) {
+        throw new Error('ipList 必须是对象');
+      }
+
+      if (config.ipList.routes !== undefined && (typeof config.ipList.routes !== 'object' || config.ipList.routes === null)) {
+        throw new Error('ipList.routes 必须是对象');
+      }
+    }
+
+    // 验证 ipv6Subnet
+    if (config.ipv6Subnet !== false && (!Number.isInteger(config.ipv6Subnet) || config.ipv6Subnet < 1 || config.ipv6Subnet > 128)) {
+      throw new Error('ipv6Subnet 必须是 1 到 128 之间的整数或 false');
+    }
+
+    return config;
+  }
+
+  /**
+   * 验证限流参数（windowMs、max、algorithm）
+   * @private
+   * @param {Object} config - 待验证的配置
+   * @param {string} label - 错误信息前缀，用于定位路由级配置
+   * @param {boolean} partial - 是否允许省略参数（路由级配置继承全局配置）
+   */
+  _validateLimitOptions(config, label = '', partial = false) {
+    const provided = (name) => !partial || config[name] !== undefined;
+
     // 验证 windowMs
-    if (typeof config.windowMs !== 'number' || config.windowMs <= 0) {
-      throw new Error('windowMs 必须是正数');
+    if (provided('windowMs') && (typeof config.windowMs !== 'number' || config.windowMs <= 0)) {
+      throw new Error(`${label}windowMs 必须是正数`);
     }
 
     // 验证 max
-    if (typeof config.max !== 'number' && typeof config.max !== 'function') {
-      throw new Error('max 必须是数字或函数');
+    if (provided('max')) {
+      if (typeof config.max !== 'number' && typeof config.max !== 'function') {
+        throw new Error(`${label}max 必须是数字或函数`);
+      }
+
+      if (typeof config.max === 'number' && config.max <= 0) {
+        throw new Error(`${label}max 必须是正数`);
+      }
     }
 
-    if (typeof config.max === 'number' && config.max <= 0) {
-      throw new Error('max 必须是正数');
+    // 验证桶算法参数
+    if (config.capacity !== undefined && (typeof config.capacity !== 'number' || !(config.capacity >= 1))) {
+      throw new Error(`${label}capacity 必须是不小于 1 的数字`);
     }
 
-    // 验证 algorithm
-    const validAlgorithms = ['sliding-window', 'fixed-window', 'token-bucket', 'leaky-bucket'];
-    if (!validAlgorithms.includes(config.algorithm)) {
-      throw new Error(`algorithm 必须是以下之一：${validAlgorithms.join('、')}`);
+    for (const name of ['refillRate', 'leakRate']) {
+      if (config[name] !== undefined && (typeof config[name] !== 'number' || !(config[name] > 0))) {
+        throw new Error(`${label}${name} 必须是正数`);
+      }
     }
 
-    return config;
+    // 验证 algorithm
+    const validAlgorithms = ['sliding-window', 'sliding-window-counter', 'fixed-window', 'token-bucket', 'leaky-bucket'];
+    if (provided('algorithm') && !validAlgorithms.includes(config.algorithm)) {
+      throw new Error(`${label}algorithm 必须是以下之一：${validAlgorithms.join('、')}`);
+    }
   }
 
   /**
@@ -78,7 +323,7 @@ class RateLimiter {
     // 默认使用内存存储
     if (!store || (typeof store === 'string' && store === 'memory')) {
       const MemoryStore = require('./stores/memory-store');
-      return new MemoryStore();
+      return new MemoryStore({ logger: this.logger });
     }
 
     // 支持 Redis 连接字符串
@@ -86,7 +331,7 @@ class RateLimiter {
       const Redis = require('ioredis');
       const RedisStore = require('./stores/redis-store');
       const client = new Redis(store);
-      return new RedisStore({ client });
+      return new RedisStore({ client, logger: this.logger });
     }
 
     if (typeof store === 'object' && store !== null) {
@@ -122,152 +367,1469 @@ class RateLimiter {
   }
 
   /**
-   * 检查请求是否被允许
-   * @param {string} key - 速率限制键
-   * @param {Object} options - 检查选项
-   * @returns {Promise<Object>} 包含 allowed、remaining、resetTime、retryAfter 的结果
+   * 初始化路由级配置，未声明的参数继承全局配置
+   * @private
+   * @param {Object} perRoute - 路由模式到配置的映射
+   * @param {Object} options - 被继承的全局配置（默认当前配置）
+   * @returns {Object} 路由匹配器
    */
-  async check(key, options = {}) {
-    if (!key || typeof key !== 'string') {
-      throw new Error('键必须是非空字符串');
+  _initializeRoutes(perRoute = {}, options = this.options) {
+    const { createRouteMatcher } = require('./route-matcher');
+    const routes = {};
+
+    for (const pattern of Object.keys(perRoute)) {
+      routes[pattern] = this._createLimitConfig(perRoute[pattern], options);
     }
 
-    try {
-      const max = typeof this.options.max === 'function'
-        ? await this.options.max(options.req)
-        : this.options.max;
+    return createRouteMatcher(routes);
+  }
 
-      const result = await this.algorithm.check(
-        this.store,
-        key,
-        {
-          windowMs: this.options.windowMs,
-          max,
-          ...options,
-        },
-      );
+  /**
+   * 初始化多策略配置，未声明的参数继承全局配置
+   * @private
+   * @param {Array<Object>} policies - 策略列表
+   * @param {Object} options - 被继承的全局配置（默认当前配置）
+   * @returns {Array<Object>|null} 策略配置，未配置时为 null
+   */
+  _initializePolicies(policies, options = this.options) {
+    if (!policies) {
+      return null;
+    }
 
-      return {
-        allowed: result.count <= max,
-        limit: max,
-        current: result.count,
-        remaining: Math.max(0, max - result.count),
-        resetTime: result.resetTime,
-        retryAfter: result.count > max ? result.resetTime - Date.now() : 0,
-      };
-    } catch (error) {
-      // 出错时，允许请求但记录错误
-      console.error('[RateLimiter] 检查速率限制时出错:', error);
-      return {
-        allowed: true,
-        limit: this.options.max,
-        current: 0,
-        remaining: this.options.max,
-        resetTime: Date.now() + this.options.windowMs,
-        retryAfter: 0,
-        error: error.message,
-      };
+    return policies.map((policy) => ({
+      name: policy.name,
+      ...this._createLimitConfig(policy, options),
+    }));
+  }
+
+  /**
+   * 初始化 IP 访问控制
+   * ipList.routes 中的值为数组、字符串或 IPList 时视为该路由的允许列表
+   * @private
+   * @param {Object} ipList - { allow, deny, exempt, routes }
+   * @returns {Object|null} 包含 allow、deny、exempt 和路由匹配器 routes，未配置时为 null
+   */
+  _initializeIPList(ipList) {
+    if (!ipList) {
+      return null;
+    }
+
+    const { createRouteMatcher } = require('./route-matcher');
+    const routes = {};
+
+    for (const pattern of Object.keys(ipList.routes || {})) {
+      const rule = ipList.routes[pattern];
+      const isList = Array.isArray(rule) || typeof rule === 'string' || rule instanceof IPList;
+
+      if (!isList && (typeof rule !== 'object' || rule === null)) {
+        throw new Error(`ipList.routes['${pattern}'] 必须是 IP 列表或 { allow, deny, exempt } 对象`);
+      }
+
+      routes[pattern] = isList
+        ? { allow: toIPList(rule), deny: null, exempt: null }
+        : { allow: toIPList(rule.allow), deny: toIPList(rule.deny), exempt: toIPList(rule.exempt) };
     }
+
+    return {
+      allow: toIPList(ipList.allow),
+      deny: toIPList(ipList.deny),
+      exempt: toIPList(ipList.exempt),
+      routes: createRouteMatcher(routes),
+    };
   }
 
   /**
-   * 重置特定键的速率限制
-   * @param {string} key - 速率限制键
-   * @returns {Promise<void>}
+   * 创建限流配置，未声明的参数继承全局配置
+   * @private
+   * @param {Object} source - 路由级或策略级配置
+   * @param {Object} options - 被继承的全局配置（默认当前配置）
+   * @returns {Object} 包含 algorithm、algorithmName 和限流参数的配置
    */
-  async reset(key) {
-    if (!key || typeof key !== 'string') {
-      throw new Error('键必须是非空字符串');
+  _createLimitConfig(source, options = this.options) {
+    const config = {
+      algorithm: source.algorithm
+        ? this._initializeAlgorithm(source.algorithm)
+        : this.algorithm,
+      algorithmName: source.algorithm || options.algorithm,
+    };
+
+    for (const name of LIMIT_OPTIONS) {
+      config[name] = source[name] !== undefined ? source[name] : options[name];
     }
 
-    await this.store.reset(key);
+    return config;
   }
 
   /**
-   * 重置所有速率限制（仅限内存存储）
-   * @returns {Promise<void>}
+   * 热更新限流参数（windowMs、max、capacity、refillRate、leakRate）、perRoute、policies 和 ipList
+   * 新配置全部验证通过后才一次性替换，验证失败时抛出错误并保持原配置；已有的计数不受影响
+   * @param {Object} changes - 要更新的选项，未声明的选项保持不变
+   * @returns {RateLimiter} 当前实例
    */
-  async resetAll() {
-    if (typeof this.store.resetAll === 'function') {
-      await this.store.resetAll();
-    } else {
-      throw new Error('存储不支持 resetAll 操作');
+  reconfigure(changes) {
+    this._commitReconfigure(this._prepareReconfigure(changes));
+    return this;
+  }
+
+  /**
+   * 验证并构建新配置，不修改当前实例
+   * @private
+   * @param {Object} changes - 要更新的选项
+   * @returns {Object} 包含 options、routes、policies、ipList 的新配置
+   */
+  _prepareReconfigure(changes) {
+    if (typeof changes !== 'object' || changes === null || Array.isArray(changes)) {
+      throw new Error('配置必须是对象');
+    }
+
+    const unsupported = Object.keys(changes).filter((name) => !RELOADABLE_OPTIONS.includes(name));
+    if (unsupported.length > 0) {
+      throw new Error(`不支持热更新的选项：${unsupported.join('、')}`);
     }
+
+    const options = this._validateOptions({ ...this.options, ...changes });
+
+    return {
+      options,
+      routes: this._initializeRoutes(options.perRoute, options),
+      policies: this._initializePolicies(options.policies, options),
+      ipList: this._initializeIPList(options.ipList),
+    };
   }
 
   /**
-   * 为 Web 框架创建中间件
-   * @param {Object} _options - 中间件选项
-   * @returns {Function} 中间件函数
+   * 替换为 _prepareReconfigure 构建的配置（同步完成，进行中的检查继续使用原配置）
+   * @private
+   * @param {Object} prepared - 新配置
    */
-  middleware(_options = {}) {
-    return async (req, res, next) => {
-      try {
-        // 检查是否应跳过速率限制
-        if (await this.options.skip(req)) {
-          return next ? next() : undefined;
-        }
+  _commitReconfigure(prepared) {
+    this.options = prepared.options;
+    this.routes = prepared.routes;
+    this.policies = prepared.policies;
+    this.ipList = prepared.ipList;
+  }
 
-        // 获取路由信息
-        const route = req.route?.path || req.path || req.url;
+  /**
+   * 解析本次检查使用的限流配置
+   * 路由匹配 perRoute 时使用路由级配置，并按路由模式隔离计数键；
+   * 否则配置了 policies 时每个策略一份配置，按策略名称隔离计数键
+   * @private
+   * @param {string} key - 速率限制键
+   * @param {Object} options - 检查选项
+   * @returns {Array<Object>} 配置列表，每项包含 key、pattern（匹配时）、name（策略）、algorithm、algorithmName 和限流参数
+   */
+  _resolveConfigs(key, options = {}) {
+    const rule = this._matchRoute(options.route, options.method || options.req?.method);
 
-        // 生成速率限制键（传递路由上下文）
-        const key = await this.options.keyGenerator(req, { route });
+    if (rule) {
+      return [this._createRouteConfig(rule, key)];
+    }
 
-        // 检查速率限制（传递路由信息）
-        const result = await this.check(key, { req, route });
+    if (this.policies) {
+      return this.policies.map((policy) => ({ key: `${policy.name}:${key}`, ...policy }));
+    }
 
-        // 如果启用，添加响应头
-        if (this.options.headers && res) {
-          this._setHeaders(res, result);
-        }
+    const config = { key, algorithm: this.algorithm, algorithmName: this.options.algorithm };
 
-        // 处理超过速率限制的情况
-        if (!result.allowed) {
-          if (this.options.handler) {
-            return this.options.handler(req, res, next);
-          }
+    for (const name of LIMIT_OPTIONS) {
+      config[name] = this.options[name];
+    }
 
-          // 默认处理器
-          if (res) {
-            res.status(429).json({
-              error: '请求过多',
-              message: '超过速率限制',
-              retryAfter: Math.ceil(result.retryAfter / 1000),
-            });
-          }
+    return [config];
+  }
 
-          return next ? next(new Error('超过速率限制')) : undefined;
-        }
+  /**
+   * 查找路由的限流规则：框架路由上声明的配置优先（先按请求方法，再按 '*'），其次为 perRoute
+   * 框架路由的配置在每次检查时继承当前全局配置，reconfigure() 后立即生效
+   * @private
+   * @param {string} route - 请求路由
+   * @param {string} method - 请求方法
+   * @returns {Object|null} 规则（pattern、config，框架路由另有计数键前缀 id），未匹配时为 null
+   */
+  _matchRoute(route, method) {
+    if (route && this.frameworkRoutes.size > 0) {
+      const ids = [getFrameworkRouteId(route, method), getFrameworkRouteId(route, '*')];
+      const id = ids.find((candidate) => this.frameworkRoutes.has(candidate));
 
-        // 继续下一个中间件
-        return next ? next() : undefined;
-      } catch (error) {
-        console.error('[RateLimiter] 中间件错误:', error);
-        // 出错时，允许请求
-        return next ? next() : undefined;
+      if (id) {
+        return this._createFrameworkRule(id);
       }
-    };
+    }
+
+    return this.routes.match(route);
   }
 
   /**
-   * 设置速率限制响应头
+   * 由已注册的框架路由构建规则
    * @private
-   * @param {Object} res - 响应对象
-   * @param {Object} result - 检查结果
+   * @param {string} id - getFrameworkRouteId 生成的注册标识
+   * @returns {Object} 规则（id、pattern、config）
    */
-  _setHeaders(res, result) {
-    if (!res || typeof res.setHeader !== 'function') {
+  _createFrameworkRule(id) {
+    const { route, config } = this.frameworkRoutes.get(id);
+    return { id, pattern: route, config: this._createLimitConfig(config) };
+  }
+
+  /**
+   * 所有路由规则，包括 perRoute 与已注册的框架路由
+   * @private
+   * @returns {Array<Object>} 规则列表（pattern、config）
+   */
+  _getRouteRules() {
+    const rules = [...this.frameworkRoutes.keys()].map((id) => this._createFrameworkRule(id));
+    return [...this.routes.rules(), ...rules];
+  }
+
+  /**
+   * 注册框架路由上声明的限流配置（如 Fastify config.rateLimit、Hapi plugins.rateLimit）
+   * 与 perRoute 相同，只覆盖限流参数并按方法与路由隔离计数键，由同一个限流器检查，
+   * 因此 reset()、事件、指标与 reconfigure() 对这些路由同样生效
+   * 同一路径的不同方法可以有各自的配置；method 为 '*' 时作用于该路由的所有方法
+   * @private
+   * @param {string} route - 框架的路由模板
+   * @param {Object} config - 路由级配置 { windowMs, max, algorithm, ... }
+   * @param {string} method - 请求方法（默认 '*'）
+   * @throws {Error} 配置无效时
+   */
+  _registerRoute(route, config, method = '*') {
+    const id = getFrameworkRouteId(route, method);
+
+    if (this.frameworkRoutes.get(id)?.config === config) {
       return;
     }
 
-    res.setHeader('X-RateLimit-Limit', result.limit.toString());
-    res.setHeader('X-RateLimit-Remaining', result.remaining.toString());
-    res.setHeader('X-RateLimit-Reset', Math.ceil(result.resetTime / 1000).toString());
+    const label = `路由 ${id} 的 rateLimit`;
+
+    if (typeof config !== 'object' || config === null) {
+      throw new Error(`${label} 必须是对象或布尔值`);
+    }
+
+    const unsupported = Object.keys(config).filter((name) => name !== 'algorithm' && !LIMIT_OPTIONS.includes(name));
+    if (unsupported.length > 0) {
+      throw new Error(`${label} 不支持的选项：${unsupported.join('、')}`);
+    }
+
+    this._validateLimitOptions(config, `${label}.`, true);
+    this.frameworkRoutes.set(id, { route, config });
+  }
+
+  /**
+   * 由匹配的路由规则构建配置，按路由模式隔离计数键
+   * @private
+   * @param {Object} rule - 路由规则（pattern、config）
+   * @param {string} key - 速率限制键
+   * @returns {Object} 配置
+   */
+  _createRouteConfig(rule, key) {
+    return {
+      key: `${rule.id || rule.pattern}:${key}`,
+      pattern: rule.pattern,
+      ...rule.config,
+    };
+  }
+
+  /**
+   * 构建传递给算法的选项
+   * 桶容量默认等于 max，补充/泄漏速率默认为每个 windowMs 一整桶
+   * @private
+   * @param {Object} config - _resolveConfigs 解析的配置
+   * @param {number} max - 解析后的最大请求数
+   * @param {Object} options - 调用方传入的选项
+   * @returns {Object} 算法选项
+   */
+  _getAlgorithmOptions(config, max, options) {
+    const capacity = config.capacity !== undefined ? config.capacity : max;
+
+    return {
+      windowMs: config.windowMs,
+      max,
+      capacity,
+      refillRate: config.refillRate !== undefined ? config.refillRate : capacity,
+      leakRate: config.leakRate !== undefined ? config.leakRate : capacity,
+      ...options,
+    };
+  }
+
+  /**
+   * 检查请求是否被允许，并触发 'allowed' 或 'blocked' 事件
+   * 本次消耗超出剩余配额时拒绝，且不消耗任何配额
+   * @param {string} key - 速率限制键
+   * @param {Object} options - 检查选项
+   * @param {number} options.cost - 本次请求消耗的配额（正整数，默认 1）
+   * @param {number} options.timestamp - 本次检查的时间戳（默认当前时间），回退时传入同一值以定位消耗的记录
+   * @returns {Promise<Object>} 包含 allowed、remaining、resetTime、retryAfter 的结果
+   */
+  async check(key, checkOptions = {}) {
+    // 各策略的消耗与回退使用同一个时间戳
+    const options = { timestamp: Date.now(), ...checkOptions };
+
+    this._validateKey(key);
+
+    if (options.cost !== undefined) {
+      this._validateCost(options.cost);
+    }
+
+    const configs = this._resolveConfigs(key, options);
+    const forbidden = this._getForbiddenResult(configs, options);
+
+    if (forbidden) {
+      this._emit('forbidden', {
+        key,
+        route: options.route,
+        ip: forbidden.ip,
+        result: forbidden.result,
+        req: options.req,
+      });
+      return forbidden.result;
+    }
+
+    let evaluation = await this._getBlockedEvaluation(key, configs, options);
+
+    if (!evaluation) {
+      evaluation = configs.length === 1
+        ? { result: await this._evaluate(key, configs[0], options), config: configs[0] }
+        : await this._evaluatePolicies(key, configs, options);
+
+      // 存储出错与消耗超过桶容量时的拒绝不计为违规
+      if (this.options.blockDuration && !evaluation.result.allowed && !evaluation.result.error
+        && !evaluation.result.unsatisfiable) {
+        evaluation.result = await this._recordViolation(key, configs, evaluation.result);
+      }
+    }
+
+    const { result, config } = evaluation;
+
+    if (this.metrics) {
+      // 只使用路由模式或框架的路由模板作为标签，原始路径会使标签数量无限增长
+      this.metrics.recordDecision({
+        limiter: this.options.name,
+        route: config.pattern || (options.req && getRouteTemplate(options.req)) || '',
+        algorithm: config.algorithmName,
+      }, result.allowed);
+    }
+
+    this._emit(result.allowed ? 'allowed' : 'blocked', {
+      key,
+      route: options.route,
+      result,
+      req: options.req,
+    });
+
+    return result;
+  }
+
+  /**
+   * 依次检查多个策略，返回最严格的结果
+   * 先查询所有策略，任一策略会拒绝时不消耗任何配额；查询之后被并发请求抢先耗尽时，
+   * 回退此前策略已消耗的配额，且不再检查后续策略
+   * @private
+   * @param {string} key - 速率限制键
+   * @param {Array<Object>} configs - 各策略的配置
+   * @param {Object} options - 检查选项
+   * @returns {Promise<Object>} 包含合并后的 result 与决定结果的策略 config
+   */
+  async _evaluatePolicies(key, configs, options) {
+    const rejected = await this._peekPolicies(configs, options);
 
-    if (!result.allowed) {
-      res.setHeader('Retry-After', Math.ceil(result.retryAfter / 1000).toString());
+    if (rejected) {
+      return rejected;
     }
+
+    const checked = [];
+
+    for (const config of configs) {
+      const result = await this._evaluate(key, config, options);
+      checked.push({ config, result });
+
+      if (!result.allowed) {
+        break;
+      }
+    }
+
+    const decisive = this._getDecisivePolicy(checked);
+
+    if (!decisive.result.allowed) {
+      const consumed = checked.slice(0, -1);
+      const cost = options.cost !== undefined ? options.cost : 1;
+
+      await Promise.all(consumed.map(async (item) => {
+        try {
+          await this._refundConfig(item.config, options);
+          item.result = {
+            ...item.result,
+            current: Math.max(0, item.result.current - cost),
+            remaining: Math.min(item.result.limit, item.result.remaining + cost),
+          };
+        } catch (error) {
+          this.logger.error({ ...this._getLogFields(item.config, options), ...errorFields(error) }, '回退配额时出错');
+        }
+      }));
+    }
+
+    return {
+      config: decisive.config,
+      result: this._mergePolicyResults(decisive, checked),
+    };
+  }
+
+  /**
+   * 查询各策略，第一个会拒绝的策略及其之前的策略作为已检查的结果
+   * @private
+   * @param {Array<Object>} configs - 各策略的配置
+   * @param {Object} options - 检查选项
+   * @returns {Promise<Object|null>} 有策略会拒绝时为合并后的 result 与该策略 config，否则为 null
+   */
+  async _peekPolicies(configs, options) {
+    let peeked;
+
+    try {
+      peeked = await this._peekConfigs(configs, options);
+    } catch (error) {
+      // 出错时由逐个检查记录错误并按 onStoreError 处理
+      return null;
+    }
+
+    const index = peeked.findIndex((item) => !item.result.allowed);
+
+    if (index === -1) {
+      return null;
+    }
+
+    return {
+      config: peeked[index].config,
+      result: this._mergePolicyResults(peeked[index], peeked.slice(0, index + 1)),
+    };
+  }
+
+  /**
+   * 查询各配置的配额状态，不消耗配额
+   * @private
+   * @param {Array<Object>} configs - _resolveConfigs 解析的配置
+   * @param {Object} options - 查询选项
+   * @returns {Promise<Array<Object>>} 各配置的 { config, result }
+   */
+  _peekConfigs(configs, options) {
+    return Promise.all(configs.map(async (config) => {
+      const max = await this._resolveMax(options.req, config.max);
+      const result = await this._runAlgorithm('peek', config, this._getAlgorithmOptions(config, max, options));
+
+      return { config, result: this._createResult(config, max, result) };
+    }));
+  }
+
+  /**
+   * 决定结果的策略：第一个拒绝的策略，全部放行时为剩余配额最少的策略
+   * @private
+   * @param {Array<Object>} checked - 已检查的 { config, result }
+   * @returns {Object} 决定结果的 { config, result }
+   */
+  _getDecisivePolicy(checked) {
+    const rejected = checked.find((item) => !item.result.allowed);
+
+    if (rejected) {
+      return rejected;
+    }
+
+    return checked.reduce((current, item) => (item.result.remaining < current.result.remaining ? item : current));
+  }
+
+  /**
+   * 合并多策略结果，附带各策略的状态
+   * @private
+   * @param {Object} decisive - 决定结果的 { config, result }
+   * @param {Array<Object>} checked - 已检查的 { config, result }
+   * @returns {Object} 检查结果
+   */
+  _mergePolicyResults(decisive, checked) {
+    return {
+      ...decisive.result,
+      policies: checked.map(({ config, result }) => ({
+        name: config.name,
+        allowed: result.allowed,
+        limit: result.limit,
+        current: result.current,
+        remaining: result.remaining,
+        resetTime: result.resetTime,
+        windowMs: config.windowMs,
+      })),
+    };
+  }
+
+  /**
+   * 查询键的当前配额状态，不消耗配额，也不触发事件和决策指标
+   * allowed 表示消耗 options.cost（默认 1）的请求此刻是否会被放行
+   * @param {string} key - 速率限制键
+   * @param {Object} options - 查询选项（req、route、cost），与 check() 相同
+   * @returns {Promise<Object>} 与 check() 结构相同的结果
+   */
+  async peek(key, options = {}) {
+    this._validateKey(key);
+
+    if (options.cost !== undefined) {
+      this._validateCost(options.cost);
+    }
+
+    const configs = this._resolveConfigs(key, options);
+    const forbidden = this._getForbiddenResult(configs, options);
+
+    if (forbidden) {
+      return forbidden.result;
+    }
+
+    const blocked = await this._getBlockedEvaluation(key, configs, options);
+
+    if (blocked) {
+      return blocked.result;
+    }
+
+    const checked = await this._peekConfigs(configs, options);
+
+    if (checked.length === 1) {
+      return checked[0].result;
+    }
+
+    return this._mergePolicyResults(this._getDecisivePolicy(checked), checked);
+  }
+
+  /**
+   * 按 trustProxy 与 ipHeader 解析客户端 IP，兼容 Express、Koa、Fastify 与 Hapi 的请求对象
+   * 中间件将结果作为 context.ip 传给 keyGenerator，并用于 ipList 检查
+   * @param {Object} req - 请求对象
+   * @returns {string|undefined} IP 地址
+   */
+  getClientIP(req) {
+    return this.resolveIP(req);
+  }
+
+  /**
+   * 请求的路由：优先使用框架匹配到的路由模板，否则为去除查询字符串的路径（按 normalizeRoute 处理）
+   * @private
+   * @param {Object} req - 请求对象
+   * @returns {string|undefined} 路由
+   */
+  _getRoute(req) {
+    return this.resolveRoute(req);
+  }
+
+  /**
+   * keyGenerator 的上下文
+   * ip 为客户端 IP，ipKey 为按 ipv6Subnet 规范化的 IP，供按 IP 生成键使用
+   * @private
+   * @param {Object} req - 请求对象
+   * @param {string} route - 请求路由
+   * @returns {Object} { route, ip, ipKey }
+   */
+  _getKeyContext(req, route) {
+    const ip = this.getClientIP(req);
+    return { route, ip, ipKey: normalizeIP(ip, this.options.ipv6Subnet) };
+  }
+
+  /**
+   * 判断 IP 是否被 ipList 拒绝访问
+   * 拒绝列表优先；配置了允许列表时只放行列表中的地址，路由的允许列表与全局允许列表合并生效
+   * @private
+   * @param {string} ip - IP 地址
+   * @param {string} route - 请求路由
+   * @returns {boolean}
+   */
+  _isForbidden(ip, route) {
+    const { allow, deny, routes } = this.ipList;
+    const rule = routes.match(route);
+    const routeLists = rule ? rule.config : {};
+
+    if ([deny, routeLists.deny].some((list) => hasEntries(list) && list.contains(ip))) {
+      return true;
+    }
+
+    const allowLists = [allow, routeLists.allow].filter(hasEntries);
+    return allowLists.length > 0 && !allowLists.some((list) => list.contains(ip));
+  }
+
+  /**
+   * 判断 IP 是否在 ipList.exempt 中（全局或匹配路由的豁免列表）
+   * @private
+   * @param {string} ip - IP 地址
+   * @param {string} route - 请求路由
+   * @returns {boolean}
+   */
+  _isExempt(ip, route) {
+    const { exempt, routes } = this.ipList;
+    const rule = routes.match(route);
+    const routeLists = rule ? rule.config : {};
+
+    return [exempt, routeLists.exempt].some((list) => hasEntries(list) && list.contains(ip));
+  }
+
+  /**
+   * 中间件是否跳过限流：IP 在 ipList.exempt 中或 skip 返回 true
+   * 被 ipList 拒绝的 IP 不会被跳过，由 check() 返回 403
+   * @private
+   * @param {Object} req - 请求对象
+   * @param {Object} context - _getKeyContext 返回的上下文
+   * @returns {Promise<boolean>}
+   */
+  async _shouldSkip(req, context) {
+    if (this.ipList) {
+      if (this._isForbidden(context.ip, context.route)) {
+        return false;
+      }
+
+      if (this._isExempt(context.ip, context.route)) {
+        return true;
+      }
+    }
+
+    return Boolean(await this.options.skip(req));
+  }
+
+  /**
+   * IP 被 ipList 拒绝时返回拒绝结果，不消耗配额
+   * IP 取自 options.ip，未传入时从 options.req 中读取；两者都没有时不做检查
+   * @private
+   * @param {Array<Object>} configs - _resolveConfigs 解析的配置
+   * @param {Object} options - 检查选项
+   * @returns {Object|null} 包含 ip 与 result，未被拒绝时为 null
+   */
+  _getForbiddenResult(configs, options) {
+    if (!this.ipList || (options.ip === undefined && !options.req)) {
+      return null;
+    }
+
+    const ip = options.ip !== undefined ? options.ip : this.getClientIP(options.req);
+
+    if (!this._isForbidden(ip, options.route)) {
+      return null;
+    }
+
+    const [config] = configs;
+
+    return {
+      ip,
+      result: {
+        allowed: false,
+        limit: this._getStaticMax(config),
+        current: 0,
+        remaining: 0,
+        resetTime: Date.now(),
+        retryAfter: 0,
+        policy: this._getPolicyName(config),
+        windowMs: config.windowMs,
+        forbidden: true,
+      },
+    };
+  }
+
+  /**
+   * 封禁状态的存储键，匹配 perRoute 时按路由模式隔离
+   * @private
+   * @param {string} key - 速率限制键
+   * @param {Array<Object>} configs - _resolveConfigs 解析的配置
+   * @returns {string} 封禁状态的存储键
+   */
+  _getBlockKey(key, configs) {
+    const [config] = configs;
+    return `block:${config.pattern ? config.key : key}`;
+  }
+
+  /**
+   * 第 blocks 次封禁的时长，函数返回的时长不是正数时抛出错误
+   * @private
+   * @param {number} blocks - 封禁次数（从 1 开始）
+   * @returns {Promise<number>} 封禁时长（毫秒）
+   */
+  async _getBlockDuration(blocks) {
+    const { blockDuration } = this.options;
+
+    if (typeof blockDuration === 'function') {
+      const duration = await blockDuration(blocks);
+
+      if (typeof duration !== 'number' || !Number.isFinite(duration) || duration <= 0) {
+        throw new Error('blockDuration 函数必须返回正数');
+      }
+
+      return duration;
+    }
+
+    if (Array.isArray(blockDuration)) {
+      return blockDuration[Math.min(blocks, blockDuration.length) - 1];
+    }
+
+    return blockDuration;
+  }
+
+  /**
+   * 按 blockDecay 衰减后的封禁次数
+   * @private
+   * @param {Object} state - 封禁状态 { blocks, blockedUntil }
+   * @param {number} now - 当前时间戳
+   * @returns {number} 封禁次数
+   */
+  _getBlockLevel(state, now) {
+    const blocks = state.blocks || 0;
+    const { blockDecay } = this.options;
+
+    if (!blockDecay || !(state.blockedUntil < now)) {
+      return blocks;
+    }
+
+    return Math.max(0, blocks - Math.floor((now - state.blockedUntil) / blockDecay));
+  }
+
+  /**
+   * 封禁状态在封禁结束后需要保留的时长：配置 blockDecay 时保留到衰减为零，否则保留一个窗口
+   * @private
+   * @param {number} blocks - 封禁次数
+   * @param {number} windowMs - 时间窗口
+   * @returns {number} 保留时长（毫秒）
+   */
+  _getBlockRetention(blocks, windowMs) {
+    return this.options.blockDecay ? Math.max(windowMs, blocks * this.options.blockDecay) : windowMs;
+  }
+
+  /**
+   * 键处于封禁期时返回拒绝结果，不再执行算法
+   * 读取封禁状态出错时视为未封禁，由算法检查按 onStoreError 处理
+   * @private
+   * @param {string} key - 速率限制键
+   * @param {Array<Object>} configs - _resolveConfigs 解析的配置
+   * @param {Object} options - 检查选项
+   * @returns {Promise<Object|null>} 包含 result 与 config，未封禁时为 null
+   */
+  async _getBlockedEvaluation(key, configs, options) {
+    if (!this.options.blockDuration) {
+      return null;
+    }
+
+    const [config] = configs;
+    const now = Date.now();
+    let state;
+
+    try {
+      state = await this.store.get(this._getBlockKey(key, configs));
+    } catch (error) {
+      this.logger.error({ ...this._getLogFields(config, options), ...errorFields(error) }, '读取封禁状态时出错');
+      return null;
+    }
+
+    if (!state || !(state.blockedUntil > now)) {
+      return null;
+    }
+
+    let max;
+    try {
+      max = await this._resolveMax(options.req, config.max);
+    } catch (error) {
+      // max 函数出错时不影响封禁，使用静态配置作为限制
+      max = this._getStaticMax(config);
+    }
+
+    const limit = config.capacity !== undefined && config.algorithmName.endsWith('-bucket') ? config.capacity : max;
+
+    return {
+      config,
+      result: {
+        allowed: false,
+        limit,
+        current: limit,
+        remaining: 0,
+        resetTime: state.blockedUntil,
+        retryAfter: state.blockedUntil - now,
+        policy: this._getPolicyName(config),
+        windowMs: config.windowMs,
+        blocked: true,
+      },
+    };
+  }
+
+  /**
+   * 记录一次被拒绝，一个窗口内累计 blockAfter 次时封禁键
+   * 封禁次数在封禁结束后保留一个窗口（或按 blockDecay 逐步衰减），期间再次封禁时按 blockDuration 递增
+   * @private
+   * @param {string} key - 速率限制键
+   * @param {Array<Object>} configs - _resolveConfigs 解析的配置
+   * @param {Object} result - 被拒绝的检查结果
+   * @returns {Promise<Object>} 检查结果，封禁时 retryAfter 与 resetTime 反映封禁时长
+   */
+  async _recordViolation(key, configs, result) {
+    const blockKey = this._getBlockKey(key, configs);
+    const windowMs = result.windowMs || this.options.windowMs;
+    const now = Date.now();
+
+    try {
+      // 违规次数使用存储的原子递增，并发的拒绝不会互相覆盖；每累计 blockAfter 次封禁一次
+      const { count: violations } = await this.store.increment(`violations:${blockKey}`, { windowMs });
+
+      if (violations % this.options.blockAfter !== 0) {
+        return result;
+      }
+
+      const state = (await this.store.get(blockKey)) || {};
+      const blocks = this._getBlockLevel(state, now) + 1;
+      const duration = await this._getBlockDuration(blocks);
+      const blockedUntil = now + duration;
+
+      await this.store.set(
+        blockKey,
+        { blocks, blockedUntil },
+        duration + this._getBlockRetention(blocks, windowMs),
+      );
+      this.logger.warn({ key, blocks, blockDuration: duration }, '键已被封禁');
+
+      return {
+        ...result,
+        remaining: 0,
+        resetTime: blockedUntil,
+        retryAfter: duration,
+        blocked: true,
+      };
+    } catch (error) {
+      this.logger.error({ key, ...errorFields(error) }, '记录封禁状态时出错');
+      return result;
+    }
+  }
+
+  /**
+   * 执行算法并计算检查结果，出错时按 onStoreError 策略返回
+   * @private
+   * @param {string} key - 速率限制键
+   * @param {Object} config - _resolveConfigs 解析的配置
+   * @param {Object} options - 检查选项
+   * @returns {Promise<Object>} 检查结果
+   */
+  async _evaluate(key, config, options) {
+    let max;
+
+    try {
+      max = await this._resolveMax(options.req, config.max);
+
+      const result = await this._runAlgorithm(
+        'check',
+        config,
+        this._getAlgorithmOptions(config, max, options),
+      );
+
+      return this._createResult(config, max, result);
+    } catch (error) {
+      this.logger.error({ ...this._getLogFields(config, options), ...errorFields(error) }, '检查速率限制时出错');
+
+      // 未监听 'error' 时 EventEmitter 会抛出错误，因此仅在有监听器时触发
+      if (this.listenerCount('error') > 0) {
+        this._emit('error', { key, route: options.route, error, req: options.req });
+      }
+
+      const limit = typeof max === 'number' ? max : this._getStaticMax(config);
+      const allowed = await this._shouldFailOpen(error, { key, req: options.req, route: options.route });
+
+      return {
+        allowed,
+        limit,
+        current: 0,
+        remaining: allowed ? limit : 0,
+        resetTime: Date.now() + config.windowMs,
+        retryAfter: allowed ? 0 : config.windowMs,
+        policy: this._getPolicyName(config),
+        windowMs: config.windowMs,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * 消耗 cost 份配额，剩余配额不足时拒绝且不消耗
+   * 等同于 check(key, { ...options, cost })，同样触发事件并记录决策指标
+   * @param {string} key - 速率限制键
+   * @param {number} cost - 消耗的配额（正整数，默认 1）
+   * @param {Object} options - 检查选项（req、route）
+   * @returns {Promise<Object>} 检查结果
+   */
+  consume(key, cost = 1, options = {}) {
+    return this.check(key, { ...options, cost });
+  }
+
+  /**
+   * 归还 cost 份已消耗的配额（如下游调用被取消），不会超过初始配额
+   * 窗口算法默认归还最近的记录；options.timestamp 与消耗时传给 check() 的时间戳相同时，
+   * 归还该次消耗记录的请求或所在窗口的计数
+   * @param {string} key - 速率限制键
+   * @param {number} cost - 归还的配额（正整数，默认 1）
+   * @param {Object} options - 选项（req、route、timestamp），与消耗时一致
+   * @returns {Promise<Object>} 归还后的配额状态（同 peek()）
+   */
+  async refund(key, cost = 1, options = {}) {
+    this._validateKey(key);
+    this._validateCost(cost);
+
+    await this._refund(key, { ...options, cost });
+    return this.peek(key, options);
+  }
+
+  /**
+   * 强制扣除 cost 份配额，不检查限制（如惩罚可疑行为）
+   * 扣除后用量可以超过限制，在配额恢复之前的请求都会被拒绝；不触发事件和决策指标
+   * @param {string} key - 速率限制键
+   * @param {number} cost - 扣除的配额（正整数，默认 1）
+   * @param {Object} options - 选项（req、route）
+   * @returns {Promise<Object>} 扣除后的配额状态（同 peek()）
+   */
+  async penalize(key, cost = 1, options = {}) {
+    this._validateKey(key);
+    this._validateCost(cost);
+
+    const penaltyOptions = { ...options, cost };
+    const configs = this._resolveConfigs(key, options);
+
+    await Promise.all(configs.map(async (config) => {
+      const max = await this._resolveMax(options.req, config.max);
+      await this._runAlgorithm('penalize', config, this._getAlgorithmOptions(config, max, penaltyOptions));
+    }));
+
+    return this.peek(key, options);
+  }
+
+  /**
+   * 由算法结果构建检查结果
+   * @private
+   * @param {Object} config - _resolveConfigs 解析的配置
+   * @param {number} max - 解析后的最大请求数
+   * @param {Object} result - 算法返回的 { allowed, count, resetTime, limit }
+   * @returns {Object} 检查结果
+   */
+  _createResult(config, max, result) {
+    // 桶算法以桶容量作为限制
+    const limit = result.limit !== undefined ? result.limit : max;
+    const allowed = result.allowed !== undefined ? result.allowed : result.count <= limit;
+
+    const checked = {
+      allowed,
+      limit,
+      current: result.count,
+      remaining: Math.max(0, limit - result.count),
+      resetTime: result.resetTime,
+      retryAfter: allowed || result.unsatisfiable ? 0 : Math.max(0, result.resetTime - Date.now()),
+      policy: this._getPolicyName(config),
+      windowMs: config.windowMs,
+    };
+
+    // 本次消耗超过桶容量，重试也无法放行
+    if (result.unsatisfiable) {
+      checked.unsatisfiable = true;
+    }
+
+    return checked;
+  }
+
+  /**
+   * 配额策略名称：policies 中的策略名称，匹配 perRoute 时为路由模式，否则为限流器名称
+   * @private
+   * @param {Object} config - _resolveConfigs 解析的配置
+   * @returns {string} 策略名称
+   */
+  _getPolicyName(config) {
+    return config.name || config.pattern || this.options.name;
+  }
+
+  /**
+   * 触发事件，监听器抛出的错误只记录日志，不影响限流结果
+   * @private
+   * @param {string} event - 事件名称
+   * @param {Object} payload - 事件负载
+   */
+  _emit(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (error) {
+      this.logger.error({ event, key: payload.key, route: payload.route, ...errorFields(error) }, '事件监听器出错');
+    }
+  }
+
+  /**
+   * 在存储上执行算法操作，主存储出错且配置了 fallbackStore 时降级到备用存储
+   * @private
+   * @param {string} operation - 算法操作：'check'、'peek'、'penalize' 或 'refund'
+   * @param {Object} config - _resolveConfigs 解析的配置
+   * @param {Object} algorithmOptions - 算法选项
+   * @returns {Promise<any>} 算法结果
+   */
+  async _runAlgorithm(operation, config, algorithmOptions) {
+    try {
+      return await this._callAlgorithm(this.store, operation, config, algorithmOptions);
+    } catch (error) {
+      if (!this.fallbackStore) {
+        throw error;
+      }
+
+      this.logger.warn({
+        ...this._getLogFields(config),
+        fallbackStore: getStoreName(this.fallbackStore),
+        ...errorFields(error),
+      }, '存储出错，降级到 fallbackStore');
+      return this._callAlgorithm(this.fallbackStore, operation, config, algorithmOptions);
+    }
+  }
+
+  /**
+   * 在指定存储上调用算法，配置了 metrics 时记录耗时
+   * @private
+   * @param {Object} store - 存储实例
+   * @param {string} operation - 算法操作：'check'、'peek'、'penalize' 或 'refund'
+   * @param {Object} config - _resolveConfigs 解析的配置
+   * @param {Object} algorithmOptions - 算法选项
+   * @returns {Promise<any>} 算法结果
+   */
+  async _callAlgorithm(store, operation, config, algorithmOptions) {
+    if (!this.metrics) {
+      return config.algorithm[operation](store, config.key, algorithmOptions);
+    }
+
+    const start = process.hrtime.bigint();
+
+    try {
+      return await config.algorithm[operation](store, config.key, algorithmOptions);
+    } finally {
+      this.metrics.observeStoreLatency({
+        limiter: this.options.name,
+        store: getStoreName(store),
+        algorithm: config.algorithmName,
+        operation,
+      }, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  }
+
+  /**
+   * 按 onStoreError 策略决定出错时是否放行
+   * 回调出错或返回无效值时按 'open' 处理
+   * @private
+   * @param {Error} error - 检查时的错误
+   * @param {Object} context - 错误上下文（key、req、route）
+   * @returns {Promise<boolean>} 是否放行
+   */
+  async _shouldFailOpen(error, context) {
+    const { onStoreError } = this.options;
+
+    if (typeof onStoreError !== 'function') {
+      return onStoreError !== 'closed';
+    }
+
+    try {
+      return (await onStoreError(error, context)) !== 'closed';
+    } catch (callbackError) {
+      this.logger.error({ key: context.key, route: context.route, ...errorFields(callbackError) }, 'onStoreError 回调出错');
+      return true;
+    }
+  }
+
+  /**
+   * 无法解析 max 时使用的限制值（max 为函数时退回默认值）
+   * @private
+   * @param {Object} config - _resolveConfigs 解析的配置
+   * @returns {number} 最大请求数
+   */
+  _getStaticMax(config) {
+    if (typeof config.max === 'number') {
+      return config.max;
+    }
+
+    return typeof this.options.max === 'number' ? this.options.max : 0;
+  }
+
+  /**
+   * 构建日志的结构化字段
+   * @private
+   * @param {Object} config - _resolveConfigs 解析的配置
+   * @param {Object} options - 检查选项
+   * @returns {Object} 包含 key、route、algorithm、store 的字段
+   */
+  _getLogFields(config, options = {}) {
+    return {
+      key: config.key,
+      route: options.route,
+      algorithm: config.algorithmName,
+      store: getStoreName(this.store),
+    };
+  }
+
+  /**
+   * 解析当前请求的最大请求数
+   * @private
+   * @param {Object} req - 请求对象
+   * @param {number|Function} max - 最大请求数或函数（默认使用全局配置）
+   * @returns {number|Promise<number>} 最大请求数
+   */
+  _resolveMax(req, max = this.options.max) {
+    return typeof max === 'function' ? max(req) : max;
+  }
+
+  /**
+   * 解析当前请求消耗的配额
+   * @private
+   * @param {Object} req - 请求对象
+   * @param {number|Function} cost - 消耗的配额或函数 (req)（默认 1）
+   * @returns {Promise<number>} 消耗的配额
+   */
+  async _resolveCost(req, cost = 1) {
+    const value = typeof cost === 'function' ? await cost(req) : cost;
+
+    this._validateCost(value);
+    return value;
+  }
+
+  /**
+   * 验证速率限制键
+   * @private
+   * @param {string} key - 速率限制键
+   */
+  _validateKey(key) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('键必须是非空字符串');
+    }
+  }
+
+  /**
+   * 验证消耗的配额
+   * @private
+   * @param {number} cost - 消耗的配额
+   */
+  _validateCost(cost) {
+    if (!Number.isInteger(cost) || cost < 1) {
+      throw new Error('cost 必须是正整数');
+    }
+  }
+
+  /**
+   * 回退一次已消耗的配额
+   * @private
+   * @param {string} key - 速率限制键
+   * @param {Object} options - 检查时使用的选项（req、route、timestamp、cost）
+   * @returns {Promise<void>}
+   */
+  async _refund(key, options = {}) {
+    const configs = this._resolveConfigs(key, options);
+
+    await Promise.all(configs.map((config) => this._refundConfig(config, options)));
+  }
+
+  /**
+   * 在单个配置上回退一次已消耗的配额
+   * @private
+   * @param {Object} config - _resolveConfigs 解析的配置
+   * @param {Object} options - 检查时使用的选项
+   * @returns {Promise<void>}
+   */
+  async _refundConfig(config, options) {
+    const max = await this._resolveMax(options.req, config.max);
+
+    await this._runAlgorithm(
+      'refund',
+      config,
+      this._getAlgorithmOptions(config, max, options),
+    );
+  }
+
+  /**
+   * 是否需要根据响应结果回退配额
+   * @private
+   * @returns {boolean}
+   */
+  _tracksResponses() {
+    return this.options.skipSuccessfulRequests || this.options.skipFailedRequests;
+  }
+
+  /**
+   * 使用 requestWasSuccessful 判断请求是否成功，判断出错时视为失败
+   * @private
+   * @param {Object} req - 请求对象
+   * @param {Object} res - 响应对象
+   * @returns {Promise<boolean>}
+   */
+  async _wasSuccessful(req, res) {
+    try {
+      return Boolean(await this.options.requestWasSuccessful(req, res));
+    } catch (error) {
+      this.logger.error(errorFields(error), '判断请求结果时出错');
+      return false;
+    }
+  }
+
+  /**
+   * 请求完成后，按 skipSuccessfulRequests / skipFailedRequests 回退配额
+   * @private
+   * @param {string} key - 速率限制键
+   * @param {Object} options - 检查时使用的选项
+   * @param {boolean} successful - 请求是否成功
+   * @returns {Promise<void>}
+   */
+  async _settle(key, options, successful) {
+    const shouldRefund = successful
+      ? this.options.skipSuccessfulRequests
+      : this.options.skipFailedRequests;
+
+    if (!shouldRefund) {
+      return;
+    }
+
+    try {
+      await this._refund(key, options);
+    } catch (error) {
+      this.logger.error({ key, route: options.route, ...errorFields(error) }, '回退配额时出错');
+    }
+  }
+
+  /**
+   * 监听 Node.js 响应完成事件，在请求结束后结算配额
+   * @private
+   * @param {Object} req - 请求对象
+   * @param {Object} res - 响应对象
+   * @param {string} key - 速率限制键
+   * @param {Object} options - 检查时使用的选项
+   */
+  _trackResponse(req, res, key, options) {
+    let settled = false;
+
+    const settle = (isSuccessful) => {
+      // finish 之后仍会触发 close，只结算一次
+      if (settled) {
+        return;
+      }
+      settled = true;
+
+      Promise.resolve()
+        .then(isSuccessful)
+        .then((successful) => this._settle(key, options, successful))
+        .catch((error) => this.logger.error({ key, route: options.route, ...errorFields(error) }, '结算请求时出错'));
+    };
+
+    res.on('finish', () => settle(() => this._wasSuccessful(req, res)));
+    res.on('close', () => settle(() => false));
+    res.on('error', () => settle(() => false));
+  }
+
+  /**
+   * 重置特定键的速率限制，包括各策略、各 perRoute 路由下的计数与封禁状态
+   * @param {string} key - 速率限制键
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this._validateKey(key);
+
+    const configs = [
+      ...this._resolveConfigs(key),
+      ...this._getRouteRules().map((rule) => this._createRouteConfig(rule, key)),
+    ];
+
+    await Promise.all(configs.map((config) => this._resetConfig(config)));
+
+    if (this.options.blockDuration) {
+      const blockKeys = new Set(configs.map((config) => this._getBlockKey(key, [config])));
+      await Promise.all([...blockKeys].map((blockKey) => this._resetBlock(blockKey)));
+    }
+  }
+
+  /**
+   * 清除单个配置下的计数
+   * @private
+   * @param {Object} config - _resolveConfigs 解析的配置
+   * @returns {Promise<void>}
+   */
+  async _resetConfig(config) {
+    await this.store.reset(config.key);
+
+    // 固定窗口的计数保存在当前窗口编号的键下
+    if (config.algorithmName === 'fixed-window') {
+      await this.store.reset(`${config.key}:${Math.floor(Date.now() / config.windowMs)}`);
+    }
+  }
+
+  /**
+   * 解除键的封禁，并清除已记录的违规与封禁次数
+   * @param {string} key - 速率限制键
+   * @param {Object} options - 选项（route），匹配 perRoute 时解除该路由的封禁
+   * @returns {Promise<void>}
+   */
+  async unblock(key, options = {}) {
+    this._validateKey(key);
+
+    await this._resetBlock(this._getBlockKey(key, this._resolveConfigs(key, options)));
+  }
+
+  /**
+   * 清除封禁状态与违规次数
+   * @private
+   * @param {string} blockKey - 封禁状态的存储键
+   * @returns {Promise<void>}
+   */
+  async _resetBlock(blockKey) {
+    await Promise.all([this.store.reset(blockKey), this.store.reset(`violations:${blockKey}`)]);
+  }
+
+  /**
+   * 重置所有速率限制（仅限内存存储）
+   * @returns {Promise<void>}
+   */
+  async resetAll() {
+    if (typeof this.store.resetAll === 'function') {
+      await this.store.resetAll();
+    } else {
+      throw new Error('存储不支持 resetAll 操作');
+    }
+  }
+
+  /**
+   * 为 Web 框架创建中间件
+   * @param {Object} options - 中间件选项
+   * @param {number|Function} options.cost - 每个请求消耗的配额或函数 (req)（默认 1）
+   * @returns {Function} 中间件函数
+   */
+  middleware(options = {}) {
+    return async (req, res, next) => {
+      try {
+        // 获取路由信息
+        const route = this._getRoute(req);
+        const context = this._getKeyContext(req, route);
+
+        // 检查是否应跳过速率限制（被 ipList 拒绝的 IP 不跳过）
+        if (await this._shouldSkip(req, context)) {
+          return next ? next() : undefined;
+        }
+
+        // 生成速率限制键（传递路由与客户端 IP）
+        const key = await this.options.keyGenerator(req, context);
+
+        // 检查速率限制（传递路由信息和本次消耗的配额）
+        const cost = await this._resolveCost(req, options.cost);
+        const checkOptions = { req, ip: context.ip, route, timestamp: Date.now(), cost };
+        const result = await this.check(key, checkOptions);
+
+        // IP 被 ipList 拒绝，不经过 handler
+        if (result.forbidden) {
+          if (res) {
+            res.status(403).json(this._getForbiddenBody());
+          }
+
+          return next ? next(new Error('IP 地址不允许访问')) : undefined;
+        }
+
+        // 如果启用，添加响应头
+        if (this.options.headers && res) {
+          this._setHeaders(res, result);
+        }
+
+        // 处理超过速率限制的情况
+        if (!result.allowed) {
+          if (this.options.handler) {
+            return this.options.handler(req, res, next);
+          }
+
+          // 默认处理器
+          if (res) {
+            res.status(429).json(this._getRejectionBody(result));
+          }
+
+          return next ? next(new Error('超过速率限制')) : undefined;
+        }
+
+        // 请求结束后按响应结果回退配额
+        if (this._tracksResponses() && res && typeof res.on === 'function') {
+          this._trackResponse(req, res, key, checkOptions);
+        }
+
+        // 继续下一个中间件
+        return next ? next() : undefined;
+      } catch (error) {
+        this.logger.error(errorFields(error), '中间件错误');
+        // 出错时，允许请求
+        return next ? next() : undefined;
+      }
+    };
+  }
+
+  /**
+   * 创建原生 Koa 中间件
+   * @param {Object} options - 中间件选项
+   * @param {Function} options.handler - 超过速率限制时的处理器 (ctx, next, result)
+   * @param {number|Function} options.cost - 每个请求消耗的配额或函数 (ctx)（默认 1）
+   * @returns {Function} Koa 中间件函数 (ctx, next)
+   */
+  koa(options = {}) {
+    const createKoaMiddleware = require('./adapters/koa');
+    return createKoaMiddleware(this, options);
+  }
+
+  /**
+   * 按 headers 选项的格式计算速率限制响应头
+   * @private
+   * @param {Object} result - 检查结果
+   * @returns {Object} 响应头名称到值的映射
+   */
+  _getHeaders(result) {
+    return getRateLimitHeaders(this.options.headers || 'legacy', this._getHeaderPolicies(result), result);
+  }
+
+  /**
+   * 检查结果中的配额策略，每项包含 name、limit、remaining、resetTime、windowMs
+   * @private
+   * @param {Object} result - 检查结果
+   * @returns {Array<Object>} 策略列表
+   */
+  _getHeaderPolicies(result) {
+    if (Array.isArray(result.policies) && result.policies.length > 0) {
+      return result.policies;
+    }
+
+    return [{
+      name: result.policy || this.options.name,
+      limit: result.limit,
+      remaining: result.remaining,
+      resetTime: result.resetTime,
+      windowMs: result.windowMs || this.options.windowMs,
+    }];
+  }
+
+  /**
+   * 设置速率限制响应头
+   * @private
+   * @param {Object} res - 响应对象
+   * @param {Object} result - 检查结果
+   */
+  _setHeaders(res, result) {
+    if (!res || typeof res.setHeader !== 'function') {
+      return;
+    }
+
+    const headers = this._getHeaders(result);
+    for (const name of Object.keys(headers)) {
+      res.setHeader(name, headers[name]);
+    }
+  }
+
+  /**
+   * 构建默认的 429 响应体
+   * @private
+   * @param {Object} result - 检查结果
+   * @returns {Object} 响应体
+   */
+  _getRejectionBody(result) {
+    // 无法满足的请求不给出重试时间
+    if (result.unsatisfiable) {
+      return { error: '请求过多', message: '本次消耗超过桶容量' };
+    }
+
+    return {
+      error: '请求过多',
+      message: '超过速率限制',
+      retryAfter: Math.ceil(result.retryAfter / 1000),
+    };
+  }
+
+  /**
+   * 构建 IP 被 ipList 拒绝时的 403 响应体
+   * @private
+   * @returns {Object} 响应体
+   */
+  _getForbiddenBody() {
+    return {
+      error: '禁止访问',
+      message: 'IP 地址不允许访问',
+    };
   }
 }
 
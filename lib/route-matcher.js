@@ -0,0 +1,136 @@
+/**
+ * 路由匹配器
+ * 将 perRoute 中声明的路由编译为匹配规则
+ *
+ * 支持的路由格式：
+ * - 精确路径：'/api/login'
+ * - 路由参数：'/api/users/:id'（参数匹配单个路径段）
+ * - 通配符：'/api/admin/*'（匹配单个路径段）、'/static/**'（匹配任意层级）
+ *
+ * 匹配优先级：精确路径 > 路由参数 > 通配符，同类按声明顺序
+ */
+
+const TYPE_PRIORITY = { exact: 0, param: 1, glob: 2 };
+
+/**
+ * 转义正则表达式中的特殊字符
+ * @param {string} str - 原始字符串
+ * @returns {string} 转义后的字符串
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 去除路由中的查询字符串和末尾斜杠
+ * @param {string} route - 路由
+ * @returns {string} 规范化后的路径
+ */
+function normalizePath(route) {
+  const path = String(route).split('?')[0].split('#')[0];
+  return path.length > 1 && path.endsWith('/') ? path.slice(0, -1) : path;
+}
+
+/**
+ * 编译单个路由模式
+ * @param {string} pattern - 路由模式
+ * @returns {Object} 包含 pattern、type、regex 的规则
+ */
+function compileRoute(pattern) {
+  const path = normalizePath(pattern);
+  const isGlob = path.includes('*');
+  const isParam = /(^|\/):[^/]+/.test(path);
+
+  if (!isGlob && !isParam) {
+    return { pattern, type: 'exact', path };
+  }
+
+  const source = path
+    .split('/')
+    .map((segment) => {
+      if (segment === '**') {
+        return '.*';
+      }
+
+      if (segment.startsWith(':')) {
+        return '[^/]+';
+      }
+
+      return escapeRegExp(segment).replace(/\*/g, '[^/]*');
+    })
+    .join('/')
+    // '/**' 同时匹配父路径本身
+    .replace(/\/\.\*/g, '(?:/.*)?');
+
+  return {
+    pattern,
+    type: isGlob ? 'glob' : 'param',
+    regex: new RegExp(`^${source}/?$`),
+  };
+}
+
+/**
+ * 创建路由匹配器
+ * @param {Object} routes - 路由模式到配置的映射
+ * @returns {Object} 包含 match(route) 方法的匹配器
+ */
+function createRouteMatcher(routes = {}) {
+  const exact = new Map();
+  const patterns = [];
+
+  for (const pattern of Object.keys(routes)) {
+    const rule = { ...compileRoute(pattern), config: routes[pattern] };
+
+    if (rule.type === 'exact') {
+      exact.set(rule.path, rule);
+    } else {
+      patterns.push(rule);
+    }
+  }
+
+  // Array.prototype.sort 是稳定排序，同类规则保持声明顺序
+  patterns.sort((a, b) => TYPE_PRIORITY[a.type] - TYPE_PRIORITY[b.type]);
+
+  return {
+    /**
+     * 查找与路由匹配的规则
+     * @param {string} route - 请求路由
+     * @returns {Object|null} 匹配的规则（pattern、config），未匹配时返回 null
+     */
+    match(route) {
+      if (!route) {
+        return null;
+      }
+
+      const path = normalizePath(route);
+
+      if (exact.has(path)) {
+        return exact.get(path);
+      }
+
+      return patterns.find((rule) => rule.regex.test(path)) || null;
+    },
+
+    /**
+     * 是否声明了任何路由
+     * @returns {boolean}
+     */
+    isEmpty() {
+      return exact.size === 0 && patterns.length === 0;
+    },
+
+    /**
+     * 所有已声明的规则
+     * @returns {Array<Object>} 规则列表（pattern、config）
+     */
+    rules() {
+      return [...exact.values(), ...patterns];
+    },
+  };
+}
+
+module.exports = {
+  compileRoute,
+  createRouteMatcher,
+  normalizePath,
+};
@@ -0,0 +1,132 @@
+/**
+ * 路由解析
+ * 从请求中取出用于限流键与 perRoute 匹配的路由，避免同一接口因路径参数或查询字符串产生大量不同的键
+ *
+ * 解析顺序：
+ * 1. 框架匹配到的路由模板：koa-router 的 ctx._matchedRoute、Fastify 的 routeOptions.url（旧版本 routerPath）、
+ *    Express 的 req.baseUrl + route.path 与 Hapi 的 route.path
+ * 2. 去除查询字符串与片段的请求路径；按 normalizeRoute 选项处理：
+ *    - false（默认）：原样使用
+ *    - true：将数字、UUID 与长十六进制 ID 路径段折叠为 ':id'，如 '/users/42' → '/users/:id'
+ *    - 函数 (path, req) => 路由：自定义处理
+ *
+ * 用法：
+ *   const getRoute = createRouteResolver(true);
+ *   getRoute({ url: '/orders/3f2b1c9e-8d4a-4e5f-9a6b-7c8d9e0f1a2b?page=2' }); // '/orders/:id'
+ */
+
+// 数字、UUID、16 位以上的十六进制（如 MongoDB ObjectId）
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,})$/i;
+
+/**
+ * 拼接 Express 的挂载路径（req.baseUrl）与相对路径
+ * @param {string} baseUrl - 挂载路径，应用级中间件为空字符串
+ * @param {string} path - 相对于挂载路径的路径
+ * @returns {string} 完整路径
+ */
+function joinBaseUrl(baseUrl, path) {
+  if (!baseUrl) {
+    return path;
+  }
+
+  // 挂载在 '/api' 的 Router 中的 '/' 路由匹配 '/api'
+  return path === '/' ? baseUrl : `${baseUrl}${path}`;
+}
+
+/**
+ * 框架匹配到的路由模板
+ * Express 的 route.path 相对于 Router 或子应用的挂载路径，需要加上 req.baseUrl
+ * @param {Object} req - 请求对象（Express req、Koa ctx、Fastify request 或 Hapi request）
+ * @returns {string|null} 路由模板，路由尚未匹配时返回 null
+ */
+function getRouteTemplate(req) {
+  const isTemplate = (candidate) => typeof candidate === 'string' && candidate !== '';
+
+  if (isTemplate(req._matchedRoute)) {
+    return req._matchedRoute;
+  }
+
+  if (isTemplate(req.routeOptions?.url)) {
+    return req.routeOptions.url;
+  }
+
+  if (isTemplate(req.route?.path)) {
+    return typeof req.baseUrl === 'string' ? joinBaseUrl(req.baseUrl, req.route.path) : req.route.path;
+  }
+
+  // @koa/router 的 ctx.routerPath 是实际路径，只采用 Fastify 旧版本的 routerPath；
+  // Fastify 4 读取 routerPath 会打印弃用警告，因此只在没有 routeOptions.url 时读取
+  if (req.raw && isTemplate(req.routerPath)) {
+    return req.routerPath;
+  }
+
+  return null;
+}
+
+/**
+ * 去除查询字符串与片段的请求路径
+ * Express 的 req.path 相对于挂载路径，优先使用 req.originalUrl 或 req.baseUrl + req.path
+ * @param {Object} req - 请求对象
+ * @returns {string|undefined} 路径，请求中没有路径时返回 undefined
+ */
+function getRequestPath(req) {
+  let path = typeof req.path === 'string' && req.path !== '' ? req.path : req.url;
+
+  if (typeof req.baseUrl === 'string') {
+    path = typeof req.originalUrl === 'string' ? req.originalUrl : joinBaseUrl(req.baseUrl, path);
+  }
+
+  if (typeof path !== 'string') {
+    return undefined;
+  }
+
+  return path.split('?')[0].split('#')[0];
+}
+
+/**
+ * 将 ID 路径段折叠为 ':id'
+ * @param {string} path - 请求路径
+ * @returns {string} 折叠后的路径
+ */
+function collapseIdSegments(path) {
+  return path
+    .split('/')
+    .map((segment) => (ID_SEGMENT.test(segment) ? ':id' : segment))
+    .join('/');
+}
+
+/**
+ * 创建路由解析函数
+ * @param {boolean|Function} normalizeRoute - 没有路由模板时如何处理请求路径
+ * @returns {Function} (req) => 路由，请求中没有路径时返回 undefined
+ */
+function createRouteResolver(normalizeRoute = false) {
+  if (typeof normalizeRoute !== 'boolean' && typeof normalizeRoute !== 'function') {
+    throw new Error('normalizeRoute 必须是布尔值或函数');
+  }
+
+  return (req) => {
+    if (!req) {
+      return undefined;
+    }
+
+    const template = getRouteTemplate(req);
+
+    if (template) {
+      return template;
+    }
+
+    const path = getRequestPath(req);
+
+    if (path === undefined || normalizeRoute === false) {
+      return path;
+    }
+
+    return normalizeRoute === true ? collapseIdSegments(path) : normalizeRoute(path, req);
+  };
+}
+
+module.exports = {
+  createRouteResolver,
+  getRouteTemplate,
+};
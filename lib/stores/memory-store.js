@@ -1,12 +1,23 @@
+const { createLogger } = require('../logger');
+
+// setTimeout 支持的最大延迟（毫秒）
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
 /**
  * 内存存储 - 内存中的存储后端
  * 快速、简单、仅限单服务器
  * @class
  */
 class MemoryStore {
-  constructor() {
+  /**
+   * 创建 MemoryStore 实例
+   * @param {Object} options - 配置选项
+   * @param {Object} options.logger - 实现 debug、info、warn、error 的日志器（默认 console）
+   */
+  constructor(options = {}) {
     this.store = new Map();
     this.timers = new Map();
+    this.logger = createLogger(options.logger, 'MemoryStore');
   }
 
   /**
@@ -35,52 +46,77 @@ class MemoryStore {
 
     // 如果提供了 TTL，设置过期定时器
     if (ttl) {
-      const timer = setTimeout(() => {
-        this.store.delete(key);
-        this.timers.delete(key);
-      }, ttl);
-
-      this.timers.set(key, timer);
+      this._expireAt(key, Date.now() + ttl);
+    } else {
+      this.timers.delete(key);
     }
   }
 
+  /**
+   * 在指定时间删除键
+   * setTimeout 的延迟超过 2^31-1 毫秒会溢出并立即触发，超出时分段等待
+   * @private
+   * @param {string} key - 存储键
+   * @param {number} expiresAt - 过期时间戳（毫秒）
+   */
+  _expireAt(key, expiresAt) {
+    const delay = expiresAt - Date.now();
+    const timer = setTimeout(() => {
+      if (delay > MAX_TIMEOUT) {
+        this._expireAt(key, expiresAt);
+        return;
+      }
+
+      this.store.delete(key);
+      this.timers.delete(key);
+    }, Math.min(delay, MAX_TIMEOUT));
+
+    this.timers.set(key, timer);
+  }
+
   /**
    * 增加计数器
    * @param {string} key - 存储键
    * @param {Object} options - 增量选项
+   * @param {number} options.amount - 增加的数量（默认 1）
    * @returns {Promise<Object>} 包含计数的结果
    */
   async increment(key, options = {}) {
-    const { windowMs, timestamp } = options;
+    const { windowMs, timestamp, amount = 1 } = options;
     const data = this.store.get(key);
 
     if (!data) {
       // 第一个请求
-      const value = timestamp ? { requests: [timestamp] } : { count: 1 };
+      const value = timestamp ? { requests: new Array(amount).fill(timestamp) } : { count: amount };
       await this.set(key, value, windowMs);
-      return { count: 1 };
+      return { count: amount };
     }
 
     if (timestamp) {
       // 滑动窗口：存储时间戳
       data.requests = data.requests || [];
-      data.requests.push(timestamp);
+      for (let i = 0; i < amount; i++) {
+        data.requests.push(timestamp);
+      }
+      const count = data.requests.length;
       await this.set(key, data, windowMs);
-      return { count: data.requests.length };
+      return { count };
     }
 
-    // 固定窗口：增加计数器
-    data.count = (data.count || 0) + 1;
+    // 固定窗口：增加计数器，在等待之前取得计数，避免并发的增量改变返回值
+    const count = (data.count || 0) + amount;
+    data.count = count;
     await this.set(key, data, windowMs);
-    return { count: data.count };
+    return { count };
   }
 
   /**
    * 减少计数器（用于 skipFailedRequests）
    * @param {string} key - 存储键
+   * @param {number} amount - 减少的数量（默认 1）
    * @returns {Promise<void>}
    */
-  async decrement(key) {
+  async decrement(key, amount = 1) {
     const data = this.store.get(key);
 
     if (!data) {
@@ -88,10 +124,10 @@ class MemoryStore {
     }
 
     if (data.count !== undefined) {
-      data.count = Math.max(0, data.count - 1);
+      data.count = Math.max(0, data.count - amount);
       this.store.set(key, data);
     } else if (data.requests && data.requests.length > 0) {
-      data.requests.pop();
+      data.requests.splice(Math.max(0, data.requests.length - amount));
       this.store.set(key, data);
     }
   }
@@ -108,6 +144,8 @@ class MemoryStore {
       clearTimeout(this.timers.get(key));
       this.timers.delete(key);
     }
+
+    this.logger.debug({ store: 'MemoryStore', key }, '已重置键');
   }
 
   /**
@@ -115,6 +153,8 @@ class MemoryStore {
    * @returns {Promise<void>}
    */
   async resetAll() {
+    const size = this.store.size;
+
     // 清除所有定时器
     for (const timer of this.timers.values()) {
       clearTimeout(timer);
@@ -122,6 +162,8 @@ class MemoryStore {
 
     this.store.clear();
     this.timers.clear();
+
+    this.logger.debug({ store: 'MemoryStore', size }, '已重置所有键');
   }
 
   /**
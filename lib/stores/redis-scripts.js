@@ -0,0 +1,587 @@
+/**
+ * Redis Lua scripts - atomic implementations of the rate limiting algorithms
+ *
+ * Each entry describes how to call a script:
+ * - lua: script source
+ * - keys(fullKey): KEYS passed to the script
+ * - args(params): ARGV passed to the script
+ * - parse(reply): converts the Redis reply into a JavaScript result
+ *
+ * Check scripts reply with { allowed, count, resetTime }; rejected requests are not recorded.
+ * Peek scripts reply in the same shape but only read state.
+ * Penalize scripts consume regardless of the limit and reply with { count, resetTime }.
+ * Fractional values are returned as strings, because Redis truncates Lua numbers to integers.
+ * An empty max argument means no limit.
+ * Bucket and sliding window counter state is stored as JSON, the same layout the non-atomic path writes via set().
+ */
+
+const SLIDING_WINDOW_CHECK = `
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local max = tonumber(ARGV[4]) or math.huge
+local cost = tonumber(ARGV[5])
+
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - windowMs)
+
+local count = redis.call('ZCARD', KEYS[1])
+
+if count + cost > max then
+  local index = math.min(count + cost - max, count) - 1
+  local resetTime = now + windowMs
+
+  if index >= 0 then
+    local entry = redis.call('ZRANGE', KEYS[1], index, index, 'WITHSCORES')
+    resetTime = tonumber(entry[2]) + windowMs
+  end
+
+  return { 0, count, tostring(resetTime) }
+end
+
+for i = 1, cost do
+  redis.call('ZADD', KEYS[1], now, ARGV[3] .. '-' .. i)
+end
+redis.call('PEXPIRE', KEYS[1], windowMs)
+
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+
+return { 1, count + cost, tostring(tonumber(oldest[2]) + windowMs) }
+`;
+
+const SLIDING_WINDOW_PEEK = `
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local windowStart = ARGV[3]
+local max = tonumber(ARGV[4]) or math.huge
+local cost = tonumber(ARGV[5])
+
+local count = redis.call('ZCOUNT', KEYS[1], windowStart, '+inf')
+local allowed = 1
+local offset = 0
+
+if count + cost > max then
+  allowed = 0
+  offset = math.min(count + cost - max, count) - 1
+end
+
+local resetTime = now + windowMs
+
+if count > 0 and offset >= 0 then
+  local entry = redis.call('ZRANGEBYSCORE', KEYS[1], windowStart, '+inf', 'WITHSCORES', 'LIMIT', offset, 1)
+  resetTime = tonumber(entry[2]) + windowMs
+end
+
+return { allowed, count, tostring(resetTime) }
+`;
+
+const SLIDING_WINDOW_REFUND = `
+local cost = tonumber(ARGV[2])
+local removed = 0
+
+if ARGV[1] ~= '' then
+  local members = redis.call('ZRANGEBYSCORE', KEYS[1], ARGV[1], ARGV[1], 'LIMIT', 0, cost)
+  if #members > 0 then
+    removed = redis.call('ZREM', KEYS[1], unpack(members))
+  end
+end
+
+if removed < cost then
+  removed = removed + redis.call('ZREMRANGEBYRANK', KEYS[1], removed - cost, -1)
+end
+
+return removed
+`;
+
+const SLIDING_WINDOW_COUNTER_CHECK = `
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local max = tonumber(ARGV[3]) or math.huge
+local cost = tonumber(ARGV[4])
+local window = math.floor(now / windowMs)
+local windowStart = window * windowMs
+
+local previous = 0
+local current = 0
+local raw = redis.call('GET', KEYS[1])
+
+if raw then
+  local data = cjson.decode(raw)
+  if data.window == window then
+    previous = data.previous
+    current = data.current
+  elseif data.window == window - 1 then
+    previous = data.current
+  end
+end
+
+local weight = 1 - (now - windowStart) / windowMs
+
+if previous * weight + current + cost > max then
+  local available = max - cost - current
+  local resetTime = windowStart + windowMs * 2
+
+  if available >= 0 and previous > 0 then
+    resetTime = windowStart + math.ceil(windowMs * (previous - available) / previous)
+  elseif max - cost >= 0 and current > 0 then
+    resetTime = windowStart + windowMs + math.ceil(windowMs * (current - max + cost) / current)
+  end
+
+  return { 0, tostring(previous * weight + current), tostring(resetTime) }
+end
+
+current = current + cost
+redis.call('SET', KEYS[1], cjson.encode({ window = window, previous = previous, current = current }),
+  'PX', math.ceil(windowStart + windowMs * 2 - now))
+
+return { 1, tostring(previous * weight + current), tostring(windowStart + windowMs) }
+`;
+
+const SLIDING_WINDOW_COUNTER_PEEK = `
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local max = tonumber(ARGV[3]) or math.huge
+local cost = tonumber(ARGV[4])
+local window = math.floor(now / windowMs)
+local windowStart = window * windowMs
+
+local previous = 0
+local current = 0
+local raw = redis.call('GET', KEYS[1])
+
+if raw then
+  local data = cjson.decode(raw)
+  if data.window == window then
+    previous = data.previous
+    current = data.current
+  elseif data.window == window - 1 then
+    previous = data.current
+  end
+end
+
+local weight = 1 - (now - windowStart) / windowMs
+local count = previous * weight + current
+
+if count + cost > max then
+  local available = max - cost - current
+  local resetTime = windowStart + windowMs * 2
+
+  if available >= 0 and previous > 0 then
+    resetTime = windowStart + math.ceil(windowMs * (previous - available) / previous)
+  elseif max - cost >= 0 and current > 0 then
+    resetTime = windowStart + windowMs + math.ceil(windowMs * (current - max + cost) / current)
+  end
+
+  return { 0, tostring(count), tostring(resetTime) }
+end
+
+return { 1, tostring(count), tostring(windowStart + windowMs) }
+`;
+
+const SLIDING_WINDOW_COUNTER_REFUND = `
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local target = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local window = math.floor(now / windowMs)
+local raw = redis.call('GET', KEYS[1])
+
+if not raw then
+  return 0
+end
+
+local data = cjson.decode(raw)
+local previous = 0
+local current = 0
+
+if data.window == window then
+  previous = data.previous
+  current = data.current
+elseif data.window == window - 1 then
+  previous = data.current
+end
+
+if target == window and current > 0 then
+  current = math.max(0, current - cost)
+elseif target == window - 1 and previous > 0 then
+  previous = math.max(0, previous - cost)
+else
+  return 0
+end
+
+redis.call('SET', KEYS[1], cjson.encode({ window = window, previous = previous, current = current }),
+  'PX', math.ceil((window + 2) * windowMs - now))
+
+return 1
+`;
+
+const FIXED_WINDOW_CHECK = `
+local max = tonumber(ARGV[2]) or math.huge
+local cost = tonumber(ARGV[3])
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+
+if current + cost > max then
+  return { 0, current }
+end
+
+local count = redis.call('INCRBY', KEYS[1], cost)
+
+if count == cost or redis.call('PTTL', KEYS[1]) == -1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+
+return { 1, count }
+`;
+
+const FIXED_WINDOW_PEEK = `
+local max = tonumber(ARGV[1]) or math.huge
+local cost = tonumber(ARGV[2])
+local count = tonumber(redis.call('GET', KEYS[1]) or '0')
+
+if count + cost > max then
+  return { 0, count }
+end
+
+return { 1, count }
+`;
+
+const FIXED_WINDOW_REFUND = `
+local count = tonumber(redis.call('GET', KEYS[1]) or '0')
+local delta = math.min(tonumber(ARGV[1]), count)
+
+if delta > 0 then
+  return redis.call('DECRBY', KEYS[1], delta)
+end
+
+return count
+`;
+
+const TOKEN_BUCKET_CHECK = `
+local capacity = tonumber(ARGV[1])
+local refillRate = tonumber(ARGV[2])
+local windowMs = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local ttl = tonumber(ARGV[5])
+local cost = tonumber(ARGV[6])
+
+local tokens = capacity
+local raw = redis.call('GET', KEYS[1])
+
+if raw then
+  local data = cjson.decode(raw)
+  local elapsed = math.max(0, now - data.lastRefill)
+  tokens = math.min(capacity, data.tokens + (elapsed / windowMs) * refillRate)
+end
+
+if tokens < cost then
+  return { 0, tostring(capacity - tokens), tostring(now + ((cost - tokens) / refillRate) * windowMs) }
+end
+
+tokens = tokens - cost
+redis.call('SET', KEYS[1], cjson.encode({ tokens = tokens, lastRefill = now }), 'PX', ttl)
+
+return { 1, tostring(capacity - tokens), tostring(now + windowMs / refillRate) }
+`;
+
+const TOKEN_BUCKET_PEEK = `
+local capacity = tonumber(ARGV[1])
+local refillRate = tonumber(ARGV[2])
+local windowMs = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local cost = tonumber(ARGV[5])
+
+local tokens = capacity
+local raw = redis.call('GET', KEYS[1])
+
+if raw then
+  local data = cjson.decode(raw)
+  local elapsed = math.max(0, now - data.lastRefill)
+  tokens = math.min(capacity, data.tokens + (elapsed / windowMs) * refillRate)
+end
+
+if tokens < cost then
+  return { 0, tostring(capacity - tokens), tostring(now + ((cost - tokens) / refillRate) * windowMs) }
+end
+
+return { 1, tostring(capacity - tokens), tostring(now + ((capacity - tokens) / refillRate) * windowMs) }
+`;
+
+const TOKEN_BUCKET_PENALIZE = `
+local capacity = tonumber(ARGV[1])
+local refillRate = tonumber(ARGV[2])
+local windowMs = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local ttl = tonumber(ARGV[5])
+local cost = tonumber(ARGV[6])
+
+local tokens = capacity
+local raw = redis.call('GET', KEYS[1])
+
+if raw then
+  local data = cjson.decode(raw)
+  local elapsed = math.max(0, now - data.lastRefill)
+  tokens = math.min(capacity, data.tokens + (elapsed / windowMs) * refillRate)
+end
+
+tokens = tokens - cost
+
+local refillTime = ((capacity - tokens) / refillRate) * windowMs
+redis.call('SET', KEYS[1], cjson.encode({ tokens = tokens, lastRefill = now }), 'PX', math.max(ttl, math.ceil(refillTime)))
+
+return { tostring(capacity - tokens), tostring(now + refillTime) }
+`;
+
+const TOKEN_BUCKET_REFUND = `
+local capacity = tonumber(ARGV[1])
+local ttl = tonumber(ARGV[2])
+local raw = redis.call('GET', KEYS[1])
+
+if not raw then
+  return 0
+end
+
+local data = cjson.decode(raw)
+local tokens = math.min(capacity, data.tokens + tonumber(ARGV[3]))
+redis.call('SET', KEYS[1], cjson.encode({ tokens = tokens, lastRefill = data.lastRefill }), 'PX', ttl)
+
+return 1
+`;
+
+const LEAKY_BUCKET_CHECK = `
+local capacity = tonumber(ARGV[1])
+local leakRate = tonumber(ARGV[2])
+local windowMs = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local ttl = tonumber(ARGV[5])
+local cost = tonumber(ARGV[6])
+
+local water = 0
+local raw = redis.call('GET', KEYS[1])
+
+if raw then
+  local data = cjson.decode(raw)
+  local elapsed = math.max(0, now - data.lastLeak)
+  water = math.max(0, data.water - (elapsed / windowMs) * leakRate)
+end
+
+if water + cost > capacity then
+  return { 0, tostring(water), tostring(now + ((water + cost - capacity) / leakRate) * windowMs) }
+end
+
+water = water + cost
+redis.call('SET', KEYS[1], cjson.encode({ water = water, lastLeak = now }), 'PX', ttl)
+
+return { 1, tostring(water), tostring(now + (water / leakRate) * windowMs) }
+`;
+
+const LEAKY_BUCKET_PEEK = `
+local capacity = tonumber(ARGV[1])
+local leakRate = tonumber(ARGV[2])
+local windowMs = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local cost = tonumber(ARGV[5])
+
+local water = 0
+local raw = redis.call('GET', KEYS[1])
+
+if raw then
+  local data = cjson.decode(raw)
+  local elapsed = math.max(0, now - data.lastLeak)
+  water = math.max(0, data.water - (elapsed / windowMs) * leakRate)
+end
+
+if water + cost > capacity then
+  return { 0, tostring(water), tostring(now + ((water + cost - capacity) / leakRate) * windowMs) }
+end
+
+return { 1, tostring(water), tostring(now + (water / leakRate) * windowMs) }
+`;
+
+const LEAKY_BUCKET_PENALIZE = `
+local capacity = tonumber(ARGV[1])
+local leakRate = tonumber(ARGV[2])
+local windowMs = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local ttl = tonumber(ARGV[5])
+local cost = tonumber(ARGV[6])
+
+local water = 0
+local raw = redis.call('GET', KEYS[1])
+
+if raw then
+  local data = cjson.decode(raw)
+  local elapsed = math.max(0, now - data.lastLeak)
+  water = math.max(0, data.water - (elapsed / windowMs) * leakRate)
+end
+
+water = water + cost
+
+local leakTime = (water / leakRate) * windowMs
+redis.call('SET', KEYS[1], cjson.encode({ water = water, lastLeak = now }), 'PX', math.max(ttl, math.ceil(leakTime)))
+
+return { tostring(water), tostring(now + leakTime) }
+`;
+
+const LEAKY_BUCKET_REFUND = `
+local ttl = tonumber(ARGV[1])
+local raw = redis.call('GET', KEYS[1])
+
+if not raw then
+  return 0
+end
+
+local data = cjson.decode(raw)
+local water = math.max(0, data.water - tonumber(ARGV[2]))
+redis.call('SET', KEYS[1], cjson.encode({ water = water, lastLeak = data.lastLeak }), 'PX', ttl)
+
+return 1
+`;
+
+/**
+ * Parse an { allowed, count, resetTime } reply
+ * @param {Array} reply - Redis reply
+ * @returns {Object} Result with allowed, count and resetTime
+ */
+function parseCheckReply([allowed, count, resetTime]) {
+  return {
+    allowed: Number(allowed) === 1,
+    count: Number(count),
+    resetTime: Number(resetTime),
+  };
+}
+
+/**
+ * Parse a { count, resetTime } reply
+ * @param {Array} reply - Redis reply
+ * @returns {Object} Result with count and resetTime
+ */
+function parseCountAndReset([count, resetTime]) {
+  return {
+    count: Number(count),
+    resetTime: Number(resetTime),
+  };
+}
+
+/**
+ * Encode the max argument, Infinity (no limit) is sent as an empty string
+ * @param {number} max - Maximum requests
+ * @returns {number|string} Script argument
+ */
+function encodeMax(max) {
+  return Number.isFinite(max) ? max : '';
+}
+
+module.exports = {
+  'sliding-window': {
+    check: {
+      lua: SLIDING_WINDOW_CHECK,
+      keys: (key) => [`${key}:scores`],
+      // 成员需唯一，同一毫秒内的多个请求才不会互相覆盖
+      args: ({ now, windowMs, max, cost = 1 }) => [now, windowMs, `${now}-${Math.random()}`, encodeMax(max), cost],
+      parse: parseCheckReply,
+    },
+    peek: {
+      lua: SLIDING_WINDOW_PEEK,
+      keys: (key) => [`${key}:scores`],
+      // 窗口起点不含边界，与 check 清理 score <= now - windowMs 的条目一致
+      args: ({ now, windowMs, max, cost = 1 }) => [now, windowMs, `(${now - windowMs}`, encodeMax(max), cost],
+      parse: parseCheckReply,
+    },
+    refund: {
+      lua: SLIDING_WINDOW_REFUND,
+      keys: (key) => [`${key}:scores`],
+      args: ({ timestamp, cost = 1 }) => [timestamp !== undefined ? timestamp : '', cost],
+      parse: () => undefined,
+    },
+  },
+  'sliding-window-counter': {
+    check: {
+      lua: SLIDING_WINDOW_COUNTER_CHECK,
+      keys: (key) => [key],
+      args: ({ now, windowMs, max, cost = 1 }) => [now, windowMs, encodeMax(max), cost],
+      parse: parseCheckReply,
+    },
+    peek: {
+      lua: SLIDING_WINDOW_COUNTER_PEEK,
+      keys: (key) => [key],
+      args: ({ now, windowMs, max, cost = 1 }) => [now, windowMs, encodeMax(max), cost],
+      parse: parseCheckReply,
+    },
+    refund: {
+      lua: SLIDING_WINDOW_COUNTER_REFUND,
+      keys: (key) => [key],
+      args: ({ now, windowMs, target, cost = 1 }) => [now, windowMs, target, cost],
+      parse: () => undefined,
+    },
+  },
+  'fixed-window': {
+    check: {
+      lua: FIXED_WINDOW_CHECK,
+      keys: (key) => [key],
+      args: ({ windowMs, max, cost = 1 }) => [windowMs, encodeMax(max), cost],
+      parse: ([allowed, count]) => ({ allowed: Number(allowed) === 1, count: Number(count) }),
+    },
+    peek: {
+      lua: FIXED_WINDOW_PEEK,
+      keys: (key) => [key],
+      args: ({ max, cost = 1 }) => [encodeMax(max), cost],
+      parse: ([allowed, count]) => ({ allowed: Number(allowed) === 1, count: Number(count) }),
+    },
+    refund: {
+      lua: FIXED_WINDOW_REFUND,
+      keys: (key) => [key],
+      args: ({ cost = 1 }) => [cost],
+      parse: () => undefined,
+    },
+  },
+  'token-bucket': {
+    check: {
+      lua: TOKEN_BUCKET_CHECK,
+      keys: (key) => [key],
+      args: ({ capacity, refillRate, windowMs, now, ttl, cost = 1 }) => [capacity, refillRate, windowMs, now, ttl, cost],
+      parse: parseCheckReply,
+    },
+    peek: {
+      lua: TOKEN_BUCKET_PEEK,
+      keys: (key) => [key],
+      args: ({ capacity, refillRate, windowMs, now, cost = 1 }) => [capacity, refillRate, windowMs, now, cost],
+      parse: parseCheckReply,
+    },
+    penalize: {
+      lua: TOKEN_BUCKET_PENALIZE,
+      keys: (key) => [key],
+      args: ({ capacity, refillRate, windowMs, now, ttl, cost = 1 }) => [capacity, refillRate, windowMs, now, ttl, cost],
+      parse: parseCountAndReset,
+    },
+    refund: {
+      lua: TOKEN_BUCKET_REFUND,
+      keys: (key) => [key],
+      args: ({ capacity, ttl, cost = 1 }) => [capacity, ttl, cost],
+      parse: () => undefined,
+    },
+  },
+  'leaky-bucket': {
+    check: {
+      lua: LEAKY_BUCKET_CHECK,
+      keys: (key) => [key],
+      args: ({ capacity, leakRate, windowMs, now, ttl, cost = 1 }) => [capacity, leakRate, windowMs, now, ttl, cost],
+      parse: parseCheckReply,
+    },
+    peek: {
+      lua: LEAKY_BUCKET_PEEK,
+      keys: (key) => [key],
+      args: ({ capacity, leakRate, windowMs, now, cost = 1 }) => [capacity, leakRate, windowMs, now, cost],
+      parse: parseCheckReply,
+    },
+    penalize: {
+      lua: LEAKY_BUCKET_PENALIZE,
+      keys: (key) => [key],
+      args: ({ capacity, leakRate, windowMs, now, ttl, cost = 1 }) => [capacity, leakRate, windowMs, now, ttl, cost],
+      parse: parseCountAndReset,
+    },
+    refund: {
+      lua: LEAKY_BUCKET_REFUND,
+      keys: (key) => [key],
+      args: ({ ttl, cost = 1 }) => [ttl, cost],
+      parse: () => undefined,
+    },
+  },
+};
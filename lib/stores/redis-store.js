@@ -1,3 +1,6 @@
+const scripts = require('./redis-scripts');
+const { createLogger, errorFields } = require('../logger');
+
 /**
  * Redis Store - Redis-based storage backend
  * Distributed, persistent, multi-server support
@@ -10,6 +13,8 @@ class RedisStore {
    * @param {Object} options.client - Redis client instance (ioredis)
    * @param {string} options.prefix - Key prefix (default: 'rl:')
    * @param {number} options.expiry - Default expiry in seconds
+   * @param {boolean} options.atomic - Run algorithms as atomic Lua scripts (default: true)
+   * @param {Object} options.logger - Logger with debug/info/warn/error (default: console)
    */
   constructor(options = {}) {
     if (!options.client) {
@@ -19,6 +24,9 @@ class RedisStore {
     this.client = options.client;
     this.prefix = options.prefix || 'rl:';
     this.defaultExpiry = options.expiry || 3600;
+    this.atomic = options.atomic !== false;
+    this.scriptShas = new Map();
+    this.logger = createLogger(options.logger, 'RedisStore');
 
     // Validate Redis client
     if (typeof this.client.get !== 'function' || typeof this.client.set !== 'function') {
@@ -36,6 +44,17 @@ class RedisStore {
     return `${this.prefix}${key}`;
   }
 
+  /**
+   * Log a failed Redis operation with structured fields
+   * @private
+   * @param {string} message - Log message
+   * @param {Error} error - Redis error
+   * @param {Object} fields - Extra fields (key, algorithm, ...)
+   */
+  _logError(message, error, fields = {}) {
+    this.logger.error({ store: 'RedisStore', ...fields, ...errorFields(error) }, message);
+  }
+
   /**
    * Get value from Redis
    * @param {string} key - Storage key
@@ -52,7 +71,7 @@ class RedisStore {
 
       return JSON.parse(value);
     } catch (error) {
-      console.error('[RedisStore] Get error:', error);
+      this._logError('读取错误', error, { key });
       return null;
     }
   }
@@ -72,7 +91,7 @@ class RedisStore {
 
       await this.client.setex(fullKey, expiry, serialized);
     } catch (error) {
-      console.error('[RedisStore] Set error:', error);
+      this._logError('写入错误', error, { key });
       throw error;
     }
   }
@@ -81,11 +100,12 @@ class RedisStore {
    * 使用 Redis 原子操作增加计数器
    * @param {string} key - 存储键
    * @param {Object} options - 增量选项
+   * @param {number} options.amount - 增加的数量（默认 1）
    * @returns {Promise<Object>} 包含计数的结果
    */
   async increment(key, options = {}) {
     try {
-      const { windowMs, timestamp } = options;
+      const { windowMs, timestamp, amount = 1 } = options;
       const fullKey = this._getKey(key);
 
       if (timestamp) {
@@ -97,8 +117,10 @@ class RedisStore {
         // 删除旧条目
         await this.client.zremrangebyscore(scoreKey, '-inf', windowStart);
 
-        // 添加新条目
-        await this.client.zadd(scoreKey, timestamp, `${timestamp}-${Math.random()}`);
+        // 添加新条目，每个单位一个成员
+        for (let i = 0; i < amount; i++) {
+          await this.client.zadd(scoreKey, timestamp, `${timestamp}-${Math.random()}`);
+        }
 
         // 设置过期时间
         await this.client.expire(scoreKey, Math.ceil(windowMs / 1000) + 1);
@@ -110,16 +132,18 @@ class RedisStore {
       }
 
       // 固定窗口：使用原子递增的简单计数器
-      const count = await this.client.incr(fullKey);
+      const count = amount === 1
+        ? await this.client.incr(fullKey)
+        : await this.client.incrby(fullKey, amount);
 
-      if (count === 1 && windowMs) {
+      if (count === amount && windowMs) {
         // 第一个请求，设置过期时间
         await this.client.expire(fullKey, Math.ceil(windowMs / 1000));
       }
 
       return { count };
     } catch (error) {
-      console.error('[RedisStore] 增量错误:', error);
+      this._logError('增量错误', error, { key });
       throw error;
     }
   }
@@ -127,9 +151,10 @@ class RedisStore {
   /**
    * 减少计数器（用于 skipFailedRequests）
    * @param {string} key - 存储键
+   * @param {number} amount - 减少的数量（默认 1）
    * @returns {Promise<void>}
    */
-  async decrement(key) {
+  async decrement(key, amount = 1) {
     try {
       const fullKey = this._getKey(key);
 
@@ -138,16 +163,20 @@ class RedisStore {
 
       if (type === 'zset') {
         // 删除最近的条目
-        await this.client.zpopmax(`${fullKey}:scores`);
+        await this.client.zpopmax(`${fullKey}:scores`, amount);
       } else {
-        // 减少计数器
-        const value = await this.client.get(fullKey);
-        if (value && parseInt(value) > 0) {
+        // 减少计数器，不低于 0
+        const value = parseInt(await this.client.get(fullKey)) || 0;
+        const delta = Math.min(amount, value);
+
+        if (delta === 1) {
           await this.client.decr(fullKey);
+        } else if (delta > 1) {
+          await this.client.decrby(fullKey, delta);
         }
       }
     } catch (error) {
-      console.error('[RedisStore] 减量错误:', error);
+      this._logError('减量错误', error, { key });
     }
   }
 
@@ -162,11 +191,128 @@ class RedisStore {
       await this.client.del(fullKey);
       await this.client.del(`${fullKey}:scores`);
     } catch (error) {
-      console.error('[RedisStore] 重置错误:', error);
+      this._logError('重置错误', error, { key });
+      throw error;
+    }
+  }
+
+  /**
+   * 是否支持原子脚本（需要客户端实现 eval 或 evalsha）
+   * @returns {boolean}
+   */
+  supportsAtomic() {
+    return this.atomic && (typeof this.client.eval === 'function' || typeof this.client.evalsha === 'function');
+  }
+
+  /**
+   * 以 Lua 脚本原子地执行算法检查
+   * @param {string} algorithm - 算法名称
+   * @param {string} key - 存储键
+   * @param {Object} params - 算法参数
+   * @returns {Promise<Object>} 算法结果
+   */
+  atomicCheck(algorithm, key, params) {
+    return this._runScript(algorithm, 'check', key, params);
+  }
+
+  /**
+   * 以 Lua 脚本读取算法状态，不修改数据
+   * @param {string} algorithm - 算法名称
+   * @param {string} key - 存储键
+   * @param {Object} params - 算法参数
+   * @returns {Promise<Object>} 算法结果
+   */
+  atomicPeek(algorithm, key, params) {
+    return this._runScript(algorithm, 'peek', key, params);
+  }
+
+  /**
+   * 以 Lua 脚本原子地强制消耗配额，不检查限制
+   * @param {string} algorithm - 算法名称
+   * @param {string} key - 存储键
+   * @param {Object} params - 算法参数
+   * @returns {Promise<Object>} 算法结果
+   */
+  atomicPenalize(algorithm, key, params) {
+    return this._runScript(algorithm, 'penalize', key, params);
+  }
+
+  /**
+   * 以 Lua 脚本原子地回退一次已消耗的配额
+   * @param {string} algorithm - 算法名称
+   * @param {string} key - 存储键
+   * @param {Object} params - 算法参数
+   * @returns {Promise<void>}
+   */
+  atomicRefund(algorithm, key, params) {
+    return this._runScript(algorithm, 'refund', key, params);
+  }
+
+  /**
+   * 执行算法对应的脚本
+   * @private
+   * @param {string} algorithm - 算法名称
+   * @param {string} operation - 操作：'check'、'peek'、'penalize' 或 'refund'
+   * @param {string} key - 存储键
+   * @param {Object} params - 算法参数
+   * @returns {Promise<any>} 解析后的脚本结果
+   */
+  async _runScript(algorithm, operation, key, params) {
+    const script = scripts[algorithm] && scripts[algorithm][operation];
+
+    if (!script) {
+      throw new Error(`RedisStore 不支持的原子操作：${algorithm} ${operation}`);
+    }
+
+    try {
+      const reply = await this._evalScript(
+        `${algorithm}:${operation}`,
+        script.lua,
+        script.keys(this._getKey(key)),
+        script.args(params),
+      );
+
+      return script.parse(reply);
+    } catch (error) {
+      this._logError('脚本执行错误', error, { key, algorithm, operation });
       throw error;
     }
   }
 
+  /**
+   * 通过 EVALSHA 执行脚本，首次使用时 SCRIPT LOAD
+   * 脚本缓存丢失（NOSCRIPT，如 SCRIPT FLUSH 或故障转移）或客户端不支持 EVALSHA 时回退到 EVAL
+   * @private
+   * @param {string} name - 脚本名称
+   * @param {string} lua - 脚本源码
+   * @param {Array<string>} keys - KEYS
+   * @param {Array} args - ARGV
+   * @returns {Promise<any>} Redis 回复
+   */
+  async _evalScript(name, lua, keys, args) {
+    if (typeof this.client.evalsha === 'function' && typeof this.client.script === 'function') {
+      try {
+        let sha = this.scriptShas.get(name);
+
+        if (!sha) {
+          sha = await this.client.script('LOAD', lua);
+          this.scriptShas.set(name, sha);
+        }
+
+        return await this.client.evalsha(sha, keys.length, ...keys, ...args);
+      } catch (error) {
+        if (!String(error && error.message).includes('NOSCRIPT')) {
+          throw error;
+        }
+
+        // 下次调用时重新加载
+        this.scriptShas.delete(name);
+      }
+    }
+
+    return this.client.eval(lua, keys.length, ...keys, ...args);
+  }
+
   /**
    * 重置所有带前缀的键
    * @returns {Promise<void>}
@@ -179,7 +325,7 @@ class RedisStore {
         await this.client.del(...keys);
       }
     } catch (error) {
-      console.error('[RedisStore] 重置所有错误:', error);
+      this._logError('重置所有错误', error);
       throw error;
     }
   }
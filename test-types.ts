@@ -18,6 +18,27 @@ import {
   Algorithm,
   KeyGenerators,
   MiddlewareOptions,
+  KoaMiddleware,
+  createEggMiddleware,
+  fastifyPlugin,
+  FastifyRateLimitOptions,
+  FastifyRouteRateLimitConfig,
+  hapiPlugin,
+  HapiRateLimitOptions,
+  Metrics,
+  exponentialBackoff,
+  ExponentialBackoffOptions,
+  IPList,
+  IPListOptions,
+  ConfigLoader,
+  ConfigLoaderOptions,
+  ReloadableConfig,
+  createIPResolver,
+  KeyGeneratorContext,
+  TrustProxy,
+  normalizeIP,
+  KeyPart,
+  ComposeOptions,
 } from './index';
 
 // 测试 2: 默认导出
@@ -176,4 +197,242 @@ const limiterWithCustomStore = new RateLimiter({
   store: customStore,
 });
 
+// 测试 20: Koa / Egg.js 适配器
+const koaMiddleware: KoaMiddleware = limiter2.koa({
+  handler: (ctx, next, result) => {
+    ctx.status = 429;
+    ctx.body = { retryAfter: result.retryAfter };
+  },
+});
+
+const eggMiddleware = createEggMiddleware({ windowMs: 60000, max: 10 }, {});
+const eggLimiter: RateLimiter = eggMiddleware.limiter;
+
+// 测试 21: Fastify 插件
+const fastifyOptions: FastifyRateLimitOptions = {
+  windowMs: 60000,
+  max: 100,
+  global: false,
+  handler: (request, reply, result) => reply.code(429).send({ retryAfter: result.retryAfter }),
+};
+const loginRouteConfig: FastifyRouteRateLimitConfig = { windowMs: 15 * 60 * 1000, max: 5 };
+const healthRouteConfig: FastifyRouteRateLimitConfig = false;
+fastifyPlugin({ decorate: () => {}, addHook: () => {} }, fastifyOptions, () => {});
+
+// 测试 22: Hapi 插件
+const hapiOptions: HapiRateLimitOptions = {
+  ext: 'onPreAuth',
+  max: 100,
+  keyGenerator: (request) => request.auth?.credentials?.id || request.info.remoteAddress,
+  handler: (request, h, result) => h.response({ retryAfter: result.retryAfter }).code(429).takeover(),
+};
+const hapiRegistration = { plugin: hapiPlugin, options: hapiOptions };
+
+// 测试 23: 按响应结果跳过计数
+const loginFailureLimiter = new RateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+});
+
+// 测试 24: 路由级配置
+const perRouteLimiter = new RateLimiter({
+  max: 100,
+  perRoute: {
+    '/api/login': { windowMs: 15 * 60 * 1000, max: 5 },
+    '/api/users/:id': { max: 50, algorithm: 'fixed-window' },
+    '/api/export/*': { max: (req) => (req.user ? 10 : 1) },
+  },
+});
+
+// 测试 25: 存储出错策略
+const failClosedLimiter = new RateLimiter({
+  store: new RedisStore({ client: {}, atomic: true }),
+  fallbackStore: new MemoryStore(),
+  onStoreError: (error, { route }) => (route?.startsWith('/pay') ? 'closed' : 'open'),
+});
+
+// 测试 26: 自定义日志器
+const pinoLike = {
+  debug: (fields: Record<string, any>, message: string) => {},
+  info: (fields: Record<string, any>, message: string) => {},
+  warn: (fields: Record<string, any>, message: string) => {},
+  error: (fields: Record<string, any>, message: string) => {},
+};
+const loggedLimiter = new RateLimiter({ logger: pinoLike, store: new MemoryStore({ logger: pinoLike }) });
+
+// 测试 27: 事件
+const auditedLimiter = new RateLimiter({ max: 100 });
+auditedLimiter.on('blocked', ({ key, route, result }) => {
+  const retryAfter: number = result.retryAfter;
+  console.log(key, route, retryAfter);
+});
+auditedLimiter.on('error', ({ error }) => console.log(error.message));
+
+// 测试 28: 指标
+const metrics = new Metrics({ prefix: 'app_rate_limit_' });
+const measuredLimiter = new RateLimiter({ name: 'api', metrics });
+const metricsText: string = metrics.getMetrics();
+const metricsHandler = metrics.handler();
+
+// 测试 29: IETF 响应头格式
+const draftHeadersLimiter = new RateLimiter({ name: 'api', headers: 'draft-8' });
+const legacyHeadersLimiter = new RateLimiter({ headers: true });
+
+// 测试 30: 多策略
+const tieredLimiter = new RateLimiter({
+  policies: [
+    { name: 'second', windowMs: 1000, max: 10 },
+    { name: 'hour', windowMs: 60 * 60 * 1000, max: 1000 },
+    { name: 'day', windowMs: 24 * 60 * 60 * 1000, max: 20000, algorithm: 'fixed-window' },
+  ],
+});
+tieredLimiter.check('api-key').then((result) => {
+  const tripped: string | undefined = result.allowed ? undefined : result.policy;
+  const hourly = result.policies?.find((policy) => policy.name === 'hour');
+  console.log(tripped, hourly?.remaining);
+});
+
+// 测试 31: 按请求消耗配额
+const weightedLimiter = new RateLimiter({ windowMs: 60000, max: 100 });
+weightedLimiter.check('batch-user', { cost: 10 }).then((result) => {
+  console.log(result.allowed, result.remaining);
+});
+const weightedMiddleware = weightedLimiter.middleware({ cost: (req) => req.body.items.length });
+const weightedKoa = weightedLimiter.koa({ cost: async (ctx) => (ctx.path === '/export' ? 20 : 1) });
+
+// 测试 32: 查询配额状态
+weightedLimiter.peek('batch-user', { cost: 10 }).then((status) => {
+  const canAfford: boolean = status.allowed;
+  const left: number = status.remaining;
+  console.log(canAfford, left, status.resetTime);
+});
+
+// 测试 33: 显式消耗、归还与惩罚
+async function quotaControl(limiter: RateLimiter) {
+  const consumed: RateLimitResult = await limiter.consume('user-1', 5, { route: '/api/export' });
+  const refunded: RateLimitResult = await limiter.refund('user-1', 5, { route: '/api/export' });
+  const penalized: RateLimitResult = await limiter.penalize('user-1', 20);
+  console.log(consumed.allowed, refunded.remaining, penalized.retryAfter);
+}
+quotaControl(weightedLimiter);
+
+// 测试 34: 封禁
+const bruteForceLimiter = new RateLimiter({
+  windowMs: 60 * 1000,
+  max: 5,
+  blockAfter: 3,
+  blockDuration: [60 * 1000, 10 * 60 * 1000],
+});
+bruteForceLimiter.check('login:alice').then((result) => {
+  const isBlocked: boolean | undefined = result.blocked;
+  console.log(isBlocked, result.retryAfter);
+});
+bruteForceLimiter.unblock('login:alice');
+const customBlockLimiter = new RateLimiter({ blockDuration: (blocks) => Math.min(blocks * 60000, 3600000) });
+
+// 测试 35: 指数退避
+const backoffOptions: ExponentialBackoffOptions = { initial: 1000, factor: 2, max: 15 * 60 * 1000 };
+const otpLimiter = new RateLimiter({
+  windowMs: 60 * 1000,
+  max: 3,
+  blockDuration: exponentialBackoff(backoffOptions),
+  blockDecay: 10 * 60 * 1000,
+});
+const fourthLockout: number = exponentialBackoff({ initial: 500 })(4);
+const backoffFromDefault = rateLimitModule.exponentialBackoff;
+
+// 测试 36: IP 允许列表与拒绝列表
+const admins = new IPList(['192.168.1.10', '10.0.0.0/8']).add('2001:db8::/32');
+const isAdmin: boolean = admins.contains('::ffff:10.1.2.3');
+const ipListOptions: IPListOptions = {
+  allow: IPList.fromEnv('GLOBAL_IP_WHITELIST'),
+  deny: '203.0.113.0/24, 198.51.100.7',
+  routes: {
+    '/api/admin/**': admins,
+    '/api/internal/**': { allow: ['10.0.0.0/8'], deny: ['10.0.0.13'] },
+  },
+};
+const ipLimiter = new RateLimiter({ max: 100, ipList: ipListOptions });
+ipLimiter.on('forbidden', ({ key, ip }) => console.log(key, ip));
+ipLimiter.check('user', { ip: '10.1.2.3', route: '/api/admin/users' }).then((result) => {
+  const isForbidden: boolean | undefined = result.forbidden;
+  console.log(isForbidden, isAdmin, admins.size, rateLimitModule.IPList);
+});
+
+// 测试 37: 配置热加载
+ipLimiter.reconfigure({ max: 200, perRoute: { '/api/login': { max: 5 } } });
+const loaderOptions: ConfigLoaderOptions = {
+  path: 'config/rate-limit.yaml',
+  limiters: [ipLimiter, limiter2],
+  interval: 2000,
+  transform: (raw: { global: string[] }): ReloadableConfig => ({
+    ipList: { allow: raw.global },
+    limiters: { api: { max: 1000 } },
+  }),
+};
+const configLoader = new ConfigLoader(loaderOptions);
+configLoader.on('reload', ({ config }) => console.log(config.max));
+configLoader.on('error', ({ error }) => console.error(error.message));
+configLoader.start().then((loader) => loader.stop());
+const storeLoader = new rateLimitModule.ConfigLoader({ store: new MemoryStore(), key: 'rate-limit:config', limiters: limiter1 });
+storeLoader.load().then((config: ReloadableConfig) => console.log(config.limiters));
+
+// 测试 38: trustProxy 与客户端 IP 解析
+const trusted: TrustProxy[] = [true, 2, ['loopback', '10.0.0.0/8'], 'uniquelocal', new IPList(['127.0.0.1'])];
+const proxyLimiter = new RateLimiter({
+  trustProxy: trusted[1],
+  ipHeader: 'forwarded',
+  keyGenerator: (req, context?: KeyGeneratorContext) => `ip:${context?.ip}`,
+});
+const resolvedIP: string | undefined = proxyLimiter.getClientIP({ headers: {} });
+const resolveIP = createIPResolver({ trustProxy: ['loopback'], ipHeader: 'x-real-ip' });
+console.log(resolvedIP, resolveIP({ headers: {} }), rateLimitModule.createIPResolver());
+console.log(keyGenerators.ip({}, { ip: '203.0.113.7' }));
+
+// 测试 39: IPv6 网段键
+const subnetLimiter = new RateLimiter({
+  ipv6Subnet: 64,
+  keyGenerator: (req, context?: KeyGeneratorContext) => context?.ipKey || 'unknown',
+});
+const subnetKey: string = normalizeIP('2001:db8::1', 56);
+console.log(subnetLimiter.getClientIP({}), subnetKey, rateLimitModule.normalizeIP('::ffff:10.0.0.1'));
+
+// 测试 40: 组合键生成器
+const keyParts: KeyPart[] = ['user', 'route', keyGenerators.header('x-tenant-id'), keyGenerators.ip];
+const composeOptions: ComposeOptions = { prefix: 'api', maxPartLength: false };
+const composedLimiter = new RateLimiter({
+  keyGenerator: keyGenerators.compose(
+    ...keyParts,
+    keyGenerators.user('state.user.id'),
+    keyGenerators.query('page'),
+    keyGenerators.cookie('sid'),
+    keyGenerators.hash('method', { secret: 'pepper', length: 32 }),
+    composeOptions,
+  ),
+});
+console.log(composedLimiter.getClientIP({}), rateLimitModule.keyGenerators.compose('ip')({}));
+
+// 测试 41: 路由规范化
+const collapsedRouteLimiter = new RateLimiter({ normalizeRoute: true, keyGenerator: keyGenerators.routeAndIp });
+const customRouteLimiter = new RateLimiter({
+  normalizeRoute: (path: string, req: any) => `${req.method} ${path.replace(/\/\d+/g, '/:id')}`,
+});
+console.log(collapsedRouteLimiter.getClientIP({}), customRouteLimiter.getClientIP({}));
+
+// 测试 42: 滑动窗口计数器
+const counterLimiter = new RateLimiter({ algorithm: 'sliding-window-counter', windowMs: 3600000, max: 10000 });
+const counterAlgo: Algorithm = algorithms['sliding-window-counter'];
+console.log(counterLimiter.getClientIP({}), typeof counterAlgo.check);
+
+// 测试 43: IP 限流豁免
+const exemptLimiter = new RateLimiter({
+  ipList: {
+    exempt: ['10.0.0.0/8'],
+    routes: { '/api/reports/**': { exempt: new IPList(['192.168.2.0/24']), deny: ['192.168.2.13'] } },
+  },
+});
+console.log(exemptLimiter.getClientIP({}));
+
 console.log('✅ 所有类型定义测试通过！');
@@ -0,0 +1,66 @@
+const { expect } = require('chai');
+const { RedisStore, algorithms } = require('../../lib');
+
+// 需要真实的 Redis：REDIS_URL=redis://localhost:6379 npm test
+const describeRedis = process.env.REDIS_URL ? describe : describe.skip;
+
+describeRedis('RedisStore atomic scripts (integration)', () => {
+  let client;
+  let store;
+
+  before(() => {
+    const Redis = require('ioredis');
+    client = new Redis(process.env.REDIS_URL);
+    store = new RedisStore({ client, prefix: `rl-test-${Date.now()}:` });
+  });
+
+  afterEach(async () => {
+    await store.resetAll();
+  });
+
+  after(async () => {
+    await client.quit();
+  });
+
+  const cases = {
+    'sliding-window': { windowMs: 1000, max: 3 },
+    'sliding-window-counter': { windowMs: 1000, max: 3 },
+    'fixed-window': { windowMs: 1000, max: 3 },
+    'token-bucket': { capacity: 3, refillRate: 1, windowMs: 1000 },
+    'leaky-bucket': { capacity: 3, leakRate: 1, windowMs: 1000 },
+  };
+
+  for (const [name, options] of Object.entries(cases)) {
+    it(`should count ${name} requests atomically under concurrency`, async () => {
+      const results = await Promise.all(
+        Array.from({ length: 5 }, () => algorithms[name].check(store, 'user', options)),
+      );
+
+      // 恰好 3 次通过，多余请求都被拒绝
+      expect(results.filter((result) => result.allowed)).to.have.length(3);
+
+      // 被拒绝的请求不消耗配额，用量停留在上限
+      const state = await algorithms[name].peek(store, 'user', options);
+      expect(Math.round(state.count)).to.equal(3);
+      expect(state.allowed).to.be.false;
+    });
+
+    it(`should refund a ${name} request`, async () => {
+      for (let i = 0; i < 3; i++) {
+        await algorithms[name].check(store, 'user', options);
+      }
+
+      const before = await algorithms[name].peek(store, 'user', options);
+      await algorithms[name].refund(store, 'user', options);
+      const after = await algorithms[name].peek(store, 'user', options);
+
+      // 退还恰好一个单位，退还后的请求可以通过
+      expect(Math.round(before.count)).to.equal(3);
+      expect(Math.round(after.count)).to.equal(2);
+
+      const result = await algorithms[name].check(store, 'user', options);
+      expect(result.allowed).to.be.true;
+      expect(Math.round(result.count)).to.equal(3);
+    });
+  }
+});
@@ -0,0 +1,646 @@
+const { expect } = require('chai');
+const {
+  RateLimiter,
+  MemoryStore,
+  RedisStore,
+  createEggMiddleware,
+  fastifyPlugin,
+  hapiPlugin,
+} = require('../../lib');
+
+/**
+ * 创建最小化的 Koa ctx 模拟对象
+ */
+function createCtx(overrides = {}) {
+  const ctx = {
+    ip: '127.0.0.1',
+    path: '/api/test',
+    url: '/api/test?foo=bar',
+    headers: {},
+    status: 404,
+    body: undefined,
+    response: {},
+    set(field, value) {
+      if (typeof field === 'object') {
+        Object.assign(this.headers, field);
+      } else {
+        this.headers[field] = value;
+      }
+    },
+    ...overrides,
+  };
+  return ctx;
+}
+
+/**
+ * 创建最小化的 Fastify 实例、请求和响应模拟对象
+ */
+function createFastify() {
+  const fastify = {
+    hooks: {},
+    decorate(name, value) {
+      this[name] = value;
+    },
+    addHook(name, fn) {
+      this.hooks[name] = fn;
+    },
+  };
+  return fastify;
+}
+
+function createRequest(url, config, method) {
+  return {
+    ip: '127.0.0.1',
+    url,
+    method,
+    routeOptions: { url, method, config: config === undefined ? {} : { rateLimit: config } },
+  };
+}
+
+function createReply() {
+  return {
+    statusCode: 200,
+    headersSent: {},
+    payload: undefined,
+    headers(values) {
+      Object.assign(this.headersSent, values);
+      return this;
+    },
+    code(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    },
+    send(payload) {
+      this.payload = payload;
+      return this;
+    },
+  };
+}
+
+function registerFastify(options) {
+  const fastify = createFastify();
+  let registered = false;
+  fastifyPlugin(fastify, options, () => {
+    registered = true;
+  });
+  expect(registered).to.be.true;
+  return fastify;
+}
+
+/**
+ * 创建最小化的 Hapi 服务器、请求和工具箱模拟对象
+ */
+function registerHapi(options, routes = []) {
+  const server = {
+    exts: {},
+    decorations: {},
+    listeners: {},
+    events: {
+      on(name, listener) {
+        server.listeners[name] = listener;
+      },
+    },
+    table() {
+      return routes;
+    },
+    decorate(type, name, value) {
+      this.decorations[`${type}.${name}`] = value;
+    },
+    ext(event, method) {
+      this.exts[event] = method;
+    },
+  };
+  hapiPlugin.register(server, options);
+  return server;
+}
+
+function createHapiRoute(path, config, method = 'get') {
+  return { method, path, settings: { plugins: config === undefined ? {} : { rateLimit: config } } };
+}
+
+function createHapiRequest(path, config, method) {
+  return {
+    path,
+    method,
+    info: { remoteAddress: '10.0.0.1' },
+    route: createHapiRoute(path, config, method),
+    plugins: {},
+    response: null,
+  };
+}
+
+function createResponse(source) {
+  return {
+    source,
+    statusCode: 200,
+    headers: {},
+    tookOver: false,
+    code(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    },
+    header(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    takeover() {
+      this.tookOver = true;
+      return this;
+    },
+  };
+}
+
+const h = {
+  continue: Symbol('continue'),
+  response: createResponse,
+};
+
+describe('Adapters', () => {
+  describe('koa()', () => {
+    it('should call next() and set headers when allowed', async () => {
+      const limiter = new RateLimiter({ windowMs: 60000, max: 5 });
+      const middleware = limiter.koa();
+      const ctx = createCtx();
+      let nextCalled = false;
+
+      await middleware(ctx, () => {
+        nextCalled = true;
+      });
+
+      expect(nextCalled).to.be.true;
+      expect(ctx.headers['X-RateLimit-Limit']).to.equal('5');
+      expect(ctx.headers['X-RateLimit-Remaining']).to.equal('4');
+    });
+
+    it('should respond with 429 when limit is exceeded', async () => {
+      const limiter = new RateLimiter({ windowMs: 60000, max: 1 });
+      const middleware = limiter.koa();
+
+      await middleware(createCtx(), async () => {});
+
+      const ctx = createCtx();
+      let nextCalled = false;
+      await middleware(ctx, () => {
+        nextCalled = true;
+      });
+
+      expect(nextCalled).to.be.false;
+      expect(ctx.status).to.equal(429);
+      expect(ctx.body.retryAfter).to.be.greaterThan(0);
+      expect(ctx.headers['Retry-After']).to.exist;
+    });
+
+    it('should respond with 403 when the IP is forbidden', async () => {
+      // skip 不会绕过 ipList 拒绝
+      const limiter = new RateLimiter({ skip: () => true, ipList: { allow: ['10.0.0.0/8'] } });
+      const ctx = createCtx();
+      let nextCalled = false;
+
+      await limiter.koa()(ctx, () => {
+        nextCalled = true;
+      });
+
+      expect(nextCalled).to.be.false;
+      expect(ctx.status).to.equal(403);
+      expect(ctx.body.error).to.equal('禁止访问');
+      expect(ctx.headers).to.deep.equal({});
+    });
+
+    it('should pass ctx and matched route to keyGenerator', async () => {
+      let seen;
+      const limiter = new RateLimiter({
+        keyGenerator: (ctx, context) => {
+          seen = { ctx, route: context.route };
+          return `${ctx.state.user.id}:${context.route}`;
+        },
+      });
+      const ctx = createCtx({ _matchedRoute: '/users/:id', state: { user: { id: 7 } } });
+
+      await limiter.koa()(ctx, async () => {});
+
+      expect(seen.ctx).to.equal(ctx);
+      expect(seen.route).to.equal('/users/:id');
+    });
+
+    it('should collapse ID segments when no route matched', async () => {
+      const routes = [];
+      const limiter = new RateLimiter({ normalizeRoute: true });
+      limiter.on('allowed', ({ route }) => routes.push(route));
+
+      await limiter.koa()(createCtx({ path: '/users/42', url: '/users/42?tab=1' }), async () => {});
+      await limiter.koa()(createCtx({ path: '/users/43', routerPath: '/users/43' }), async () => {});
+
+      expect(routes).to.deep.equal(['/users/:id', '/users/:id']);
+    });
+
+    it('should use custom handler when provided', async () => {
+      const limiter = new RateLimiter({ windowMs: 60000, max: 1 });
+      const middleware = limiter.koa({
+        handler: (ctx, next, result) => {
+          ctx.status = 503;
+          ctx.body = { limit: result.limit };
+        },
+      });
+
+      await middleware(createCtx(), async () => {});
+      const ctx = createCtx();
+      await middleware(ctx, async () => {});
+
+      expect(ctx.status).to.equal(503);
+      expect(ctx.body).to.deep.equal({ limit: 1 });
+    });
+
+    it('should roll back failed requests with skipFailedRequests', async () => {
+      const limiter = new RateLimiter({ windowMs: 60000, max: 1, skipFailedRequests: true });
+      const middleware = limiter.koa();
+
+      for (let i = 0; i < 3; i++) {
+        const ctx = createCtx();
+        await middleware(ctx, () => {
+          ctx.response.status = 401;
+        });
+        expect(ctx.status).to.not.equal(429);
+      }
+
+      try {
+        await middleware(createCtx(), () => {
+          throw new Error('downstream');
+        });
+      } catch (error) {
+        expect(error.message).to.equal('downstream');
+      }
+
+      await middleware(createCtx({ response: { status: 200 } }), () => {});
+      const ctx = createCtx();
+      await middleware(ctx, () => {});
+      expect(ctx.status).to.equal(429);
+    });
+
+    it('should not swallow errors thrown downstream', async () => {
+      const limiter = new RateLimiter();
+      const middleware = limiter.koa();
+
+      try {
+        await middleware(createCtx(), () => {
+          throw new Error('downstream');
+        });
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.equal('downstream');
+      }
+    });
+  });
+
+  describe('createEggMiddleware()', () => {
+    it('should create a koa middleware with an attached limiter', async () => {
+      const middleware = createEggMiddleware({ windowMs: 60000, max: 2, enable: true, match: '/api' }, {});
+
+      expect(middleware).to.be.a('function');
+      expect(middleware.limiter).to.be.instanceOf(RateLimiter);
+      expect(middleware.limiter.store).to.be.instanceOf(MemoryStore);
+      expect(middleware.limiter.options).to.not.have.property('match');
+
+      const ctx = createCtx();
+      await middleware(ctx, async () => {});
+      expect(ctx.headers['X-RateLimit-Limit']).to.equal('2');
+    });
+
+    it('should use app.redis when no store is configured', () => {
+      const app = { redis: { get: () => {}, set: () => {} } };
+      const middleware = createEggMiddleware({}, app);
+
+      expect(middleware.limiter.store).to.be.instanceOf(RedisStore);
+      expect(middleware.limiter.store.client).to.equal(app.redis);
+    });
+  });
+
+  describe('fastifyPlugin', () => {
+    it('should skip Fastify encapsulation', () => {
+      expect(fastifyPlugin[Symbol.for('skip-override')]).to.be.true;
+    });
+
+    it('should decorate the instance and register onRequest hook', () => {
+      const fastify = registerFastify({ max: 5 });
+
+      expect(fastify.rateLimit).to.be.instanceOf(RateLimiter);
+      expect(fastify.hooks.onRequest).to.be.a('function');
+    });
+
+    it('should set headers and reply 429 when limit is exceeded', async () => {
+      const fastify = registerFastify({ windowMs: 60000, max: 1 });
+      const hook = fastify.hooks.onRequest;
+
+      const first = createReply();
+      expect(await hook(createRequest('/api'), first)).to.be.undefined;
+      expect(first.headersSent['X-RateLimit-Remaining']).to.equal('0');
+
+      const second = createReply();
+      const returned = await hook(createRequest('/api'), second);
+      expect(returned).to.equal(second);
+      expect(second.statusCode).to.equal(429);
+      expect(second.payload.retryAfter).to.be.greaterThan(0);
+    });
+
+    it('should reply 403 when the IP is forbidden', async () => {
+      const fastify = registerFastify({ skip: () => true, ipList: { deny: ['127.0.0.1'] } });
+      const reply = createReply();
+
+      expect(await fastify.hooks.onRequest(createRequest('/api'), reply)).to.equal(reply);
+      expect(reply.statusCode).to.equal(403);
+      expect(reply.headersSent).to.deep.equal({});
+    });
+
+    it('should apply route-level config with separate counters', async () => {
+      const fastify = registerFastify({ windowMs: 60000, max: 100 });
+      const hook = fastify.hooks.onRequest;
+
+      const reply = createReply();
+      await hook(createRequest('/login', { max: 1 }), reply);
+      expect(reply.headersSent['X-RateLimit-Limit']).to.equal('1');
+
+      const rejected = createReply();
+      await hook(createRequest('/login', { max: 1 }), rejected);
+      expect(rejected.statusCode).to.equal(429);
+
+      const other = createReply();
+      await hook(createRequest('/users'), other);
+      expect(other.statusCode).to.equal(200);
+      expect(other.headersSent['X-RateLimit-Remaining']).to.equal('99');
+    });
+
+    it('should reset and report route-level limits through the decorated limiter', async () => {
+      const fastify = registerFastify({ windowMs: 60000, max: 100 });
+      const hook = fastify.hooks.onRequest;
+      const blocked = [];
+      fastify.rateLimit.on('blocked', ({ route }) => blocked.push(route));
+
+      await hook(createRequest('/login', { max: 1 }), createReply());
+      expect((await hook(createRequest('/login', { max: 1 }), createReply())).statusCode).to.equal(429);
+      expect(blocked).to.deep.equal(['/login']);
+
+      await fastify.rateLimit.reset('127.0.0.1');
+
+      const reply = createReply();
+      await hook(createRequest('/login', { max: 1 }), reply);
+      expect(reply.statusCode).to.equal(200);
+    });
+
+    it('should apply reconfigured global limits to route-level config', async () => {
+      const fastify = registerFastify({ windowMs: 60000, max: 100 });
+      const hook = fastify.hooks.onRequest;
+
+      await hook(createRequest('/login', { windowMs: 1000 }), createReply());
+      fastify.rateLimit.reconfigure({ max: 1 });
+
+      const reply = createReply();
+      await hook(createRequest('/login', { windowMs: 1000 }), reply);
+      expect(reply.statusCode).to.equal(429);
+      expect(reply.headersSent['X-RateLimit-Limit']).to.equal('1');
+    });
+
+    it('should log and allow requests with unsupported route-level options', async () => {
+      const errors = [];
+      const logger = { debug() {}, info() {}, warn() {}, error: (fields) => errors.push(fields.err.message) };
+      const fastify = registerFastify({ windowMs: 60000, max: 1, logger });
+
+      const reply = createReply();
+      expect(await fastify.hooks.onRequest(createRequest('/login', { keyGenerator: () => 'k' }), reply)).to.be.undefined;
+      expect(errors).to.deep.equal(['路由 * /login 的 rateLimit 不支持的选项：keyGenerator']);
+    });
+
+    it('should keep route-level config and counters separate per method', async () => {
+      const fastify = registerFastify({ windowMs: 60000, max: 100 });
+      const get = { max: 1 };
+      const post = { max: 2 };
+      fastify.hooks.onRoute({ url: '/login', method: 'GET', config: { rateLimit: get } });
+      fastify.hooks.onRoute({ url: '/login', method: ['POST', 'PUT'], config: { rateLimit: post } });
+
+      const send = async (method, config) => {
+        const reply = createReply();
+        await fastify.hooks.onRequest(createRequest('/login', config, method), reply);
+        return reply;
+      };
+
+      expect((await send('GET', get)).headersSent['X-RateLimit-Limit']).to.equal('1');
+      expect((await send('GET', get)).statusCode).to.equal(429);
+      expect((await send('POST', post)).statusCode).to.equal(200);
+      expect((await send('POST', post)).statusCode).to.equal(200);
+      expect((await send('POST', post)).statusCode).to.equal(429);
+      expect((await send('PUT', post)).headersSent['X-RateLimit-Remaining']).to.equal('1');
+    });
+
+    it('should validate route-level config when the route is declared', () => {
+      const fastify = registerFastify({ windowMs: 60000, max: 100 });
+
+      expect(() => fastify.hooks.onRoute({ url: '/login', method: 'POST', config: { rateLimit: { max: -1 } } }))
+        .to.throw('路由 POST /login 的 rateLimit.max 必须是正数');
+      expect(() => fastify.hooks.onRoute({ url: '/health', method: 'GET', config: { rateLimit: false } })).to.not.throw();
+    });
+
+    it('should strip query strings from unmatched routes', async () => {
+      const fastify = registerFastify({ windowMs: 60000, max: 100 });
+      const routes = [];
+      fastify.rateLimit.on('allowed', ({ route }) => routes.push(route));
+
+      await fastify.hooks.onRequest({ ip: '127.0.0.1', url: '/missing?page=1' }, createReply());
+      await fastify.hooks.onRequest({ ip: '127.0.0.1', url: '/missing?page=2' }, createReply());
+
+      expect(routes).to.deep.equal(['/missing', '/missing']);
+    });
+
+    it('should allow reset through the decorated limiter', async () => {
+      const fastify = registerFastify({ windowMs: 60000, max: 1 });
+      const hook = fastify.hooks.onRequest;
+
+      await hook(createRequest('/api'), createReply());
+      await fastify.rateLimit.reset('127.0.0.1');
+
+      const reply = createReply();
+      await hook(createRequest('/api'), reply);
+      expect(reply.statusCode).to.equal(200);
+    });
+
+    it('should honour rateLimit: false and global: false', async () => {
+      const fastify = registerFastify({ windowMs: 60000, max: 1, global: false });
+      const hook = fastify.hooks.onRequest;
+
+      for (let i = 0; i < 3; i++) {
+        const reply = createReply();
+        await hook(createRequest('/open'), reply);
+        expect(reply.statusCode).to.equal(200);
+        expect(reply.headersSent).to.deep.equal({});
+      }
+
+      const limited = registerFastify({ windowMs: 60000, max: 1 }).hooks.onRequest;
+      for (let i = 0; i < 3; i++) {
+        const reply = createReply();
+        await limited(createRequest('/health', false), reply);
+        expect(reply.statusCode).to.equal(200);
+      }
+    });
+
+    it('should roll back successful requests in onResponse', async () => {
+      const fastify = registerFastify({ windowMs: 60000, max: 1, skipSuccessfulRequests: true });
+
+      for (let i = 0; i < 3; i++) {
+        const request = createRequest('/api');
+        const reply = createReply();
+        await fastify.hooks.onRequest(request, reply);
+        expect(reply.statusCode).to.equal(200);
+        await fastify.hooks.onResponse(request, reply);
+      }
+    });
+
+    it('should use custom handler when provided', async () => {
+      const fastify = registerFastify({
+        windowMs: 60000,
+        max: 1,
+        handler: (request, reply, result) => {
+          reply.code(503).send({ limit: result.limit });
+        },
+      });
+      const hook = fastify.hooks.onRequest;
+
+      await hook(createRequest('/api'), createReply());
+      const reply = createReply();
+      await hook(createRequest('/api'), reply);
+
+      expect(reply.statusCode).to.equal(503);
+      expect(reply.payload).to.deep.equal({ limit: 1 });
+    });
+  });
+
+  describe('hapiPlugin', () => {
+    it('should register at onPostAuth by default', () => {
+      const server = registerHapi({ max: 5 });
+
+      expect(hapiPlugin.name).to.equal('flex-rate-limit');
+      expect(server.exts.onPostAuth).to.be.a('function');
+      expect(server.exts.onPreResponse).to.be.a('function');
+      expect(server.decorations['server.rateLimit']).to.be.instanceOf(RateLimiter);
+    });
+
+    it('should register at configurable extension point', () => {
+      const server = registerHapi({ ext: 'onPreAuth' });
+      expect(server.exts.onPreAuth).to.be.a('function');
+
+      expect(() => registerHapi({ ext: 'onRequest' })).to.throw('ext 必须是以下之一');
+    });
+
+    it('should continue and add headers in onPreResponse when allowed', async () => {
+      const server = registerHapi({ windowMs: 60000, max: 5 });
+      const request = createHapiRequest('/api');
+
+      expect(await server.exts.onPostAuth(request, h)).to.equal(h.continue);
+
+      request.response = createResponse({ ok: true });
+      await server.exts.onPreResponse(request, h);
+      expect(request.response.headers['X-RateLimit-Remaining']).to.equal('4');
+
+      const boom = { isBoom: true, output: { headers: {} } };
+      request.response = boom;
+      await server.exts.onPreResponse(request, h);
+      expect(boom.output.headers['X-RateLimit-Limit']).to.equal('5');
+    });
+
+    it('should take over with Boom-style 429 payload when limit is exceeded', async () => {
+      const server = registerHapi({ windowMs: 60000, max: 1 });
+
+      await server.exts.onPostAuth(createHapiRequest('/api'), h);
+      const response = await server.exts.onPostAuth(createHapiRequest('/api'), h);
+
+      expect(response.tookOver).to.be.true;
+      expect(response.statusCode).to.equal(429);
+      expect(response.source).to.include({ statusCode: 429, error: 'Too Many Requests' });
+      expect(response.headers['Retry-After']).to.exist;
+    });
+
+    it('should take over with Boom-style 403 payload when the IP is forbidden', async () => {
+      const server = registerHapi({ skip: () => true, ipList: { routes: { '/admin': ['192.168.1.10'] } } });
+
+      const response = await server.exts.onPostAuth(createHapiRequest('/admin'), h);
+
+      expect(response.tookOver).to.be.true;
+      expect(response.statusCode).to.equal(403);
+      expect(response.source).to.include({ statusCode: 403, error: 'Forbidden' });
+      expect(await server.exts.onPostAuth(createHapiRequest('/api'), h)).to.equal(h.continue);
+    });
+
+    it('should honour route-level plugins.rateLimit overrides', async () => {
+      const server = registerHapi({ windowMs: 60000, max: 100 });
+      const hook = server.exts.onPostAuth;
+
+      await hook(createHapiRequest('/login', { max: 1 }), h);
+      const rejected = await hook(createHapiRequest('/login', { max: 1 }), h);
+      expect(rejected.statusCode).to.equal(429);
+
+      for (let i = 0; i < 3; i++) {
+        expect(await hook(createHapiRequest('/health', false), h)).to.equal(h.continue);
+      }
+
+      expect(await hook(createHapiRequest('/users'), h)).to.equal(h.continue);
+    });
+
+    it('should keep route-level config and counters separate per method', async () => {
+      const get = { max: 1 };
+      const post = { max: 2 };
+      const server = registerHapi({ windowMs: 60000, max: 100 }, [createHapiRoute('/login', get, 'get')]);
+      server.listeners.route(createHapiRoute('/login', post, 'post'));
+      const hook = server.exts.onPostAuth;
+
+      expect(await hook(createHapiRequest('/login', get, 'get'), h)).to.equal(h.continue);
+      expect((await hook(createHapiRequest('/login', get, 'get'), h)).statusCode).to.equal(429);
+      expect(await hook(createHapiRequest('/login', post, 'post'), h)).to.equal(h.continue);
+      expect(await hook(createHapiRequest('/login', post, 'post'), h)).to.equal(h.continue);
+      expect((await hook(createHapiRequest('/login', post, 'post'), h)).statusCode).to.equal(429);
+    });
+
+    it('should validate route-level config when registering and adding routes', () => {
+      expect(() => registerHapi({}, [createHapiRoute('/login', { max: 0 })]))
+        .to.throw('路由 GET /login 的 rateLimit.max 必须是正数');
+
+      const server = registerHapi({});
+      expect(() => server.listeners.route(createHapiRoute('/users', { windowMs: 'soon' }, 'post')))
+        .to.throw('路由 POST /users 的 rateLimit.windowMs');
+      expect(() => server.listeners.route(createHapiRoute('/health', false))).to.not.throw();
+    });
+
+    it('should reset route-level counters through the decorated limiter', async () => {
+      const server = registerHapi({ windowMs: 60000, max: 100 });
+      const hook = server.exts.onPostAuth;
+
+      await hook(createHapiRequest('/login', { max: 1 }), h);
+      expect((await hook(createHapiRequest('/login', { max: 1 }), h)).statusCode).to.equal(429);
+
+      await server.decorations['server.rateLimit'].reset('10.0.0.1');
+      expect(await hook(createHapiRequest('/login', { max: 1 }), h)).to.equal(h.continue);
+    });
+
+    it('should add headers to custom handler responses', async () => {
+      const server = registerHapi({
+        windowMs: 60000,
+        max: 1,
+        handler: (request, h, result) => h.response({ limit: result.limit }).code(503).takeover(),
+      });
+
+      await server.exts.onPostAuth(createHapiRequest('/api'), h);
+      const response = await server.exts.onPostAuth(createHapiRequest('/api'), h);
+
+      expect(response.statusCode).to.equal(503);
+      expect(response.source).to.deep.equal({ limit: 1 });
+      expect(response.headers['X-RateLimit-Remaining']).to.equal('0');
+      expect(response.headers['Retry-After']).to.exist;
+    });
+
+    it('should roll back Boom failures with skipFailedRequests', async () => {
+      const server = registerHapi({ windowMs: 60000, max: 1, skipFailedRequests: true });
+
+      for (let i = 0; i < 3; i++) {
+        const request = createHapiRequest('/api');
+        expect(await server.exts.onPostAuth(request, h)).to.equal(h.continue);
+        request.response = { isBoom: true, output: { statusCode: 500, headers: {} } };
+        await server.exts.onPreResponse(request, h);
+      }
+    });
+  });
+});
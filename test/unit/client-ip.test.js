@@ -0,0 +1,90 @@
+const { expect } = require('chai');
+const { createIPResolver, IPList } = require('../../lib');
+
+/**
+ * 创建经过代理的请求模拟对象
+ */
+function createRequest(remoteAddress, headers = {}) {
+  return { ip: remoteAddress, socket: { remoteAddress }, headers };
+}
+
+describe('createIPResolver', () => {
+  it('should ignore proxy headers by default', () => {
+    const resolve = createIPResolver();
+    const req = createRequest('10.0.0.2', { 'x-forwarded-for': '203.0.113.7' });
+
+    expect(resolve(req)).to.equal('10.0.0.2');
+    expect(resolve({ ip: '198.51.100.1' })).to.equal('198.51.100.1');
+    expect(resolve({ info: { remoteAddress: '198.51.100.2' } })).to.equal('198.51.100.2');
+    expect(resolve(undefined)).to.be.undefined;
+  });
+
+  it('should trust a number of proxy hops', () => {
+    const resolve = createIPResolver({ trustProxy: 2 });
+
+    // 客户端伪造的地址位于最左侧，不被采信
+    const req = createRequest('10.0.0.2', { 'x-forwarded-for': '1.2.3.4, 203.0.113.7, 10.0.0.1' });
+    expect(resolve(req)).to.equal('203.0.113.7');
+
+    expect(resolve(createRequest('10.0.0.2', { 'x-forwarded-for': '203.0.113.7' }))).to.equal('203.0.113.7');
+    expect(createIPResolver({ trustProxy: 0 })(req)).to.equal('10.0.0.2');
+  });
+
+  it('should trust proxies by address, CIDR and preset', () => {
+    const resolve = createIPResolver({ trustProxy: ['loopback', '10.0.0.0/8'] });
+
+    expect(resolve(createRequest('127.0.0.1', { 'x-forwarded-for': '1.2.3.4, 203.0.113.7, 10.0.0.1' })))
+      .to.equal('203.0.113.7');
+    expect(resolve(createRequest('::ffff:127.0.0.1', { 'x-forwarded-for': '203.0.113.7' }))).to.equal('203.0.113.7');
+    // 连接不是来自受信任的代理时忽略请求头
+    expect(resolve(createRequest('198.51.100.9', { 'x-forwarded-for': '203.0.113.7' }))).to.equal('198.51.100.9');
+
+    const fromList = createIPResolver({ trustProxy: new IPList(['192.168.0.0/16']) });
+    expect(fromList(createRequest('192.168.1.1', { 'x-forwarded-for': '203.0.113.7' }))).to.equal('203.0.113.7');
+    expect(createIPResolver({ trustProxy: 'uniquelocal' })(createRequest('fd00::1', { 'x-forwarded-for': '2001:db8::7' })))
+      .to.equal('2001:db8::7');
+  });
+
+  it('should use the leftmost address when trusting all proxies', () => {
+    const resolve = createIPResolver({ trustProxy: true });
+
+    expect(resolve(createRequest('10.0.0.2', { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' }))).to.equal('203.0.113.7');
+    expect(resolve(createRequest('10.0.0.2'))).to.equal('10.0.0.2');
+  });
+
+  it('should parse Forwarded and X-Real-IP headers', () => {
+    const forwarded = createIPResolver({ trustProxy: 2, ipHeader: 'forwarded' });
+    const req = createRequest('10.0.0.2', {
+      forwarded: 'for=1.2.3.4, for="[2001:db8:cafe::17]:4711";proto=https, For=10.0.0.1:8080;by=10.0.0.2',
+      'x-forwarded-for': '198.51.100.1',
+    });
+
+    expect(forwarded(req)).to.equal('2001:db8:cafe::17');
+    expect(createIPResolver({ trustProxy: 1, ipHeader: 'x-real-ip' })(createRequest('127.0.0.1', { 'x-real-ip': '203.0.113.7' })))
+      .to.equal('203.0.113.7');
+  });
+
+  it('should stop at invalid addresses in the chain', () => {
+    const resolve = createIPResolver({ trustProxy: true, ipHeader: 'forwarded' });
+
+    expect(resolve(createRequest('10.0.0.2', { forwarded: 'for=203.0.113.7, for=unknown, for=10.0.0.1' }))).to.equal('10.0.0.1');
+    expect(resolve(createRequest('10.0.0.2', { forwarded: 'for=_hidden' }))).to.equal('10.0.0.2');
+  });
+
+  it('should read the peer address from Koa, Fastify and Hapi requests', () => {
+    const resolve = createIPResolver({ trustProxy: 1 });
+    const headers = { 'x-forwarded-for': '203.0.113.7' };
+
+    expect(resolve({ headers, info: { remoteAddress: '10.0.0.2' } })).to.equal('203.0.113.7');
+    expect(resolve({ headers, raw: { socket: { remoteAddress: '10.0.0.2' } } })).to.equal('203.0.113.7');
+    expect(resolve({ headers, raw: { req: { socket: { remoteAddress: '10.0.0.2' } } } })).to.equal('203.0.113.7');
+    // 取不到连接地址时不采信请求头
+    expect(resolve({ headers, ip: '10.0.0.2' })).to.equal('10.0.0.2');
+  });
+
+  it('should validate options', () => {
+    expect(() => createIPResolver({ trustProxy: -1 })).to.throw('trustProxy 必须是布尔值、非负整数或 IP 列表');
+    expect(() => createIPResolver({ trustProxy: ['proxy'] })).to.throw('无效的 IP 地址或 CIDR：proxy');
+    expect(() => createIPResolver({ ipHeader: 'x-client-ip' })).to.throw('ipHeader 必须是以下之一：x-forwarded-for、forwarded、x-real-ip');
+  });
+});
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { RateLimiter, MemoryStore, ConfigLoader } = require('../../lib');
+
+/**
+ * 创建记录调用的日志器
+ */
+function createLogger() {
+  return { debug: sinon.spy(), info: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
+}
+
+/**
+ * 等待事件触发，超时后失败
+ */
+function waitFor(emitter, event, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`等待 ${event} 超时`)), timeout);
+    emitter.once(event, (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+describe('ConfigLoader', () => {
+  let dir;
+  let loader;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-config-'));
+  });
+
+  afterEach(() => {
+    if (loader) {
+      loader.stop();
+      loader = null;
+    }
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * 写入配置文件并返回路径
+   */
+  function writeConfig(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  }
+
+  it('should apply shared options and per-limiter overrides from a JSON file', async () => {
+    const api = new RateLimiter({ name: 'api', max: 10 });
+    const login = new RateLimiter({ name: 'login', max: 10 });
+    const file = writeConfig('rate-limit.json', {
+      max: 2,
+      perRoute: { '/admin': { max: 1 } },
+      ipList: { deny: ['203.0.113.0/24'] },
+      limiters: { login: { max: 1 } },
+    });
+
+    loader = new ConfigLoader({ path: file, limiters: [api, login], logger: createLogger() });
+    const config = await loader.load();
+
+    expect(config.max).to.equal(2);
+    expect(api.options.max).to.equal(2);
+    expect(login.options.max).to.equal(1);
+    expect((await api.check('user', { route: '/admin' })).limit).to.equal(1);
+    expect((await api.check('user', { ip: '203.0.113.9' })).forbidden).to.be.true;
+  });
+
+  it('should load YAML files', async () => {
+    const limiter = new RateLimiter({ max: 10 });
+    const file = writeConfig('rate-limit.yaml', 'max: 3\nipList:\n  allow:\n    - 10.0.0.0/8\n');
+
+    loader = new ConfigLoader({ path: file, limiters: limiter, logger: createLogger() });
+    await loader.load();
+
+    expect(limiter.options.max).to.equal(3);
+    expect((await limiter.check('user', { ip: '192.168.0.1' })).forbidden).to.be.true;
+  });
+
+  it('should keep the last good config when the new config is invalid', async () => {
+    const api = new RateLimiter({ name: 'api', max: 10 });
+    const login = new RateLimiter({ name: 'login', max: 10 });
+    const file = writeConfig('rate-limit.json', { max: 5 });
+
+    loader = new ConfigLoader({ path: file, limiters: [api, login], logger: createLogger() });
+    await loader.load();
+
+    // login 的配置无效时，api 的配置也不更新
+    writeConfig('rate-limit.json', { max: 7, limiters: { login: { max: -1 } } });
+    await loader.load().then(() => expect.fail('should have thrown'), (error) => {
+      expect(error.message).to.equal('max 必须是正数');
+    });
+
+    writeConfig('rate-limit.json', '{ "max": ');
+    await loader.load().then(() => expect.fail('should have thrown'), (error) => {
+      expect(error).to.be.instanceOf(SyntaxError);
+    });
+
+    writeConfig('rate-limit.json', { algorithm: 'token-bucket' });
+    await loader.load().then(() => expect.fail('should have thrown'), (error) => {
+      expect(error.message).to.equal('不支持热更新的选项：algorithm');
+    });
+
+    expect(api.options.max).to.equal(5);
+    expect(login.options.max).to.equal(5);
+    expect(loader.config).to.deep.equal({ max: 5 });
+  });
+
+  it('should restore options removed from the config', async () => {
+    const limiter = new RateLimiter({ max: 10, ipList: { deny: ['198.51.100.7'] } });
+    const file = writeConfig('rate-limit.json', { max: 2, ipList: null, perRoute: { '/a': { max: 1 } } });
+
+    loader = new ConfigLoader({ path: file, limiters: limiter, logger: createLogger() });
+    await loader.load();
+    expect((await limiter.check('user', { ip: '198.51.100.7' })).forbidden).to.be.undefined;
+
+    writeConfig('rate-limit.json', {});
+    await loader.load();
+
+    expect(limiter.options.max).to.equal(10);
+    expect(limiter.routes.isEmpty()).to.be.true;
+    expect((await limiter.check('user', { ip: '198.51.100.7' })).forbidden).to.be.true;
+  });
+
+  it('should transform other config shapes', async () => {
+    const limiter = new RateLimiter();
+    const file = writeConfig('ip-whitelist.json', { global: ['127.0.0.1'], routes: { '/api/admin': ['192.168.1.10'] } });
+
+    loader = new ConfigLoader({
+      path: file,
+      limiters: limiter,
+      logger: createLogger(),
+      transform: ({ global, routes }) => ({
+        ipList: {
+          routes: Object.fromEntries(Object.entries(routes).map(([route, ips]) => [`${route}/**`, [...ips, ...global]])),
+        },
+      }),
+    });
+    await loader.load();
+
+    expect((await limiter.check('a', { ip: '127.0.0.1', route: '/api/admin/users' })).allowed).to.be.true;
+    expect((await limiter.check('b', { ip: '10.0.0.1', route: '/api/admin' })).forbidden).to.be.true;
+    expect((await limiter.check('c', { ip: '10.0.0.1', route: '/api/public' })).allowed).to.be.true;
+  });
+
+  it('should reload when the watched file changes', async () => {
+    const limiter = new RateLimiter({ max: 10 });
+    const file = writeConfig('rate-limit.json', { max: 5 });
+
+    loader = new ConfigLoader({ path: file, limiters: limiter, interval: 10, logger: createLogger() });
+    await loader.start();
+
+    const reloaded = waitFor(loader, 'reload');
+    writeConfig('rate-limit.json', { max: 50 });
+
+    expect((await reloaded).config).to.deep.equal({ max: 50 });
+    expect(limiter.options.max).to.equal(50);
+  });
+
+  it('should poll a store key and report errors once', async () => {
+    const store = new MemoryStore();
+    const limiter = new RateLimiter({ max: 10 });
+    const logger = createLogger();
+    await store.set('rate-limit:config', { max: 4 });
+
+    loader = new ConfigLoader({ store, key: 'rate-limit:config', limiters: limiter, interval: 10, logger });
+    await loader.start();
+    expect(limiter.options.max).to.equal(4);
+
+    const failed = waitFor(loader, 'error');
+    await store.set('rate-limit:config', { max: 'many' });
+    expect((await failed).error.message).to.equal('max 必须是数字或函数');
+
+    const reloaded = waitFor(loader, 'reload');
+    await store.set('rate-limit:config', { max: 8 });
+    await reloaded;
+
+    expect(limiter.options.max).to.equal(8);
+    expect(logger.error.callCount).to.equal(1);
+  });
+
+  it('should not start watching when the first load fails', async () => {
+    loader = new ConfigLoader({ path: path.join(dir, 'missing.json'), limiters: new RateLimiter(), logger: createLogger() });
+
+    await loader.start().then(() => expect.fail('should have thrown'), (error) => {
+      expect(error.code).to.equal('ENOENT');
+    });
+    expect(loader.listener).to.be.null;
+  });
+
+  it('should validate options', () => {
+    const limiter = new RateLimiter();
+
+    expect(() => new ConfigLoader({ path: 'a.json' })).to.throw('limiters 必须是 RateLimiter 实例或其非空数组');
+    expect(() => new ConfigLoader({ limiters: limiter })).to.throw('path 和 store 必须且只能配置一个');
+    expect(() => new ConfigLoader({ limiters: limiter, store: new MemoryStore() })).to.throw('key 必须是非空字符串');
+    expect(() => new ConfigLoader({ limiters: limiter, path: 'a.toml', format: 'toml' })).to.throw('format 必须是以下之一：json、yaml');
+    expect(() => new ConfigLoader({ limiters: limiter, path: 'a.json', interval: 0 })).to.throw('interval 必须是正数');
+  });
+});
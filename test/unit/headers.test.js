@@ -0,0 +1,50 @@
+const { expect } = require('chai');
+const { getRateLimitHeaders } = require('../../lib/headers');
+
+describe('getRateLimitHeaders', () => {
+  const now = 1000000;
+  const policies = [
+    { name: 'burst', limit: 10, remaining: 4, resetTime: now + 2500, windowMs: 1000 },
+    { name: 'hourly', limit: 1000, remaining: 2, resetTime: now + 60000, windowMs: 3600000 },
+  ];
+
+  it('should report every policy in draft-8 structured fields', () => {
+    const headers = getRateLimitHeaders('draft-8', policies, { allowed: true }, now);
+
+    expect(headers).to.deep.equal({
+      'RateLimit-Policy': '"burst";q=10;w=1, "hourly";q=1000;w=3600',
+      RateLimit: '"burst";r=4;t=3, "hourly";r=2;t=60',
+    });
+  });
+
+  it('should list policies and report the most restrictive one in draft-6', () => {
+    const headers = getRateLimitHeaders('draft-6', policies, { allowed: true }, now);
+
+    expect(headers).to.deep.equal({
+      'RateLimit-Limit': '1000',
+      'RateLimit-Remaining': '2',
+      'RateLimit-Reset': '60',
+      'RateLimit-Policy': '10;w=1, 1000;w=3600',
+    });
+  });
+
+  it('should keep the legacy Unix timestamp reset', () => {
+    const headers = getRateLimitHeaders('legacy', policies.slice(0, 1), { allowed: false, retryAfter: 2500 }, now);
+
+    expect(headers).to.deep.equal({
+      'X-RateLimit-Limit': '10',
+      'X-RateLimit-Remaining': '4',
+      'X-RateLimit-Reset': String(Math.ceil((now + 2500) / 1000)),
+      'Retry-After': '3',
+    });
+  });
+
+  it('should escape policy names and floor fractional bucket quotas', () => {
+    const headers = getRateLimitHeaders('draft-8', [
+      { name: 'say "hi"', limit: 5, remaining: 2.6, resetTime: now - 10, windowMs: 500 },
+    ], { allowed: true }, now);
+
+    expect(headers['RateLimit-Policy']).to.equal('"say \\"hi\\"";q=5;w=1');
+    expect(headers.RateLimit).to.equal('"say \\"hi\\"";r=2;t=0');
+  });
+});
@@ -0,0 +1,91 @@
+const { expect } = require('chai');
+const { IPList, normalizeIP } = require('../../lib');
+
+describe('IPList', () => {
+  it('should match single addresses and IPv4 CIDR ranges', () => {
+    const list = new IPList(['127.0.0.1', '10.0.0.0/8', '192.168.1.0/24']);
+
+    expect(list.contains('127.0.0.1')).to.be.true;
+    expect(list.contains('10.255.1.2')).to.be.true;
+    expect(list.contains('192.168.1.200')).to.be.true;
+    expect(list.contains('192.168.2.1')).to.be.false;
+    expect(list.contains('11.0.0.1')).to.be.false;
+  });
+
+  it('should match IPv6 addresses and CIDR ranges', () => {
+    const list = new IPList(['::1', '2001:db8::/32', 'fe80::/10']);
+
+    expect(list.contains('0:0:0:0:0:0:0:1')).to.be.true;
+    expect(list.contains('2001:db8:abcd::1')).to.be.true;
+    expect(list.contains('2001:DB8::FFFF')).to.be.true;
+    expect(list.contains('2001:db9::1')).to.be.false;
+    expect(list.contains('fe80::1%eth0')).to.be.true;
+    expect(list.contains('[::1]')).to.be.true;
+  });
+
+  it('should treat IPv4-mapped IPv6 addresses as IPv4', () => {
+    const list = new IPList(['10.0.0.0/8', '::ffff:192.168.0.0/112']);
+
+    expect(list.contains('::ffff:10.1.2.3')).to.be.true;
+    expect(list.contains('::ffff:a01:203')).to.be.true;
+    expect(list.contains('192.168.5.5')).to.be.true;
+    expect(list.contains('::ffff:11.1.2.3')).to.be.false;
+    // IPv4 条目不匹配非映射的 IPv6 地址
+    expect(new IPList(['0.0.0.0/0']).contains('::1')).to.be.false;
+  });
+
+  it('should return false for invalid addresses', () => {
+    const list = new IPList(['0.0.0.0/0', '::/0']);
+
+    expect(list.contains('not-an-ip')).to.be.false;
+    expect(list.contains('256.0.0.1')).to.be.false;
+    expect(list.contains(undefined)).to.be.false;
+  });
+
+  it('should reject invalid entries', () => {
+    for (const entry of ['1.2.3.4/33', '01.2.3.4', '1.2.3', '1::2::3', '2001:db8::/129', '10.0.0.0/8/8', '']) {
+      expect(() => new IPList([entry]), entry).to.throw(`无效的 IP 地址或 CIDR：${entry}`);
+    }
+
+    expect(() => new IPList({})).to.throw('IP 列表必须是数组或逗号分隔的字符串');
+  });
+
+  it('should parse comma separated strings and environment variables', () => {
+    const list = IPList.fromEnv('ADMIN_IPS', { ADMIN_IPS: ' 192.168.1.10, 10.0.0.0/8 ,' });
+
+    expect(list.size).to.equal(2);
+    expect(list.toJSON()).to.deep.equal(['192.168.1.10', '10.0.0.0/8']);
+    expect(list.contains('10.9.9.9')).to.be.true;
+    expect(IPList.fromEnv('MISSING', {}).size).to.equal(0);
+  });
+
+  it('should add entries after creation', () => {
+    const list = new IPList();
+
+    expect(list.add('203.0.113.7')).to.equal(list);
+    expect(list.contains('203.0.113.7')).to.be.true;
+  });
+});
+
+describe('normalizeIP', () => {
+  it('should format addresses canonically', () => {
+    expect(normalizeIP('2001:DB8:0:0:1:0:0:1')).to.equal('2001:db8::1:0:0:1');
+    expect(normalizeIP('2001:0db8:0000:0000:0000:0000:0000:0001')).to.equal('2001:db8::1');
+    expect(normalizeIP('[fe80::1%eth0]')).to.equal('fe80::1');
+    expect(normalizeIP('::ffff:10.1.2.3')).to.equal('10.1.2.3');
+    expect(normalizeIP('1:0:2:3:4:5:6:7')).to.equal('1:0:2:3:4:5:6:7');
+  });
+
+  it('should key IPv6 addresses on a subnet prefix', () => {
+    expect(normalizeIP('2001:db8:1:2:aaaa::1', 64)).to.equal('2001:db8:1:2::/64');
+    expect(normalizeIP('2001:db8:1:2ff:bbbb::2', 56)).to.equal('2001:db8:1:200::/56');
+    expect(normalizeIP('2001:db8:1:2:3:4:5:6', 48)).to.equal('2001:db8:1::/48');
+    // IPv4 与 IPv4 映射地址不受网段前缀影响
+    expect(normalizeIP('::ffff:192.168.1.10', 64)).to.equal('192.168.1.10');
+  });
+
+  it('should return invalid addresses unchanged', () => {
+    expect(normalizeIP('unknown', 64)).to.equal('unknown');
+    expect(normalizeIP(undefined)).to.be.undefined;
+  });
+});
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { expect } = require('chai');
+const { RateLimiter, keyGenerators } = require('../../lib');
+
+const {
+  compose, user, header, query, cookie, hash,
+} = keyGenerators;
+
+describe('keyGenerators', () => {
+  const context = { route: '/api/orders/:id', ip: '203.0.113.7', ipKey: '203.0.113.7' };
+
+  it('should keep the predefined generators', () => {
+    const req = { ip: '::ffff:10.0.0.1', user: { id: 42 } };
+
+    expect(keyGenerators.ip(req)).to.equal('10.0.0.1');
+    expect(keyGenerators.userId(req, context)).to.equal('user:42');
+    expect(keyGenerators.routeAndIp({}, context)).to.equal('/api/orders/:id:203.0.113.7');
+    expect(keyGenerators.apiEndpoint({}, context)).to.equal('api:/api/orders/:id:203.0.113.7');
+    expect(keyGenerators.userAndRoute(req, context)).to.equal('user:42:/api/orders/:id');
+  });
+
+  describe('compose()', () => {
+    it('should join shorthand and factory parts', () => {
+      const keyGenerator = compose('user', 'route', 'method', header('X-Tenant-ID'));
+      const req = { method: 'post', user: { id: 42 }, headers: { 'x-tenant-id': 'acme' } };
+
+      expect(keyGenerator(req, context)).to.equal('42:/api/orders/%3Aid:POST:acme');
+      expect(compose('ip', { prefix: 'login', separator: '|' })({}, context)).to.equal('login|203.0.113.7');
+    });
+
+    it('should fall back to the client IP for anonymous users and mark missing parts', () => {
+      const keyGenerator = compose(user('state.user.id'), header('x-tenant-id'), query('page'));
+
+      expect(keyGenerator({ state: { user: { id: 'u1' } }, headers: {} }, context)).to.equal('u1:-:-');
+      expect(keyGenerator({ headers: {} }, context)).to.equal('ip%3A203.0.113.7:-:-');
+      expect(compose('user', { separator: '|' })({ ip: '203.0.113.7' })).to.equal('ip:203.0.113.7');
+    });
+
+    it('should escape the separator inside part values', () => {
+      const keyGenerator = compose(header('x-a'), header('x-b'));
+
+      // 不同的部件值不会拼接出相同的键
+      expect(keyGenerator({ headers: { 'x-a': 'a:b', 'x-b': 'c' } }))
+        .to.not.equal(keyGenerator({ headers: { 'x-a': 'a', 'x-b': 'b:c' } }));
+      expect(keyGenerator({ headers: { 'x-a': 'a:b', 'x-b': '100%' } })).to.equal('a%3Ab:100%25');
+      expect(keyGenerator({ headers: { 'x-a': 'a%3Ab', 'x-b': '-' } })).to.equal('a%253Ab:-');
+      expect(compose('ip', 'route', { separator: '|', prefix: 'a|b' })({}, { ipKey: '2001:db8::', route: '/x|y' }))
+        .to.equal('a|b|2001:db8::|/x%7Cy');
+    });
+
+    it('should read query parameters and cookies across frameworks', () => {
+      const keyGenerator = compose(query('tag'), cookie('sid'));
+
+      expect(keyGenerator({ query: { tag: ['a', 'b'] }, cookies: { sid: 'express' } })).to.equal('a,b:express');
+      expect(keyGenerator({ url: '/items?tag=c', cookies: { get: (name) => `koa-${name}` } })).to.equal('c:koa-sid');
+      expect(keyGenerator({ query: {}, state: { sid: 'hapi' } })).to.equal('-:hapi');
+      expect(keyGenerator({ url: '/items', headers: { cookie: 'theme=dark; sid="a%20b"' } })).to.equal('-:a b');
+    });
+
+    it('should hash sensitive and long parts', () => {
+      const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+      const token = 'Bearer secret-token';
+      const req = { headers: { authorization: token, 'x-long': 'x'.repeat(65) } };
+
+      expect(compose(hash(header('authorization')))(req)).to.equal(sha256(token).slice(0, 16));
+      expect(compose(hash(header('authorization'), { length: 32, secret: 'pepper' }))(req))
+        .to.equal(crypto.createHmac('sha256', 'pepper').update(token).digest('hex').slice(0, 32));
+      expect(compose(hash(header('missing')))(req)).to.equal('-');
+
+      expect(compose(header('x-long'))(req)).to.equal(sha256('x'.repeat(65)).slice(0, 16));
+      expect(compose(header('x-long'), { maxPartLength: false })(req)).to.equal('x'.repeat(65));
+    });
+
+    it('should support async parts', async () => {
+      const keyGenerator = compose('ip', hash((req) => Promise.resolve(req.body.email)));
+      const key = keyGenerator({ body: { email: 'a@example.com' } }, context);
+
+      expect(key).to.be.instanceOf(Promise);
+      expect(await key).to.match(/^203\.0\.113\.7:[0-9a-f]{16}$/);
+    });
+
+    it('should be usable as a limiter keyGenerator', async () => {
+      const limiter = new RateLimiter({ max: 1, keyGenerator: compose('ip', 'route') });
+      const next = [];
+      const res = { setHeader: () => {}, status: () => res, json: () => res };
+
+      await limiter.middleware()({ ip: '198.51.100.1', path: '/a' }, res, (error) => next.push(error));
+      await limiter.middleware()({ ip: '198.51.100.1', path: '/a' }, res, (error) => next.push(error));
+
+      expect(next[0]).to.be.undefined;
+      expect(next[1]).to.be.instanceOf(Error);
+      expect((await limiter.peek('198.51.100.1:/a')).current).to.equal(1);
+    });
+
+    it('should validate parts and options', () => {
+      expect(() => compose()).to.throw('compose 至少需要一个部件');
+      expect(() => compose('tenant')).to.throw('键的部件必须是函数或以下之一：ip、user、route、method');
+      expect(() => compose('ip', { separator: '' })).to.throw('separator 必须是非空字符串');
+      expect(() => compose('ip', { separator: '%' })).to.throw('separator 不能包含 %');
+      expect(() => compose('ip', { maxPartLength: 8 })).to.throw('maxPartLength 必须是不小于 16 的整数或 false');
+      expect(() => header('')).to.throw('header 的名称必须是非空字符串');
+      expect(() => hash('ip', { algorithm: 'rot13' })).to.throw('不支持的哈希算法：rot13');
+      expect(() => hash('ip', { length: 4 })).to.throw('length 必须是不小于 8 的整数');
+    });
+  });
+});
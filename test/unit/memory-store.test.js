@@ -1,4 +1,5 @@
 const { expect } = require('chai');
+const sinon = require('sinon');
 const { MemoryStore } = require('../../lib');
 
 describe('MemoryStore', () => {
@@ -38,6 +39,26 @@ describe('MemoryStore', () => {
       value = await store.get('ttl-key');
       expect(value).to.be.undefined;
     });
+
+    it('should keep keys whose TTL exceeds the setTimeout limit', async () => {
+      const clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+      const ttl = 30 * 24 * 60 * 60 * 1000; // 30 天，超过 2^31-1 毫秒
+
+      try {
+        await store.set('long-key', { blocks: 1 }, ttl);
+
+        clock.tick(1000);
+        expect(await store.get('long-key')).to.deep.equal({ blocks: 1 });
+
+        clock.tick(ttl - 2000);
+        expect(await store.get('long-key')).to.exist;
+
+        clock.tick(1000);
+        expect(await store.get('long-key')).to.be.undefined;
+      } finally {
+        clock.restore();
+      }
+    });
   });
 
   describe('increment()', () => {
@@ -0,0 +1,131 @@
+const { expect } = require('chai');
+const { RateLimiter, Metrics } = require('../../lib');
+
+/**
+ * 从指标文本中读取样本值
+ */
+function sample(text, series) {
+  const line = text.split('\n').find((l) => l.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe('Metrics', () => {
+  it('should count allowed and blocked decisions per limiter, route and algorithm', async () => {
+    const metrics = new Metrics();
+    const limiter = new RateLimiter({ name: 'api', max: 1, metrics });
+    const req = { route: { path: '/feed' } };
+
+    await limiter.check('user', { route: '/feed', req });
+    await limiter.check('user', { route: '/feed', req });
+    await limiter.check('user', { route: '/feed', req });
+
+    const text = metrics.getMetrics();
+    expect(sample(text, 'rate_limit_requests_total{limiter="api",route="/feed",algorithm="sliding-window",decision="allowed"}')).to.equal(1);
+    expect(sample(text, 'rate_limit_requests_total{limiter="api",route="/feed",algorithm="sliding-window",decision="blocked"}')).to.equal(2);
+  });
+
+  it('should label perRoute requests with the route pattern', async () => {
+    const metrics = new Metrics();
+    const limiter = new RateLimiter({
+      metrics,
+      perRoute: { '/users/:id': { algorithm: 'fixed-window' } },
+    });
+
+    await limiter.check('user', { route: '/users/1' });
+    await limiter.check('user', { route: '/users/2' });
+
+    const text = metrics.getMetrics();
+    expect(sample(text, 'rate_limit_requests_total{limiter="default",route="/users/:id",algorithm="fixed-window",decision="allowed"}')).to.equal(2);
+  });
+
+  it('should not label decisions with concrete request paths', async () => {
+    const metrics = new Metrics();
+    const limiter = new RateLimiter({ metrics });
+
+    await limiter.check('user', { route: '/users/1', req: { url: '/users/1' } });
+    await limiter.check('user', { route: '/users/2?page=1', req: { url: '/users/2?page=1' } });
+    await limiter.check('user', { route: '/users/3' });
+
+    const series = metrics.getMetrics().split('\n').filter((line) => line.startsWith('rate_limit_requests_total{'));
+    expect(series).to.deep.equal(['rate_limit_requests_total{limiter="default",route="",algorithm="sliding-window",decision="allowed"} 3']);
+  });
+
+  it('should label framework routes with the route template', async () => {
+    const metrics = new Metrics();
+    const limiter = new RateLimiter({ metrics });
+
+    for (const id of [1, 2]) {
+      await limiter.check('user', { route: `/users/${id}`, req: { url: `/users/${id}`, routeOptions: { url: '/users/:id' } } });
+    }
+
+    const text = metrics.getMetrics();
+    expect(sample(text, 'rate_limit_requests_total{limiter="default",route="/users/:id",algorithm="sliding-window",decision="allowed"}')).to.equal(2);
+  });
+
+  it('should record store latency as a cumulative histogram', async () => {
+    const metrics = new Metrics({ buckets: [0.01, 1] });
+    const limiter = new RateLimiter({ metrics });
+
+    await limiter.check('user');
+    metrics.observeStoreLatency({ limiter: 'default', store: 'MemoryStore', algorithm: 'sliding-window', operation: 'check' }, 0.5);
+
+    const text = metrics.getMetrics();
+    const labels = 'limiter="default",store="MemoryStore",algorithm="sliding-window",operation="check"';
+    expect(sample(text, `rate_limit_store_duration_seconds_bucket{${labels},le="0.01"}`)).to.equal(1);
+    expect(sample(text, `rate_limit_store_duration_seconds_bucket{${labels},le="1"}`)).to.equal(2);
+    expect(sample(text, `rate_limit_store_duration_seconds_bucket{${labels},le="+Inf"}`)).to.equal(2);
+    expect(sample(text, `rate_limit_store_duration_seconds_count{${labels}}`)).to.equal(2);
+    expect(sample(text, `rate_limit_store_duration_seconds_sum{${labels}}`)).to.be.at.least(0.5);
+  });
+
+  it('should report the MemoryStore key count once per store', async () => {
+    const metrics = new Metrics();
+    const limiter = new RateLimiter({ name: 'api', metrics });
+    new RateLimiter({ name: 'shared', metrics, store: limiter.store });
+
+    await limiter.check('a');
+    await limiter.check('b');
+
+    const text = metrics.getMetrics();
+    expect(sample(text, 'rate_limit_store_keys{limiter="api",store="MemoryStore",role="primary"}')).to.equal(2);
+    expect(text).to.not.include('limiter="shared"');
+
+    await limiter.resetAll();
+  });
+
+  it('should produce valid OpenMetrics text', async () => {
+    const metrics = new Metrics({ prefix: 'app_rl_' });
+    const limiter = new RateLimiter({ name: 'quote"d', metrics });
+
+    await limiter.check('user');
+
+    const text = metrics.getMetrics();
+    expect(text.endsWith('# EOF\n')).to.be.true;
+    expect(text).to.include('# TYPE app_rl_requests counter');
+    expect(text).to.include('limiter="quote\\"d"');
+  });
+
+  it('should serve metrics from the handler', () => {
+    const metrics = new Metrics();
+    const headers = {};
+    let body;
+
+    metrics.handler()({}, {
+      setHeader: (name, value) => {
+        headers[name] = value;
+      },
+      end: (text) => {
+        body = text;
+      },
+    });
+
+    expect(headers['Content-Type']).to.equal('application/openmetrics-text; version=1.0.0; charset=utf-8');
+    expect(body).to.equal(metrics.getMetrics());
+  });
+
+  it('should validate options', () => {
+    expect(() => new Metrics({ buckets: [1, 0.5] })).to.throw('buckets 必须是升序的数字数组');
+    expect(() => new RateLimiter({ metrics: {} })).to.throw('metrics 必须是 Metrics 实例');
+    expect(() => new RateLimiter({ name: '' })).to.throw('name 必须是非空字符串');
+  });
+});
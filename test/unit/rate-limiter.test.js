@@ -1,5 +1,57 @@
+const { EventEmitter } = require('events');
 const { expect } = require('chai');
-const { RateLimiter } = require('../../lib');
+const sinon = require('sinon');
+const {
+  RateLimiter, MemoryStore, IPList, exponentialBackoff, keyGenerators, algorithms,
+} = require('../../lib');
+
+/**
+ * 创建带事件的响应模拟对象
+ */
+function createResponse() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.setHeader = () => {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = () => res;
+  return res;
+}
+
+/**
+ * 创建所有操作都失败的存储
+ */
+function createFailingStore() {
+  const fail = () => Promise.reject(new Error('connection refused'));
+  return { get: fail, set: fail, increment: fail, decrement: fail, reset: fail };
+}
+
+/**
+ * 创建记录调用的日志器
+ */
+function createLogger() {
+  return { debug: sinon.spy(), info: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
+}
+
+/**
+ * 执行一次中间件请求，并以指定状态码完成响应
+ */
+async function runRequest(middleware, statusCode, event = 'finish') {
+  const res = createResponse();
+  let allowed = false;
+  await middleware({ ip: '127.0.0.1' }, res, (error) => {
+    allowed = !error;
+  });
+  if (allowed) {
+    res.statusCode = statusCode;
+    res.emit(event);
+    res.emit('close');
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  return allowed;
+}
 
 describe('RateLimiter', () => {
   describe('Constructor', () => {
@@ -100,6 +152,21 @@ describe('RateLimiter', () => {
       expect(result1.allowed).to.be.false;
       expect(result2.allowed).to.be.true;
     });
+
+    for (const algorithm of ['sliding-window', 'fixed-window']) {
+      it(`should not count rejected requests with ${algorithm}`, async () => {
+        const limiter = new RateLimiter({ algorithm, windowMs: 60000, max: 2 });
+
+        await limiter.check('user');
+        await limiter.check('user');
+        for (let i = 0; i < 3; i++) {
+          expect((await limiter.check('user')).current).to.equal(2);
+        }
+
+        await limiter._refund('user', {});
+        expect((await limiter.check('user')).allowed).to.be.true;
+      });
+    }
   });
 
   describe('reset()', () => {
@@ -121,6 +188,15 @@ describe('RateLimiter', () => {
       expect(result.allowed).to.be.true;
       expect(result.current).to.equal(1);
     });
+
+    it('should reset the current fixed window', async () => {
+      const limiter = new RateLimiter({ algorithm: 'fixed-window', windowMs: 60000, max: 1 });
+
+      await limiter.check('user');
+      await limiter.reset('user');
+
+      expect((await limiter.check('user')).allowed).to.be.true;
+    });
   });
 
   describe('resetAll()', () => {
@@ -239,4 +315,1564 @@ describe('RateLimiter', () => {
       expect(result2.limit).to.equal(10);
     });
   });
+
+  describe('skipSuccessfulRequests / skipFailedRequests', () => {
+    const algorithms = ['sliding-window', 'sliding-window-counter', 'fixed-window', 'token-bucket', 'leaky-bucket'];
+
+    for (const algorithm of algorithms) {
+      it(`should not count failed requests with ${algorithm}`, async () => {
+        const limiter = new RateLimiter({
+          windowMs: 60000,
+          max: 2,
+          capacity: 2,
+          refillRate: 0.0001,
+          leakRate: 0.0001,
+          algorithm,
+          skipFailedRequests: true,
+        });
+        const middleware = limiter.middleware();
+
+        for (let i = 0; i < 5; i++) {
+          expect(await runRequest(middleware, 401)).to.be.true;
+        }
+
+        expect(await runRequest(middleware, 200)).to.be.true;
+        expect(await runRequest(middleware, 200)).to.be.true;
+        expect(await runRequest(middleware, 200)).to.be.false;
+      });
+    }
+
+    it('should not count successful requests', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 60000,
+        max: 2,
+        skipSuccessfulRequests: true,
+      });
+      const middleware = limiter.middleware();
+
+      for (let i = 0; i < 5; i++) {
+        expect(await runRequest(middleware, 200)).to.be.true;
+      }
+
+      expect(await runRequest(middleware, 500)).to.be.true;
+      expect(await runRequest(middleware, 500)).to.be.true;
+      expect(await runRequest(middleware, 200)).to.be.false;
+    });
+
+    it('should treat aborted responses as failed', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 60000,
+        max: 1,
+        skipFailedRequests: true,
+      });
+      const middleware = limiter.middleware();
+
+      expect(await runRequest(middleware, 200, 'close')).to.be.true;
+      expect(await runRequest(middleware, 200, 'close')).to.be.true;
+    });
+
+    it('should use custom requestWasSuccessful predicate', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 60000,
+        max: 1,
+        skipFailedRequests: true,
+        requestWasSuccessful: (req, res) => res.statusCode !== 401,
+      });
+      const middleware = limiter.middleware();
+
+      expect(await runRequest(middleware, 401)).to.be.true;
+      expect(await runRequest(middleware, 500)).to.be.true;
+      expect(await runRequest(middleware, 500)).to.be.false;
+    });
+
+    it('should record and refund with the timestamp passed to check()', async () => {
+      const clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+
+      try {
+        const limiter = new RateLimiter({ windowMs: 60000, max: 5 });
+
+        // 中间件在检查之前生成时间戳
+        await limiter.check('user', { timestamp: 999995 });
+        clock.tick(10);
+        await limiter.check('user');
+
+        await limiter.refund('user', 1, { timestamp: 999995 });
+        expect(await limiter.store.get('user')).to.deep.equal({ requests: [1000010] });
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('should throw error for invalid requestWasSuccessful', () => {
+      expect(() => {
+        new RateLimiter({ requestWasSuccessful: 'yes' });
+      }).to.throw('requestWasSuccessful 必须是函数');
+    });
+  });
+
+  describe('perRoute', () => {
+    const createLimiter = () => new RateLimiter({
+      windowMs: 60000,
+      max: 10,
+      perRoute: {
+        '/api/login': { max: 2, windowMs: 15 * 60 * 1000 },
+        '/api/users/:id': { max: 3, algorithm: 'fixed-window' },
+        '/api/export/*': { max: 1 },
+      },
+    });
+
+    it('should apply route-level max and window', async () => {
+      const limiter = createLimiter();
+
+      const first = await limiter.check('ip-1', { route: '/api/login' });
+      expect(first.limit).to.equal(2);
+      expect(first.resetTime).to.be.greaterThan(Date.now() + 10 * 60 * 1000);
+
+      await limiter.check('ip-1', { route: '/api/login' });
+      const third = await limiter.check('ip-1', { route: '/api/login?next=/' });
+      expect(third.allowed).to.be.false;
+    });
+
+    it('should share counters across paths matching the same pattern', async () => {
+      const limiter = createLimiter();
+
+      await limiter.check('ip-1', { route: '/api/users/1' });
+      await limiter.check('ip-1', { route: '/api/users/2' });
+      const result = await limiter.check('ip-1', { route: '/api/users/3' });
+      expect(result.limit).to.equal(3);
+      expect(result.remaining).to.equal(0);
+
+      const blocked = await limiter.check('ip-1', { route: '/api/users/4' });
+      expect(blocked.allowed).to.be.false;
+    });
+
+    it('should key counters per route and fall back to global config', async () => {
+      const limiter = createLimiter();
+
+      await limiter.check('ip-1', { route: '/api/export/csv' });
+      expect((await limiter.check('ip-1', { route: '/api/export/pdf' })).allowed).to.be.false;
+
+      const other = await limiter.check('ip-1', { route: '/api/orders' });
+      expect(other.allowed).to.be.true;
+      expect(other.limit).to.equal(10);
+      expect(other.current).to.equal(1);
+    });
+
+    it('should use per-route algorithm', async () => {
+      const limiter = createLimiter();
+      await limiter.check('ip-1', { route: '/api/users/1' });
+
+      const stored = await limiter.store.get(`/api/users/:id:ip-1:${Math.floor(Date.now() / 60000)}`);
+      expect(stored).to.deep.equal({ count: 1 });
+    });
+
+    it('should apply perRoute in middleware', async () => {
+      const limiter = createLimiter();
+      const middleware = limiter.middleware();
+      const headers = {};
+      const res = {
+        setHeader: (key, value) => {
+          headers[key] = value;
+        },
+      };
+
+      await middleware({ ip: '127.0.0.1', path: '/api/login' }, res, () => {});
+      expect(headers['X-RateLimit-Limit']).to.equal('2');
+    });
+
+    it('should validate route configs', () => {
+      expect(() => {
+        new RateLimiter({ perRoute: { '/a': { max: 0 } } });
+      }).to.throw("perRoute['/a'].max 必须是正数");
+
+      expect(() => {
+        new RateLimiter({ perRoute: { '/a': { algorithm: 'nope' } } });
+      }).to.throw("perRoute['/a'].algorithm 必须是以下之一");
+    });
+  });
+
+  describe('Bucket algorithm options', () => {
+    it('should map max to token bucket capacity by default', async () => {
+      const limiter = new RateLimiter({ windowMs: 60000, max: 3, algorithm: 'token-bucket' });
+
+      for (let i = 0; i < 3; i++) {
+        expect((await limiter.check('tb-default')).allowed).to.be.true;
+      }
+
+      const result = await limiter.check('tb-default');
+      expect(result.allowed).to.be.false;
+      expect(result.limit).to.equal(3);
+    });
+
+    it('should pass constructor capacity and refillRate to token bucket', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 1000,
+        max: 100,
+        algorithm: 'token-bucket',
+        capacity: 2,
+        refillRate: 1,
+      });
+
+      const first = await limiter.check('tb-custom');
+      expect(first.limit).to.equal(2);
+      expect(first.remaining).to.equal(1);
+      expect(first.resetTime - Date.now()).to.be.at.most(1000);
+
+      await limiter.check('tb-custom');
+      const rejected = await limiter.check('tb-custom');
+      expect(rejected.allowed).to.be.false;
+      expect(rejected.retryAfter).to.be.at.most(1000);
+    });
+
+    it('should pass constructor capacity and leakRate to leaky bucket', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 60000,
+        max: 100,
+        algorithm: 'leaky-bucket',
+        capacity: 2,
+        leakRate: 1,
+      });
+
+      await limiter.check('lb-custom');
+      await limiter.check('lb-custom');
+      const rejected = await limiter.check('lb-custom');
+
+      expect(rejected.allowed).to.be.false;
+      expect(rejected.limit).to.equal(2);
+      expect(rejected.retryAfter).to.be.greaterThan(50000);
+    });
+
+    it('should map max to leaky bucket capacity by default', async () => {
+      const limiter = new RateLimiter({ windowMs: 60000, max: 20, algorithm: 'leaky-bucket' });
+
+      for (let i = 0; i < 20; i++) {
+        expect((await limiter.check('lb-default')).allowed).to.be.true;
+      }
+      expect((await limiter.check('lb-default')).allowed).to.be.false;
+    });
+
+    it('should allow per-route bucket options', async () => {
+      const limiter = new RateLimiter({
+        algorithm: 'token-bucket',
+        max: 100,
+        perRoute: { '/burst': { capacity: 1 } },
+      });
+
+      expect((await limiter.check('k', { route: '/burst' })).limit).to.equal(1);
+      expect((await limiter.check('k', { route: '/other' })).limit).to.equal(100);
+    });
+
+    it('should validate bucket options', () => {
+      expect(() => new RateLimiter({ capacity: 0 })).to.throw('capacity 必须是不小于 1 的数字');
+      expect(() => new RateLimiter({ refillRate: -1 })).to.throw('refillRate 必须是正数');
+      expect(() => new RateLimiter({ leakRate: 'fast' })).to.throw('leakRate 必须是正数');
+    });
+  });
+
+  describe('Bucket state over time', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    const drain = async (limiter, key, count) => {
+      for (let i = 0; i < count; i++) {
+        expect((await limiter.check(key)).allowed).to.be.true;
+      }
+    };
+
+    it('should keep token bucket state until the bucket has fully refilled', async () => {
+      const limiter = new RateLimiter({ algorithm: 'token-bucket', windowMs: 1000, capacity: 4, refillRate: 0.5 });
+
+      await drain(limiter, 'user', 4);
+
+      // 4 个令牌按每秒 0.5 个补充需要 8 秒；状态若按 windowMs * capacity（4 秒）过期，会提前得到满桶
+      clock.tick(4001);
+      await drain(limiter, 'user', 2);
+      expect((await limiter.check('user')).allowed).to.be.false;
+    });
+
+    it('should keep leaky bucket state until the bucket has fully drained', async () => {
+      const limiter = new RateLimiter({ algorithm: 'leaky-bucket', windowMs: 1000, capacity: 2, leakRate: 0.5 });
+
+      await drain(limiter, 'user', 2);
+
+      // 满桶按每秒 0.5 漏空需要 4 秒，2 秒后只漏出一半
+      clock.tick(2001);
+      await drain(limiter, 'user', 1);
+      expect((await limiter.check('user')).allowed).to.be.false;
+    });
+
+    it('should not let a nearly full leaky bucket overflow its capacity', async () => {
+      const limiter = new RateLimiter({ algorithm: 'leaky-bucket', windowMs: 1000, max: 3, leakRate: 1 });
+
+      await drain(limiter, 'user', 3);
+      clock.tick(500);
+
+      // 水位 2.5，再加入 1 会超过容量（max），拒绝且不加水
+      const rejected = await limiter.check('user');
+      expect(rejected.allowed).to.be.false;
+      expect(rejected.retryAfter).to.equal(500);
+
+      clock.tick(500);
+      const allowed = await limiter.check('user');
+      expect(allowed.allowed).to.be.true;
+      expect(allowed.current).to.be.at.most(3);
+    });
+  });
+
+  describe('sliding-window-counter', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should weight the previous window by its overlap', async () => {
+      const limiter = new RateLimiter({ algorithm: 'sliding-window-counter', windowMs: 1000, max: 10 });
+
+      expect((await limiter.consume('user', 10)).allowed).to.be.true;
+
+      const exhausted = await limiter.check('user');
+      expect(exhausted.allowed).to.be.false;
+      // 下一个窗口过去 10% 后，上一个窗口的权重降到 0.9
+      expect(exhausted.retryAfter).to.equal(1100);
+
+      clock.tick(1000);
+      expect((await limiter.check('user')).allowed).to.be.false;
+
+      clock.tick(250);
+      const allowed = await limiter.consume('user', 2);
+      expect(allowed.allowed).to.be.true;
+      expect(allowed.current).to.equal(9.5);
+      expect(allowed.resetTime).to.equal(1002000);
+
+      const rejected = await limiter.check('user');
+      expect(rejected.allowed).to.be.false;
+      expect(rejected.current).to.equal(9.5);
+      expect(rejected.retryAfter).to.equal(50);
+
+      clock.tick(50);
+      expect((await limiter.check('user')).allowed).to.be.true;
+    });
+
+    it('should store two counters per key', async () => {
+      const store = new MemoryStore();
+      const algorithm = algorithms['sliding-window-counter'];
+
+      for (let i = 0; i < 1000; i++) {
+        await algorithm.check(store, 'user', { windowMs: 1000, max: 2000 });
+      }
+
+      expect(await store.get('user')).to.deep.equal({ window: 1000, current: 1000, previous: 0 });
+
+      clock.tick(1500);
+      await algorithm.check(store, 'user', { windowMs: 1000, max: 2000 });
+      expect(await store.get('user')).to.deep.equal({ window: 1001, current: 1, previous: 1000 });
+
+      // 保留到下一个窗口结束
+      clock.tick(1499);
+      expect(store.size()).to.equal(1);
+      clock.tick(1);
+      expect(store.size()).to.equal(0);
+    });
+
+    it('should refund the window the request was counted in', async () => {
+      const store = new MemoryStore();
+      const algorithm = algorithms['sliding-window-counter'];
+      const timestamp = Date.now();
+
+      await algorithm.check(store, 'user', { windowMs: 1000, cost: 3 });
+      clock.tick(1000);
+      await algorithm.check(store, 'user', { windowMs: 1000 });
+
+      await algorithm.refund(store, 'user', { windowMs: 1000, timestamp, cost: 2 });
+      expect(await store.get('user')).to.deep.equal({ window: 1001, current: 1, previous: 1 });
+
+      await algorithm.refund(store, 'user', { windowMs: 1000, timestamp: timestamp - 1000 });
+      await algorithm.refund(store, 'user', { windowMs: 1000, cost: 5 });
+      expect(await store.get('user')).to.deep.equal({ window: 1001, current: 0, previous: 1 });
+    });
+  });
+
+  describe('Store errors', () => {
+    beforeEach(() => {
+      sinon.stub(console, 'error');
+      sinon.stub(console, 'warn');
+    });
+
+    afterEach(() => {
+      console.error.restore();
+      console.warn.restore();
+    });
+
+    it('should fail open by default', async () => {
+      const limiter = new RateLimiter({ max: 5, store: createFailingStore() });
+      const result = await limiter.check('user');
+
+      expect(result.allowed).to.be.true;
+      expect(result.remaining).to.equal(5);
+      expect(result.error).to.equal('connection refused');
+    });
+
+    it('should fail closed when onStoreError is closed', async () => {
+      const limiter = new RateLimiter({ windowMs: 1000, max: 5, store: createFailingStore(), onStoreError: 'closed' });
+      const result = await limiter.check('user');
+
+      expect(result.allowed).to.be.false;
+      expect(result.remaining).to.equal(0);
+      expect(result.retryAfter).to.equal(1000);
+    });
+
+    it('should reject with 429 from the middleware when failing closed', async () => {
+      const limiter = new RateLimiter({ store: createFailingStore(), onStoreError: 'closed' });
+
+      expect(await runRequest(limiter.middleware(), 200)).to.be.false;
+    });
+
+    it('should let a callback decide per request', async () => {
+      const onStoreError = sinon.stub().callsFake((error, { route }) => (route === '/pay' ? 'closed' : 'open'));
+      const limiter = new RateLimiter({ store: createFailingStore(), onStoreError });
+
+      expect((await limiter.check('user', { route: '/pay' })).allowed).to.be.false;
+      expect((await limiter.check('user', { route: '/feed' })).allowed).to.be.true;
+      expect(onStoreError.firstCall.args[0].message).to.equal('connection refused');
+      expect(onStoreError.firstCall.args[1]).to.include({ key: 'user', route: '/pay' });
+    });
+
+    it('should fail open when the callback throws', async () => {
+      const limiter = new RateLimiter({
+        store: createFailingStore(),
+        onStoreError: () => {
+          throw new Error('bad policy');
+        },
+      });
+
+      expect((await limiter.check('user')).allowed).to.be.true;
+    });
+
+    it('should degrade to the fallback store', async () => {
+      const fallbackStore = new MemoryStore();
+      const limiter = new RateLimiter({ max: 2, store: createFailingStore(), fallbackStore, onStoreError: 'closed' });
+
+      expect((await limiter.check('user')).allowed).to.be.true;
+      expect((await limiter.check('user')).allowed).to.be.true;
+
+      const rejected = await limiter.check('user');
+      expect(rejected.allowed).to.be.false;
+      expect(rejected.error).to.be.undefined;
+    });
+
+    it('should apply onStoreError when the fallback store also fails', async () => {
+      const limiter = new RateLimiter({
+        store: createFailingStore(),
+        fallbackStore: createFailingStore(),
+        onStoreError: 'closed',
+      });
+
+      expect((await limiter.check('user')).allowed).to.be.false;
+    });
+
+    it('should validate onStoreError', () => {
+      expect(() => new RateLimiter({ onStoreError: 'ignore' })).to.throw('onStoreError 必须是函数或以下之一');
+    });
+  });
+
+  describe('logger', () => {
+    it('should log store errors with structured fields', async () => {
+      const logger = createLogger();
+      const error = Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' });
+      const store = { ...createFailingStore(), get: () => Promise.reject(error) };
+      const limiter = new RateLimiter({ algorithm: 'token-bucket', store, logger });
+
+      await limiter.check('user', { route: '/pay' });
+
+      const [fields, message] = logger.error.firstCall.args;
+      expect(message).to.equal('检查速率限制时出错');
+      expect(fields).to.include({
+        key: 'user',
+        route: '/pay',
+        algorithm: 'token-bucket',
+        store: 'Object',
+        code: 'ECONNREFUSED',
+        err: error,
+      });
+    });
+
+    it('should warn when degrading to the fallback store', async () => {
+      const logger = createLogger();
+      const limiter = new RateLimiter({ store: createFailingStore(), fallbackStore: 'memory', logger });
+
+      await limiter.check('user');
+
+      expect(logger.warn.calledOnce).to.be.true;
+      expect(logger.warn.firstCall.args[0]).to.include({ key: 'user', fallbackStore: 'MemoryStore' });
+      expect(logger.error.called).to.be.false;
+    });
+
+    it('should pass the logger to stores it creates', () => {
+      const logger = createLogger();
+      const limiter = new RateLimiter({ logger, fallbackStore: 'memory' });
+
+      expect(limiter.store.logger).to.equal(logger);
+      expect(limiter.fallbackStore.logger).to.equal(logger);
+    });
+
+    it('should validate the logger', () => {
+      expect(() => new RateLimiter({ logger: { error: () => {} } })).to.throw('logger 必须实现 debug、info、warn、error 方法');
+    });
+  });
+
+  describe('events', () => {
+    it('should emit allowed and blocked with the key, route, result and request', async () => {
+      const limiter = new RateLimiter({ max: 1 });
+      const allowed = sinon.spy();
+      const blocked = sinon.spy();
+      const req = { ip: '127.0.0.1' };
+      limiter.on('allowed', allowed);
+      limiter.on('blocked', blocked);
+
+      await limiter.check('user', { req, route: '/api' });
+      const result = await limiter.check('user', { req, route: '/api' });
+
+      expect(allowed.calledOnce).to.be.true;
+      expect(allowed.firstCall.args[0]).to.include({ key: 'user', route: '/api', req });
+      expect(blocked.calledOnce).to.be.true;
+      expect(blocked.firstCall.args[0].result).to.equal(result);
+    });
+
+    it('should emit from the middleware', async () => {
+      const limiter = new RateLimiter({ max: 1 });
+      const blocked = sinon.spy();
+      limiter.on('blocked', blocked);
+
+      await runRequest(limiter.middleware(), 200);
+      await runRequest(limiter.middleware(), 200);
+
+      expect(blocked.calledOnce).to.be.true;
+      expect(blocked.firstCall.args[0].key).to.equal('127.0.0.1');
+    });
+
+    it('should emit error only when listened to', async () => {
+      const logger = createLogger();
+      const limiter = new RateLimiter({ store: createFailingStore(), logger });
+
+      // 没有监听器时不会抛出
+      expect((await limiter.check('user')).allowed).to.be.true;
+
+      const onError = sinon.spy();
+      const onAllowed = sinon.spy();
+      limiter.on('error', onError);
+      limiter.on('allowed', onAllowed);
+      await limiter.check('user', { route: '/api' });
+
+      expect(onError.firstCall.args[0]).to.include({ key: 'user', route: '/api' });
+      expect(onError.firstCall.args[0].error.message).to.equal('connection refused');
+      expect(onAllowed.firstCall.args[0].result.error).to.equal('connection refused');
+    });
+
+    it('should not let a throwing listener change the result', async () => {
+      const logger = createLogger();
+      const limiter = new RateLimiter({ logger });
+      limiter.on('allowed', () => {
+        throw new Error('listener failed');
+      });
+
+      expect((await limiter.check('user')).allowed).to.be.true;
+      expect(logger.error.firstCall.args[1]).to.equal('事件监听器出错');
+    });
+  });
+
+  describe('headers', () => {
+    /**
+     * 执行一次中间件请求并收集响应头
+     */
+    async function collectHeaders(limiter) {
+      const headers = {};
+      const res = createResponse();
+      res.setHeader = (name, value) => {
+        headers[name] = value;
+      };
+      await limiter.middleware()({ ip: '127.0.0.1' }, res, () => {});
+      return headers;
+    }
+
+    it('should treat true as legacy headers', async () => {
+      const limiter = new RateLimiter({ max: 10 });
+
+      expect(limiter.options.headers).to.equal('legacy');
+      expect(await collectHeaders(limiter)).to.have.keys('X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset');
+    });
+
+    it('should emit draft-6 headers with delta-seconds reset', async () => {
+      const limiter = new RateLimiter({ windowMs: 60000, max: 10, headers: 'draft-6' });
+      const headers = await collectHeaders(limiter);
+
+      expect(headers['RateLimit-Limit']).to.equal('10');
+      expect(headers['RateLimit-Remaining']).to.equal('9');
+      expect(headers['RateLimit-Reset']).to.equal('60');
+      expect(headers['RateLimit-Policy']).to.equal('10;w=60');
+    });
+
+    it('should emit draft-8 headers named after the limiter or route pattern', async () => {
+      const limiter = new RateLimiter({
+        name: 'api',
+        windowMs: 60000,
+        max: 10,
+        headers: 'draft-8',
+        perRoute: { '/login': { windowMs: 900000, max: 5 } },
+      });
+
+      const headers = await collectHeaders(limiter);
+      expect(headers['RateLimit-Policy']).to.equal('"api";q=10;w=60');
+      expect(headers.RateLimit).to.equal('"api";r=9;t=60');
+
+      const result = await limiter.check('user', { route: '/login' });
+      expect(limiter._getHeaders(result)['RateLimit-Policy']).to.equal('"/login";q=5;w=900');
+    });
+
+    it('should not emit headers when disabled', async () => {
+      const limiter = new RateLimiter({ headers: false });
+
+      expect(await collectHeaders(limiter)).to.deep.equal({});
+    });
+
+    it('should validate the headers mode', () => {
+      expect(() => new RateLimiter({ headers: 'draft-7' })).to.throw('headers 必须是布尔值或以下之一');
+    });
+  });
+
+  describe('policies', () => {
+    const policies = [
+      { name: 'second', windowMs: 1000, max: 3 },
+      { name: 'hour', windowMs: 3600000, max: 5, algorithm: 'fixed-window' },
+    ];
+
+    it('should allow only when every policy allows and report the most restrictive', async () => {
+      const limiter = new RateLimiter({ policies });
+
+      await limiter.check('user');
+      const result = await limiter.check('user');
+
+      expect(result.allowed).to.be.true;
+      expect(result.policy).to.equal('second');
+      expect(result.remaining).to.equal(1);
+      expect(result.policies.map((policy) => policy.name)).to.deep.equal(['second', 'hour']);
+      expect(result.policies[1]).to.include({ limit: 5, remaining: 3, windowMs: 3600000 });
+    });
+
+    it('should report the policy that tripped', async () => {
+      const limiter = new RateLimiter({ policies });
+
+      for (let i = 0; i < 3; i++) {
+        await limiter.check('user');
+      }
+      const result = await limiter.check('user');
+
+      expect(result.allowed).to.be.false;
+      expect(result.policy).to.equal('second');
+      expect(result.limit).to.equal(3);
+      expect(result.policies).to.have.length(1);
+    });
+
+    it('should not consume from earlier policies when a later one rejects', async () => {
+      const limiter = new RateLimiter({
+        policies: [
+          { name: 'second', windowMs: 1000, max: 10 },
+          { name: 'day', windowMs: 86400000, max: 2 },
+        ],
+      });
+
+      await limiter.check('user');
+      await limiter.check('user');
+      const rejected = await limiter.check('user');
+
+      expect(rejected.allowed).to.be.false;
+      expect(rejected.policy).to.equal('day');
+      expect(rejected.policies[0]).to.include({ name: 'second', remaining: 8 });
+
+      const data = await limiter.store.get('second:user');
+      expect(data.requests).to.have.length(2);
+    });
+
+    it('should check every policy before consuming any', async () => {
+      const limiter = new RateLimiter({
+        policies: [
+          { name: 'second', windowMs: 1000, max: 10 },
+          { name: 'day', windowMs: 86400000, max: 1 },
+        ],
+      });
+
+      await limiter.check('user');
+      const runAlgorithm = sinon.spy(limiter, '_runAlgorithm');
+      const rejected = await limiter.check('user');
+
+      expect(rejected.allowed).to.be.false;
+      expect(runAlgorithm.args.map(([operation]) => operation)).to.deep.equal(['peek', 'peek']);
+    });
+
+    it('should refund the window an earlier policy consumed in when a later one loses a race', async () => {
+      const clock = sinon.useFakeTimers({ now: 1019999, toFake: ['Date'] });
+
+      try {
+        const limiter = new RateLimiter({
+          policies: [
+            { name: 'minute', windowMs: 60000, max: 10, algorithm: 'fixed-window' },
+            { name: 'day', windowMs: 86400000, max: 1, algorithm: 'fixed-window' },
+          ],
+        });
+        await limiter.check('user');
+        await limiter.store.reset('minute:user:16');
+
+        // 模拟查询之后被并发请求抢先耗尽，且检查跨过了窗口边界
+        sinon.stub(limiter, '_peekPolicies').resolves(null);
+        const evaluate = limiter._evaluate.bind(limiter);
+        sinon.stub(limiter, '_evaluate').callsFake(async (...args) => {
+          const result = await evaluate(...args);
+          clock.tick(1);
+          return result;
+        });
+
+        expect((await limiter.check('user')).allowed).to.be.false;
+        expect(await limiter.store.get('minute:user:16')).to.deep.equal({ count: 0 });
+        expect(await limiter.store.get('minute:user:17')).to.not.exist;
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('should refund every policy when skipping a request', async () => {
+      const limiter = new RateLimiter({ policies, skipFailedRequests: true });
+      const middleware = limiter.middleware();
+
+      for (let i = 0; i < 4; i++) {
+        await runRequest(middleware, 500);
+      }
+
+      const result = await limiter.check('127.0.0.1');
+      expect(result.policies[0].remaining).to.equal(2);
+      expect(result.policies[1].remaining).to.equal(4);
+    });
+
+    it('should report every checked policy in draft-8 headers', async () => {
+      const limiter = new RateLimiter({ policies, headers: 'draft-8' });
+      const headers = limiter._getHeaders(await limiter.check('user'));
+
+      expect(headers['RateLimit-Policy']).to.equal('"second";q=3;w=1, "hour";q=5;w=3600');
+    });
+
+    it('should reset every policy', async () => {
+      const limiter = new RateLimiter({ policies: [{ name: 'minute', windowMs: 60000, max: 1 }] });
+
+      await limiter.check('user');
+      await limiter.reset('user');
+
+      expect((await limiter.check('user')).allowed).to.be.true;
+    });
+
+    it('should validate policies', () => {
+      expect(() => new RateLimiter({ policies: [] })).to.throw('policies 必须是非空数组');
+      expect(() => new RateLimiter({ policies: [{ max: 1 }] })).to.throw('policies[0].name 必须是非空字符串');
+      expect(() => new RateLimiter({ policies: [{ name: 'a' }, { name: 'a' }] })).to.throw('policies 中的 name 不能重复：a');
+      expect(() => new RateLimiter({ policies: [{ name: 'a', max: 0 }] })).to.throw('policies[0].max 必须是正数');
+    });
+  });
+
+  describe('cost', () => {
+    const algorithms = [
+      ['sliding-window', { max: 5 }],
+      ['sliding-window-counter', { max: 5 }],
+      ['fixed-window', { max: 5 }],
+      ['token-bucket', { max: 5, refillRate: 0.001 }],
+      ['leaky-bucket', { max: 5, leakRate: 0.001 }],
+    ];
+
+    for (const [algorithm, options] of algorithms) {
+      it(`should consume the whole cost or nothing with ${algorithm}`, async () => {
+        const limiter = new RateLimiter({ algorithm, windowMs: 60000, ...options });
+
+        const first = await limiter.check('user', { cost: 3 });
+        expect(first.allowed).to.be.true;
+        expect(Math.round(first.remaining)).to.equal(2);
+
+        const rejected = await limiter.check('user', { cost: 3 });
+        expect(rejected.allowed).to.be.false;
+        expect(Math.round(rejected.remaining)).to.equal(2);
+        expect(rejected.retryAfter).to.be.greaterThan(0);
+
+        const fits = await limiter.check('user', { cost: 2 });
+        expect(fits.allowed).to.be.true;
+        expect(Math.round(fits.remaining)).to.equal(0);
+      });
+    }
+
+    it('should reject a cost larger than the limit without consuming', async () => {
+      const limiter = new RateLimiter({ windowMs: 60000, max: 5 });
+
+      expect((await limiter.check('user', { cost: 6 })).allowed).to.be.false;
+      expect((await limiter.check('user')).remaining).to.equal(4);
+    });
+
+    for (const algorithm of ['token-bucket', 'leaky-bucket']) {
+      it(`should mark a cost larger than the ${algorithm} capacity as unsatisfiable`, async () => {
+        const limiter = new RateLimiter({
+          algorithm, windowMs: 60000, max: 5, blockDuration: 60000, logger: createLogger(),
+        });
+
+        const result = await limiter.check('user', { cost: 6 });
+        expect(result.allowed).to.be.false;
+        expect(result.unsatisfiable).to.be.true;
+        expect(result.retryAfter).to.equal(0);
+        expect(limiter._getHeaders(result)).to.not.have.property('Retry-After');
+        expect(limiter._getRejectionBody(result)).to.not.have.property('retryAfter');
+        expect((await limiter.peek('user', { cost: 6 })).unsatisfiable).to.be.true;
+
+        // 不消耗配额，也不计为违规
+        const next = await limiter.check('user');
+        expect(next.allowed).to.be.true;
+        expect(Math.round(next.remaining)).to.equal(4);
+      });
+    }
+
+    it('should resolve the cost per request in the middleware', async () => {
+      const limiter = new RateLimiter({ windowMs: 60000, max: 10 });
+      const middleware = limiter.middleware({ cost: (req) => req.body.items.length });
+      const next = sinon.spy();
+
+      await middleware({ ip: '127.0.0.1', body: { items: [1, 2, 3, 4] } }, createResponse(), next);
+
+      expect(next.calledOnceWithExactly()).to.be.true;
+      expect((await limiter.check('127.0.0.1')).remaining).to.equal(5);
+    });
+
+    it('should refund the whole cost when skipping a request', async () => {
+      const limiter = new RateLimiter({ windowMs: 60000, max: 10, skipFailedRequests: true });
+
+      await runRequest(limiter.middleware({ cost: 4 }), 500);
+
+      expect((await limiter.check('127.0.0.1')).remaining).to.equal(9);
+    });
+
+    it('should validate the cost', async () => {
+      const limiter = new RateLimiter();
+
+      for (const cost of [0, 1.5, '2']) {
+        try {
+          await limiter.check('user', { cost });
+          expect.fail('Should have thrown error');
+        } catch (error) {
+          expect(error.message).to.equal('cost 必须是正整数');
+        }
+      }
+    });
+  });
+
+  describe('peek()', () => {
+    const algorithms = [
+      ['sliding-window', {}],
+      ['sliding-window-counter', {}],
+      ['fixed-window', {}],
+      ['token-bucket', { refillRate: 0.001 }],
+      ['leaky-bucket', { leakRate: 0.001 }],
+    ];
+
+    for (const [algorithm, options] of algorithms) {
+      it(`should report quota without consuming with ${algorithm}`, async () => {
+        const limiter = new RateLimiter({ algorithm, windowMs: 60000, max: 3, ...options });
+
+        const fresh = await limiter.peek('user');
+        expect(fresh.allowed).to.be.true;
+        expect(Math.round(fresh.remaining)).to.equal(3);
+
+        await limiter.check('user');
+        await limiter.check('user');
+
+        const first = await limiter.peek('user');
+        const second = await limiter.peek('user');
+        expect(Math.round(first.current)).to.equal(2);
+        expect(Math.round(second.remaining)).to.equal(1);
+        expect((await limiter.peek('user', { cost: 2 })).allowed).to.be.false;
+
+        expect((await limiter.check('user')).allowed).to.be.true;
+        const exhausted = await limiter.peek('user');
+        expect(exhausted.allowed).to.be.false;
+        expect(exhausted.retryAfter).to.be.greaterThan(0);
+      });
+    }
+
+    it('should not emit events or record decisions', async () => {
+      const metrics = { register: sinon.spy(), recordDecision: sinon.spy(), observeStoreLatency: sinon.spy() };
+      const limiter = new RateLimiter({ metrics });
+      const listener = sinon.spy();
+      limiter.on('allowed', listener);
+
+      await limiter.peek('user');
+
+      expect(listener.called).to.be.false;
+      expect(metrics.recordDecision.called).to.be.false;
+      expect(metrics.observeStoreLatency.firstCall.args[0]).to.include({ operation: 'peek' });
+    });
+
+    it('should report every policy and the most restrictive one', async () => {
+      const limiter = new RateLimiter({
+        policies: [
+          { name: 'second', windowMs: 1000, max: 10 },
+          { name: 'day', windowMs: 86400000, max: 2 },
+        ],
+      });
+
+      await limiter.check('user');
+      await limiter.check('user');
+      const result = await limiter.peek('user');
+
+      expect(result.allowed).to.be.false;
+      expect(result.policy).to.equal('day');
+      expect(result.policies.map((policy) => policy.remaining)).to.deep.equal([8, 0]);
+    });
+
+    it('should propagate store errors', async () => {
+      const limiter = new RateLimiter({ store: createFailingStore() });
+
+      try {
+        await limiter.peek('user');
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.equal('connection refused');
+      }
+    });
+  });
+
+  describe('consume() / refund() / penalize()', () => {
+    const algorithms = [
+      ['sliding-window', {}],
+      ['sliding-window-counter', {}],
+      ['fixed-window', {}],
+      ['token-bucket', { refillRate: 0.001 }],
+      ['leaky-bucket', { leakRate: 0.001 }],
+    ];
+
+    for (const [algorithm, options] of algorithms) {
+      it(`should consume, refund and penalize with ${algorithm}`, async () => {
+        const limiter = new RateLimiter({ algorithm, windowMs: 60000, max: 5, ...options });
+
+        expect((await limiter.consume('user', 3)).allowed).to.be.true;
+        expect((await limiter.consume('user', 3)).allowed).to.be.false;
+
+        const refunded = await limiter.refund('user', 2);
+        expect(Math.round(refunded.remaining)).to.equal(4);
+
+        const penalized = await limiter.penalize('user', 6);
+        expect(penalized.allowed).to.be.false;
+        expect(penalized.remaining).to.equal(0);
+        expect(penalized.retryAfter).to.be.greaterThan(0);
+        expect((await limiter.check('user')).allowed).to.be.false;
+
+        // 归还惩罚扣除的配额后恢复
+        const restored = await limiter.refund('user', 6);
+        expect(Math.round(restored.remaining)).to.equal(4);
+      });
+    }
+
+    it('should not refund beyond the initial quota', async () => {
+      const limiter = new RateLimiter({ windowMs: 60000, max: 5 });
+
+      await limiter.consume('user');
+      const result = await limiter.refund('user', 3);
+
+      expect(result.remaining).to.equal(5);
+    });
+
+    it('should emit events for consume but not for refund or penalize', async () => {
+      const limiter = new RateLimiter({ windowMs: 60000, max: 5 });
+      const allowed = sinon.spy();
+      const blocked = sinon.spy();
+      limiter.on('allowed', allowed);
+      limiter.on('blocked', blocked);
+
+      await limiter.consume('user', 2);
+      await limiter.penalize('user', 10);
+      await limiter.refund('user');
+
+      expect(allowed.calledOnce).to.be.true;
+      expect(blocked.called).to.be.false;
+    });
+
+    it('should apply to every policy', async () => {
+      const limiter = new RateLimiter({
+        policies: [
+          { name: 'minute', windowMs: 60000, max: 5 },
+          { name: 'day', windowMs: 86400000, max: 20, algorithm: 'fixed-window' },
+        ],
+      });
+
+      const result = await limiter.penalize('user', 3);
+
+      expect(result.policies.map((policy) => policy.remaining)).to.deep.equal([2, 17]);
+    });
+
+    it('should validate the key and cost', async () => {
+      const limiter = new RateLimiter();
+
+      for (const call of [() => limiter.refund(''), () => limiter.penalize('user', 0), () => limiter.consume('user', -1)]) {
+        try {
+          await call();
+          expect.fail('Should have thrown error');
+        } catch (error) {
+          expect(error.message).to.be.oneOf(['键必须是非空字符串', 'cost 必须是正整数']);
+        }
+      }
+    });
+  });
+
+  describe('blockDuration', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should block a key after repeated rejections', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 1000, max: 1, blockDuration: 60000, blockAfter: 2, logger: createLogger(),
+      });
+
+      await limiter.check('user');
+      const first = await limiter.check('user');
+      expect(first.blocked).to.be.undefined;
+
+      const second = await limiter.check('user');
+      expect(second.blocked).to.be.true;
+      expect(second.retryAfter).to.equal(60000);
+      expect(second.resetTime).to.equal(Date.now() + 60000);
+      expect(limiter._getHeaders(second)['Retry-After']).to.equal('60');
+
+      // 窗口重置后仍处于封禁期
+      clock.tick(5000);
+      const blocked = await limiter.check('user');
+      expect(blocked.allowed).to.be.false;
+      expect(blocked.retryAfter).to.equal(55000);
+      expect((await limiter.peek('user')).blocked).to.be.true;
+
+      clock.tick(55000);
+      expect((await limiter.check('user')).allowed).to.be.true;
+    });
+
+    it('should count concurrent rejections towards blockAfter', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 1000, max: 1, blockDuration: 60000, blockAfter: 3, logger: createLogger(),
+      });
+
+      await limiter.check('user');
+      const results = await Promise.all([1, 2, 3].map(() => limiter.check('user')));
+
+      expect(results.filter((result) => result.blocked)).to.have.lengthOf(1);
+      expect((await limiter.peek('user')).blocked).to.be.true;
+    });
+
+    it('should keep blocks longer than the setTimeout limit', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 1000, max: 1, blockDuration: 30 * 24 * 60 * 60 * 1000, logger: createLogger(),
+      });
+
+      await limiter.check('user');
+      expect((await limiter.check('user')).blocked).to.be.true;
+
+      clock.tick(5000);
+      expect((await limiter.check('user')).blocked).to.be.true;
+    });
+
+    it('should escalate the block for repeat offenders', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 1000, max: 1, blockDuration: [1000, 5000], logger: createLogger(),
+      });
+
+      await limiter.check('user');
+      expect((await limiter.check('user')).retryAfter).to.equal(1000);
+
+      clock.tick(1000);
+      await limiter.check('user');
+      expect((await limiter.check('user')).retryAfter).to.equal(5000);
+
+      clock.tick(5000);
+      await limiter.check('user');
+      expect((await limiter.check('user')).retryAfter).to.equal(5000);
+    });
+
+    it('should accept a function of the block count', async () => {
+      const blockDuration = sinon.stub().returns(2000);
+      const limiter = new RateLimiter({ windowMs: 1000, max: 1, blockDuration, logger: createLogger() });
+
+      await limiter.check('user');
+      await limiter.check('user');
+
+      expect(blockDuration.calledOnceWithExactly(1)).to.be.true;
+    });
+
+    it('should not block when the function returns an invalid duration', async () => {
+      for (const duration of [0, -1, NaN, Infinity, '2000']) {
+        const logger = createLogger();
+        const limiter = new RateLimiter({ windowMs: 1000, max: 1, blockDuration: () => duration, logger });
+
+        await limiter.check('user');
+        const result = await limiter.check('user');
+
+        expect(result.allowed).to.be.false;
+        expect(result.blocked).to.be.undefined;
+        expect(logger.error.firstCall.args[0].err.message).to.equal('blockDuration 函数必须返回正数');
+      }
+    });
+
+    it('should unblock a key', async () => {
+      const limiter = new RateLimiter({ windowMs: 1000, max: 1, blockDuration: 60000, logger: createLogger() });
+
+      await limiter.check('user');
+      await limiter.check('user');
+      clock.tick(1000);
+      await limiter.unblock('user');
+
+      expect((await limiter.check('user')).allowed).to.be.true;
+    });
+
+    it('should block per route when perRoute matches', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 1000,
+        max: 10,
+        blockDuration: 60000,
+        logger: createLogger(),
+        perRoute: { '/login': { max: 1 } },
+      });
+
+      await limiter.check('user', { route: '/login' });
+      expect((await limiter.check('user', { route: '/login' })).blocked).to.be.true;
+      expect((await limiter.check('user', { route: '/feed' })).allowed).to.be.true;
+
+      await limiter.unblock('user', { route: '/login' });
+      clock.tick(1000);
+      expect((await limiter.check('user', { route: '/login' })).allowed).to.be.true;
+    });
+
+    it('should reset route-scoped counters and blocks', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 60000,
+        max: 10,
+        blockDuration: 60000,
+        logger: createLogger(),
+        perRoute: { '/login': { max: 1 }, '/users/:id': { max: 1, algorithm: 'fixed-window' } },
+      });
+
+      for (const route of ['/login', '/users/1']) {
+        await limiter.check('user', { route });
+        expect((await limiter.check('user', { route })).blocked).to.be.true;
+      }
+
+      await limiter.reset('user');
+
+      for (const route of ['/login', '/users/1']) {
+        const result = await limiter.check('user', { route });
+        expect(result.allowed).to.be.true;
+        expect(result.current).to.equal(1);
+      }
+    });
+
+    it('should validate blockDuration and blockAfter', () => {
+      expect(() => new RateLimiter({ blockDuration: 0 })).to.throw('blockDuration 必须是正数、正数数组或函数');
+      expect(() => new RateLimiter({ blockDuration: [] })).to.throw('blockDuration 必须是正数、正数数组或函数');
+      expect(() => new RateLimiter({ blockAfter: 0 })).to.throw('blockAfter 必须是正整数');
+    });
+  });
+
+  describe('progressive backoff', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    /**
+     * 消耗唯一的配额后再触发一次拒绝，返回拒绝结果
+     */
+    async function violate(limiter) {
+      await limiter.check('user');
+      return limiter.check('user');
+    }
+
+    it('should double the lockout on each consecutive violation', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 1000,
+        max: 1,
+        blockDuration: exponentialBackoff({ initial: 1000, max: 8000 }),
+        logger: createLogger(),
+      });
+
+      const lockouts = [];
+      for (let i = 0; i < 5; i++) {
+        const result = await violate(limiter);
+        lockouts.push(result.retryAfter);
+        clock.tick(result.retryAfter);
+      }
+
+      expect(lockouts).to.deep.equal([1000, 2000, 4000, 8000, 8000]);
+    });
+
+    it('should step the lockout back down after quiet periods', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 1000,
+        max: 1,
+        blockDuration: exponentialBackoff({ initial: 1000 }),
+        blockDecay: 60000,
+        logger: createLogger(),
+      });
+
+      for (let i = 0; i < 3; i++) {
+        clock.tick((await violate(limiter)).retryAfter);
+      }
+
+      // 安静一个衰减周期后封禁次数从 3 降到 2，下一次封禁为第 3 次
+      clock.tick(60000);
+      const afterOneDecay = await violate(limiter);
+      expect(afterOneDecay.retryAfter).to.equal(4000);
+
+      // 安静足够久后回到初始封禁时长
+      clock.tick(afterOneDecay.retryAfter + 3 * 60000);
+      expect((await violate(limiter)).retryAfter).to.equal(1000);
+    });
+
+    it('should forget the lockout level one window after the block without blockDecay', async () => {
+      const limiter = new RateLimiter({
+        windowMs: 1000,
+        max: 1,
+        blockDuration: exponentialBackoff({ initial: 1000 }),
+        logger: createLogger(),
+      });
+
+      clock.tick((await violate(limiter)).retryAfter);
+      clock.tick(1000);
+
+      expect((await violate(limiter)).retryAfter).to.equal(1000);
+    });
+
+    it('should cap the lockout at 24 hours by default', () => {
+      const backoff = exponentialBackoff({ initial: 1000 });
+
+      expect(backoff(17)).to.equal(65536000);
+      expect(backoff(18)).to.equal(24 * 60 * 60 * 1000);
+      expect(backoff(2000)).to.equal(24 * 60 * 60 * 1000);
+      expect(exponentialBackoff({ initial: 48 * 60 * 60 * 1000 })(3)).to.equal(48 * 60 * 60 * 1000);
+    });
+
+    it('should validate backoff options', () => {
+      expect(() => exponentialBackoff({})).to.throw('initial 必须是正数');
+      expect(() => exponentialBackoff({ initial: 1000, factor: 0.5 })).to.throw('factor 必须是不小于 1 的数字');
+      expect(() => exponentialBackoff({ initial: 1000, max: 500 })).to.throw('max 必须是不小于 initial 的有限数字');
+      expect(() => exponentialBackoff({ initial: 1000, max: Infinity })).to.throw('max 必须是不小于 initial 的有限数字');
+      expect(() => exponentialBackoff({ initial: Infinity })).to.throw('initial 必须是正数');
+      expect(() => new RateLimiter({ blockDecay: 0 })).to.throw('blockDecay 必须是正数');
+    });
+  });
+
+  describe('ipList', () => {
+    it('should forbid denylisted addresses without consuming quota', async () => {
+      const limiter = new RateLimiter({ max: 1, ipList: { deny: ['203.0.113.0/24'] } });
+      const forbidden = sinon.spy();
+      limiter.on('forbidden', forbidden);
+
+      const result = await limiter.check('user', { ip: '::ffff:203.0.113.9' });
+
+      expect(result).to.include({ allowed: false, forbidden: true, retryAfter: 0 });
+      expect(forbidden.firstCall.args[0]).to.include({ key: 'user', ip: '::ffff:203.0.113.9' });
+      expect((await limiter.check('user', { ip: '198.51.100.1' })).allowed).to.be.true;
+    });
+
+    it('should only admit allowlisted addresses when an allowlist is set', async () => {
+      const limiter = new RateLimiter({ ipList: { allow: ['10.0.0.0/8', '::1'] } });
+
+      expect((await limiter.check('a', { req: { ip: '10.1.2.3' } })).allowed).to.be.true;
+      expect((await limiter.check('b', { req: { ip: '::1' } })).allowed).to.be.true;
+      expect((await limiter.check('c', { req: { ip: '192.168.0.1' } })).forbidden).to.be.true;
+      // 无法确定 IP 时按不在允许列表处理
+      expect((await limiter.check('d', { req: {} })).forbidden).to.be.true;
+      // 未传入 req 和 ip 时不检查
+      expect((await limiter.check('e')).allowed).to.be.true;
+    });
+
+    it('should combine route lists with the global lists', async () => {
+      const admins = new IPList(['192.168.1.10']);
+      const limiter = new RateLimiter({
+        ipList: {
+          allow: ['127.0.0.1'],
+          deny: ['10.0.0.13'],
+          routes: {
+            '/api/admin/**': admins,
+            '/api/internal/**': { allow: ['10.0.0.0/8'], deny: ['10.0.0.99'] },
+          },
+        },
+      });
+      const forbidden = (ip, route) => limiter.check(ip, { ip, route }).then((result) => Boolean(result.forbidden));
+
+      expect(await forbidden('192.168.1.10', '/api/admin/users')).to.be.false;
+      expect(await forbidden('127.0.0.1', '/api/admin/users')).to.be.false;
+      expect(await forbidden('192.168.1.11', '/api/admin/users')).to.be.true;
+      expect(await forbidden('192.168.1.10', '/api/public')).to.be.true;
+      expect(await forbidden('10.2.3.4', '/api/internal/jobs')).to.be.false;
+      expect(await forbidden('10.0.0.99', '/api/internal/jobs')).to.be.true;
+      // 拒绝列表优先于允许列表
+      expect(await forbidden('10.0.0.13', '/api/internal/jobs')).to.be.true;
+
+      // IPList 实例的修改立即生效
+      admins.add('192.168.1.11');
+      expect(await forbidden('192.168.1.11', '/api/admin/users')).to.be.false;
+    });
+
+    it('should report forbidden addresses from peek() without events', async () => {
+      const limiter = new RateLimiter({ ipList: { deny: '198.51.100.7' } });
+      const forbidden = sinon.spy();
+      limiter.on('forbidden', forbidden);
+
+      expect((await limiter.peek('user', { ip: '198.51.100.7' })).forbidden).to.be.true;
+      expect(forbidden.called).to.be.false;
+    });
+
+    it('should respond 403 from middleware() and skip the handler', async () => {
+      const handler = sinon.spy();
+      const limiter = new RateLimiter({ handler, ipList: { deny: ['127.0.0.1'] } });
+      const res = createResponse();
+      const setHeader = sinon.spy(res, 'setHeader');
+      const json = sinon.spy(res, 'json');
+      const next = sinon.spy();
+
+      await limiter.middleware()({ ip: '127.0.0.1', path: '/' }, res, next);
+
+      expect(res.statusCode).to.equal(403);
+      expect(json.firstCall.args[0]).to.deep.equal({ error: '禁止访问', message: 'IP 地址不允许访问' });
+      expect(setHeader.called).to.be.false;
+      expect(handler.called).to.be.false;
+      expect(next.firstCall.args[0]).to.be.instanceOf(Error);
+    });
+
+    it('should exempt addresses from limiting in middleware() without consuming quota', async () => {
+      const keyGenerator = sinon.spy((req) => req.ip);
+      const limiter = new RateLimiter({
+        max: 1,
+        keyGenerator,
+        ipList: {
+          exempt: ['10.0.0.0/8'],
+          routes: { '/reports/**': { exempt: ['192.168.2.0/24'] } },
+        },
+      });
+      const middleware = limiter.middleware();
+      const send = async (ip, path) => {
+        const res = createResponse();
+        const setHeader = sinon.spy(res, 'setHeader');
+        const next = sinon.spy();
+        await middleware({ ip, path }, res, next);
+        return { res, setHeader, next };
+      };
+
+      for (let i = 0; i < 3; i++) {
+        const { res, setHeader, next } = await send('10.1.2.3', '/');
+        expect(res.statusCode).to.equal(200);
+        expect(setHeader.called).to.be.false;
+        expect(next.firstCall.args).to.be.empty;
+      }
+
+      expect(keyGenerator.called).to.be.false;
+      expect((await limiter.peek('10.1.2.3')).current).to.equal(0);
+
+      // 路由的豁免列表只在该路由生效，其他 IP 照常访问并受限流
+      expect((await send('192.168.2.5', '/reports/daily')).res.statusCode).to.equal(200);
+      expect((await send('192.168.2.5', '/reports/daily')).res.statusCode).to.equal(200);
+      expect((await send('192.168.2.5', '/')).res.statusCode).to.equal(200);
+      expect((await send('192.168.2.5', '/')).res.statusCode).to.equal(429);
+    });
+
+    it('should check the denylist before exempt and skip', async () => {
+      const skip = sinon.spy(() => true);
+      const limiter = new RateLimiter({
+        skip,
+        ipList: { deny: ['10.0.0.13'], exempt: ['10.0.0.0/8'] },
+      });
+      const res = createResponse();
+      const next = sinon.spy();
+
+      await limiter.middleware()({ ip: '10.0.0.13', path: '/' }, res, next);
+
+      expect(res.statusCode).to.equal(403);
+      expect(skip.called).to.be.false;
+      expect(next.firstCall.args[0]).to.be.instanceOf(Error);
+
+      // 未被拒绝的 IP 仍由 skip 决定
+      await limiter.middleware()({ ip: '192.168.0.1', path: '/' }, createResponse(), next);
+      expect(skip.calledOnce).to.be.true;
+    });
+
+    it('should validate ipList', () => {
+      expect(() => new RateLimiter({ ipList: [] })).to.throw('ipList 必须是对象');
+      expect(() => new RateLimiter({ ipList: { routes: null } })).to.throw('ipList.routes 必须是对象');
+      expect(() => new RateLimiter({ ipList: { routes: { '/a': 1 } } })).to.throw("ipList.routes['/a'] 必须是 IP 列表或 { allow, deny, exempt } 对象");
+      expect(() => new RateLimiter({ ipList: { exempt: ['nope'] } })).to.throw('无效的 IP 地址或 CIDR：nope');
+      expect(() => new RateLimiter({ ipList: { allow: ['10.0.0.0/33'] } })).to.throw('无效的 IP 地址或 CIDR：10.0.0.0/33');
+    });
+  });
+
+  describe('reconfigure()', () => {
+    it('should update limits, routes and IP lists while keeping counts', async () => {
+      const limiter = new RateLimiter({ max: 5 });
+
+      await limiter.check('user');
+      await limiter.check('user');
+
+      expect(limiter.reconfigure({
+        max: 3,
+        perRoute: { '/login': { max: 1 } },
+        ipList: { deny: ['203.0.113.0/24'] },
+      })).to.equal(limiter);
+
+      const result = await limiter.check('user');
+      expect(result.limit).to.equal(3);
+      expect(result.remaining).to.equal(0);
+      expect((await limiter.check('user', { route: '/login' })).limit).to.equal(1);
+      expect((await limiter.check('other', { ip: '203.0.113.1' })).forbidden).to.be.true;
+    });
+
+    it('should reject options that cannot be reloaded', () => {
+      const limiter = new RateLimiter();
+
+      expect(() => limiter.reconfigure(null)).to.throw('配置必须是对象');
+      expect(() => limiter.reconfigure({ store: new MemoryStore(), algorithm: 'token-bucket' }))
+        .to.throw('不支持热更新的选项：store、algorithm');
+    });
+
+    it('should keep the previous config when validation fails', () => {
+      const limiter = new RateLimiter({ max: 5, perRoute: { '/login': { max: 1 } } });
+      const { routes } = limiter;
+
+      expect(() => limiter.reconfigure({ max: 10, perRoute: { '/a': { max: -1 } } })).to.throw('max 必须是正数');
+      expect(() => limiter.reconfigure({ max: 10, ipList: { allow: ['nope'] } })).to.throw('无效的 IP 地址或 CIDR：nope');
+
+      expect(limiter.options.max).to.equal(5);
+      expect(limiter.routes).to.equal(routes);
+    });
+  });
+
+  describe('trustProxy', () => {
+    const createProxiedRequest = (forwardedFor) => ({
+      ip: '10.0.0.2',
+      path: '/',
+      socket: { remoteAddress: '10.0.0.2' },
+      headers: { 'x-forwarded-for': forwardedFor },
+    });
+
+    it('should key requests by the resolved client IP', async () => {
+      const keyGenerator = sinon.spy(keyGenerators.ip);
+      const limiter = new RateLimiter({ max: 1, trustProxy: ['10.0.0.0/8'], keyGenerator });
+      const middleware = limiter.middleware();
+
+      await middleware(createProxiedRequest('203.0.113.7'), createResponse(), () => {});
+      const next = sinon.spy();
+      await middleware(createProxiedRequest('198.51.100.1, 10.0.0.1'), createResponse(), next);
+
+      expect(keyGenerator.firstCall.args[1]).to.deep.equal({ route: '/', ip: '203.0.113.7', ipKey: '203.0.113.7' });
+      expect(keyGenerator.secondCall.returnValue).to.equal('198.51.100.1');
+      expect(next.firstCall.args).to.be.empty;
+    });
+
+    it('should not trust headers by default', () => {
+      const limiter = new RateLimiter();
+
+      expect(limiter.getClientIP(createProxiedRequest('203.0.113.7'))).to.equal('10.0.0.2');
+      expect(keyGenerators.routeAndIp({ ip: '10.0.0.2' }, { route: '/a' })).to.equal('/a:10.0.0.2');
+    });
+
+    it('should apply ipList to the resolved client IP', async () => {
+      const limiter = new RateLimiter({ trustProxy: 1, ipList: { deny: ['203.0.113.0/24'] } });
+
+      expect((await limiter.check('a', { req: createProxiedRequest('203.0.113.7') })).forbidden).to.be.true;
+      expect((await limiter.check('b', { req: createProxiedRequest('198.51.100.1') })).allowed).to.be.true;
+    });
+
+    it('should validate trustProxy and ipHeader', () => {
+      expect(() => new RateLimiter({ trustProxy: 'yes' })).to.throw('无效的 IP 地址或 CIDR：yes');
+      expect(() => new RateLimiter({ trustProxy: 1.5 })).to.throw('trustProxy 必须是布尔值、非负整数或 IP 列表');
+      expect(() => new RateLimiter({ ipHeader: 'x-client-ip' })).to.throw('ipHeader 必须是以下之一');
+    });
+  });
+
+  describe('ipv6Subnet', () => {
+    it('should share one key across an IPv6 subnet', async () => {
+      const limiter = new RateLimiter({ max: 1, ipv6Subnet: 64 });
+      const middleware = limiter.middleware();
+      const next = sinon.spy();
+
+      await middleware({ ip: '2001:db8:1:2::a', path: '/' }, createResponse(), next);
+      await middleware({ ip: '2001:db8:1:2:ffff::b', path: '/' }, createResponse(), next);
+      await middleware({ ip: '2001:db8:1:3::a', path: '/' }, createResponse(), next);
+
+      expect(next.secondCall.args[0]).to.be.instanceOf(Error);
+      expect(next.thirdCall.args).to.be.empty;
+      expect((await limiter.peek('2001:db8:1:2::/64')).current).to.equal(1);
+    });
+
+    it('should collapse IPv4-mapped addresses by default', async () => {
+      const keyGenerator = sinon.spy(keyGenerators.apiEndpoint);
+      const limiter = new RateLimiter({ keyGenerator, ipList: { allow: ['::ffff:192.168.0.0/112'] } });
+
+      await limiter.middleware()({ ip: '::ffff:192.168.1.10', path: '/a' }, createResponse(), () => {});
+
+      expect(keyGenerator.firstCall.returnValue).to.equal('api:/a:192.168.1.10');
+      expect(keyGenerators.ip({ ip: '2001:DB8::0001' })).to.equal('2001:db8::1');
+    });
+
+    it('should validate ipv6Subnet', () => {
+      for (const ipv6Subnet of [0, 129, 64.5, '64', true]) {
+        expect(() => new RateLimiter({ ipv6Subnet }), String(ipv6Subnet)).to.throw('ipv6Subnet 必须是 1 到 128 之间的整数或 false');
+      }
+    });
+  });
+
+  describe('normalizeRoute', () => {
+    it('should use the route template or the path without the query string', async () => {
+      const keyGenerator = sinon.spy(keyGenerators.routeAndIp);
+      const limiter = new RateLimiter({ keyGenerator });
+      const middleware = limiter.middleware();
+
+      await middleware({ ip: '127.0.0.1', route: { path: '/users/:id' }, path: '/users/1' }, createResponse(), () => {});
+      await middleware({ ip: '127.0.0.1', url: '/search?q=1' }, createResponse(), () => {});
+
+      expect(keyGenerator.firstCall.returnValue).to.equal('/users/:id:127.0.0.1');
+      expect(keyGenerator.secondCall.returnValue).to.equal('/search:127.0.0.1');
+    });
+
+    it('should share counters across collapsed ID segments', async () => {
+      const limiter = new RateLimiter({ max: 1, normalizeRoute: true, perRoute: { '/users/:id': { max: 1 } } });
+      const middleware = limiter.middleware();
+      const next = sinon.spy();
+
+      await middleware({ ip: '127.0.0.1', path: '/users/1' }, createResponse(), next);
+      await middleware({ ip: '127.0.0.1', path: '/users/2' }, createResponse(), next);
+
+      expect(next.secondCall.args[0]).to.be.instanceOf(Error);
+      expect(limiter._getRoute({ path: '/users/2' })).to.equal('/users/:id');
+    });
+
+    it('should validate normalizeRoute', () => {
+      expect(() => new RateLimiter({ normalizeRoute: 'ids' })).to.throw('normalizeRoute 必须是布尔值或函数');
+    });
+  });
 });
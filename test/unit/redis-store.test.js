@@ -0,0 +1,198 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { RedisStore, algorithms } = require('../../lib');
+const scripts = require('../../lib/stores/redis-scripts');
+
+/**
+ * Minimal client exposing only the commands the script path uses
+ */
+function createClient(overrides = {}) {
+  return {
+    script: sinon.stub().resolves('sha1'),
+    evalsha: sinon.stub().resolves([1, 1, '2000']),
+    eval: sinon.stub().resolves([1, 1, '2000']),
+    get: sinon.stub().resolves(null),
+    set: sinon.stub().resolves('OK'),
+    setex: sinon.stub().resolves('OK'),
+    ...overrides,
+  };
+}
+
+describe('RedisStore', () => {
+  describe('atomic scripts', () => {
+    it('should load a script once and run it with EVALSHA', async () => {
+      const client = createClient();
+      const store = new RedisStore({ client });
+
+      const result = await store.atomicCheck('sliding-window', 'user', { windowMs: 1000, now: 1000, max: 5 });
+      await store.atomicCheck('sliding-window', 'user', { windowMs: 1000, now: 1001, max: 5 });
+
+      expect(result).to.deep.equal({ allowed: true, count: 1, resetTime: 2000 });
+      expect(client.script.calledOnceWith('LOAD', scripts['sliding-window'].check.lua)).to.be.true;
+      expect(client.evalsha.callCount).to.equal(2);
+      expect(client.evalsha.firstCall.args.slice(0, 5)).to.deep.equal(['sha1', 1, 'rl:user:scores', 1000, 1000]);
+      // max, cost
+      expect(client.evalsha.firstCall.args.slice(6)).to.deep.equal([5, 1]);
+      expect(client.eval.called).to.be.false;
+    });
+
+    it('should fall back to EVAL and reload after NOSCRIPT', async () => {
+      const client = createClient({
+        evalsha: sinon.stub().rejects(new Error('NOSCRIPT No matching script.')),
+      });
+      const store = new RedisStore({ client });
+
+      await store.atomicCheck('fixed-window', 'user:1', { windowMs: 1000, max: 10, cost: 3 });
+
+      expect(client.eval.calledOnce).to.be.true;
+      expect(client.eval.firstCall.args.slice(1)).to.deep.equal([1, 'rl:user:1', 1000, 10, 3]);
+      expect(store.scriptShas.size).to.equal(0);
+    });
+
+    it('should rethrow script errors other than NOSCRIPT', async () => {
+      const client = createClient({ evalsha: sinon.stub().rejects(new Error('ERR boom')) });
+      const logger = { debug: sinon.spy(), info: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
+      const store = new RedisStore({ client, logger });
+
+      try {
+        await store.atomicCheck('fixed-window', 'user', { windowMs: 1000 });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('ERR boom');
+      }
+
+      expect(client.eval.called).to.be.false;
+      expect(logger.error.firstCall.args[0]).to.include({
+        store: 'RedisStore',
+        key: 'user',
+        algorithm: 'fixed-window',
+        operation: 'check',
+      });
+    });
+
+    it('should use EVAL when the client has no EVALSHA', async () => {
+      const client = createClient({ evalsha: undefined, script: undefined });
+      const store = new RedisStore({ client });
+
+      await store.atomicRefund('leaky-bucket', 'user', { ttl: 5000 });
+
+      expect(client.eval.calledOnceWith(scripts['leaky-bucket'].refund.lua, 1, 'rl:user', 5000, 1)).to.be.true;
+    });
+
+    it('should peek with a read-only script', async () => {
+      const client = createClient({ evalsha: sinon.stub().resolves([0, 2, '1500']) });
+      const store = new RedisStore({ client });
+
+      const result = await store.atomicPeek('sliding-window', 'user', { windowMs: 1000, now: 1000, max: 2 });
+
+      expect(result).to.deep.equal({ allowed: false, count: 2, resetTime: 1500 });
+      expect(client.script.calledOnceWith('LOAD', scripts['sliding-window'].peek.lua)).to.be.true;
+      expect(client.evalsha.firstCall.args.slice(2)).to.deep.equal(['rl:user:scores', 1000, 1000, '(0', 2, 1]);
+      for (const algorithm of Object.keys(scripts)) {
+        expect(scripts[algorithm].peek.lua).to.not.match(/ZADD|ZREM|INCR|DECR|SET|PEXPIRE/);
+      }
+    });
+
+    it('should send an unlimited max as an empty argument', async () => {
+      const client = createClient();
+      const store = new RedisStore({ client });
+
+      await store.atomicCheck('fixed-window', 'user', { windowMs: 1000, max: Infinity });
+
+      expect(client.evalsha.firstCall.args.slice(3)).to.deep.equal([1000, '', 1]);
+    });
+
+    it('should only support atomic scripts when enabled and the client can evaluate', () => {
+      expect(new RedisStore({ client: createClient() }).supportsAtomic()).to.be.true;
+      expect(new RedisStore({ client: createClient(), atomic: false }).supportsAtomic()).to.be.false;
+      expect(new RedisStore({ client: createClient({ eval: undefined, evalsha: undefined }) }).supportsAtomic()).to.be.false;
+    });
+  });
+
+  describe('algorithms', () => {
+    it('should delegate bucket checks to the store script', async () => {
+      const client = createClient({ evalsha: sinon.stub().resolves([1, '2.5', '1500.5']) });
+      const store = new RedisStore({ client });
+
+      const result = await algorithms['token-bucket'].check(store, 'user', {
+        capacity: 5, refillRate: 5, windowMs: 1000, cost: 2,
+      });
+
+      expect(result).to.deep.equal({ allowed: true, count: 2.5, limit: 5, resetTime: 1500.5 });
+      // capacity, refillRate, windowMs, now, ttl, cost
+      const args = client.evalsha.firstCall.args;
+      expect(args.slice(3, 6)).to.deep.equal([5, 5, 1000]);
+      expect(args.slice(7)).to.deep.equal([1000, 2]);
+      expect(client.get.called).to.be.false;
+    });
+
+    it('should compute the fixed window reset time around the script count', async () => {
+      const client = createClient({ evalsha: sinon.stub().resolves([0, 3]) });
+      const store = new RedisStore({ client });
+
+      const result = await algorithms['fixed-window'].check(store, 'user', { windowMs: 1000, max: 3 });
+
+      expect(result.allowed).to.be.false;
+      expect(result.count).to.equal(3);
+      expect(result.resetTime % 1000).to.equal(0);
+      expect(client.evalsha.firstCall.args[2]).to.match(/^rl:user:\d+$/);
+    });
+
+    it('should run the sliding window counter as a single-key script', async () => {
+      const client = createClient({ evalsha: sinon.stub().resolves([0, '9.5', '1300']) });
+      const store = new RedisStore({ client });
+
+      const result = await algorithms['sliding-window-counter'].check(store, 'user', { windowMs: 1000, max: 10 });
+
+      expect(result).to.deep.equal({ allowed: false, count: 9.5, resetTime: 1300 });
+      expect(client.script.calledOnceWith('LOAD', scripts['sliding-window-counter'].check.lua)).to.be.true;
+      // now, windowMs, max, cost
+      expect(client.evalsha.firstCall.args[2]).to.equal('rl:user');
+      expect(client.evalsha.firstCall.args.slice(4)).to.deep.equal([1000, 10, 1]);
+
+      await algorithms['sliding-window-counter'].refund(store, 'user', { windowMs: 1000, timestamp: 4500, cost: 2 });
+      expect(client.evalsha.secondCall.args.slice(5)).to.deep.equal([4, 2]);
+    });
+
+    it('should penalize buckets with a script that ignores the capacity', async () => {
+      const client = createClient({ evalsha: sinon.stub().resolves(['7', '9000']) });
+      const store = new RedisStore({ client });
+
+      const result = await algorithms['token-bucket'].penalize(store, 'user', {
+        capacity: 5, refillRate: 5, windowMs: 1000, cost: 7,
+      });
+
+      expect(result).to.deep.equal({ count: 7, limit: 5, resetTime: 9000 });
+      expect(client.script.calledOnceWith('LOAD', scripts['token-bucket'].penalize.lua)).to.be.true;
+      expect(client.evalsha.firstCall.args[8]).to.equal(7);
+    });
+
+    it('should keep the get/set path when atomic scripts are disabled', async () => {
+      const client = createClient();
+      const store = new RedisStore({ client, atomic: false });
+
+      await algorithms['leaky-bucket'].check(store, 'user', { capacity: 5, leakRate: 5, windowMs: 1000 });
+
+      expect(client.get.calledOnceWith('rl:user')).to.be.true;
+      expect(client.setex.calledOnce).to.be.true;
+      expect(client.evalsha.called).to.be.false;
+    });
+
+    it('should limit the sliding window when atomic scripts are disabled', async () => {
+      const data = new Map();
+      const client = createClient({
+        get: sinon.fake((key) => Promise.resolve(data.get(key) || null)),
+        setex: sinon.fake((key, seconds, value) => Promise.resolve(data.set(key, value) && 'OK')),
+      });
+      const store = new RedisStore({ client, atomic: false });
+
+      await algorithms['sliding-window'].check(store, 'user', { windowMs: 1000, max: 2 });
+      await algorithms['sliding-window'].check(store, 'user', { windowMs: 1000, max: 2 });
+      const result = await algorithms['sliding-window'].check(store, 'user', { windowMs: 1000, max: 2 });
+
+      expect(result.allowed).to.be.false;
+      expect(result.count).to.equal(2);
+      expect(JSON.parse(data.get('rl:user')).requests).to.have.length(2);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+const { createRouteMatcher, normalizePath } = require('../../lib/route-matcher');
+
+describe('RouteMatcher', () => {
+  describe('normalizePath()', () => {
+    it('should strip query string and trailing slash', () => {
+      expect(normalizePath('/api/users/?page=2')).to.equal('/api/users');
+      expect(normalizePath('/')).to.equal('/');
+    });
+  });
+
+  describe('match()', () => {
+    const matcher = createRouteMatcher({
+      '/static/**': { name: 'static' },
+      '/api/*/export': { name: 'export' },
+      '/api/users/:id': { name: 'user' },
+      '/api/users/me': { name: 'me' },
+      '/api/posts/:postId/comments/:commentId': { name: 'comment' },
+    });
+
+    const nameOf = (route) => {
+      const rule = matcher.match(route);
+      return rule ? rule.config.name : null;
+    };
+
+    it('should match exact paths before patterns', () => {
+      expect(nameOf('/api/users/me')).to.equal('me');
+      expect(nameOf('/api/users/me?x=1')).to.equal('me');
+    });
+
+    it('should match :param segments', () => {
+      expect(nameOf('/api/users/42')).to.equal('user');
+      expect(nameOf('/api/posts/1/comments/2')).to.equal('comment');
+      expect(nameOf('/api/users/42/avatar')).to.be.null;
+    });
+
+    it('should match single and multi segment globs', () => {
+      expect(nameOf('/api/orders/export')).to.equal('export');
+      expect(nameOf('/api/a/b/export')).to.be.null;
+      expect(nameOf('/static')).to.equal('static');
+      expect(nameOf('/static/js/app.js')).to.equal('static');
+    });
+
+    it('should prefer param patterns over globs', () => {
+      const m = createRouteMatcher({
+        '/files/*': { name: 'glob' },
+        '/files/:id': { name: 'param' },
+      });
+      expect(m.match('/files/1').config.name).to.equal('param');
+    });
+
+    it('should return null for unknown or empty routes', () => {
+      expect(nameOf('/unknown')).to.be.null;
+      expect(matcher.match(undefined)).to.be.null;
+    });
+
+    it('should list every declared rule', () => {
+      const m = createRouteMatcher({ '/files/*': { name: 'glob' }, '/login': { name: 'login' } });
+      expect(m.rules().map((rule) => rule.pattern)).to.have.members(['/files/*', '/login']);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const { expect } = require('chai');
+const { createRouteResolver } = require('../../lib/route-resolver');
+
+describe('createRouteResolver', () => {
+  it('should prefer framework route templates', () => {
+    const resolve = createRouteResolver(true);
+
+    // Express 与 Hapi
+    expect(resolve({ route: { path: '/users/:id' }, path: '/users/1' })).to.equal('/users/:id');
+    expect(resolve({ route: { path: '/users/{id}' }, path: '/users/1' })).to.equal('/users/{id}');
+    // koa-router
+    expect(resolve({ _matchedRoute: '/orders/:id', path: '/orders/7', routerPath: '/orders/7' })).to.equal('/orders/:id');
+    // Fastify
+    expect(resolve({ routeOptions: { url: '/items/:id' }, url: '/items/9?x=1' })).to.equal('/items/:id');
+    expect(resolve({ raw: {}, routerPath: '/legacy/:id', url: '/legacy/9' })).to.equal('/legacy/:id');
+  });
+
+  it('should include the Express mount path', () => {
+    const resolve = createRouteResolver();
+
+    // Router 或子应用挂载在 /api 时，route.path 与 req.path 都相对于挂载路径
+    expect(resolve({ baseUrl: '/api', route: { path: '/login' }, path: '/login' })).to.equal('/api/login');
+    expect(resolve({ baseUrl: '/users', route: { path: '/:id' } })).to.equal('/users/:id');
+    expect(resolve({ baseUrl: '/orders', route: { path: '/:id' } })).to.equal('/orders/:id');
+    expect(resolve({ baseUrl: '/api', route: { path: '/' } })).to.equal('/api');
+    expect(resolve({ baseUrl: '', route: { path: '/login' } })).to.equal('/login');
+
+    // 路由匹配之前（如 app.use('/api', limiter)）使用完整的原始路径
+    expect(resolve({ baseUrl: '/api', path: '/login', originalUrl: '/api/login?next=1' })).to.equal('/api/login');
+    expect(resolve({ baseUrl: '/api', path: '/login' })).to.equal('/api/login');
+  });
+
+  it('should not read the deprecated Fastify routerPath when routeOptions.url exists', () => {
+    const request = { raw: {}, routeOptions: { url: '/items/:id' }, url: '/items/9' };
+    Object.defineProperty(request, 'routerPath', {
+      get() {
+        throw new Error('FSTDEP017');
+      },
+    });
+
+    expect(createRouteResolver()(request)).to.equal('/items/:id');
+  });
+
+  it('should strip query strings from request paths', () => {
+    const resolve = createRouteResolver();
+
+    expect(resolve({ url: '/search?q=rate+limit#top' })).to.equal('/search');
+    expect(resolve({ path: '/users/1', url: '/users/1?tab=2' })).to.equal('/users/1');
+    // 未匹配的 @koa/router 请求的 routerPath 是实际路径
+    expect(resolve({ path: '/users/1', routerPath: '/users/1' })).to.equal('/users/1');
+    expect(resolve({ route: { path: /^\/re/ }, path: '/re/1' })).to.equal('/re/1');
+    expect(resolve({})).to.be.undefined;
+  });
+
+  it('should collapse numeric, UUID and hex ID segments', () => {
+    const resolve = createRouteResolver(true);
+
+    expect(resolve({ url: '/users/42/orders/3f2b1c9e-8d4a-4e5f-9a6b-7c8d9e0f1a2b?page=2' })).to.equal('/users/:id/orders/:id');
+    expect(resolve({ path: '/posts/507f1f77bcf86cd799439011/comments' })).to.equal('/posts/:id/comments');
+    expect(resolve({ path: '/v2/files/readme' })).to.equal('/v2/files/readme');
+  });
+
+  it('should call a custom normalizer for request paths', () => {
+    const resolve = createRouteResolver((path, req) => `${req.method} ${path.toLowerCase()}`);
+
+    expect(resolve({ method: 'GET', url: '/Users/1?x=1' })).to.equal('GET /users/1');
+    expect(resolve({ method: 'GET', route: { path: '/users/:id' } })).to.equal('/users/:id');
+  });
+
+  it('should validate normalizeRoute', () => {
+    expect(() => createRouteResolver('ids')).to.throw('normalizeRoute 必须是布尔值或函数');
+  });
+});